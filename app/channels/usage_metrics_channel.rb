@@ -0,0 +1,15 @@
+# frozen_string_literal: true
+
+# Live LLM usage for the home chat footer and per-answer cost chips
+# (usage_metrics_controller.js). Only offered while SHOW_USAGE_METRICS is on.
+class UsageMetricsChannel < ApplicationCable::Channel
+  def subscribed
+    return reject unless UsageMetricsHelper.enabled?
+
+    stream_from UsageMetricsBroadcaster.channel_for(current_user.account_id)
+  end
+
+  def unsubscribed
+    stop_all_streams
+  end
+end
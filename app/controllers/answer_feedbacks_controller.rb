@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+# POST /answer_feedbacks — thumbs up/down on a chat answer. JSON
+# `correlation_id` (the answer's, from /rag/ask), `rating` ("up" | "down") and,
+# for a thumbs-down, `reason` (AnswerFeedbackService::REASONS). Answers
+# { feedback } as stored.
+#
+#   404 when the correlation_id is not one of the caller's own answers
+#   422 when rating or reason is not one the chat offers
+class AnswerFeedbacksController < ApplicationController
+  include AuthenticationConcern
+
+  def create
+    correlation_id = params[:correlation_id].presence
+    message = correlation_id && ConversationMessage.where(
+      account_id:     current_account.id,
+      user_id:        current_user.id,
+      role:           "assistant",
+      correlation_id: correlation_id
+    ).order(:id).last
+    return head :not_found if message.nil?
+
+    feedback = AnswerFeedbackService.new(message: message, user: current_user)
+      .call(rating: params[:rating], reason: params[:reason])
+    render json: { feedback: feedback }
+  rescue AnswerFeedbackService::Invalid => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+end
@@ -0,0 +1,53 @@
+# frozen_string_literal: true
+
+# Resumable chat document uploads (ChunkedUpload):
+#
+#   POST  /chunked_uploads          { filename, content_type, byte_size } → status
+#   GET   /chunked_uploads/:id      → status (resume point after a reconnect)
+#   PATCH /chunked_uploads/:id?offset=N   raw chunk bytes as the body → status
+#
+# Status is { id, filename, byte_size, received_bytes, chunk_size, status }.
+# A chunk at the wrong offset answers 409 with the current status so the
+# client can continue from `received_bytes`. Once `status` is "complete" the
+# client sends /rag/ask with `document: { upload_id }`.
+class ChunkedUploadsController < ApplicationController
+  include AuthenticationConcern
+
+  rescue_from ActiveRecord::RecordNotFound, with: :not_found
+
+  def create
+    upload = ChunkedUpload.start!(
+      user:         current_user,
+      account:      current_account,
+      filename:     params[:filename],
+      content_type: params[:content_type],
+      byte_size:    params[:byte_size].to_i
+    )
+    render json: upload.as_status_json, status: :created
+  rescue ActiveRecord::RecordInvalid => e
+    render json: { status: "error", message: e.record.errors.full_messages.to_sentence }, status: :unprocessable_entity
+  end
+
+  def show
+    render json: chunked_upload.as_status_json
+  end
+
+  def update
+    chunked_upload.append_chunk!(offset: params[:offset].to_i, body: request.body.read)
+    render json: chunked_upload.as_status_json
+  rescue ChunkedUpload::OffsetMismatch
+    render json: chunked_upload.reload.as_status_json, status: :conflict
+  rescue ChunkedUpload::InvalidChunk => e
+    render json: { status: "error", message: e.message }, status: :unprocessable_entity
+  end
+
+  private
+
+  def chunked_upload
+    @chunked_upload ||= ChunkedUpload.where(user_id: current_user.id, account_id: current_account.id).find(params[:id])
+  end
+
+  def not_found
+    render json: { status: "error", message: "Upload not found" }, status: :not_found
+  end
+end
@@ -0,0 +1,41 @@
+# frozen_string_literal: true
+
+# GET /citation_source — what the chat's citation viewer opens when a
+# technician taps [n] or a Sources row: the cited KbDocument as a presigned
+# inline URL (KbDocumentImageUrlService#source_url) plus how to show it.
+#
+# The browser identifies the document with what the citation already carries:
+# the sidecar's `document_id` (KbDocument#document_uid) when present, else the
+# `original_source_uri`. Lookup is scoped to the signed-in account; any other
+# document answers 404.
+class CitationSourcesController < ApplicationController
+  include AuthenticationConcern
+
+  def show
+    kb_document = find_kb_document
+    return render json: { error: "Document not found" }, status: :not_found unless kb_document
+
+    url = KbDocumentImageUrlService.new(account: current_account).source_url(kb_document)
+    render json: {
+      name: kb_document.display_name.presence || kb_document.stem_from_s3_key,
+      page: page_param,
+      kind: url ? source_kind(kb_document) : "unavailable",
+      url:  url
+    }
+  end
+
+  private
+
+  def find_kb_document
+    current_account.kb_documents.find_cited(document_uid: params[:document_id], source_uri: params[:source_uri])
+  end
+
+  def page_param
+    page = Integer(params[:page], exception: false)
+    page if page&.positive?
+  end
+
+  def source_kind(kb_document)
+    File.extname(kb_document.s3_key.to_s).casecmp?(".pdf") ? "pdf" : "image"
+  end
+end
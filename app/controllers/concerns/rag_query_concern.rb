@@ -44,11 +44,13 @@ module RagQueryConcern
   # @param response_locale [Symbol, String, nil] Force :en / :es; nil = detect from question
   # @param force_entity_filter [Boolean] When true, forces BedrockRagService to scope
   #   retrieval to entity_s3_uris regardless of the question text.
+  # @param on_answer_delta [#call, nil] Receives Knowledge Base answer text as
+  #   Bedrock generates it; the returned RagResult is still the full answer.
   # @return [RagResult]
   def execute_rag_query(question, images: [], documents: [], session_id: nil, response_locale: nil,
                         session_context: nil, conv_session: nil, entity_s3_uris: [],
                         output_channel: nil, force_entity_filter: nil, account: nil, user_id: nil,
-                        correlation_id: nil, field_photo_id: nil)
+                        correlation_id: nil, field_photo_id: nil, on_answer_delta: nil)
     question  = question.to_s.strip
     images    = Array(images).compact
     documents = Array(documents).compact
@@ -85,7 +87,8 @@ module RagQueryConcern
       user_id:             user_id,
       conversation_session_id: (conv_session.id if conv_session.respond_to?(:id)),
       correlation_id:      correlation_id,
-      field_photo_id:      field_photo_id
+      field_photo_id:      field_photo_id,
+      on_answer_delta:     on_answer_delta
     ).execute
 
     # AnswerSafetyProcessor already runs once inside BedrockRagService#query with
@@ -134,15 +137,19 @@ module RagQueryConcern
     RagResult.new(success?: false, error_type: :unexpected_error, error_message: e.message, error_class: e.class.name)
   end
 
-  # Defensive sanitizer applied to model answers before delivery.
-  # Strips markdown headers, converts pipe-tables to ① ② ③ lists, collapses blank lines.
-  # @param channel [Symbol] reserved for future per-channel rules
-  def sanitize_answer(text, channel: :web) # rubocop:disable Lint/UnusedMethodArgument
+  # Defensive sanitizer applied to model answers before delivery. Collapses
+  # blank lines everywhere; plain-text channels (WhatsApp) also get markdown
+  # headers stripped and pipe-tables converted to ① ② ③ lists. The web chat
+  # renders headings and tables itself (rag/answer_presenter.js).
+  # @param channel [Symbol] :web keeps headings and tables
+  def sanitize_answer(text, channel: :web)
     return "" if text.blank?
 
     out = text.dup
-    out = strip_markdown_headers(out)
-    out = convert_markdown_tables(out)
+    unless channel.to_sym == :web
+      out = strip_markdown_headers(out)
+      out = convert_markdown_tables(out)
+    end
     out = collapse_blank_lines(out)
     out.strip
   end
@@ -197,8 +204,15 @@ module RagQueryConcern
 
   # Renders JSON error response for API endpoints.
   def render_rag_json_error(result)
+    body, status = rag_json_error(result)
+    render json: body, status: status
+  end
+
+  # @return [Array(Hash, Symbol)] error body and HTTP status, for callers that
+  #   deliver the payload themselves (RagStreamsController's error event).
+  def rag_json_error(result)
     error_config = json_error_config(result.error_type)
-    render json: { message: error_config[:message], status: 'error' }, status: error_config[:http_status]
+    [ { message: error_config[:message], status: 'error' }, error_config[:http_status] ]
   end
 
   def json_error_config(error_type)
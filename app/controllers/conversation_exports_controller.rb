@@ -0,0 +1,35 @@
+# frozen_string_literal: true
+
+# GET /conversation_export(.html|.pdf|.json) — the signed-in technician's
+# current chat session as a service report (ConversationReport), for their
+# maintenance log after a call-out.
+#
+#   .html  self-contained printable page (no app layout, photos inline)
+#   .pdf   the same report as a download (ConversationReportPdf)
+#   .json  the structured report as a download, for CMMS imports
+class ConversationExportsController < ApplicationController
+  include AuthenticationConcern
+
+  def show
+    session = ConversationSession.current_for(identifier: current_user.id.to_s, account_id: current_account.id)
+    @report = ConversationReport.new(session: session, user: current_user).as_json
+
+    respond_to do |format|
+      format.html { render layout: false }
+      format.pdf do
+        send_data ConversationReportPdf.new(@report).render,
+                  filename: "#{export_basename}.pdf", type: :pdf, disposition: "attachment"
+      end
+      format.json do
+        send_data JSON.pretty_generate(@report.as_json),
+                  filename: "#{export_basename}.json", type: :json, disposition: "attachment"
+      end
+    end
+  end
+
+  private
+
+  def export_basename
+    "service-report-#{Time.current.strftime('%Y%m%d-%H%M')}"
+  end
+end
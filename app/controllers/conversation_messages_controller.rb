@@ -0,0 +1,21 @@
+# frozen_string_literal: true
+
+# GET /conversation_messages?before=<id> — the signed-in technician's chat
+# transcript (ConversationMessage), newest page first, for
+# rag_chat_controller to rehydrate on page load and page in older turns as
+# they scroll up. In shared-session mode only the caller's own turns are
+# returned.
+class ConversationMessagesController < ApplicationController
+  include AuthenticationConcern
+
+  def index
+    session = ConversationSession.current_for(identifier: current_user.id.to_s, account_id: current_account.id)
+    return render json: { messages: [], has_more: false } if session.nil?
+
+    messages, has_more = ConversationMessage.page_before(
+      session.conversation_messages.where(user_id: current_user.id),
+      before_id: params[:before]
+    )
+    render json: { messages: messages.map(&:as_transcript_json), has_more: has_more }
+  end
+end
@@ -0,0 +1,14 @@
+# frozen_string_literal: true
+
+# POST /conversation_reset — `/reset` in the chat composer
+# (rag/slash_commands.js): starts a clean conversation on the technician's
+# current session (ConversationSession#start_over!). Pins are kept.
+class ConversationResetsController < ApplicationController
+  include AuthenticationConcern
+
+  def create
+    session = ConversationSession.current_for(identifier: current_user.id.to_s, account_id: current_account.id)
+    session&.start_over!(user_id: current_user.id)
+    head :no_content
+  end
+end
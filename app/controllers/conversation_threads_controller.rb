@@ -0,0 +1,64 @@
+# frozen_string_literal: true
+
+# Conversation threads for the chat's thread switcher (rag_chat_controller):
+# each thread is a ConversationSession of the signed-in technician with its own
+# history and pins, and the chat shows the current one.
+#
+#   GET   /conversation_threads             { threads: [...] }, current first
+#   POST  /conversation_threads             start a new thread (optional `title`)
+#   PATCH /conversation_threads/:id         `title` renames, `archived` archives
+#                                           or restores
+#   POST  /conversation_threads/:id/switch  make it the current thread
+#
+# Each answers the thread(s) as ConversationSession#as_thread_json. 404 for a
+# thread that is not the caller's (or has expired), 422 for an invalid title.
+class ConversationThreadsController < ApplicationController
+  include AuthenticationConcern
+
+  rescue_from ActiveRecord::RecordNotFound, with: :not_found
+  rescue_from ActiveRecord::RecordInvalid, with: :invalid
+
+  def index
+    render json: { threads: threads.map(&:as_thread_json) }
+  end
+
+  def create
+    thread = ConversationSession.start_thread!(
+      identifier: current_user.id.to_s,
+      # Shared-session threads belong to the workspace, like the shared row itself.
+      user_id:    SharedSession::ENABLED ? nil : current_user.id,
+      account_id: current_account.id,
+      title:      params[:title]
+    )
+    render json: { thread: thread.as_thread_json }, status: :created
+  end
+
+  def update
+    thread = threads.find(params[:id])
+    thread.update!(title: params[:title].to_s.squish.presence) if params.key?(:title)
+    if params.key?(:archived)
+      ActiveModel::Type::Boolean.new.cast(params[:archived]) ? thread.archive! : thread.update!(archived_at: nil)
+    end
+    render json: { thread: thread.as_thread_json }
+  end
+
+  def switch
+    thread = threads.find(params[:id])
+    thread.open!
+    render json: { thread: thread.as_thread_json }
+  end
+
+  private
+
+  def threads
+    ConversationSession.threads_for(identifier: current_user.id.to_s, account_id: current_account.id)
+  end
+
+  def not_found
+    render json: { error: "Thread not found" }, status: :not_found
+  end
+
+  def invalid(error)
+    render json: { error: error.record.errors.full_messages.to_sentence }, status: :unprocessable_entity
+  end
+end
@@ -1,35 +1,71 @@
 # frozen_string_literal: true
 
-# Tenant-facing usage dashboard. Shows LLM consumption estimates only — no shared
-# infra metrics (Aurora, S3 bucket). See docs/DASHBOARD.md for scope and multi-tenant roadmap.
+# Tenant-facing usage dashboard. Shows the signed-in account's LLM consumption
+# estimates only, priced from its own BedrockQuery rows (AccountUsageMetrics) —
+# never the platform-wide CostMetric rollups or shared infra metrics (Aurora,
+# S3 bucket). See docs/DASHBOARD.md for scope and multi-tenant roadmap.
 class DashboardController < ApplicationController
-  include MetricsHelper
+  before_action :authenticate_user!
 
   def index
-    @current_metrics = current_metrics
-    @monthly_totals = monthly_totals
+    @current_metrics = month_usage.snapshot
+    @monthly_totals = month_usage.totals
     @chart_data = chart_data
-    @kb_documents = KbDocument.order(created_at: :desc)
+    @kb_documents = KbDocument.where(account_id: current_account.id).order(created_at: :desc)
     @performance_metrics = performance_metrics
   end
 
   def metrics
     render json: {
-      current: current_metrics,
-      monthly: monthly_totals,
+      current: month_usage.snapshot,
+      monthly: month_usage.totals,
       chart: chart_data,
       updated_at: Time.current.iso8601
     }
   end
 
+  # GET /dashboard/costs(.json|.csv)?from=&to=&group_by=&view=&projection=1
+  # The chart's series for the range; with view/projection, exactly what the
+  # chart shows (its export links).
+  def costs
+    service = DashboardCostChartService.from_params(params, account: current_account)
+
+    respond_to do |format|
+      format.json do
+        render json: params[:view].present? ? service.export(**export_options) : service.call
+      end
+      format.csv do
+        send_data service.to_csv(**export_options), type: "text/csv",
+                                                    filename: "costos-#{params[:view].presence || 'canales'}.csv"
+      end
+    end
+  end
+
+  # GET /dashboard/costs/breakdown?bucket=2026-05-04&from=&to=&group_by=
+  # Per-user and per-document cost of one chart bucket, for the current account.
+  def cost_breakdown
+    bucket = Date.iso8601(params[:bucket].to_s)
+    render json: DashboardCostChartService.from_params(params, account: current_account).breakdown(bucket)
+  rescue Date::Error, ArgumentError => e
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+
   private
 
   def chart_data
-    DashboardCostChartService.new.call
+    DashboardCostChartService.new(account: current_account).call
+  end
+
+  def month_usage
+    @month_usage ||= AccountUsageMetrics.new(account_id: current_account.id, from: Date.current.beginning_of_month)
+  end
+
+  def export_options
+    { view: params[:view].presence || "channels", projection: ActiveModel::Type::Boolean.new.cast(params[:projection]) || false }
   end
 
   def performance_metrics
-    today_chat = BedrockQuery.query.where(created_at: Date.current.all_day)
+    today_chat = BedrockQuery.query.where(account_id: current_account.id, created_at: Date.current.all_day)
 
     {
       avg_latency: today_chat.average(:latency_ms)&.round(0) || 0,
@@ -1,8 +1,6 @@
 # frozen_string_literal: true
 
 class HomeController < ApplicationController
-  include MetricsHelper
-
   PAGE_SIZE = 20
 
   before_action :authenticate_user!
@@ -13,6 +11,7 @@ class HomeController < ApplicationController
     @kb_documents, @kb_docs_has_more = RecentKbDocumentsQuery.page(0, per_page: PAGE_SIZE, account: current_account)
     @pinned_uris       = pinned_uris_for_current_session
     @image_url_service = KbDocumentImageUrlService.new(account: current_account)
+    @conversation_thread = current_conversation_thread
   end
 
   def metrics
@@ -23,30 +22,31 @@ class HomeController < ApplicationController
     )
   end
 
-  # Refreshes BOTH the desktop and mobile KB doc lists after an indexing event.
-  # Called by rag_chat_controller#refreshDocuments after KbSyncChannel "indexed".
+  # Refreshes BOTH the desktop and mobile KB doc lists after an indexing event,
+  # and answers the Archivos search box (q, filter[], sort — see
+  # RecentKbDocumentsQuery::Criteria). Called by rag_chat_controller#refreshDocuments
+  # after KbSyncChannel "indexed" and by kb_search_controller as the technician types.
   def documents
-    kb_docs, has_more = RecentKbDocumentsQuery.page(0, per_page: PAGE_SIZE, account: current_account)
-    pinned_uris       = pinned_uris_for_current_session
+    criteria          = kb_documents_criteria
+    kb_docs, has_more = RecentKbDocumentsQuery.page(0, per_page: PAGE_SIZE, account: current_account, criteria: criteria)
     image_url_service = KbDocumentImageUrlService.new(account: current_account)
 
-    render turbo_stream: [
-      turbo_stream.update("kb-docs-desktop-items",
-        partial: "home/kb_docs_card_rows",
-        locals: { kb_documents: kb_docs, pinned_uris: pinned_uris, image_url_service: image_url_service }),
-      turbo_stream.update("kb-docs-mobile-items",
-        partial: "home/kb_docs_card_rows",
-        locals: { kb_documents: kb_docs, pinned_uris: pinned_uris, image_url_service: image_url_service }),
-      sentinel_stream(:desktop, has_more: has_more, page: 1),
-      sentinel_stream(:mobile,  has_more: has_more, page: 1)
-    ]
+    streams = %i[desktop mobile].flat_map do |variant|
+      [
+        items_stream(variant, kb_docs, criteria: criteria, image_url_service: image_url_service),
+        more_stream(variant, has_more: has_more, criteria: criteria)
+      ]
+    end
+    render turbo_stream: streams
   end
 
   # Infinite-scroll page fetch (page param is 0-indexed; first scroll fetches page=1).
+  # Carries the same q/filter/sort as the list it extends.
   def documents_page
     page              = [ params[:page].to_i, 1 ].max
-    kb_docs, has_more = RecentKbDocumentsQuery.page(page, per_page: PAGE_SIZE, account: current_account)
-    pinned_uris       = pinned_uris_for_current_session
+    criteria          = kb_documents_criteria
+    kb_docs, has_more = RecentKbDocumentsQuery.page(page, per_page: PAGE_SIZE, account: current_account, criteria: criteria)
+    pinned_uris       = criteria.pinned_uris
     image_url_service = KbDocumentImageUrlService.new(account: current_account)
 
     streams = [
@@ -56,36 +56,76 @@ class HomeController < ApplicationController
       turbo_stream.append("kb-docs-mobile-items",
         partial: "home/kb_docs_card_rows",
         locals: { kb_documents: kb_docs, pinned_uris: pinned_uris, image_url_service: image_url_service }),
-      sentinel_stream(:desktop, has_more: has_more, page: page + 1),
-      sentinel_stream(:mobile,  has_more: has_more, page: page + 1)
+      sentinel_stream(:desktop, has_more: has_more, page: page + 1, criteria: criteria),
+      sentinel_stream(:mobile,  has_more: has_more, page: page + 1, criteria: criteria)
     ]
     render turbo_stream: streams
   end
 
   private
 
-  # Returns Set<String> of s3_uris currently pinned in the user's web ConversationSession.
+  # Today's footer usage for the signed-in account, in CostMetric.daily_snapshot's shape.
+  def current_metrics
+    AccountUsageMetrics.new(account_id: current_account.id).snapshot
+  end
+
+  # Returns Set<String> of s3_uris pinned in the user's current conversation thread.
   # Mirrors find_or_create_for: resolves to the SharedSession row when ENABLED, so
   # checkboxes survive a page refresh in shared-workspace mode.
-  # Empty Set when no session exists yet (first-ever visit before any interaction).
+  # Empty Set when no session exists yet (first-ever visit before any interaction)
+  # or the account's current thread expired.
   def pinned_uris_for_current_session
-    identifier = SharedSession::ENABLED ? SharedSession::IDENTIFIER : current_user.id.to_s
-    channel    = SharedSession::ENABLED ? SharedSession::CHANNEL    : "web"
-    session    = ConversationSession.find_by(identifier: identifier, channel: channel)
+    session = current_conversation_thread
     return Set.new if session.nil?
     Set.new(SessionContextBuilder.entity_s3_uris(session))
   end
 
+  def current_conversation_thread
+    return @current_conversation_thread if defined?(@current_conversation_thread)
+
+    @current_conversation_thread =
+      ConversationSession.current_for(identifier: current_user.id.to_s, account_id: current_account.id)
+  end
+
+  def kb_documents_criteria
+    RecentKbDocumentsQuery::Criteria.from_params(params,
+      pinned_uris: pinned_uris_for_current_session, user_id: current_user.id)
+  end
+
   # Replaces the old sentinel with a fresh one bumped to the next page,
   # OR removes it when no more pages exist.
-  def sentinel_stream(variant, has_more:, page:)
+  def sentinel_stream(variant, has_more:, page:, criteria:)
     sentinel_id = "kb-docs-#{variant}-sentinel"
     if has_more
       turbo_stream.replace(sentinel_id,
         partial: "home/kb_docs_card_sentinel",
-        locals: { sentinel_id: sentinel_id, page: page })
+        locals: { sentinel_id: sentinel_id, page: page, query_params: criteria.to_query_params })
     else
       turbo_stream.remove(sentinel_id)
     end
   end
+
+  # The rows of a fresh list, or the empty state ("no matches" when the
+  # technician searched or picked a chip).
+  def items_stream(variant, kb_docs, criteria:, image_url_service:)
+    items_id = "kb-docs-#{variant}-items"
+    if kb_docs.any?
+      turbo_stream.update(items_id,
+        partial: "home/kb_docs_card_rows",
+        locals: { kb_documents: kb_docs, pinned_uris: criteria.pinned_uris, image_url_service: image_url_service })
+    else
+      turbo_stream.update(items_id, partial: "home/kb_docs_card_empty", locals: { filtered: criteria.filtered? })
+    end
+  end
+
+  # A new list starts over at page 1. The old sentinel may already be gone
+  # (last page scrolled), so the fresh one goes into its stable wrapper.
+  def more_stream(variant, has_more:, criteria:)
+    sentinel_id = "kb-docs-#{variant}-sentinel"
+    return turbo_stream.update("kb-docs-#{variant}-more", "") unless has_more
+
+    turbo_stream.update("kb-docs-#{variant}-more",
+      partial: "home/kb_docs_card_sentinel",
+      locals: { sentinel_id: sentinel_id, page: 1, query_params: criteria.to_query_params })
+  end
 end
@@ -0,0 +1,74 @@
+# frozen_string_literal: true
+
+# Actions on a document card of the Archivos panel (rag_chat_controller):
+#
+#   POST   /kb_documents/:id/reprocess  retry only the pages the last full pass could not chunk
+#   POST   /kb_documents/:id/reingest   send the stored PDF through a fresh Batch pass
+#   DELETE /kb_documents/:id            remove it from the knowledge base
+#
+# Each answers 202 { correlation_id:, filename: }. Later KbSync events about the
+# file carry that id (KbSyncBroadcaster.track_upload), so the chat bubble that
+# asked follows the work through to "indexed", "removed" or "failed". 404 for a
+# document of another account; 422 when the action does not apply to it
+# (nothing failed, no Batch pass behind it, or one still running).
+class KbDocumentsController < ApplicationController
+  include AuthenticationConcern
+
+  rescue_from ActiveRecord::RecordNotFound, with: :not_found
+
+  def reprocess
+    batch = kb_document.latest_web_manual_batch
+    return unavailable unless batch&.reprocessable?
+
+    correlation_id = track(batch.filename)
+    ReprocessFailedPagesJob.perform_later(web_manual_batch_id: batch.id, locale: I18n.locale.to_s)
+    accepted(correlation_id, batch.filename)
+  end
+
+  def reingest
+    batch = kb_document.latest_web_manual_batch
+    return unavailable unless batch&.reingestable?
+
+    correlation_id = track(batch.filename)
+    batch.reingest!(locale: I18n.locale.to_s)
+    accepted(correlation_id, batch.filename)
+  end
+
+  def destroy
+    filename = kb_document.latest_web_manual_batch&.filename || File.basename(kb_document.s3_key.to_s)
+    correlation_id = track(filename)
+    kb_document.remove_from_kb!
+    PurgeKbDocumentJob.perform_later(
+      account_id:   kb_document.account_id,
+      document_uid: kb_document.document_uid,
+      s3_key:       kb_document.s3_key,
+      filename:     filename,
+      locale:       I18n.locale.to_s
+    )
+    accepted(correlation_id, filename)
+  end
+
+  private
+
+  def kb_document
+    @kb_document ||= current_account.kb_documents.find(params[:id])
+  end
+
+  def track(filename)
+    "kb_action:#{SecureRandom.uuid}".tap do |correlation_id|
+      KbSyncBroadcaster.track_upload(account_id: current_account.id, filenames: [ filename ], correlation_id: correlation_id)
+    end
+  end
+
+  def accepted(correlation_id, filename)
+    render json: { correlation_id: correlation_id, filename: filename }, status: :accepted
+  end
+
+  def unavailable
+    render json: { error: "Action not available for this document" }, status: :unprocessable_entity
+  end
+
+  def not_found
+    render json: { error: "Document not found" }, status: :not_found
+  end
+end
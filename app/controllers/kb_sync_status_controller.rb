@@ -0,0 +1,15 @@
+# frozen_string_literal: true
+
+# GET /kb_sync/status?after=<sequence_id> — KbSyncChannel events the browser
+# missed while its WebSocket was down. rag_chat_controller calls it on every
+# (re)connect so pending photo diagnoses and document indexing still reach
+# their final state without a reload.
+class KbSyncStatusController < ApplicationController
+  include AuthenticationConcern
+
+  def show
+    status = IngestionStatusService.new(tenant: current_account)
+                                   .kb_sync_status(account_id: current_account.id, after: params[:after])
+    render json: status
+  end
+end
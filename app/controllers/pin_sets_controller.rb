@@ -0,0 +1,70 @@
+# frozen_string_literal: true
+
+# Saved pin sets for the Archivos panel (rag_chat_controller): a named group of
+# KbDocuments shared by the whole account, pinned or unpinned in one action in
+# the technician's current conversation thread.
+#
+#   GET    /pin_sets            { pin_sets: [...] }, by name
+#   POST   /pin_sets            save the current pins as `name`
+#   DELETE /pin_sets/:id
+#   POST   /pin_sets/:id/apply  pin every document of the set
+#   POST   /pin_sets/:id/clear  unpin them; other pins stay
+#
+# apply and clear answer { pinned_document_ids: [...] }, the thread's pins
+# afterwards. apply pins all of the set or nothing (422). 404 for a set of
+# another account, 422 for a blank or taken name or nothing pinned.
+class PinSetsController < ApplicationController
+  include AuthenticationConcern
+
+  rescue_from ActiveRecord::RecordNotFound, with: :not_found
+  rescue_from ActiveRecord::RecordInvalid, with: :invalid
+
+  def index
+    render json: { pin_sets: current_account.pin_sets.order(:name).map(&:as_pin_set_json) }
+  end
+
+  def create
+    pin_set = PinSet.save_from!(current_conv_session, account: current_account, user_id: current_user.id, name: params[:name])
+    render json: { pin_set: pin_set.as_pin_set_json }, status: :created
+  end
+
+  def destroy
+    current_account.pin_sets.find(params[:id]).destroy!
+    head :no_content
+  end
+
+  def apply
+    pin_set = current_account.pin_sets.find(params[:id])
+    session = current_conv_session
+    pin_set.apply_to!(session)
+    render json: { pinned_document_ids: session.reload.pinned_kb_document_ids }
+  rescue PinSet::PinRejected
+    render json: { error: "Could not pin document" }, status: :unprocessable_entity
+  end
+
+  def clear
+    pin_set = current_account.pin_sets.find(params[:id])
+    session = current_conv_session
+    pin_set.clear_from!(session)
+    render json: { pinned_document_ids: session.pinned_kb_document_ids }
+  end
+
+  private
+
+  def current_conv_session
+    ConversationSession.find_or_create_for(
+      identifier:  current_user.id.to_s,
+      channel:     "web",
+      user_id:     current_user.id,
+      account_id:  current_user.account_id
+    ).tap(&:refresh!)
+  end
+
+  def not_found
+    render json: { error: "Pin set not found" }, status: :not_found
+  end
+
+  def invalid(error)
+    render json: { error: error.record.errors.full_messages.to_sentence }, status: :unprocessable_entity
+  end
+end
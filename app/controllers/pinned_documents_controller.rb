@@ -1,8 +1,8 @@
 # frozen_string_literal: true
 
-# Pin/unpin KbDocuments into the active ConversationSession.
+# Pin/unpin KbDocuments into the current conversation thread (ConversationSession).
 # Pins drive the entity_s3_uris filter (force_entity_filter: true) for RAG retrieval.
-# Sessions persist 30 days sliding; pins survive across days for the same user.
+# Sessions persist 30 days sliding; pins survive across days and stay with their thread.
 class PinnedDocumentsController < ApplicationController
   include AuthenticationConcern
 
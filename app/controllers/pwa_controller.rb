@@ -0,0 +1,21 @@
+# frozen_string_literal: true
+
+# Installable app manifest + offline service worker (app/views/pwa/*).
+# Inherits ApplicationController instead of the stock Rails::PwaController so
+# the manifest resolves the host account's branding like the layouts do.
+class PwaController < ApplicationController
+  # The worker is a GET that renders JavaScript; Rails' cross-origin JS guard
+  # would otherwise reject the browser's non-XHR script fetch.
+  skip_forgery_protection
+
+  def manifest
+    render template: "pwa/manifest", layout: false, content_type: "application/manifest+json"
+  end
+
+  # Never HTTP-cached: the browser must see a new CACHE_VERSION right after a
+  # deploy so pwa_controller.js can prompt the technician to reload.
+  def service_worker
+    expires_now
+    render template: "pwa/service-worker", layout: false, content_type: "text/javascript"
+  end
+end
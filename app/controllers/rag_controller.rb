@@ -6,7 +6,72 @@ class RagController < ApplicationController
   include AuthenticationConcern
   include RagQueryConcern
 
+  # Outbox replays (rag/offline_outbox) resend a question under the same
+  # client_request_id; its answer is kept this long for them.
+  ASK_REPLAY_TTL       = 24.hours
+  ASK_IN_PROGRESS      = "in_progress"
+  # The in-progress marker outlives any real turn but not a turn that never
+  # finished: a killed worker, a restart or a request timeout skip the rescue
+  # that clears it, and until it expires every replay of the id gets 409 and
+  # holds the ordered outbox behind it.
+  ASK_IN_PROGRESS_TTL  = 5.minutes
+  CLIENT_REQUEST_ID    = /\A[\w-]{8,64}\z/
+
+  # A document upload_id that is not a completed ChunkedUpload of the caller:
+  # never assembled, or already consumed by UploadAndSyncAttachmentsJob.
+  class UploadUnavailable < StandardError; end
+
   def ask
+    payload, status = deduplicated_ask { ask_payload }
+    render json: payload, status: status
+  end
+
+  private
+
+  # A question the chat already sent — a replay whose response was lost on a
+  # flaky uplink — gets the stored answer back instead of a second, billed
+  # run; one that arrives while the first is still running gets 409 and stays
+  # queued. Requests without client_request_id run as before.
+  #
+  # @yieldreturn [Array(Hash, Symbol)] what ask_payload returns
+  # @return [Array(Hash, Symbol)]
+  def deduplicated_ask
+    key = ask_replay_key
+    return yield unless key
+
+    unless Rails.cache.write(key, ASK_IN_PROGRESS, expires_in: ASK_IN_PROGRESS_TTL, unless_exist: true)
+      stored = Rails.cache.read(key)
+      return stored if stored.is_a?(Array)
+
+      return [ { status: 'error', message: I18n.t('rag.ask_in_progress') }, :conflict ]
+    end
+
+    payload, status = yield
+    # Only answers are replayed; a failed turn may be asked again.
+    if status == :ok
+      Rails.cache.write(key, [ payload, status ], expires_in: ASK_REPLAY_TTL)
+    else
+      Rails.cache.delete(key)
+    end
+    [ payload, status ]
+  rescue StandardError
+    Rails.cache.delete(key) if key
+    raise
+  end
+
+  def ask_replay_key
+    id = params[:client_request_id].to_s
+    "rag_ask:#{current_user.id}:#{id}" if id.match?(CLIENT_REQUEST_ID)
+  end
+
+  # Runs one /rag/ask turn end to end and returns the JSON contract with its
+  # HTTP status. Shared with RagStreamsController, which delivers the same
+  # payload as Server-Sent Events.
+  #
+  # @param on_answer_delta [#call, nil] Receives Knowledge Base answer text as
+  #   Bedrock generates it (RagStreamsController writes it as `delta` events).
+  # @return [Array(Hash, Symbol)]
+  def ask_payload(on_answer_delta: nil)
     started_at = Process.clock_gettime(Process::CLOCK_MONOTONIC)
     question  = params[:question].to_s.strip
     question_sha256 = question.present? ? Digest::SHA256.hexdigest(question) : nil
@@ -37,6 +102,7 @@ class RagController < ApplicationController
     else
       conv_session.refresh!
     end
+    record_user_turn(conv_session, question, images: images, documents: documents, correlation_id: correlation_id)
 
     session_context  = SessionContextBuilder.build(conv_session)
     entity_s3_uris   = SessionContextBuilder.entity_s3_uris(conv_session)
@@ -46,13 +112,15 @@ class RagController < ApplicationController
       images:          images,
       documents:       documents,
       session_id:      params[:session_id].presence,
+      response_locale: requested_response_locale,
       session_context: session_context,
       conv_session:    conv_session,
       entity_s3_uris:  entity_s3_uris,
       account:         current_account,
       user_id:         current_user.id,
       correlation_id:  correlation_id,
-      field_photo_id:  params[:field_photo_id].presence
+      field_photo_id:  params[:field_photo_id].presence,
+      on_answer_delta: on_answer_delta
     )
 
     unless result.success?
@@ -66,8 +134,7 @@ class RagController < ApplicationController
         route:           interaction_route(correlation_id),
         latency_ms:      elapsed_ms(started_at)
       )
-      render_rag_json_error(result)
-      return
+      return rag_json_error(result)
     end
 
     if result[:doc_refs].present?
@@ -137,7 +204,8 @@ class RagController < ApplicationController
       fallback_names = consulted_documents_fallback(result.doc_refs)
       json[:consulted_documents] = fallback_names if fallback_names.present?
     end
-    render json: json
+    record_assistant_turn(conv_session, json, question: question)
+    [ json, :ok ]
   rescue ImageCompressionService::CompressionError
     emit_interaction_completed(
       correlation_id:  correlation_id,
@@ -148,11 +216,20 @@ class RagController < ApplicationController
       route:           interaction_route(correlation_id),
       latency_ms:      elapsed_ms(started_at)
     )
-    render json: { status: 'error', message: I18n.t('rag.image_compression_failed') }, status: :bad_request
+    [ { status: 'error', message: I18n.t('rag.image_compression_failed') }, :bad_request ]
+  rescue UploadUnavailable
+    emit_interaction_completed(
+      correlation_id:  correlation_id,
+      question_sha256: question_sha256,
+      outcome:         "failed",
+      stage:           "document_upload",
+      error_class:     UploadUnavailable.name,
+      route:           interaction_route(correlation_id),
+      latency_ms:      elapsed_ms(started_at)
+    )
+    [ { status: 'error', message: I18n.t('rag.upload_unavailable') }, :gone ]
   end
 
-  private
-
   # Single point of emission for the terminal state of a text/photo-submission
   # interaction (restriction 1). The async photo route's actual completion is
   # observed and emitted by FieldPhotoAnalysisJob instead — see the two call
@@ -174,6 +251,51 @@ class RagController < ApplicationController
     )
   end
 
+  # Transcript for restoring the chat on page load (ConversationMessage). The
+  # image preview is the small thumbnail ImageCompressionService already made,
+  # never the uploaded bytes; a multi-photo question keeps one per photo.
+  def record_user_turn(conv_session, question, images:, documents:, correlation_id:)
+    attachment =
+      if (image = images.first)
+        previews = images.map do |photo|
+          "data:#{photo[:thumbnail_content_type]};base64,#{Base64.strict_encode64(photo[:thumbnail_binary])}" if photo[:thumbnail_binary].present?
+        end
+        { type: "image", filename: image[:filename], preview_src: previews.first, preview_srcs: (previews if images.many?) }.compact
+      elsif (document = documents.first)
+        { type: "document", filename: document[:filename] }
+      end
+    ConversationMessage.record(
+      conv_session,
+      role: "user",
+      payload: { question: question, attachment: attachment }.compact,
+      user_id: current_user.id,
+      correlation_id: correlation_id
+    )
+  end
+
+  # Only what the chat rendered as an answer bubble: photo uploads resolve
+  # through the photo_analyzed broadcast (recorded by FieldPhotoAnalysisJob)
+  # and a bare document upload only shows the indexing acknowledgment.
+  def record_assistant_turn(conv_session, json, question:)
+    return if json[:images_uploaded].present?
+    return if json[:documents_uploaded].present? && question.blank?
+
+    ConversationMessage.record(
+      conv_session,
+      role: "assistant",
+      payload: json,
+      user_id: current_user.id,
+      correlation_id: json[:correlation_id]
+    )
+  end
+
+  # `/lang en|es` in the chat composer (rag/slash_commands.js) fixes the answer
+  # language instead of detecting it from the question.
+  def requested_response_locale
+    locale = params[:response_locale].to_s
+    locale if LocaleSwitchable::ALLOWED_LOCALES.map(&:to_s).include?(locale)
+  end
+
   def interaction_route(correlation_id)
     correlation_id.to_s.start_with?("photo:") ? "photo" : "text"
   end
@@ -233,13 +355,26 @@ class RagController < ApplicationController
           selection: selection,
           analysis: shadow.fetch(:analysis),
           question: question,
-          sources_visible: sources_visible
+          sources_visible: sources_visible,
+          thumbnail_urls: evidence_thumbnail_urls
         ).call
       end
     end
     Rag::ResolutionPresenter.not_applicable
   end
 
+  # card.thumbnail_url for the ambiguous-cards compare view: the cited
+  # document itself when it is an image. PDFs have no page images; the
+  # compare view links to them at card.evidence_url. All cards resolve in
+  # one batch (KbDocument.find_all_cited + one presign per document).
+  def evidence_thumbnail_urls
+    lambda do |contexts|
+      documents = current_account.kb_documents.find_all_cited(contexts.map { |context| [ context.document_id, context.source_uri ] })
+      urls = KbDocumentImageUrlService.new(account: current_account).call_many(documents.compact.uniq)
+      documents.map { |document| urls[document] if document }
+    end
+  end
+
   # Shadow-mode measurement (docs/RAG_PRECISION_V2_PLAN_2026-07-29.md §7 "selector
   # de evidencia" flag, docs/RAG_EVIDENCE_SELECTOR_FASE1_DESIGN_2026-07-29.md §10
   # "selector en sombra comparando contra el camino actual"). Off by default —
@@ -289,7 +424,7 @@ class RagController < ApplicationController
       []
     end
 
-    compress_images(images)
+    compress_images(images.first(FieldPhotoAnalysisService::MAX_PHOTOS))
   rescue ImageCompressionService::CompressionError => e
     Rails.logger.error("RagController: Image compression failed: #{e.message}")
     raise
@@ -310,7 +445,8 @@ class RagController < ApplicationController
         thumbnail_binary:       result[:thumbnail_binary],
         thumbnail_content_type: result[:thumbnail_content_type],
         thumbnail_width:        result[:thumbnail_width],
-        thumbnail_height:       result[:thumbnail_height]
+        thumbnail_height:       result[:thumbnail_height],
+        annotations:            FieldPhotoAnnotations.normalize(img[:annotations])
       }
     end
   rescue ImageCompressionService::CompressionError => e
@@ -323,13 +459,30 @@ class RagController < ApplicationController
     return [] if doc_param.blank?
 
     docs = doc_param.is_a?(Array) ? doc_param : [ doc_param ]
-    docs.select do |d|
-      d[:data].present? && (d[:media_type].present? || d[:filename].present?)
-    end.map { |d| d.to_unsafe_h.symbolize_keys }
+    docs.filter_map do |d|
+      if d[:upload_id].present?
+        upload = completed_chunked_upload(d[:upload_id])
+        raise UploadUnavailable, "ChunkedUpload #{d[:upload_id]} is not available" if upload.nil?
+
+        upload.to_document_payload
+      elsif d[:data].present? && (d[:media_type].present? || d[:filename].present?)
+        d.to_unsafe_h.symbolize_keys
+      end
+    end
+  rescue UploadUnavailable
+    raise
   rescue StandardError
     []
   end
 
+  # Large manuals arrive through ChunkedUploadsController; /rag/ask only gets
+  # the id of the assembled upload, never the bytes. The job discards it once
+  # indexed, so a second ask with the same id gets UploadUnavailable instead
+  # of silently dropping the document.
+  def completed_chunked_upload(upload_id)
+    ChunkedUpload.where(user_id: current_user.id, account_id: current_account.id, status: "complete").find_by(id: upload_id)
+  end
+
   # Fallback for the UI's "Documentos consultados" block when Haiku emitted
   # <DOC_REFS> but no inline [n] citations (so no numbered references exist).
   # Names only — no extra queries, doc_refs are already in memory.
@@ -0,0 +1,81 @@
+# frozen_string_literal: true
+
+# app/controllers/rag_streams_controller.rb
+#
+# POST /rag/ask/stream — the same turn as RagController#ask, delivered as
+# Server-Sent Events so the chat shows the request is alive (flaky field
+# connections, 15–90 s answers) and fills the answer bubble as Bedrock
+# generates it. The `done` event carries the /rag/ask JSON unchanged; the
+# browser falls back to /rag/ask whenever this endpoint is unavailable.
+#
+# Event order: status → ping (every HEARTBEAT_SECONDS while the pipeline runs)
+# interleaved with delta { text } (finished Knowledge Base answer lines that
+# already pass Rag::AnswerSafetyProcessor, see Bedrock::StreamedGeneration)
+# → Rag::AnswerStreamEvents (trailing citations/resolution/
+# quick_replies, done — or a single error).
+class RagStreamsController < RagController
+  include ActionController::Live
+
+  HEARTBEAT_SECONDS = 10
+
+  # Devise's authenticate_user! fails with `throw :warden`, which cannot cross
+  # the Live action thread. Check explicitly and answer 401 like /rag/ask.
+  skip_before_action :authenticate_user!
+  before_action :require_signed_in_user
+
+  def create
+    response.headers["Content-Type"]      = "text/event-stream"
+    response.headers["Cache-Control"]     = "no-cache"
+    response.headers["X-Accel-Buffering"] = "no"
+    @sse = ActionController::Live::SSE.new(response.stream)
+    @sse_lock = Mutex.new
+    write_event("status", { stage: "received" })
+
+    payload, status = with_heartbeat do
+      deduplicated_ask { ask_payload(on_answer_delta: method(:write_answer_delta)) }
+    end
+    Rag::AnswerStreamEvents.call(payload, status: status).each do |event, data|
+      write_event(event, data)
+    end
+  rescue ActionController::Live::ClientDisconnected
+    Rails.logger.info("RagStreamsController: client disconnected before the answer finished streaming")
+  ensure
+    response.stream.close
+  end
+
+  private
+
+  def require_signed_in_user
+    head :unauthorized unless user_signed_in?
+  end
+
+  # The heartbeat thread and the answer deltas write to the same stream.
+  def write_event(event, data)
+    @sse_lock.synchronize { @sse.write(data, event: event) }
+  end
+
+  # A browser that went away mid-answer must not abort the turn: it still
+  # finishes, lands in history and in the client_request_id replay cache.
+  def write_answer_delta(text)
+    return if @client_gone
+
+    write_event("delta", { text: text })
+  rescue IOError, ActionController::Live::ClientDisconnected
+    @client_gone = true
+  end
+
+  # Keeps proxies and the browser's stall notice from treating a long
+  # retrieval as a dead connection.
+  def with_heartbeat
+    stop = Thread::Queue.new
+    heartbeat = Thread.new do
+      write_event("ping", {}) while stop.pop(timeout: HEARTBEAT_SECONDS).nil?
+    rescue IOError, ActionController::Live::ClientDisconnected
+      nil
+    end
+    yield
+  ensure
+    stop&.push(true)
+    heartbeat&.join
+  end
+end
@@ -0,0 +1,31 @@
+# frozen_string_literal: true
+
+# POST /transcriptions — voice dictation fallback for browsers without speech
+# recognition. Multipart `audio` (the recorded clip) plus `locale`; answers
+# { text } for the composer. Nothing is stored: the clip is transcribed and
+# dropped (SpeechTranscriptionService).
+#
+#   503 when no provider is configured (the composer hides the button then)
+#   422 when the clip is rejected or the provider fails
+class TranscriptionsController < ApplicationController
+  include AuthenticationConcern
+
+  def create
+    audio = params[:audio]
+    unless audio.respond_to?(:read)
+      return render json: { error: "audio missing" }, status: :unprocessable_entity
+    end
+
+    text = SpeechTranscriptionService.new.call(
+      audio:        audio.read,
+      content_type: audio.content_type,
+      locale:       params[:locale]
+    )
+    render json: { text: text }
+  rescue SpeechTranscriptionService::Unavailable => e
+    render json: { error: e.message }, status: :service_unavailable
+  rescue SpeechTranscriptionService::TranscriptionError => e
+    Rails.logger.warn("[TranscriptionsController] #{e.message}")
+    render json: { error: e.message }, status: :unprocessable_entity
+  end
+end
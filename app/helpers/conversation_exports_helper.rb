@@ -0,0 +1,16 @@
+# frozen_string_literal: true
+
+module ConversationExportsHelper
+  # Answer text for the printable report: paragraphs and line breaks as the
+  # chat showed them, **bold** kept. Everything else stays escaped text.
+  def report_answer_html(text)
+    escaped = ERB::Util.html_escape(text.to_s).to_str
+    simple_format(escaped.gsub(/\*\*(.+?)\*\*/m, '<strong>\1</strong>'), {}, sanitize: false)
+  end
+
+  def report_time(value)
+    l(Time.zone.parse(value.to_s), format: :short)
+  rescue ArgumentError, TypeError
+    value.to_s
+  end
+end
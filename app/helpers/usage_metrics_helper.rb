@@ -1,7 +1,8 @@
 # frozen_string_literal: true
 
 # Single source of truth for home footer + dashboard daily cost breakdown.
-# Values come from CostMetric.daily_snapshot / MetricsHelper#current_metrics.
+# Values come in CostMetric.daily_snapshot's shape, per account from
+# AccountUsageMetrics#snapshot.
 module UsageMetricsHelper
   DAILY_USAGE_CHANNELS = [
     { label: "Consultas (Bedrock Haiku)", tokens: :today_tokens_query, cost: :today_cost_query, group: :query },
@@ -13,11 +14,25 @@ module UsageMetricsHelper
     { label: "Embeddings (Titan)", tokens: :today_tokens_embed, cost: :today_cost_embed, group: :embed }
   ].freeze
 
+  # Internal/demo diagnostics; customer demos keep it off.
+  def self.enabled?
+    ENV["SHOW_USAGE_METRICS"] == "true"
+  end
+
+  # Footer pills as UsageMetricsBroadcaster pushes them; `key` matches the
+  # data-usage-pill attribute rendered by home/_usage_pill.
+  def self.daily_usage_payload(metrics)
+    DAILY_USAGE_CHANNELS.map do |row|
+      { key: row[:cost].to_s, tokens: metrics[row[:tokens]].to_i, cost: metrics[row[:cost]].to_f.round(6) }
+    end + [ { key: "total", tokens: metrics[:today_tokens].to_i, cost: metrics[:today_cost].to_f.round(6) } ]
+  end
+
   def self.chart_channels
     DAILY_USAGE_CHANNELS.map do |row|
       {
         label: row[:label],
-        metric_type: row[:cost].to_s.sub("today_", "daily_").to_sym
+        metric_type: row[:cost].to_s.sub("today_", "daily_").to_sym,
+        group: row[:group]
       }
     end
   end
@@ -25,6 +40,7 @@ module UsageMetricsHelper
   def daily_usage_channel_rows(metrics)
     DAILY_USAGE_CHANNELS.map do |row|
       {
+        key:    row[:cost].to_s,
         label:  row[:label],
         tokens: metrics[row[:tokens]].to_i,
         cost:   metrics[row[:cost]].to_f,
@@ -35,6 +51,7 @@ module UsageMetricsHelper
 
   def daily_usage_total_row(metrics)
     {
+      key:    "total",
       label:  "Total hoy",
       tokens: metrics[:today_tokens].to_i,
       cost:   metrics[:today_cost].to_f,
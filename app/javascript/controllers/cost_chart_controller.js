@@ -1,25 +1,84 @@
 import { Controller } from "@hotwired/stimulus"
 
+// Dashboard cost chart (DashboardCostChartService payload). The range and
+// grouping reload the payload from /dashboard/costs; the view (per channel or
+// queries vs ingestion), the SaaS model projection and stacked areas only
+// change which of its series are drawn. Clicking a point loads that period's
+// per-user and per-document costs, and the export links download exactly the
+// series on screen.
+const AXIS_TITLES = { day: "Día", week: "Semana", month: "Mes" }
+
+function escapeHtml(value = "") {
+  const element = document.createElement("div")
+  element.textContent = String(value)
+  return element.innerHTML
+}
+
+function usd(value) {
+  return `$${Number(value || 0).toFixed(4)}`
+}
+
 export default class extends Controller {
-  static values = { config: Object }
+  static targets = [
+    "canvas", "empty", "title", "from", "to", "groupBy", "view", "projection", "stacked",
+    "breakdown", "exportCsv", "exportJson"
+  ]
+  static values = { config: Object, url: String, breakdownUrl: String }
 
   connect() {
-    if (!this.configValue?.labels?.length) return
+    this.render()
+  }
+
+  disconnect() {
+    this.chart?.destroy()
+    this.chart = null
+  }
+
+  // Range or grouping changed: the series have to come from the server.
+  async reload() {
+    const response = await fetch(`${this.urlValue}.json?${this.rangeQuery()}`, { headers: { Accept: "application/json" } })
+    if (!response.ok) return
+
+    this.configValue = await response.json()
+    if (this.hasBreakdownTarget) this.breakdownTarget.innerHTML = ""
+    this.render()
+  }
+
+  // View, projection or stacking changed: same payload, other series.
+  render() {
+    const config = this.configValue
+    if (this.hasTitleTarget && config.title) this.titleTarget.textContent = config.title
+    this.updateExportLinks()
+
+    const datasets = this.visibleDatasets()
+    const empty = !config.labels?.length || !datasets.some((set) => set.data.some((value) => value > 0))
+    if (this.hasEmptyTarget) this.emptyTarget.hidden = !empty
+    this.canvasTarget.hidden = empty
+    if (empty) return
+
     if (!window.Chart) {
       console.error("cost-chart: Chart.js not loaded")
       return
     }
 
-    this.chart = new window.Chart(this.element, {
+    if (this.chart) {
+      this.chart.data.labels = config.labels
+      this.chart.data.datasets = datasets
+      this.chart.options.scales = this.scales()
+      this.chart.update()
+      return
+    }
+
+    this.chart = new window.Chart(this.canvasTarget, {
       type: "line",
-      data: {
-        labels: this.configValue.labels,
-        datasets: this.configValue.datasets || []
-      },
+      data: { labels: config.labels, datasets },
       options: {
         responsive: true,
         maintainAspectRatio: true,
         interaction: { mode: "index", intersect: false },
+        onClick: (_event, elements) => {
+          if (elements.length) this.showBreakdown(elements[0].index)
+        },
         plugins: {
           legend: { position: "bottom" },
           tooltip: {
@@ -28,23 +87,111 @@ export default class extends Controller {
             }
           }
         },
-        scales: {
-          x: {
-            title: { display: true, text: "Día del mes" }
-          },
-          y: {
-            beginAtZero: true,
-            title: { display: true, text: "USD" },
-            ticks: {
-              callback: (value) => `$${Number(value).toFixed(2)}`
-            }
-          }
-        }
+        scales: this.scales()
       }
     })
   }
 
-  disconnect() {
-    this.chart?.destroy()
+  visibleDatasets() {
+    const config = this.configValue
+    const stacked = this.checked("stacked")
+    const base = (this.selected("view") === "split" ? config.split : config.datasets) || []
+
+    const drawn = base.map((set, index) => ({
+      ...set,
+      fill: stacked ? (index === 0 ? "origin" : "-1") : false,
+      stack: "cost"
+    }))
+    if (!this.checked("projection")) return drawn
+
+    // Each projection line is its own stack so it is compared, not added.
+    return drawn.concat((config.projection || []).map((set) => ({ ...set, fill: false, stack: set.label })))
+  }
+
+  scales() {
+    const stacked = this.checked("stacked")
+    return {
+      x: {
+        title: { display: true, text: AXIS_TITLES[this.configValue.group_by] || AXIS_TITLES.day }
+      },
+      y: {
+        stacked,
+        beginAtZero: true,
+        title: { display: true, text: "USD" },
+        ticks: {
+          callback: (value) => `$${Number(value).toFixed(2)}`
+        }
+      }
+    }
+  }
+
+  async showBreakdown(index) {
+    const bucket = this.configValue.buckets?.[index]
+    if (!bucket || !this.hasBreakdownTarget) return
+
+    const params = new URLSearchParams(this.rangeQuery())
+    params.set("bucket", bucket)
+    this.breakdownTarget.innerHTML = `<p class="text-sm text-gray-400">Cargando desglose…</p>`
+
+    const response = await fetch(`${this.breakdownUrlValue}?${params}`, { headers: { Accept: "application/json" } })
+    if (!response.ok) {
+      this.breakdownTarget.innerHTML = `<p class="text-sm text-red-600">No se pudo cargar el desglose.</p>`
+      return
+    }
+    this.breakdownTarget.innerHTML = this.breakdownHtml(await response.json())
+  }
+
+  breakdownHtml(data) {
+    const users = data.users.map((user) => [
+      escapeHtml(user.email || "Sin usuario"), user.queries, usd(user.query_cost), usd(user.ingestion_cost), usd(user.total_cost)
+    ])
+    const documents = data.documents.map((doc) => [ escapeHtml(doc.name), usd(doc.ingestion_cost) ])
+    if (data.unattributed_document_cost > 0) {
+      documents.push([ `<span class="text-gray-400">Sin documento</span>`, usd(data.unattributed_document_cost) ])
+    }
+
+    return `<h4 class="text-sm font-semibold text-gray-800">Desglose · ${escapeHtml(data.label)}</h4>` +
+      `<p class="text-xs text-gray-500 mb-3">Total ${usd(data.total_cost)} · consultas ${usd(data.query_cost)} · ingesta ${usd(data.ingestion_cost)}</p>` +
+      `<div class="grid grid-cols-1 md:grid-cols-2 gap-6">` +
+        this.tableHtml([ "Usuario", "Consultas", "Consultas USD", "Ingesta USD", "Total" ], users) +
+        this.tableHtml([ "Documento", "Ingesta USD" ], documents) +
+      `</div>`
+  }
+
+  tableHtml(headers, rows) {
+    if (!rows.length) return `<p class="text-sm text-gray-400">Sin costos en este período.</p>`
+
+    const head = headers.map((header) => `<th class="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">${header}</th>`).join("")
+    const body = rows.map((cells) => `<tr>${cells.map((cell) => `<td class="px-3 py-2 text-sm text-gray-900">${cell}</td>`).join("")}</tr>`).join("")
+    return `<table class="min-w-full divide-y divide-gray-200"><thead class="bg-gray-50"><tr>${head}</tr></thead>` +
+      `<tbody class="divide-y divide-gray-200">${body}</tbody></table>`
+  }
+
+  updateExportLinks() {
+    const params = new URLSearchParams(this.rangeQuery())
+    params.set("view", this.selected("view") || "channels")
+    if (this.checked("projection")) params.set("projection", "1")
+
+    if (this.hasExportCsvTarget) this.exportCsvTarget.href = `${this.urlValue}.csv?${params}`
+    if (this.hasExportJsonTarget) this.exportJsonTarget.href = `${this.urlValue}.json?${params}`
+  }
+
+  rangeQuery() {
+    const config = this.configValue
+    return new URLSearchParams({
+      from: this.hasFromTarget && this.fromTarget.value ? this.fromTarget.value : config.from || "",
+      to: this.hasToTarget && this.toTarget.value ? this.toTarget.value : config.to || "",
+      group_by: this.selected("groupBy") || config.group_by || "day"
+    }).toString()
+  }
+
+  selected(name) {
+    const has = this[`has${name[0].toUpperCase()}${name.slice(1)}Target`]
+    return has ? this[`${name}Target`].value : null
+  }
+
+  checked(name) {
+    const has = this[`has${name[0].toUpperCase()}${name.slice(1)}Target`]
+    return has ? this[`${name}Target`].checked : false
   }
 }
@@ -27,7 +27,10 @@ export default class extends Controller {
     if (this.loading) return
     this.loading = true
     try {
-      const resp = await fetch(`${this.urlValue}?page=${this.pageValue}`, {
+      // The URL may already carry the Archivos search (q, filter[], sort).
+      const url = new URL(this.urlValue, window.location.origin)
+      url.searchParams.set("page", this.pageValue)
+      const resp = await fetch(url, {
         headers: {
           "Accept":       "text/vnd.turbo-stream.html",
           "X-CSRF-Token": document.querySelector("meta[name=csrf-token]")?.content
@@ -1,48 +1,48 @@
 // app/javascript/controllers/image_lightbox_controller.js
 import { Controller } from "@hotwired/stimulus"
-
-const OVERLAY_ID    = "image-lightbox-overlay"
-const SWIPE_DISMISS = 80 // px vertical drag → close
+import { translator } from "rag/i18n"
+import { createImageZoom } from "rag/image_zoom"
+
+const OVERLAY_ID = "image-lightbox-overlay"
+const ZOOM_STEP  = 1.5
+
+// Every opener inside the same [data-lightbox-gallery] element (the KB list,
+// the conversation) is one gallery: left/right walks through it in page order.
+const GALLERY_SELECTOR = "[data-lightbox-gallery]"
+const OPENER_SELECTOR  = '[data-controller~="image-lightbox"]'
+
+const FOCUSABLE = "button:not([hidden]):not([disabled])"
+
+function galleryItem(opener) {
+  const data = opener.dataset
+  return {
+    opener,
+    fullUrl:  data.imageLightboxFullUrlValue || "",
+    thumbUrl: data.imageLightboxThumbUrlValue || "",
+    name:     data.imageLightboxNameValue || ""
+  }
+}
 
 export default class extends Controller {
+  // locale: chrome language; defaults to the page's <html lang>.
   static values = {
     fullUrl:  String,
     thumbUrl: String,
-    name:     String
+    name:     String,
+    locale:   String
   }
 
   open(event) {
     event?.preventDefault?.()
     const overlay = this.constructor.ensureOverlay()
+    const scope   = this.element.closest(GALLERY_SELECTOR)
+    const openers = scope ? Array.from(scope.querySelectorAll(OPENER_SELECTOR)) : [ this.element ]
 
     overlay._lastFocus = document.activeElement
-    overlay._opener    = this.element
-
-    const img = overlay.querySelector("[data-lightbox-img]")
-    const cap = overlay.querySelector("[data-lightbox-caption]")
-
-    img.classList.add("is-loading")
-    img.removeAttribute("data-loaded")
-    img.src = this.thumbUrlValue || ""
-    cap.textContent = this.nameValue || ""
-
-    if (this.fullUrlValue) {
-      const preload = new Image()
-      preload.onload = () => {
-        if (overlay._currentSrc !== this.fullUrlValue) return
-        img.src = this.fullUrlValue
-        img.classList.remove("is-loading")
-        img.setAttribute("data-loaded", "true")
-      }
-      preload.onerror = () => {
-        img.classList.remove("is-loading")
-        cap.textContent = `${this.nameValue || ""} — error al cargar`
-      }
-      overlay._currentSrc = this.fullUrlValue
-      preload.src = this.fullUrlValue
-    } else {
-      img.classList.remove("is-loading")
-    }
+    overlay._items     = openers.map(galleryItem)
+    overlay._index     = Math.max(0, openers.indexOf(this.element))
+    this.constructor.localize(overlay, translator(this.localeValue || document.documentElement.lang))
+    this.constructor.show(overlay, overlay._index)
 
     overlay.classList.remove("hidden")
     overlay.setAttribute("aria-hidden", "false")
@@ -65,71 +65,160 @@ export default class extends Controller {
     overlay.className = "image-lightbox-overlay hidden"
     overlay.setAttribute("role", "dialog")
     overlay.setAttribute("aria-modal", "true")
-    overlay.setAttribute("aria-label", "Vista ampliada")
     overlay.setAttribute("aria-hidden", "true")
     overlay.innerHTML = `
       <div class="image-lightbox-backdrop" data-lightbox-backdrop></div>
       <div class="image-lightbox-stage" data-lightbox-stage>
-        <img data-lightbox-img alt="" />
-        <div class="image-lightbox-caption" data-lightbox-caption></div>
-        <button type="button"
-                class="image-lightbox-close"
-                data-lightbox-close
-                aria-label="Cerrar">
+        <img data-lightbox-img alt="" draggable="false" />
+        <div class="image-lightbox-caption" data-lightbox-caption aria-live="polite"></div>
+        <button type="button" class="image-lightbox-nav image-lightbox-prev" data-lightbox-prev>
+          <svg viewBox="0 0 24 24" width="22" height="22" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <polyline points="15 6 9 12 15 18"/>
+          </svg>
+        </button>
+        <button type="button" class="image-lightbox-nav image-lightbox-next" data-lightbox-next>
           <svg viewBox="0 0 24 24" width="22" height="22" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
-            <line x1="6" y1="6" x2="18" y2="18"/>
-            <line x1="18" y1="6" x2="6" y2="18"/>
+            <polyline points="9 6 15 12 9 18"/>
           </svg>
         </button>
+        <div class="image-lightbox-toolbar">
+          <button type="button" class="image-lightbox-tool" data-lightbox-zoom-out>−</button>
+          <button type="button" class="image-lightbox-tool" data-lightbox-zoom-in>+</button>
+          <button type="button"
+                  class="image-lightbox-close"
+                  data-lightbox-close>
+            <svg viewBox="0 0 24 24" width="22" height="22" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+              <line x1="6" y1="6" x2="18" y2="18"/>
+              <line x1="18" y1="6" x2="6" y2="18"/>
+            </svg>
+          </button>
+        </div>
       </div>
     `
     document.body.appendChild(overlay)
 
     overlay._closeBtn = overlay.querySelector("[data-lightbox-close]")
+    overlay._prevBtn  = overlay.querySelector("[data-lightbox-prev]")
+    overlay._nextBtn  = overlay.querySelector("[data-lightbox-next]")
     overlay._backdrop = overlay.querySelector("[data-lightbox-backdrop]")
     overlay._stage    = overlay.querySelector("[data-lightbox-stage]")
+    overlay._img      = overlay.querySelector("[data-lightbox-img]")
+    overlay._t        = translator()
 
     const close = () => this.closeOverlay(overlay)
+    const step  = (delta) => this.show(overlay, overlay._index + delta)
+
+    overlay._zoom = createImageZoom(overlay._stage, overlay._img, {
+      onSwipe: (direction) => {
+        if (direction === "down") close()
+        else step(direction === "next" ? 1 : -1)
+      }
+    })
 
     overlay._closeBtn.addEventListener("click", close)
     overlay._backdrop.addEventListener("click", close)
+    overlay._prevBtn.addEventListener("click", () => step(-1))
+    overlay._nextBtn.addEventListener("click", () => step(1))
+    overlay.querySelector("[data-lightbox-zoom-in]").addEventListener("click", () => overlay._zoom.zoomBy(ZOOM_STEP))
+    overlay.querySelector("[data-lightbox-zoom-out]").addEventListener("click", () => overlay._zoom.zoomBy(1 / ZOOM_STEP))
 
     document.addEventListener("keydown", (e) => {
       if (overlay.classList.contains("hidden")) return
-      if (e.key === "Escape") { e.preventDefault(); close() }
-      if (e.key === "Tab")    { e.preventDefault(); overlay._closeBtn.focus() } // simple focus trap
+      if (e.key === "Escape")     { e.preventDefault(); close() }
+      if (e.key === "ArrowLeft")  { e.preventDefault(); step(-1) }
+      if (e.key === "ArrowRight") { e.preventDefault(); step(1) }
+      if (e.key === "+" || e.key === "=") { e.preventDefault(); overlay._zoom.zoomBy(ZOOM_STEP) }
+      if (e.key === "-")          { e.preventDefault(); overlay._zoom.zoomBy(1 / ZOOM_STEP) }
+      if (e.key === "0")          { e.preventDefault(); overlay._zoom.reset() }
+      if (e.key === "Tab")        this.trapFocus(overlay, e)
     })
 
     window.addEventListener("popstate", () => {
       if (!overlay.classList.contains("hidden")) this.closeOverlay(overlay, { skipHistory: true })
     })
 
-    // Swipe-down to dismiss (mobile)
-    let startY = null
-    overlay._stage.addEventListener("touchstart", (e) => {
-      startY = e.touches[0]?.clientY ?? null
-    }, { passive: true })
-    overlay._stage.addEventListener("touchend", (e) => {
-      if (startY == null) return
-      const endY = e.changedTouches[0]?.clientY ?? startY
-      if (endY - startY > SWIPE_DISMISS) close()
-      startY = null
-    }, { passive: true })
-
     return overlay
   }
 
+  // Tab and Shift+Tab cycle through the overlay's visible buttons only.
+  static trapFocus(overlay, event) {
+    const focusable = Array.from(overlay.querySelectorAll(FOCUSABLE))
+    if (!focusable.length) return
+
+    const index = focusable.indexOf(document.activeElement)
+    const next  = event.shiftKey
+      ? (index <= 0 ? focusable.length - 1 : index - 1)
+      : (index === -1 || index === focusable.length - 1 ? 0 : index + 1)
+    event.preventDefault()
+    focusable[next].focus()
+  }
+
+  static localize(overlay, t) {
+    overlay._t = t
+    overlay.setAttribute("aria-label", t("lightbox.dialog"))
+    overlay._closeBtn.setAttribute("aria-label", t("lightbox.close"))
+    overlay._prevBtn.setAttribute("aria-label", t("lightbox.previous"))
+    overlay._nextBtn.setAttribute("aria-label", t("lightbox.next"))
+    overlay.querySelector("[data-lightbox-zoom-in]").setAttribute("aria-label", t("lightbox.zoom_in"))
+    overlay.querySelector("[data-lightbox-zoom-out]").setAttribute("aria-label", t("lightbox.zoom_out"))
+  }
+
+  // Shows gallery item `index` (wrapping around): the thumbnail at once, the
+  // full image when it has loaded.
+  static show(overlay, index) {
+    const items = overlay._items || []
+    if (!items.length) return
+
+    const total = items.length
+    overlay._index = ((index % total) + total) % total
+    const item = items[overlay._index]
+    const img  = overlay._img
+    const cap  = overlay.querySelector("[data-lightbox-caption]")
+    const t    = overlay._t
+    const caption = total > 1 ? `${item.name} · ${t("lightbox.position", { index: overlay._index + 1, total })}` : item.name
+
+    overlay._zoom.reset()
+    overlay._prevBtn.hidden = total < 2
+    overlay._nextBtn.hidden = total < 2
+    img.classList.add("is-loading")
+    img.removeAttribute("data-loaded")
+    img.src = item.thumbUrl || item.fullUrl
+    cap.textContent = caption
+
+    if (!item.fullUrl) {
+      img.classList.remove("is-loading")
+      overlay._currentSrc = null
+      return
+    }
+
+    const preload = new Image()
+    preload.onload = () => {
+      if (overlay._currentSrc !== item.fullUrl) return
+      img.src = item.fullUrl
+      img.classList.remove("is-loading")
+      img.setAttribute("data-loaded", "true")
+    }
+    preload.onerror = () => {
+      if (overlay._currentSrc !== item.fullUrl) return
+      img.classList.remove("is-loading")
+      cap.textContent = `${caption} — ${t("lightbox.load_error")}`
+    }
+    overlay._currentSrc = item.fullUrl
+    preload.src = item.fullUrl
+  }
+
   static closeOverlay(overlay, { skipHistory = false } = {}) {
     overlay.classList.add("hidden")
     overlay.setAttribute("aria-hidden", "true")
     document.body.style.overflow = ""
     overlay._currentSrc = null
+    overlay._zoom.reset()
 
     if (!skipHistory && history.state && history.state.imageLightbox) {
       history.back()
     }
     overlay._lastFocus?.focus?.()
     overlay._lastFocus = null
-    overlay._opener    = null
+    overlay._items     = []
   }
 }
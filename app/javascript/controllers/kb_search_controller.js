@@ -0,0 +1,55 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Archivos search box, filter chips and sort (home/_kb_docs_search). Typing is
+// debounced; a chip or a sort change searches at once. The query goes to
+// GET /home/documents, whose Turbo Stream swaps the rows and the scroll
+// sentinel of BOTH cards, so the desktop and mobile forms are kept in sync
+// here. rag_chat_controller#refreshDocuments reuses the same query string.
+const DEBOUNCE_MS = 250
+
+// Shared by both forms: a slow response must not overwrite a newer one.
+let latestRequest = 0
+
+export default class extends Controller {
+  static targets = ["query"]
+
+  disconnect() {
+    clearTimeout(this.timer)
+  }
+
+  queue() {
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.search(), DEBOUNCE_MS)
+  }
+
+  async search() {
+    clearTimeout(this.timer)
+    this.#syncSiblings()
+
+    const request = ++latestRequest
+    try {
+      const resp = await fetch(`/home/documents?${new URLSearchParams(new FormData(this.element))}`, {
+        headers: {
+          "Accept":       "text/vnd.turbo-stream.html",
+          "X-CSRF-Token": document.querySelector("meta[name=csrf-token]")?.content
+        },
+        credentials: "same-origin"
+      })
+      if (!resp.ok || request !== latestRequest) return
+      const html = await resp.text()
+      if (request === latestRequest) window.Turbo?.renderStreamMessage(html)
+    } catch (e) {
+      console.error("kb-search: search failed", e)
+    }
+  }
+
+  #syncSiblings() {
+    const filters = new Set(new FormData(this.element).getAll("filter[]"))
+    document.querySelectorAll("form.kb-search").forEach((form) => {
+      if (form === this.element) return
+      form.elements.q.value = this.queryTarget.value
+      form.elements.sort.value = this.element.elements.sort.value
+      form.querySelectorAll("input[name='filter[]']").forEach((chip) => { chip.checked = filters.has(chip.value) })
+    })
+  }
+}
@@ -0,0 +1,94 @@
+// app/javascript/controllers/pwa_controller.js
+import { Controller } from "@hotwired/stimulus"
+
+// Registers the offline app-shell service worker
+// (app/views/pwa/service-worker.js.erb) from <body> on every layout.
+//   • Signed in on a shell page → ask the worker to cache that page so the app
+//     reopens underground.
+//   • Signed out (Devise layout) → ask the worker to purge cached shells and
+//     stored answers: crew tablets are shared.
+//   • A new deploy installs a waiting worker → show a one-tap reload prompt
+//     instead of swapping code under a half-typed question.
+const SHELL_PATHS = ["/", "/home"]
+const PROMPT_ID   = "pwa-update-prompt"
+
+// Module-level: Turbo swaps <body> on every visit, so the controller reconnects,
+// but the page must only reload once per worker swap.
+let reloadOnControllerChange = false
+
+export default class extends Controller {
+  static values = { url: String, signedIn: Boolean, copy: Object }
+
+  async connect() {
+    if (!("serviceWorker" in navigator) || !this.urlValue) return
+
+    try {
+      this.registration = await navigator.serviceWorker.register(this.urlValue, { scope: "/" })
+    } catch (error) {
+      console.error("pwa: service worker registration failed", error)
+      return
+    }
+
+    this.syncUserData()
+
+    if (this.registration.waiting && navigator.serviceWorker.controller) {
+      this.showUpdatePrompt(this.registration.waiting)
+    }
+    this._onUpdateFound = () => this.trackInstalling(this.registration.installing)
+    this.registration.addEventListener("updatefound", this._onUpdateFound)
+  }
+
+  disconnect() {
+    this.registration?.removeEventListener("updatefound", this._onUpdateFound)
+    document.getElementById(PROMPT_ID)?.remove()
+  }
+
+  async syncUserData() {
+    const registration = await navigator.serviceWorker.ready
+    if (!this.signedInValue) {
+      registration.active?.postMessage({ type: "PURGE_USER_DATA" })
+    } else if (SHELL_PATHS.includes(window.location.pathname)) {
+      registration.active?.postMessage({ type: "CACHE_SHELL", url: window.location.pathname })
+    }
+  }
+
+  trackInstalling(worker) {
+    if (!worker) return
+    worker.addEventListener("statechange", () => {
+      // No controller yet means first install — nothing old to replace.
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        this.showUpdatePrompt(worker)
+      }
+    })
+  }
+
+  showUpdatePrompt(worker) {
+    if (document.getElementById(PROMPT_ID)) return
+
+    const prompt = document.createElement("div")
+    prompt.id = PROMPT_ID
+    prompt.className = "pwa-update-prompt"
+    prompt.setAttribute("role", "status")
+    prompt.setAttribute("aria-live", "polite")
+
+    const label = document.createElement("span")
+    label.textContent = this.copyValue.update_available || ""
+
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "pwa-update-prompt-action"
+    button.textContent = this.copyValue.reload || ""
+    button.addEventListener("click", () => this.activate(worker))
+
+    prompt.append(label, button)
+    document.body.appendChild(prompt)
+  }
+
+  activate(worker) {
+    if (!reloadOnControllerChange) {
+      reloadOnControllerChange = true
+      navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true })
+    }
+    worker.postMessage({ type: "SKIP_WAITING" })
+  }
+}
@@ -4,30 +4,68 @@ import { Controller } from "@hotwired/stimulus"
 import { createConsumer } from "@rails/actioncable"
 import { renderSources } from "rag/sources_renderer"
 import { formatAnswerForWeb, renderVerificationNotice } from "rag/answer_presenter"
-import { hasSelectableEvidenceCards, renderEvidenceResolution } from "rag/evidence_cards_renderer"
+import {
+  hasSelectableEvidenceCards,
+  pickedEvidenceCardIds,
+  renderEvidenceComparison,
+  renderEvidenceResolution,
+  syncEvidencePicks
+} from "rag/evidence_cards_renderer"
+import { OUTBOX_STATES, enqueueQuestion, isNetworkFailure, newRequestId, queuedQuestions, removeQuestion, updateQuestion, withOutboxLock } from "rag/offline_outbox"
+import { forgetRecentAnswers, recentAnswers, rememberAnswer } from "rag/recent_answers"
+import { isAnswerStream, readAnswerStream } from "rag/answer_stream"
+import { uploadInChunks } from "rag/chunked_upload"
+import { openCitationViewer } from "rag/citation_viewer"
+import { openFeedbackReasons, renderAnswerFeedback, setFeedbackStatus, showAnswerFeedback } from "rag/answer_feedback"
+import { renderIngestionProgress } from "rag/ingestion_progress"
+import { UPLOAD_STATES, eventCorrelationIds, isFinished, nextUploadState, renderUploadQueue } from "rag/upload_queue"
+import { appendTranscript, createDictationProvider, dictationSupported } from "rag/voice_dictation"
+import { openPhotoMarkup } from "rag/photo_markup"
+import { MAX_PHOTOS, photoMediaType, preparePhoto, stagedPhotos } from "rag/photo_prepare"
+import { availableLocales, hasLocale, t } from "rag/i18n"
+import { commandSuggestions, commandUsage, matchDocument, parseCommand, renderCommandSuggestions } from "rag/slash_commands"
+import { renderThreadList, threadLabel } from "rag/conversation_threads"
+import { renderPinSetList } from "rag/pin_sets"
+import { KB_DOCUMENT_ACTIONS, kbActionStep, kbActionUrl } from "rag/kb_document_actions"
 
 export default class extends Controller {
-  static targets = ["input", "sendButton", "messages", "chatContainer", "fileInput", "filePreview", "imageThumb", "docIcon", "fileName", "inputStack", "archivosTabBtn", "chatTabBtn", "archivosPanel", "chatPanel", "sourcesBadge"]
+  static targets = ["input", "sendButton", "messages", "chatContainer", "fileInput", "filePreview", "photoStrip", "docIcon", "fileName", "inputStack", "archivosTabBtn", "chatTabBtn", "archivosPanel", "chatPanel", "sourcesBadge", "uploadQueue", "dictationButton", "dictationStatus", "markupButton", "commandMenu", "cameraInput", "threadMenu", "threadLabel", "threadTitleInput", "threadList", "pinSetMenu", "pinSetList"]
   // locale: chat chrome's own language state (notices/invites/nudges/errors).
   // Deliberately NOT derived from document.documentElement.lang — that reflects
   // the Devise auth-time locale switcher (session[:locale]), which must never
   // leak into the response-language policy (P0 idioma). Defaults to Spanish and
-  // only moves to "en" when the server tells us the actual response_locale for
-  // a given answer (JSON from /rag/ask or the photo_analyzed KbSync broadcast).
-  static values = { showSources: Boolean, evidenceCards: Boolean, resolutionCopy: Object, locale: { type: String, default: "es" } }
+  // only moves to another locale rag/i18n has a table for when the server tells
+  // us the actual response_locale for a given answer (JSON from /rag/ask or the
+  // photo_analyzed KbSync broadcast).
+  // outboxOwner: scopes the offline question outbox (IndexedDB) and the
+  // recent-answers cache to the signed-in user so a shared crew tablet never
+  // replays or shows another user's conversation.
+  // kbSyncSequence: newest KbSyncEvent id when the page rendered — the
+  // baseline for missed-event recovery after a WebSocket drop.
+  // dictationServer: SpeechTranscriptionService.enabled? — browsers without
+  // speech recognition may record a clip for /transcriptions.
+  // streamAnswers: Rag::AnswerStreamingFlag — text questions go through
+  // /rag/ask/stream (Server-Sent Events) with /rag/ask as the fallback.
+  static values = { showSources: Boolean, evidenceCards: Boolean, resolutionCopy: Object, locale: { type: String, default: "es" }, outboxOwner: String, streamAnswers: Boolean, kbSyncSequence: Number, dictationServer: Boolean, threadId: Number, usageChips: Boolean }
 
   static MAX_IMAGE_SIZE = 3.75 * 1024 * 1024  // 3.75 MB (Bedrock KB limit for images)
   static MAX_DOC_SIZE = 50 * 1024 * 1024     // 50 MB (Bedrock KB limit for documents)
-  static SUPPORTED_IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"]
+  static SUPPORTED_IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp", "image/heic", "image/heif"]
   static SUPPORTED_DOC_TYPES = ["text/plain", "text/markdown", "text/html", "text/csv", "application/pdf", "application/vnd.openxmlformats-officedocument.wordprocessingml.document", "application/msword", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "application/vnd.ms-excel", "application/vnd.ms-powerpoint", "application/vnd.openxmlformats-officedocument.presentationml.presentation"]
   static DOC_EXTENSIONS = [".txt", ".md", ".html", ".csv", ".pdf", ".doc", ".docx", ".xls", ".xlsx", ".ppt", ".pptx"]
-  static BINARY_DOC_EXTENSIONS = [".pdf", ".doc", ".docx", ".xls", ".xlsx", ".ppt", ".pptx"]
 
   // First warm nudge shown inside the loading bubble — upload: if `indexed` has not
   // arrived; text query: if `ask()` has not resolved. Gives the technician human
   // company while waiting on flaky field connections.
   static CHAT_WARM_NUDGE_MS = 15 * 1000
 
+  // Push-to-talk: a press longer than this is "hold to talk" (release ends
+  // dictation); a shorter tap keeps listening until a pause or a second tap.
+  // Sliding the finger this far sideways cancels, for gloved hands on a ladder.
+  static DICTATION_HOLD_MS = 350
+  static DICTATION_SWIPE_CANCEL_PX = 80
+  static DICTATION_AUTO_SEND_KEY = "rag-dictation-auto-send"
+
   // Last-resort stall notice for text queries if `ask()` still hasn't resolved.
   // Prompts reload because this usually means the request or response got stuck.
   // WebSockets can drop on flaky mobile networks (technician inside an elevator
@@ -38,6 +76,11 @@ export default class extends Controller {
   // KB `indexed` event. Give them more room before showing a recovery hint.
   static CHAT_UPLOAD_STALL_HINT_MS = 3 * 60 * 1000
 
+  // Scrolling the chat within this distance of the top pages in older history.
+  static HISTORY_SCROLL_THRESHOLD_PX = 120
+  // An outbox replay the server is still answering (409) is retried after this.
+  static OUTBOX_BUSY_RETRY_MS = 15 * 1000
+
   // Back-compat aliases so the indexing path keeps working without rename churn.
   static get INDEXING_NUDGE_MS() { return this.CHAT_WARM_NUDGE_MS }
   static get INDEXING_STALL_MS() { return this.CHAT_UPLOAD_STALL_HINT_MS }
@@ -59,8 +102,15 @@ export default class extends Controller {
     this.pendingFieldPhotoId = null
     this.pendingPhotoCorrelationId = null
     this.pendingUploadType = null
+    this.pendingDocumentCorrelationId = null
     this.indexingLoadingId = null
+    this.indexingProgressShown = false
     this.kbSyncInProgress = false
+    this.uploadQueueItems = []
+    this._uploadQueueRunning = false
+    this.kbActionBubbles = new Map()
+    this._answerCitations = new WeakMap()
+    this._answerResolutions = new WeakMap()
     this.retryNoticeId = null
     this.indexingNudgeTimer = null
     this.indexingStallTimer = null
@@ -69,9 +119,23 @@ export default class extends Controller {
     this.queryStallTimer = null
     this.queryStallNoticeId = null
     this._activeMobileTab = "chat"
+    this.lastKbSyncSequenceId = this.kbSyncSequenceValue
+    this._seenKbSyncSequenceIds = new Set()
+    this.outboxBacklog = 0
+    this._flushingOutbox = false
+    this._onOnline = () => this.flushOutbox()
+    window.addEventListener("online", this._onOnline)
     this.subscribeToKbSync()
     this.setupMobileTabs()
     this.setupKeyboardLift()
+    this._oldestHistoryId = null
+    this._historyHasMore = false
+    this._historyLoading = false
+    this._commandSuggestions = []
+    this._commandIndex = -1
+    this._chosenLocale = null
+    this.restoreTranscript()
+    this.setupDictation()
     // Auto-focus only on desktop. On mobile, programmatic focus after a
     // navigation (e.g. Devise login redirect) opens the on-screen keyboard
     // immediately, shifting the layout up and hiding the nav + tab bar.
@@ -83,11 +147,14 @@ export default class extends Controller {
   disconnect() {
     this.kbSyncSubscription?.unsubscribe()
     window.removeEventListener("resize", this._onResize)
+    window.removeEventListener("online", this._onOnline)
     this.teardownKeyboardLift()
     this.clearIndexingNudgeTimer()
     this.clearIndexingStallTimer()
     this.clearQueryNudgeTimer()
     this.clearQueryStallTimer()
+    this.cancelDictation({ silent: true })
+    clearTimeout(this._outboxRetryTimer)
   }
 
   subscribeToKbSync() {
@@ -96,163 +163,301 @@ export default class extends Controller {
     const controller = this
     const consumer = createConsumer()
     this.kbSyncSubscription = consumer.subscriptions.create("KbSyncChannel", {
+      // Fires on the first connect and after every WebSocket reconnect.
+      connected() {
+        controller.recoverMissedKbSyncEvents()
+      },
       received(data) {
-        controller._setLocale(data.response_locale)
-
-        if (data.status === "photo_analyzed") {
-          if (!controller.matchesPendingPhoto(data)) return
-
-          controller.kbSyncInProgress = false
-          controller.clearIndexingNudgeTimer()
-          controller.clearRetryFallbackNotice()
-          controller.clearIndexingStallTimer()
-          if (controller.indexingLoadingId) {
-            controller.removeMessage(controller.indexingLoadingId)
-            controller.indexingLoadingId = null
-          }
-          controller.addImageSummaryMessage(data)
-          controller.pendingPhotoCorrelationId = null
-          controller.pendingUploadType = null
-          return
-        }
+        if (controller.acceptKbSyncEvent(data)) controller.handleKbSyncEvent(data)
+      }
+    })
+  }
 
-        if (data.status === "failed" && data.correlation_id?.startsWith("photo:")) {
-          if (!controller.matchesPendingPhoto(data)) return
-
-          controller.kbSyncInProgress = false
-          controller.clearIndexingNudgeTimer()
-          controller.clearRetryFallbackNotice()
-          controller.clearIndexingStallTimer()
-          if (controller.indexingLoadingId) {
-            controller.removeMessage(controller.indexingLoadingId)
-            controller.indexingLoadingId = null
-          }
-          if (data.message) controller.addMessage(data.message, "error")
-          controller.pendingPhotoCorrelationId = null
-          controller.pendingUploadType = null
-          return
-        }
+  handleKbSyncEvent(data) {
+    this._setLocale(data.response_locale)
+    if (this.applyKbActionEvent(data)) return
+    if (this.applyUploadQueueEvent(data)) return
 
-        if (data.status === "retrying") {
-          controller.updateIndexingLoadingForRetry(data)
-          controller.clearIndexingNudgeTimer()
-          controller.clearIndexingStallTimer()
-          controller.startIndexingStallTimer()
-          return
-        }
+    if (data.status === "photo_analyzed") {
+      if (!this.matchesPendingPhoto(data)) return
 
-        if (data.status === "partial_failed") {
-          if (data.message) controller.addMessage(data.message, "assistant")
-          return
-        }
+      this.kbSyncInProgress = false
+      this.clearIndexingNudgeTimer()
+      this.clearRetryFallbackNotice()
+      this.clearIndexingStallTimer()
+      if (this.indexingLoadingId) {
+        this.removeMessage(this.indexingLoadingId)
+        this.indexingLoadingId = null
+      }
+      this.addImageSummaryMessage(data)
+      this.rememberRecentAnswer("photo", null, data)
+      this.pendingPhotoCorrelationId = null
+      this.pendingUploadType = null
+      return
+    }
 
-        if (data.status === "indexed" && data.processing_scope === "urgent_pages") {
-          controller.clearIndexingNudgeTimer()
-          controller.clearRetryFallbackNotice()
-          controller.clearIndexingStallTimer()
-          controller.refreshDocuments()
-          controller.addIndexedMessage(data)
-          if (controller.indexingLoadingId) {
-            controller.setIndexingLoadingAcknowledgment(controller._indexingWarmCopy("full"))
-            controller.startIndexingNudgeTimer()
-            controller.startIndexingStallTimer()
-          }
-          return
-        }
+    if (data.status === "failed" && data.correlation_id?.startsWith("photo:")) {
+      if (!this.matchesPendingPhoto(data)) return
+
+      this.kbSyncInProgress = false
+      this.clearIndexingNudgeTimer()
+      this.clearRetryFallbackNotice()
+      this.clearIndexingStallTimer()
+      if (this.indexingLoadingId) {
+        this.removeMessage(this.indexingLoadingId)
+        this.indexingLoadingId = null
+      }
+      if (data.message) this.addMessage(data.message, "error")
+      this.pendingPhotoCorrelationId = null
+      this.pendingUploadType = null
+      return
+    }
+
+    if (data.status === "retrying") {
+      this.updateIndexingLoadingForRetry(data)
+      this.clearIndexingNudgeTimer()
+      this.clearIndexingStallTimer()
+      this.startIndexingStallTimer()
+      return
+    }
+
+    if (data.status === "partial_failed") {
+      if (data.message) this.addMessage(data.message, "assistant")
+      return
+    }
+
+    if (!this.matchesPendingDocument(data)) return
+
+    if (data.status === "progress") {
+      if (this.indexingLoadingId) this.updateIndexingLoadingForProgress(data)
+      return
+    }
+
+    if (data.status === "indexed" && data.processing_scope === "urgent_pages") {
+      this.clearIndexingNudgeTimer()
+      this.clearRetryFallbackNotice()
+      this.clearIndexingStallTimer()
+      this.refreshDocuments()
+      this.addIndexedMessage(data)
+      if (this.indexingLoadingId) {
+        this.setIndexingLoadingAcknowledgment(this._indexingWarmCopy("full"))
+        this.startIndexingNudgeTimer()
+        this.startIndexingStallTimer()
+      }
+      return
+    }
 
-        if (data.status === "indexed" || data.status === "failed") {
-          controller.kbSyncInProgress = false
-          controller.clearIndexingNudgeTimer()
-          controller.clearRetryFallbackNotice()
-          controller.clearIndexingStallTimer()
-          if (controller.indexingLoadingId) {
-            controller.removeMessage(controller.indexingLoadingId)
-            controller.indexingLoadingId = null
-          }
-          controller.refreshDocuments()
-          if (data.status === "indexed") {
-            if (data.summary) {
-              controller.addImageSummaryMessage(data)
-            } else {
-              controller.addIndexedMessage(data)
-            }
-          } else if (data.message) {
-            controller.addMessage(data.message, "error")
-          }
-
-          controller.pendingUploadType = null
+    if (data.status === "indexed" || data.status === "failed") {
+      this.kbSyncInProgress = false
+      this.clearIndexingNudgeTimer()
+      this.clearRetryFallbackNotice()
+      this.clearIndexingStallTimer()
+      if (this.indexingLoadingId) {
+        this.removeMessage(this.indexingLoadingId)
+        this.indexingLoadingId = null
+      }
+      this.refreshDocuments()
+      if (data.status === "indexed") {
+        if (data.summary) {
+          this.addImageSummaryMessage(data)
+        } else {
+          this.addIndexedMessage(data)
         }
+      } else if (data.message) {
+        this.addMessage(data.message, "error")
       }
-    })
+
+      this.pendingDocumentCorrelationId = null
+      this.pendingUploadType = null
+    }
+  }
+
+  // ── Missed KbSync events ─────────────────────────────────────────────────
+  // Solid Cable does not replay messages, so every account-scoped event
+  // carries a monotonic sequence_id (KbSyncEvent). On each (re)connect the
+  // controller fetches what it missed since the last id it saw from
+  // /kb_sync/status (IngestionStatusService#kb_sync_status). Recovered events
+  // only drive the UI while an upload or photo diagnosis is still pending —
+  // a cached shell reopened hours later must not replay old "indexed" notices.
+
+  // @return [Boolean] false for an event already handled (live or recovered).
+  acceptKbSyncEvent(data) {
+    const sequenceId = Number(data?.sequence_id)
+    if (!sequenceId) return true
+
+    if (this._seenKbSyncSequenceIds.has(sequenceId)) return false
+    this._seenKbSyncSequenceIds.add(sequenceId)
+    this.lastKbSyncSequenceId = Math.max(this.lastKbSyncSequenceId, sequenceId)
+    return true
+  }
+
+  // Pages through /kb_sync/status (at most KbSyncEvent::REPLAY_LIMIT events
+  // per response) until the server reports nothing newer. The cursor is local:
+  // a live event arriving meanwhile raises lastKbSyncSequenceId past the gap.
+  async recoverMissedKbSyncEvents() {
+    let after = this.lastKbSyncSequenceId
+    let status
+    do {
+      try {
+        const response = await fetch(`/kb_sync/status?after=${encodeURIComponent(after)}`, {
+          headers: { "Accept": "application/json" },
+          credentials: "same-origin"
+        })
+        if (!response.ok) return
+        status = await response.json()
+      } catch (_error) {
+        return // Still offline; the next reconnect asks again.
+      }
+
+      const events = status.events || []
+      events.forEach((event) => {
+        if (!this.acceptKbSyncEvent(event)) return
+        if (this.kbSyncInProgress || this.pendingPhotoCorrelationId || this.hasActiveUploads() || this.kbActionBubbles.size) this.handleKbSyncEvent(event)
+      })
+      const next = Number(status.last_sequence_id) || 0
+      if (next <= after) break
+      after = next
+    } while (status.has_more)
+    this.lastKbSyncSequenceId = Math.max(this.lastKbSyncSequenceId, after)
+
+    // The ingestion job is still running: the silence was the socket, not the
+    // job, so give it a fresh stall window instead of the reload hint.
+    if (this.kbSyncInProgress && this.pendingUploadType === "document" && status.indexing?.length) {
+      this.clearIndexingStallTimer()
+      this.startIndexingStallTimer()
+    }
   }
 
   clickAttach() {
     this.fileInputTarget.click()
   }
 
+  // Bound to both the attach input and the /photo camera input.
   selectFile(event) {
-    const file = event.target.files[0]
-    if (!file) return
+    const files = Array.from(event.target.files || [])
+    event.target.value = ""
+    this.stageFiles(files)
+  }
+
+  // One file, or a set of photos of the same fault, stays in the composer;
+  // any other multi-file pick goes through the upload queue.
+  stageFiles(files) {
+    if (!files.length) return
+    if (files.length > 1 && !files.every((file) => this.classifyAttachment(file).kind === "image")) {
+      this.enqueueUploads(files)
+    } else if (files.length > 1) {
+      this.stagePhotos(files)
+    } else {
+      this.attachFile(files[0])
+    }
+  }
 
-    const isImage = this.constructor.SUPPORTED_IMAGE_TYPES.includes(file.type)
+  // @return [Object] { kind: "image" | "document" | null, error: String | null }
+  classifyAttachment(file) {
+    const isImage = this.constructor.SUPPORTED_IMAGE_TYPES.includes(photoMediaType(file))
     const isDoc = this.constructor.SUPPORTED_DOC_TYPES.includes(file.type) ||
       this.constructor.DOC_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))
 
     if (!isImage && !isDoc) {
-      this.addMessage("Formato no soportado. Imágenes: PNG, JPEG, GIF o WebP (máx. 3.75 MB). Documentos: .txt, .md, .html, .csv, .pdf, .doc, .docx, .xls, .xlsx, .ppt, .pptx (máx. 50 MB).", "error")
-      this.removeFile()
-      return
+      return { kind: null, error: this._t("chat.attachment.unsupported") }
     }
 
+    const kind = isImage ? "image" : "document"
     const maxSize = isImage ? this.constructor.MAX_IMAGE_SIZE : this.constructor.MAX_DOC_SIZE
-    const maxLabel = isImage ? "3.75 MB" : "50 MB"
     if (file.size > maxSize) {
-      const msg = isImage
-        ? "La imagen excede el límite de 3.75 MB (Knowledge Base). Comprímela o reduce su tamaño."
-        : "El documento excede el límite de 50 MB."
-      this.addMessage(msg, "error")
-      this.removeFile()
+      return { kind, error: this._t(isImage ? "chat.attachment.image_too_large" : "chat.attachment.document_too_large") }
+    }
+
+    return { kind, error: null }
+  }
+
+  // Stages a single picked or dropped file in the composer preview. A photo
+  // joins the photos already staged; a document replaces whatever was there.
+  attachFile(file) {
+    const { kind, error } = this.classifyAttachment(file)
+    if (error) {
+      this.addMessage(error, "error")
+      if (this.pendingFile?.type !== "image") this.removeFile()
       return
     }
 
-    if (isImage) {
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        this.compressImageOnClient(e.target.result).then(({ base64, dataUrl }) => {
-          this.pendingFile = { data: base64, media_type: "image/jpeg", filename: file.name, type: "image" }
-          this.showPreview(dataUrl, file.name, "image")
-        }).catch(() => {
-          // Fallback: send as-is if Canvas fails (e.g. cross-origin taint)
-          const base64Data = e.target.result.split(",")[1]
-          this.pendingFile = { data: base64Data, media_type: file.type, filename: file.name, type: "image" }
-          this.showPreview(e.target.result, file.name, "image")
-        })
-      }
-      reader.readAsDataURL(file)
+    if (kind === "image") {
+      this.stagePhotos([file])
     } else {
-      const isBinary = this.constructor.BINARY_DOC_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))
-      if (isBinary) {
-        file.arrayBuffer().then((buffer) => {
-          const base64Data = this.arrayBufferToBase64(buffer)
-          const mimeType = this.getDocMimeType(file.name, file.type)
-          this.pendingFile = { data: base64Data, media_type: mimeType, filename: file.name, type: "document" }
-          this.showPreview(null, file.name, "document")
-        }).catch(() => {
-          this.addMessage("Error al leer el archivo.", "error")
-          this.removeFile()
-        })
-      } else {
-        const reader = new FileReader()
-        reader.onload = (e) => {
-          const text = e.target.result
-          const base64Data = btoa(unescape(encodeURIComponent(text)))
-          const mimeType = this.getDocMimeType(file.name, file.type)
-          this.pendingFile = { data: base64Data, media_type: mimeType, filename: file.name, type: "document" }
-          this.showPreview(null, file.name, "document")
-        }
-        reader.readAsText(file, "UTF-8")
+      // Documents are never read into memory here: sendMessage streams the
+      // File to /chunked_uploads in slices (uploadAttachment).
+      const mimeType = this.getDocMimeType(file.name, file.type)
+      this.pendingFile = { file, media_type: mimeType, filename: file.name, type: "document" }
+      this.showPreview(file.name, "document")
+    }
+  }
+
+  // Photos of one fault (wide shot plus close-ups) travel together in one
+  // question as `image: [...]` and come back as one diagnosis. Each photo is
+  // made upright and resized by rag/photo_prepare before it is staged.
+  async stagePhotos(files) {
+    const previous = this.pendingFile
+    const staged = previous?.type === "image" ? previous : { type: "image", photos: [], active: 0 }
+    const room = MAX_PHOTOS - staged.photos.length
+    if (files.length > room) this.addMessage(this._t("chat.photos.too_many", { max: MAX_PHOTOS }), "error")
+
+    for (const file of files.slice(0, Math.max(room, 0))) {
+      const { error } = this.classifyAttachment(file)
+      if (error) {
+        this.addMessage(error, "error")
+        continue
       }
+      const { data, media_type, dataUrl } = await preparePhoto(file)
+      // Removed, or replaced by a document, while this photo was being prepared.
+      if (this.pendingFile !== (staged.photos.length ? staged : previous)) return
+
+      staged.photos.push({ data, media_type, filename: file.name, previewSrc: dataUrl })
+      staged.active = staged.photos.length - 1
+      this.pendingFile = staged
+      this.renderStagedPhotos()
+    }
+  }
+
+  renderStagedPhotos() {
+    const staged = this.pendingFile
+    if (staged?.type !== "image" || !staged.photos.length) {
+      this.removeFile()
+      return
     }
+
+    const thumbs = staged.photos.map((photo, index) => {
+      const picture = photo.previewSrc
+        ? `<img src="${photo.previewSrc}" alt="">`
+        : `<span class="photo-strip-placeholder">${this.escapeHtml(this._t("chat.photos.no_preview"))}</span>`
+      return `<span class="photo-strip-item">
+        <button type="button" class="photo-strip-thumb" data-photo-index="${index}" aria-pressed="${index === staged.active}"
+                aria-label="${this.escapeHtml(this._t("chat.photos.select", { number: index + 1 }))}" data-action="click->rag-chat#selectStagedPhoto">${picture}</button>
+        <button type="button" class="photo-strip-remove" data-photo-index="${index}"
+                aria-label="${this.escapeHtml(this._t("chat.photos.remove", { number: index + 1 }))}" data-action="click->rag-chat#removeStagedPhoto">×</button>
+      </span>`
+    })
+    if (staged.photos.length < MAX_PHOTOS) {
+      thumbs.push(`<button type="button" class="photo-strip-add" data-action="click->rag-chat#clickAttach">${this.escapeHtml(this._t("chat.photos.add"))}</button>`)
+    }
+    this.photoStripTarget.innerHTML = thumbs.join("")
+
+    const active = staged.photos[staged.active]
+    const name = staged.photos.length > 1 ? this._t("chat.photos.count", { count: staged.photos.length }) : active.filename
+    this.showPreview(name, "image")
+  }
+
+  selectStagedPhoto(event) {
+    if (this.pendingFile?.type !== "image") return
+    this.pendingFile.active = Number(event.currentTarget.dataset.photoIndex)
+    this.renderStagedPhotos()
+  }
+
+  removeStagedPhoto(event) {
+    const staged = this.pendingFile
+    if (staged?.type !== "image") return
+    staged.photos.splice(Number(event.currentTarget.dataset.photoIndex), 1)
+    staged.active = Math.min(staged.active, staged.photos.length - 1)
+    this.renderStagedPhotos()
   }
 
   getDocMimeType(filename, fallbackType) {
@@ -266,61 +471,47 @@ export default class extends Controller {
     return map[ext] || fallbackType || "application/octet-stream"
   }
 
-  arrayBufferToBase64(buffer) {
-    const bytes = new Uint8Array(buffer)
-    let binary = ""
-    const chunk = 8192
-    for (let i = 0; i < bytes.length; i += chunk) {
-      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk))
-    }
-    return btoa(binary)
-  }
-
-  // Compresses an image client-side via Canvas before uploading.
-  // Resizes to MAX_DIMENSION and encodes as JPEG at the given quality.
-  // Returns { base64: string, dataUrl: string }.
-  compressImageOnClient(dataUrl, maxDim = 1024, quality = 0.82) {
-    return new Promise((resolve, reject) => {
-      const img = new Image()
-      img.onerror = reject
-      img.onload = () => {
-        let { width, height } = img
-        if (width > maxDim || height > maxDim) {
-          const ratio = Math.min(maxDim / width, maxDim / height)
-          width  = Math.round(width  * ratio)
-          height = Math.round(height * ratio)
-        }
-        const canvas = document.createElement("canvas")
-        canvas.width  = width
-        canvas.height = height
-        canvas.getContext("2d").drawImage(img, 0, 0, width, height)
-        canvas.toBlob((blob) => {
-          if (!blob) { reject(new Error("Canvas toBlob failed")); return }
-          const reader = new FileReader()
-          reader.onerror = reject
-          reader.onload = (e) => {
-            const resultDataUrl = e.target.result
-            resolve({ base64: resultDataUrl.split(",")[1], dataUrl: resultDataUrl })
-          }
-          reader.readAsDataURL(blob)
-        }, "image/jpeg", quality)
-      }
-      img.src = dataUrl
-    })
-  }
-
-  showPreview(imageDataUrl, name, fileType) {
-    this.imageThumbTarget.style.display = fileType === "image" ? "block" : "none"
-    this.imageThumbTarget.src = imageDataUrl || ""
+  showPreview(name, fileType) {
+    this.photoStripTarget.hidden = fileType !== "image"
     this.docIconTarget.style.display = fileType === "document" ? "block" : "none"
     this.fileNameTarget.textContent = name
     this.filePreviewTarget.style.display = "block"
+    if (this.hasMarkupButtonTarget) this.markupButtonTarget.hidden = fileType !== "image"
+  }
+
+  // Optional markup step for the selected staged photo (rag/photo_markup.js).
+  // The marked, flattened JPEG replaces that photo; the marks go to /rag/ask
+  // as its `annotations`. Reopening edits the unmarked photo with the same marks.
+  async markupPhoto() {
+    const staged = this.pendingFile
+    const photo = staged?.type === "image" ? staged.photos[staged.active] : null
+    if (!photo?.previewSrc) return
+
+    const source = photo.markupSource || photo.previewSrc
+    let result
+    try {
+      result = await openPhotoMarkup(source, { lang: this.localeValue, state: photo.markupState })
+    } catch (_error) {
+      return // unreadable image: keep the staged photo as it is
+    }
+    if (!result || this.pendingFile !== staged || !staged.photos.includes(photo)) return
+
+    Object.assign(photo, {
+      markupSource: source,
+      markupState:  result.state,
+      data:         result.base64,
+      media_type:   "image/jpeg",
+      annotations:  result.annotations,
+      previewSrc:   result.dataUrl
+    })
+    this.renderStagedPhotos()
   }
 
   removeFile() {
     this.pendingFile = null
     this.fileInputTarget.value = ""
     this.filePreviewTarget.style.display = "none"
+    this.photoStripTarget.innerHTML = ""
   }
 
   async sendMessage(event) {
@@ -331,70 +522,61 @@ export default class extends Controller {
 
     if (!question && !hasFile) return
 
-    this.switchToChatTab()
-    this.disableForm()
-
-    if (hasFile) {
-      if (this.pendingFile.type === "image") {
-        this.addImageMessage(this.imageThumbTarget.src, question)
-      } else {
-        this.addDocumentMessage(this.pendingFile.filename, question)
-      }
-    } else {
-      this.addMessage(question, "user")
+    const command = hasFile ? null : parseCommand(question)
+    if (command) {
+      this.inputTarget.value = ""
+      this.closeCommandMenu()
+      return this.runCommand(command)
     }
 
-    this.inputTarget.value = ""
     const fileToSend = this.pendingFile
+    const fieldPhotoId = this.pendingFieldPhotoId
+    this.inputTarget.value = ""
     this.removeFile()
     this.pendingFieldPhotoId = null
 
+    return this.submitQuestion(question, fileToSend, { fieldPhotoId })
+  }
+
+  // Posts one question as a new turn: user bubble, outbox when offline,
+  // streamed or JSON answer. Never reads or clears the composer, so callers
+  // that ask on the technician's behalf (askEvidenceCandidates) leave a draft,
+  // a staged attachment and a reused field photo untouched.
+  async submitQuestion(question, fileToSend = null, { fieldPhotoId = null } = {}) {
+    this.switchToChatTab()
+
+    const previewSrc = fileToSend?.type === "image" ? stagedPhotos(fileToSend).map((photo) => photo.previewSrc) : null
+    const userRow = this.addUserMessage(question, fileToSend, previewSrc)
+    // Kept if the question ends up in the outbox, so its replay is recognised.
+    const requestId = newRequestId()
+
+    // No signal, or older questions still waiting in the outbox: queue behind
+    // them so the replay order is the order the technician asked in.
+    if (!navigator.onLine || this.outboxBacklog > 0) {
+      const queued = await this.queueQuestion({ question, file: fileToSend, previewSrc, requestId, row: userRow })
+      if (!queued) this.addMessage(this._t("chat.ask_error"), "error")
+      if (queued && navigator.onLine) this.flushOutbox()
+      return
+    }
+
+    this.disableForm()
+
     const loadingId = this.addLoadingMessage()
     const ragTextQuery = !fileToSend
     if (ragTextQuery) this.startQueryWaitTimers(loadingId)
 
     try {
-      const data = await this.ask(question, fileToSend)
-      this._setLocale(data.response_locale)
-
-      if (data.status !== "success") {
-        this.removeMessage(loadingId)
-        throw new Error(data.message || "Unknown error")
-      }
-
-      // For image/document uploads, KEEP the same dots bubble alive until
-      // KbSyncChannel signals "indexed" (or "failed"). Show an immediate warm
-      // acknowledgment inside the bubble, then a nudge at 10 s if still waiting.
-      if (data.images_uploaded?.length) {
-        this.indexingLoadingId = loadingId
-        this.kbSyncInProgress = true
-        this.pendingUploadType = "image"
-        this.pendingPhotoCorrelationId = data.correlation_id
-        this.setIndexingLoadingAcknowledgment(data.answer || this._indexingWarmCopy("ack"))
-        this.startIndexingNudgeTimer()
-        this.startIndexingStallTimer()
-        this.refreshDocuments()
-      } else if (data.documents_uploaded?.length) {
-        this.indexingLoadingId = loadingId
-        this.kbSyncInProgress = true
-        this.pendingUploadType = "document"
-        const uploadAck = question ? this._indexingWarmCopy("ack") : (data.answer || this._indexingWarmCopy("ack"))
-        this.setIndexingLoadingAcknowledgment(uploadAck)
-        this.startIndexingNudgeTimer()
-        this.startIndexingStallTimer()
-        this.refreshDocuments()
-        if (question) this.renderAssistantAnswer(data)
-      } else {
-        this.removeMessage(loadingId)
-        this.renderAssistantAnswer(data)
-      }
+      const data = ragTextQuery && this.streamAnswersValue
+        ? await this.askStreaming(question, loadingId, { requestId, fieldPhotoId })
+        : await this.ask(question, await this.uploadAttachment(fileToSend, loadingId), { requestId, fieldPhotoId })
+      this.handleAskResponse(data, loadingId, question)
     } catch (error) {
       this.removeMessage(loadingId)
-      const lang = this.localeValue
-      const friendlyError = lang.startsWith("en")
-        ? "Something went wrong on my end. Please try again in a moment."
-        : "Algo falló de mi parte. Inténtalo de nuevo en un momento."
-      this.addMessage(friendlyError, "error")
+      // The request never reached the server (signal dropped mid-send): keep
+      // the question in the outbox instead of losing it behind a generic error.
+      const queued = isNetworkFailure(error) &&
+        await this.queueQuestion({ question, file: fileToSend, previewSrc, requestId, row: userRow })
+      if (!queued) this.addMessage(this._t("chat.ask_error"), "error")
     } finally {
       if (ragTextQuery) {
         this.clearQueryNudgeTimer()
@@ -404,150 +586,685 @@ export default class extends Controller {
     }
   }
 
-  async ask(question, file = null) {
-    const payload = { question }
-    if (file) {
-      if (file.type === "image") {
-        payload.image = { data: file.data, media_type: file.media_type, filename: file.filename }
-      } else {
-        payload.document = { data: file.data, media_type: file.media_type, filename: file.filename }
-      }
-    }
-    if (this.pendingFieldPhotoId && !file) payload.field_photo_id = this.pendingFieldPhotoId
-    const response = await fetch("/rag/ask", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Accept": "application/json",
-        "Accept-Language": this.localeValue,
-        "X-CSRF-Token": document.querySelector("meta[name=csrf-token]")?.content
-      },
-      credentials: "same-origin",
-      body: JSON.stringify(payload)
-    })
+  // Shared by submitQuestion and the outbox replay: renders a /rag/ask JSON
+  // payload into the loading bubble identified by `loadingId`.
+  // Throws when the server answered with a non-success status so callers keep
+  // their own error copy.
+  handleAskResponse(data, loadingId, question) {
+    this._setLocale(data.response_locale)
 
-    if (!response.ok) {
-      throw new Error(`Server error (${response.status})`)
+    if (data.status !== "success") {
+      this.removeMessage(loadingId)
+      throw new Error(data.message || "Unknown error")
     }
 
-    return response.json()
+    // For image/document uploads, KEEP the same dots bubble alive until
+    // KbSyncChannel signals "indexed" (or "failed"). Show an immediate warm
+    // acknowledgment inside the bubble, then a nudge at 10 s if still waiting.
+    if (data.images_uploaded?.length) {
+      this.indexingLoadingId = loadingId
+      this.kbSyncInProgress = true
+      this.pendingUploadType = "image"
+      this.pendingPhotoCorrelationId = data.correlation_id
+      this.setIndexingLoadingAcknowledgment(data.answer || this._indexingWarmCopy("ack"))
+      this.startIndexingNudgeTimer()
+      this.startIndexingStallTimer()
+      this.refreshDocuments()
+    } else if (data.documents_uploaded?.length) {
+      this.indexingLoadingId = loadingId
+      this.indexingProgressShown = false
+      this.kbSyncInProgress = true
+      this.pendingUploadType = "document"
+      this.pendingDocumentCorrelationId = data.correlation_id || null
+      const uploadAck = question ? this._indexingWarmCopy("ack") : (data.answer || this._indexingWarmCopy("ack"))
+      this.setIndexingLoadingAcknowledgment(uploadAck)
+      this.startIndexingNudgeTimer()
+      this.startIndexingStallTimer()
+      this.refreshDocuments()
+      if (question) {
+        this.renderAssistantAnswer(data)
+        this.rememberRecentAnswer("answer", question, data)
+      }
+    } else {
+      this.removeMessage(loadingId)
+      this.renderAssistantAnswer(data)
+      this.rememberRecentAnswer("answer", question, data)
+    }
   }
 
-  /* UI helpers */
+  // ── Recent answers (offline app shell) ──────────────────────────────────
+  // The last answers and photo diagnoses are copied to the Cache API
+  // (rag/recent_answers) as they render. When the service worker serves the
+  // cached shell without signal, they are redrawn above any queued questions
+  // so the technician can re-read what they already asked.
 
-  disableForm() {
-    this.inputTarget.disabled = true
-    this.sendButtonTarget?.setAttribute("disabled", true)
+  rememberRecentAnswer(kind, question, data) {
+    rememberAnswer({ owner: this.outboxOwnerValue, kind, question, data })
+      .catch((error) => console.error("recent answers: store failed", error))
   }
 
-  enableForm() {
-    this.inputTarget.disabled = false
-    this.sendButtonTarget?.removeAttribute("disabled")
-    if (window.innerWidth >= 768) {
-      this.inputTarget.focus()
+  // Online: the server transcript (below). Offline: the recent answers the
+  // cached shell can still show. Queued questions always go last.
+  async restoreTranscript() {
+    if (navigator.onLine) {
+      await this.loadConversationHistory()
+    } else {
+      await this.restoreRecentAnswers()
     }
+    await this.restoreOutbox()
   }
 
-  matchesPendingPhoto(data) {
-    return Boolean(this.pendingPhotoCorrelationId) &&
-      data.correlation_id === this.pendingPhotoCorrelationId
-  }
+  async restoreRecentAnswers() {
+    let entries = []
+    try {
+      entries = await recentAnswers(this.outboxOwnerValue)
+    } catch (_error) {
+      return
+    }
+    if (!entries.length) return
 
-  // Updates the chat chrome's own locale state from a server-provided
-  // response_locale (ask() JSON or a KbSync broadcast). Ignores anything else
-  // (undefined, unsupported codes) so a single bad payload can't wedge the UI.
-  _setLocale(candidate) {
-    const normalized = String(candidate || "").toLowerCase()
-    if (normalized === "en" || normalized === "es") this.localeValue = normalized
+    this.addMessage(this._t("chat.offline_recent"), "assistant")
+    entries.forEach((entry) => {
+      if (entry.question) this.addUserMessage(entry.question)
+      if (entry.kind === "photo") {
+        this.addImageSummaryMessage(entry.data)
+      } else {
+        this.renderAssistantAnswer(entry.data)
+      }
+    })
   }
 
-  // Segmented mobile tab button states (design/v0-mobile/mobile-home-shell.tsx)
-  static MOBILE_TAB_ACTIVE_CLASSES = [
-    "bg-[hsl(217,91%,50%)]", "text-white", "shadow-md",
-    "shadow-[hsl(217,91%,50%,0.35)]"
-  ]
-  static MOBILE_TAB_INACTIVE_CLASSES = [
-    "bg-white", "text-[hsl(215,20%,42%)]", "shadow-sm",
-    "border", "border-[hsl(215,20%,88%)]"
-  ]
-  static MOBILE_TAB_BADGE_ACTIVE_CLASSES = ["bg-white/25", "text-white"]
-  static MOBILE_TAB_BADGE_INACTIVE_CLASSES = ["bg-[hsl(217,91%,50%)]", "text-white"]
+  // ── Conversation history ─────────────────────────────────────────────────
+  // The visible transcript is stored server-side (ConversationMessage) with
+  // the exact payload each bubble rendered, so a reload or Turbo visit reopens
+  // the chat where the technician left it. Past answers go back through
+  // renderAssistantAnswer / addImageSummaryMessage — citations, evidence
+  // cards, field-photo reuse buttons and the verification notice included.
+  // Older pages load as the chat is scrolled to the top.
+
+  // @return [Boolean] false when the page could not be fetched.
+  async loadConversationHistory() {
+    if (this._historyLoading) return false
+    this._historyLoading = true
+
+    const older = this._oldestHistoryId !== null
+    const query = older ? `?before=${encodeURIComponent(this._oldestHistoryId)}` : ""
+    try {
+      const response = await fetch(`/conversation_messages${query}`, {
+        headers: { "Accept": "application/json" },
+        credentials: "same-origin"
+      })
+      if (!response.ok) return false
 
-  setupMobileTabs() {
-    this.updateMobileTabUI()
-    this.updateSourcesBadge()
-    this._onResize = () => this.updateMobileTabUI()
-    window.addEventListener("resize", this._onResize, { passive: true })
+      const { messages = [], has_more: hasMore = false } = await response.json()
+      this._historyHasMore = hasMore
+      if (messages.length) {
+        this._oldestHistoryId = messages[0].id
+        this.prependHistory(messages, { keepScrollPosition: older })
+      }
+      return true
+    } catch (_error) {
+      return false
+    } finally {
+      this._historyLoading = false
+    }
   }
 
-  switchToArchivosTab() {
-    this._activeMobileTab = "archivos"
-    this.updateMobileTabUI()
-  }
+  // Bound to the chat container's scroll event.
+  loadOlderHistory() {
+    if (!this._historyHasMore || this._historyLoading) return
+    if (this.chatContainerTarget.scrollTop > this.constructor.HISTORY_SCROLL_THRESHOLD_PX) return
 
-  switchToChatTab() {
-    this._activeMobileTab = "chat"
-    this.updateMobileTabUI()
+    this.loadConversationHistory()
   }
 
-  updateMobileTabUI() {
-    const isMobile = window.innerWidth < 768
-    const showArchivos = this._activeMobileTab === "archivos"
-
-    if (this.hasArchivosPanelTarget) {
-      if (isMobile) {
-        this.archivosPanelTarget.classList.toggle("hidden", !showArchivos)
+  // The renderers append; rows rendered here are then moved above whatever
+  // the chat already shows (live messages, or the previous history page).
+  prependHistory(messages, { keepScrollPosition }) {
+    const container      = this.chatContainerTarget
+    const previousHeight = container.scrollHeight
+    const previousTop    = container.scrollTop
+    const firstExisting  = this.messagesTarget.firstElementChild
+    const lastExisting   = this.messagesTarget.lastElementChild
+
+    messages.forEach((message) => this.renderHistoryMessage(message))
+
+    if (firstExisting) {
+      let row = lastExisting.nextElementSibling
+      while (row) {
+        const next = row.nextElementSibling
+        this.messagesTarget.insertBefore(row, firstExisting)
+        row = next
       }
-      // On desktop md:hidden CSS hides it regardless — no JS override needed
     }
 
-    if (this.hasChatPanelTarget) {
-      if (isMobile) {
-        this.chatPanelTarget.classList.toggle("hidden", showArchivos)
-      } else {
-        this.chatPanelTarget.classList.remove("hidden")
-      }
+    if (keepScrollPosition) {
+      container.scrollTop = previousTop + (container.scrollHeight - previousHeight)
+    } else {
+      this.scroll()
     }
+  }
 
-    if (this.hasArchivosTabBtnTarget) {
-      this._applyMobileTabBtnState(this.archivosTabBtnTarget, showArchivos && isMobile)
-    }
+  renderHistoryMessage(message) {
+    const payload = message.payload || {}
 
-    if (this.hasChatTabBtnTarget) {
-      this._applyMobileTabBtnState(this.chatTabBtnTarget, !showArchivos && isMobile)
+    if (message.role === "user") {
+      const attachment = payload.attachment
+      if (attachment?.type === "image" && (attachment.preview_srcs || attachment.preview_src)) {
+        return this.addImageMessage(attachment.preview_srcs || attachment.preview_src, payload.question)
+      }
+      if (attachment) return this.addDocumentMessage(attachment.filename || "", payload.question)
+      return this.addMessageHtml(this.escapeHtml(payload.question || ""), "user")
     }
+
+    this._setLocale(payload.response_locale)
+    if (message.role === "photo") return this.addImageSummaryMessage(payload)
+    return this.renderAssistantAnswer(payload)
   }
 
-  _applyMobileTabBtnState(btn, active) {
-    this.constructor.MOBILE_TAB_ACTIVE_CLASSES.forEach((cls) => {
-      btn.classList.toggle(cls, active)
-    })
-    this.constructor.MOBILE_TAB_INACTIVE_CLASSES.forEach((cls) => {
-      btn.classList.toggle(cls, !active)
-    })
-    btn.setAttribute("aria-selected", active ? "true" : "false")
+  // ── Offline outbox ────────────────────────────────────────────────────────
+  // Questions asked without signal are stored in IndexedDB (rag/offline_outbox)
+  // with their attachment and replayed one at a time, oldest first, on the
+  // window `online` event or the next page load. Each queued user bubble
+  // carries a pending → sending → answered (or failed) status chip. Only the
+  // tab holding the outbox lock replays, and every entry carries the
+  // client_request_id /rag/ask dedupes on.
+
+  // @return [Boolean] false when IndexedDB is unavailable (private mode, quota)
+  //   so the caller falls back to the generic error.
+  async queueQuestion({ question, file, previewSrc, requestId, row }) {
+    try {
+      const id = await enqueueQuestion({ owner: this.outboxOwnerValue, question, file, previewSrc, requestId })
+      this.outboxBacklog += 1
+      if (row) row.dataset.outboxId = id
+      this._setOutboxState(row, OUTBOX_STATES.pending)
+      return true
+    } catch (error) {
+      console.error("offline outbox: enqueue failed", error)
+      return false
+    }
+  }
 
-    const badge = btn.querySelector("[data-rag-chat-target='sourcesBadge']")
-    if (!badge) return
+  // Redraws bubbles for questions still queued from a previous page load.
+  async restoreOutbox() {
+    let entries = []
+    try {
+      entries = await queuedQuestions(this.outboxOwnerValue)
+    } catch (_error) {
+      return
+    }
 
-    this.constructor.MOBILE_TAB_BADGE_ACTIVE_CLASSES.forEach((cls) => {
-      badge.classList.toggle(cls, active)
-    })
-    this.constructor.MOBILE_TAB_BADGE_INACTIVE_CLASSES.forEach((cls) => {
-      badge.classList.toggle(cls, !active)
+    entries.forEach((entry) => {
+      const row = this.addUserMessage(entry.question, entry.file, entry.previewSrc)
+      row.dataset.outboxId = entry.id
+      this._setOutboxState(row, OUTBOX_STATES.pending)
     })
+    this.outboxBacklog = entries.length
+    if (entries.length && navigator.onLine) this.flushOutbox()
   }
 
-  updateSourcesBadge() {
-    if (!this.hasSourcesBadgeTarget) return
-    // Deduplicate by doc-id: each doc appears in both mobile + desktop panels.
-    const selectedIds = new Set()
-    this.element.querySelectorAll('[data-selected="true"][data-doc-id]').forEach(el => {
-      selectedIds.add(el.dataset.docId)
-    })
-    const count = selectedIds.size
-    const badge = this.sourcesBadgeTarget
-    if (count > 0) {
+  async flushOutbox() {
+    if (this._flushingOutbox || !navigator.onLine) return
+    this._flushingOutbox = true
+    try {
+      await withOutboxLock(this.outboxOwnerValue, async () => {
+        // Re-read after every replay: questions asked while the replay runs are
+        // appended to the outbox and must go out after the older ones.
+        let entries = await queuedQuestions(this.outboxOwnerValue)
+        while (entries.length) {
+          if (!(await this.replayQueuedQuestion(entries[0]))) break
+          entries = await queuedQuestions(this.outboxOwnerValue)
+        }
+      })
+    } catch (error) {
+      console.error("offline outbox: replay failed", error)
+    } finally {
+      this._flushingOutbox = false
+    }
+  }
+
+  // @return [Boolean] false when the signal dropped again, or the server is
+  //   still answering this request id (409) — the entry stays pending and the
+  //   rest of the queue waits for the next `online` event.
+  async replayQueuedQuestion(entry) {
+    const row = this.messagesTarget.querySelector(`[data-outbox-id="${entry.id}"]`)
+    this._setOutboxState(row, OUTBOX_STATES.sending)
+    await updateQuestion(entry.id, { state: OUTBOX_STATES.sending })
+
+    const loadingId = this.addLoadingMessage()
+    try {
+      const data = await this.ask(entry.question, await this.uploadAttachment(entry.file, loadingId), { requestId: entry.requestId })
+      this.handleAskResponse(data, loadingId, entry.question)
+      this._setOutboxState(row, OUTBOX_STATES.answered)
+    } catch (error) {
+      this.removeMessage(loadingId)
+      if (isNetworkFailure(error) || error.status === 409) {
+        this._setOutboxState(row, OUTBOX_STATES.pending)
+        await updateQuestion(entry.id, { state: OUTBOX_STATES.pending })
+        // Still online: no `online` event will come to pick it up again.
+        if (error.status === 409) {
+          clearTimeout(this._outboxRetryTimer)
+          this._outboxRetryTimer = setTimeout(() => this.flushOutbox(), this.constructor.OUTBOX_BUSY_RETRY_MS)
+        }
+        return false
+      }
+      this._setOutboxState(row, OUTBOX_STATES.failed)
+      this.addMessage(this._t("chat.ask_error"), "error")
+    }
+
+    await removeQuestion(entry.id)
+    this.outboxBacklog = Math.max(0, this.outboxBacklog - 1)
+    return true
+  }
+
+  _setOutboxState(row, state) {
+    const bubble = row?.querySelector(".chat-message")
+    if (!bubble) return
+
+    let chip = bubble.querySelector(".chat-outbox-status")
+    if (!chip) {
+      chip = document.createElement("span")
+      chip.className = "chat-outbox-status"
+      chip.setAttribute("role", "status")
+      bubble.appendChild(chip)
+    }
+    row.dataset.outboxState = state
+    chip.dataset.state = state
+    chip.textContent = this._outboxCopy(state)
+  }
+
+  _outboxCopy(state) {
+    return this._t(`chat.outbox.${Object.values(OUTBOX_STATES).includes(state) ? state : OUTBOX_STATES.pending}`)
+  }
+
+  // ── Chunked document upload ──────────────────────────────────────────────
+  // Documents go to /chunked_uploads in slices (rag/chunked_upload) with a
+  // progress bar in the loading bubble; /rag/ask then only carries the
+  // upload id. A dropped connection throws a network failure, so the question
+  // lands in the outbox with its File and the replay resumes from the last
+  // acknowledged chunk. Images and older outbox entries (inline base64) pass
+  // through unchanged.
+
+  async uploadAttachment(file, loadingId) {
+    if (file?.type !== "document" || !file.file) return file
+
+    this.setUploadProgress(loadingId, file.filename, 0)
+    const upload = await uploadInChunks({
+      file:       file.file,
+      mediaType:  file.media_type,
+      owner:      this.outboxOwnerValue,
+      onProgress: (fraction) => this.setUploadProgress(loadingId, file.filename, fraction)
+    })
+
+    const bubble = document.getElementById(loadingId)?.querySelector(".chat-message")
+    if (bubble) bubble.innerHTML = this.constructor.INDEXING_TYPING_DOTS_HTML
+    return { type: "document", upload_id: upload.id, media_type: file.media_type, filename: file.filename }
+  }
+
+  setUploadProgress(loadingId, filename, fraction) {
+    const bubble = document.getElementById(loadingId)?.querySelector(".chat-message")
+    if (!bubble) return
+
+    const percent = Math.min(100, Math.round(fraction * 100))
+    let progress = bubble.querySelector(".chat-upload-progress")
+    if (!progress) {
+      bubble.innerHTML =
+        `<div class="chat-upload-progress" role="status" aria-live="polite">` +
+        `<span class="chat-upload-progress-name">📄 ${this.escapeHtml(filename)}</span>` +
+        `<div class="chat-upload-progress-track" role="progressbar" aria-valuemin="0" aria-valuemax="100">` +
+        `<div class="chat-upload-progress-bar"></div></div>` +
+        `<span class="chat-upload-progress-label"></span>` +
+        `</div>`
+      progress = bubble.querySelector(".chat-upload-progress")
+    }
+    progress.querySelector(".chat-upload-progress-track").setAttribute("aria-valuenow", percent)
+    progress.querySelector(".chat-upload-progress-bar").style.width = `${percent}%`
+    progress.querySelector(".chat-upload-progress-label").textContent =
+      this._t("upload_queue.uploading_percent", { percent })
+  }
+
+  // ── Multi-file upload queue ──────────────────────────────────────────────
+  // Several files picked or dropped at once skip the composer: each document
+  // is validated, uploaded in chunks and sent to /rag/ask on its own, one at a
+  // time, then follows its own ingestion through the correlation_id its
+  // KbSync events carry (rag/upload_queue). A single dropped file behaves
+  // like one picked with the attach button.
+
+  dragFiles(event) {
+    if (!Array.from(event.dataTransfer?.types || []).includes("Files")) return
+    event.preventDefault()
+    event.currentTarget.classList.add("chat-drop-active")
+  }
+
+  dragFilesEnd(event) {
+    if (event.relatedTarget && event.currentTarget.contains(event.relatedTarget)) return
+    event.currentTarget.classList.remove("chat-drop-active")
+  }
+
+  dropFiles(event) {
+    const files = Array.from(event.dataTransfer?.files || [])
+    event.currentTarget.classList.remove("chat-drop-active")
+    if (!files.length) return
+
+    event.preventDefault()
+    this.stageFiles(files)
+  }
+
+  enqueueUploads(files) {
+    const items = files.map((file, index) => ({
+      key:      `upload-${Date.now()}-${index}`,
+      filename: file.name,
+      state:    UPLOAD_STATES.validating,
+      progress: 0,
+      file
+    }))
+    this.uploadQueueItems.push(...items)
+    this.renderUploadQueue()
+
+    items.forEach((item) => {
+      const { kind, error } = this.classifyAttachment(item.file)
+      if (error || kind !== "document") {
+        // Nothing to retry: the same file would fail the same check.
+        Object.assign(item, { state: UPLOAD_STATES.failed, message: error || this._t("upload_queue.image_alone", { max: MAX_PHOTOS }), file: null })
+      } else {
+        Object.assign(item, { state: UPLOAD_STATES.queued, mediaType: this.getDocMimeType(item.filename, item.file.type) })
+      }
+    })
+    this.renderUploadQueue()
+    this.processUploadQueue()
+  }
+
+  // Serial on purpose: one /rag/ask per file keeps each upload inside the
+  // pipeline's single-document perimeter and the field uplink uncontended.
+  async processUploadQueue() {
+    if (this._uploadQueueRunning) return
+    this._uploadQueueRunning = true
+    try {
+      let item
+      while ((item = this.uploadQueueItems.find((entry) => entry.state === UPLOAD_STATES.queued))) {
+        await this.uploadQueueItem(item)
+      }
+    } finally {
+      this._uploadQueueRunning = false
+    }
+  }
+
+  async uploadQueueItem(item) {
+    this.updateUploadItem(item, { state: UPLOAD_STATES.uploading, progress: 0, message: null, correlationId: null })
+    try {
+      const upload = await uploadInChunks({
+        file:       item.file,
+        mediaType:  item.mediaType,
+        owner:      this.outboxOwnerValue,
+        onProgress: (fraction) => this.updateUploadItem(item, { progress: Math.min(1, fraction) })
+      })
+      const data = await this.ask("", { type: "document", upload_id: upload.id, media_type: item.mediaType, filename: item.filename })
+      this._setLocale(data.response_locale)
+      if (data.status !== "success" || !data.correlation_id) {
+        this.updateUploadItem(item, { state: UPLOAD_STATES.failed, message: data.message || this._t("upload_queue.failed") })
+        return
+      }
+      this.updateUploadItem(item, { state: UPLOAD_STATES.indexing, correlationId: data.correlation_id })
+      this.refreshDocuments()
+    } catch (error) {
+      this.updateUploadItem(item, { state: UPLOAD_STATES.failed, message: this._t(isNetworkFailure(error) ? "upload_queue.offline" : "upload_queue.failed") })
+    }
+  }
+
+  updateUploadItem(item, changes) {
+    Object.assign(item, changes)
+    this.renderUploadQueue()
+  }
+
+  renderUploadQueue() {
+    if (!this.hasUploadQueueTarget) return
+    renderUploadQueue(this.uploadQueueTarget, this.uploadQueueItems, this.localeValue)
+  }
+
+  retryUpload(event) {
+    const item = this.uploadQueueItems.find((entry) => entry.key === event.currentTarget.dataset.uploadKey)
+    if (!item?.file || item.state !== UPLOAD_STATES.failed) return
+
+    this.updateUploadItem(item, { state: UPLOAD_STATES.queued, message: null })
+    this.processUploadQueue()
+  }
+
+  clearUploadQueue() {
+    this.uploadQueueItems = this.uploadQueueItems.filter((item) => !isFinished(item))
+    this.renderUploadQueue()
+  }
+
+  hasActiveUploads() {
+    return this.uploadQueueItems.some((item) => item.correlationId && !isFinished(item))
+  }
+
+  // @return [Boolean] true when the event belongs to a queued file, so the
+  //   composer's indexing bubble does not react to it as well.
+  applyUploadQueueEvent(data) {
+    const ids = eventCorrelationIds(data)
+    const items = this.uploadQueueItems.filter((item) => item.correlationId && ids.includes(item.correlationId))
+    if (!items.length) return false
+
+    const state = nextUploadState(data)
+    items.filter((item) => !isFinished(item)).forEach((item) => {
+      if (state) item.state = state
+      if (data.status === "progress") item.ingestion = data
+      if (state === UPLOAD_STATES.failed || data.status === "partial_failed") item.message = data.message || null
+    })
+    if (state) this.refreshDocuments()
+    this.renderUploadQueue()
+    return true
+  }
+
+  // @param requestId [String, nil] client_request_id; set for questions that
+  //   may be replayed from the outbox
+  // @param fieldPhotoId [String, nil] reuseFieldPhoto's photo, for text questions
+  async ask(question, file = null, { requestId = null, fieldPhotoId = null } = {}) {
+    const response = await this._postQuestion("/rag/ask", "application/json", question, file, requestId, fieldPhotoId)
+
+    if (!response.ok) {
+      const error = new Error(`Server error (${response.status})`)
+      error.status = response.status
+      throw error
+    }
+
+    return response.json()
+  }
+
+  // Streams a text question from /rag/ask/stream into the loading bubble and
+  // resolves with the same JSON contract as ask(). Falls back to ask() when
+  // the endpoint is unavailable (flag flipped off, proxy stripped the stream,
+  // non-2xx) — nothing was answered yet, so asking again is safe.
+  async askStreaming(question, loadingId, { requestId = null, fieldPhotoId = null } = {}) {
+    const response = await this._postQuestion("/rag/ask/stream", "text/event-stream", question, null, requestId, fieldPhotoId)
+    if (!isAnswerStream(response)) return this.ask(question, null, { requestId, fieldPhotoId })
+
+    this._streamedAnswer = { text: "", citations: [] }
+    return readAnswerStream(response, (event, data) => this.onAnswerStreamEvent(event, data, loadingId))
+  }
+
+  // Every event proves the connection is alive, so the stall notice only
+  // appears after CHAT_STALL_HINT_MS of real silence. Partial text renders
+  // through the same formatter as the final answer; handleAskResponse then
+  // swaps the bubble for the full render (resolution, sources, quick replies).
+  onAnswerStreamEvent(event, data, loadingId) {
+    this.resetQueryStallTimer(loadingId)
+    if (event !== "delta" && event !== "citations") return
+
+    const streamed = this._streamedAnswer
+    if (event === "delta") {
+      this.clearQueryNudgeTimer()
+      streamed.text += data.text || ""
+    } else {
+      streamed.citations = Array.isArray(data.citations) ? data.citations : []
+    }
+
+    const bubble = document.getElementById(loadingId)?.querySelector(".chat-message")
+    if (bubble) bubble.innerHTML = formatAnswerForWeb(streamed.text, streamed.citations)
+    this.scroll()
+  }
+
+  _postQuestion(url, accept, question, file = null, requestId = null, fieldPhotoId = null) {
+    const payload = { question }
+    if (requestId) payload.client_request_id = requestId
+    if (this._chosenLocale) payload.response_locale = this._chosenLocale
+    if (file) {
+      if (file.type === "image") {
+        const photos = stagedPhotos(file).map((photo) => {
+          const image = { data: photo.data, media_type: photo.media_type, filename: photo.filename }
+          if (photo.annotations?.length) image.annotations = photo.annotations
+          return image
+        })
+        payload.image = photos.length === 1 ? photos[0] : photos
+      } else if (file.upload_id) {
+        payload.document = { upload_id: file.upload_id, media_type: file.media_type, filename: file.filename }
+      } else {
+        payload.document = { data: file.data, media_type: file.media_type, filename: file.filename }
+      }
+    }
+    if (fieldPhotoId && !file) payload.field_photo_id = fieldPhotoId
+    return fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": accept,
+        "Accept-Language": this.localeValue,
+        "X-CSRF-Token": document.querySelector("meta[name=csrf-token]")?.content
+      },
+      credentials: "same-origin",
+      body: JSON.stringify(payload)
+    })
+  }
+
+  /* UI helpers */
+
+  disableForm() {
+    this.inputTarget.disabled = true
+    this.sendButtonTarget?.setAttribute("disabled", true)
+  }
+
+  enableForm() {
+    this.inputTarget.disabled = false
+    this.sendButtonTarget?.removeAttribute("disabled")
+    if (window.innerWidth >= 768) {
+      this.inputTarget.focus()
+    }
+  }
+
+  matchesPendingPhoto(data) {
+    return Boolean(this.pendingPhotoCorrelationId) &&
+      data.correlation_id === this.pendingPhotoCorrelationId
+  }
+
+  // Events stamped with correlation_ids (KbSyncBroadcaster.track_upload) only
+  // drive the composer's indexing bubble when they name the document it is
+  // waiting for; unstamped events keep the account-wide behaviour.
+  matchesPendingDocument(data) {
+    const ids = eventCorrelationIds(data)
+    return !ids.length || !this.pendingDocumentCorrelationId || ids.includes(this.pendingDocumentCorrelationId)
+  }
+
+  // Updates the chat chrome's own locale state from a server-provided
+  // response_locale (ask() JSON or a KbSync broadcast). Ignores anything else
+  // (undefined, unsupported codes) so a single bad payload can't wedge the UI.
+  _setLocale(candidate) {
+    const normalized = String(candidate || "").toLowerCase()
+    if (hasLocale(normalized)) this.localeValue = normalized
+  }
+
+  // Chat chrome copy (config/locales/js.*.yml, `chat.*` and friends) in the
+  // chrome's current locale.
+  _t(key, vars = {}) {
+    return t(key, { ...vars, locale: this.localeValue })
+  }
+
+  // Segmented mobile tab button states (design/v0-mobile/mobile-home-shell.tsx)
+  static MOBILE_TAB_ACTIVE_CLASSES = [
+    "bg-[hsl(217,91%,50%)]", "text-white", "shadow-md",
+    "shadow-[hsl(217,91%,50%,0.35)]"
+  ]
+  static MOBILE_TAB_INACTIVE_CLASSES = [
+    "bg-white", "text-[hsl(215,20%,42%)]", "shadow-sm",
+    "border", "border-[hsl(215,20%,88%)]"
+  ]
+  static MOBILE_TAB_BADGE_ACTIVE_CLASSES = ["bg-white/25", "text-white"]
+  static MOBILE_TAB_BADGE_INACTIVE_CLASSES = ["bg-[hsl(217,91%,50%)]", "text-white"]
+
+  setupMobileTabs() {
+    this.updateMobileTabUI()
+    this.updateSourcesBadge()
+    this._onResize = () => this.updateMobileTabUI()
+    window.addEventListener("resize", this._onResize, { passive: true })
+  }
+
+  switchToArchivosTab() {
+    this._activeMobileTab = "archivos"
+    this.updateMobileTabUI()
+  }
+
+  switchToChatTab() {
+    this._activeMobileTab = "chat"
+    this.updateMobileTabUI()
+  }
+
+  updateMobileTabUI() {
+    const isMobile = window.innerWidth < 768
+    const showArchivos = this._activeMobileTab === "archivos"
+
+    if (this.hasArchivosPanelTarget) {
+      if (isMobile) {
+        this.archivosPanelTarget.classList.toggle("hidden", !showArchivos)
+      }
+      // On desktop md:hidden CSS hides it regardless — no JS override needed
+    }
+
+    if (this.hasChatPanelTarget) {
+      if (isMobile) {
+        this.chatPanelTarget.classList.toggle("hidden", showArchivos)
+      } else {
+        this.chatPanelTarget.classList.remove("hidden")
+      }
+    }
+
+    if (this.hasArchivosTabBtnTarget) {
+      this._applyMobileTabBtnState(this.archivosTabBtnTarget, showArchivos && isMobile)
+    }
+
+    if (this.hasChatTabBtnTarget) {
+      this._applyMobileTabBtnState(this.chatTabBtnTarget, !showArchivos && isMobile)
+    }
+  }
+
+  _applyMobileTabBtnState(btn, active) {
+    this.constructor.MOBILE_TAB_ACTIVE_CLASSES.forEach((cls) => {
+      btn.classList.toggle(cls, active)
+    })
+    this.constructor.MOBILE_TAB_INACTIVE_CLASSES.forEach((cls) => {
+      btn.classList.toggle(cls, !active)
+    })
+    btn.setAttribute("aria-selected", active ? "true" : "false")
+
+    const badge = btn.querySelector("[data-rag-chat-target='sourcesBadge']")
+    if (!badge) return
+
+    this.constructor.MOBILE_TAB_BADGE_ACTIVE_CLASSES.forEach((cls) => {
+      badge.classList.toggle(cls, active)
+    })
+    this.constructor.MOBILE_TAB_BADGE_INACTIVE_CLASSES.forEach((cls) => {
+      badge.classList.toggle(cls, !active)
+    })
+  }
+
+  updateSourcesBadge() {
+    if (!this.hasSourcesBadgeTarget) return
+    // Deduplicate by doc-id: each doc appears in both mobile + desktop panels.
+    const selectedIds = new Set()
+    this.element.querySelectorAll('[data-selected="true"][data-doc-id]').forEach(el => {
+      selectedIds.add(el.dataset.docId)
+    })
+    const count = selectedIds.size
+    const badge = this.sourcesBadgeTarget
+    if (count > 0) {
       badge.textContent = count
       badge.style.display = "inline-flex"
     } else {
@@ -556,240 +1273,898 @@ export default class extends Controller {
     }
   }
 
-  // ── Keyboard lift (mobile only) ───────────────────────────────────────────
-  // Uses the VisualViewport API to detect the on-screen keyboard and exposes
-  // its height as the CSS variable --kbd-h on <html>. CSS in application.css
-  // (.chat-input-stack) consumes that variable to translate the input bar up
-  // and keep the textarea anchored above the keyboard. The rest of the UI
-  // (KB list + chat messages) does NOT move — body height is locked to 100svh.
-  setupKeyboardLift() {
-    const vv = window.visualViewport
-    if (!vv) return  // very old browsers — silently no-op (layout still works)
+  // ── Keyboard lift (mobile only) ───────────────────────────────────────────
+  // Uses the VisualViewport API to detect the on-screen keyboard and exposes
+  // its height as the CSS variable --kbd-h on <html>. CSS in application.css
+  // (.chat-input-stack) consumes that variable to translate the input bar up
+  // and keep the textarea anchored above the keyboard. The rest of the UI
+  // (KB list + chat messages) does NOT move — body height is locked to 100svh.
+  setupKeyboardLift() {
+    const vv = window.visualViewport
+    if (!vv) return  // very old browsers — silently no-op (layout still works)
+
+    this._onVvChange = () => {
+      // Keyboard height = layout viewport bottom - visual viewport bottom.
+      // Clamp at 0 so non-keyboard resizes (URL bar, rotation) don't lift.
+      const layoutH = window.innerHeight
+      const visualBottom = vv.height + vv.offsetTop
+      const kbdH = Math.max(0, Math.round(layoutH - visualBottom))
+      document.documentElement.style.setProperty("--kbd-h", `${kbdH}px`)
+    }
+
+    vv.addEventListener("resize", this._onVvChange)
+    vv.addEventListener("scroll", this._onVvChange)
+    this._onVvChange()
+  }
+
+  teardownKeyboardLift() {
+    const vv = window.visualViewport
+    if (!vv || !this._onVvChange) return
+    vv.removeEventListener("resize", this._onVvChange)
+    vv.removeEventListener("scroll", this._onVvChange)
+    document.documentElement.style.removeProperty("--kbd-h")
+    this._onVvChange = null
+  }
+
+  // ── Message row builder (avatar + bubble wrapper) ─────────────────────────
+  // Each message is wrapped in a flex row:
+  //   user      → flex-row-reverse (avatar right, bubble left, both pushed right)
+  //   assistant → flex-row (avatar left, bubble right)
+  //   system    → centered, no avatar
+
+  _buildMessageRow(type, id = null, temporary = false) {
+    const isUser   = type === "user"
+    const isSystem = type === "system"
+
+    const row = document.createElement("div")
+    row.className = `chat-row chat-row-${isUser ? "user" : isSystem ? "system" : "assistant"}`
+    if (id) row.id = id
+    if (temporary) row.dataset.temporary = true
+
+    if (!isSystem) {
+      const avatar = document.createElement("div")
+      avatar.className = `chat-avatar ${isUser ? "chat-avatar-user" : "chat-avatar-bot"}`
+      avatar.innerHTML = isUser ? this.constructor.USER_SVG : this.constructor.BOT_SVG
+      row.appendChild(avatar)
+    }
+
+    const bubble = document.createElement("div")
+    bubble.className = `chat-message chat-message-${type}`
+    row.appendChild(bubble)
+
+    return row
+  }
+
+  addLoadingMessage() {
+    const id  = `msg-${Date.now()}`
+    const row = this._buildMessageRow("assistant", id, true)
+    row.querySelector(".chat-message").innerHTML =
+      `<div style="display:flex;flex-direction:column;gap:6px;" role="status" aria-live="polite">` +
+      this.constructor.INDEXING_TYPING_DOTS_HTML +
+      `</div>`
+    this.messagesTarget.appendChild(row)
+    this.scroll()
+    return id
+  }
+
+  addMessage(text, type, temporary = false) {
+    const id  = `msg-${Date.now()}`
+    const row = this._buildMessageRow(type, id, temporary)
+    row.querySelector(".chat-message").textContent = text
+    this.messagesTarget.appendChild(row)
+    this.scroll()
+    return id
+  }
+
+  addMessageHtml(html, type) {
+    const row = this._buildMessageRow(type)
+    row.querySelector(".chat-message").innerHTML = html
+    this.messagesTarget.appendChild(row)
+    this.scroll()
+    return row
+  }
+
+  // Renders the technician's own bubble for a question plus its optional
+  // attachment. Returns the row so callers can decorate it (outbox status).
+  addUserMessage(question, file, previewSrc) {
+    if (file?.type === "image") return this.addImageMessage(previewSrc, question)
+    if (file) return this.addDocumentMessage(file.filename, question)
+    return this.addMessageHtml(this.escapeHtml(question), "user")
+  }
+
+  // `imageSrc` is one preview or the previews of a multi-photo question; a
+  // photo without one (HEIC the browser cannot show) gets a placeholder tile.
+  addImageMessage(imageSrc, text) {
+    const row = this._buildMessageRow("user")
+    const bubble = row.querySelector(".chat-message")
+    const sources = Array.isArray(imageSrc) ? imageSrc : [ imageSrc ]
+    let html
+    if (sources.length === 1 && sources[0]) {
+      html = this._lightboxOpener(sources[0], "",
+        `<img src="${this.escapeAttribute(sources[0])}" alt="" style="max-width:200px;max-height:150px;border-radius:8px;display:block;margin-bottom:4px;" />`)
+    } else {
+      const tiles = sources.map((src) => src
+        ? this._lightboxOpener(src, "", `<img src="${this.escapeAttribute(src)}" alt="">`)
+        : `<span class="photo-strip-placeholder">📷</span>`)
+      html = `<div class="chat-photo-set">${tiles.join("")}</div>`
+    }
+    if (text) html += `<span>${this.escapeHtml(text)}</span>`
+    bubble.innerHTML = html
+    this.messagesTarget.appendChild(row)
+    this.scroll()
+    return row
+  }
+
+  // Chat images open in the image lightbox; the messages list is one gallery,
+  // so left/right walks through every photo in the conversation.
+  _lightboxOpener(fullUrl, name, innerHtml, { thumbUrl = "", tag = "button", attributes = "" } = {}) {
+    const aria = this._t("chat.open_image")
+    const typeAttribute = tag === "button" ? ' type="button"' : ""
+    return `<${tag}${typeAttribute} class="chat-lightbox-opener" ${attributes}
+      data-controller="image-lightbox" data-action="click->image-lightbox#open"
+      data-image-lightbox-full-url-value="${this.escapeAttribute(fullUrl)}"
+      data-image-lightbox-thumb-url-value="${this.escapeAttribute(thumbUrl)}"
+      data-image-lightbox-name-value="${this.escapeAttribute(name)}"
+      data-image-lightbox-locale-value="${this.escapeAttribute(this.localeValue)}"
+      aria-label="${this.escapeAttribute(aria)}">${innerHtml}</${tag}>`
+  }
+
+  addDocumentMessage(filename, text) {
+    const row = this._buildMessageRow("user")
+    const bubble = row.querySelector(".chat-message")
+    let html = `<span style="font-size:12px;color:#4a5568;">📄 ${this.escapeHtml(filename)}</span>`
+    if (text) html += `<br><span>${this.escapeHtml(text)}</span>`
+    bubble.innerHTML = html
+    this.messagesTarget.appendChild(row)
+    this.scroll()
+    return row
+  }
+
+  // Drops only the requested row. Upload indexing notices can remain active
+  // while a separate text query is being answered.
+  removeMessage(id) {
+    document.getElementById(id)?.remove()
+  }
+
+  clearRetryFallbackNotice() {
+    if (!this.retryNoticeId) return
+    document.getElementById(this.retryNoticeId)?.remove()
+    this.retryNoticeId = null
+  }
+
+  // KbSync `retrying`: update the active indexing spinner with dots + server message.
+  // Every `retrying` broadcast replaces only the bubble content; dots are re-injected so
+  // the animation continues. Scrolls the row into view. Fallback (no indexing bubble yet)
+  // injects an equivalent dots+message assistant bubble, cleared on indexed/failed.
+  _indexingWarmCopy(kind) {
+    if (this.pendingUploadType === "image") {
+      return this._t(`chat.photo_analysis.${[ "ack", "nudge", "stall" ].includes(kind) ? kind : "retry"}`)
+    }
+    return this._t(`chat.indexing.${[ "ack", "nudge", "full", "stall" ].includes(kind) ? kind : "retry"}`)
+  }
+
+  _queryWarmCopy(kind) {
+    return this._t(`chat.query.${kind === "stall" ? "stall" : "nudge"}`)
+  }
+
+  updateIndexingLoadingForRetry(data) {
+    const message = (data.message && data.message.trim()) || this._indexingWarmCopy("retry")
+
+    const retryInnerHtml =
+      `<div style="display:flex;flex-direction:column;gap:6px;" role="status" aria-live="polite">` +
+      this.constructor.INDEXING_TYPING_DOTS_HTML +
+      `<span style="font-size:13px;line-height:1.45;font-weight:500;">${this.escapeHtml(message)}</span>` +
+      `</div>`
+
+    if (this.indexingLoadingId) {
+      this.clearRetryFallbackNotice()
+      const row    = document.getElementById(this.indexingLoadingId)
+      const bubble = row?.querySelector(".chat-message")
+      if (!bubble) return
+
+      bubble.innerHTML = retryInnerHtml
+      row.scrollIntoView({ behavior: "smooth", block: "nearest" })
+      this.scroll()
+      return
+    }
+
+    // Fallback: no indexing bubble (race — kbSyncInProgress or late cable subscribe).
+    // Reuse or create a persistent assistant bubble with the same dots+message layout.
+    if (this.retryNoticeId) {
+      const bubble = document.getElementById(this.retryNoticeId)?.querySelector(".chat-message")
+      if (bubble) bubble.innerHTML = retryInnerHtml
+    } else {
+      const id  = `msg-${Date.now()}`
+      const row = this._buildMessageRow("assistant", id, false)
+      row.querySelector(".chat-message").innerHTML = retryInnerHtml
+      this.messagesTarget.appendChild(row)
+      this.retryNoticeId = id
+    }
+    this.scroll()
+  }
+
+  scroll() {
+    this.chatContainerTarget.scrollTop =
+      this.chatContainerTarget.scrollHeight
+  }
+
+  scrollToMessageTop(element) {
+    const container = this.chatContainerTarget
+    const containerRect = container.getBoundingClientRect()
+    const elementRect = element.getBoundingClientRect()
+    container.scrollTop += elementRect.top - containerRect.top
+  }
+
+  handleKeyPress(event) {
+    if (this._handleCommandMenuKey(event)) return
+    if (event.key === "Enter" && !event.shiftKey) {
+      if (window.innerWidth < 768) return  // mobile: Enter inserts newline, send via button
+      event.preventDefault()
+      this.sendMessage(event)
+    }
+  }
+
+  // ── Voice dictation (rag/voice_dictation.js) ──
+  // The mic button stays hidden where neither browser speech recognition nor
+  // the server transcription fallback is available.
+  setupDictation() {
+    this._dictation = null
+    this._dictationStatusTimer = null
+    if (!this.hasDictationButtonTarget) return
+    this.dictationButtonTarget.hidden = !dictationSupported({ serverEnabled: this.dictationServerValue })
+  }
+
+  async dictationPress(event) {
+    event.preventDefault()
+    if (this._dictation) {
+      // Second tap on a tap-started dictation ends it on release.
+      this._dictation.startX = event.clientX
+      this._dictation.finishOnRelease = true
+      return
+    }
+
+    const provider = createDictationProvider({ serverEnabled: this.dictationServerValue })
+    if (!provider) return
+
+    if (event.pointerId != null) this.dictationButtonTarget.setPointerCapture?.(event.pointerId)
+    const session = { provider, startX: event.clientX, pressedAt: Date.now(), finishOnRelease: false, finishing: false }
+    this._dictation = session
+    this.renderDictationStatus("listening")
+
+    try {
+      await provider.start({
+        lang:      this.localeValue,
+        onInterim: (text) => { if (this._dictation === session && !session.finishing) this.renderDictationStatus("listening", text) },
+        onPause:   () => { if (this._dictation === session) this.finishDictation() }
+      })
+    } catch (_error) {
+      if (this._dictation !== session) return
+      this._dictation = null
+      provider.cancel()
+      this.renderDictationStatus("denied")
+    }
+  }
+
+  // Enter/Space on the focused mic button: start, or finish what is listening.
+  dictationKey(event) {
+    event.preventDefault()
+    if (this._dictation) this.finishDictation()
+    else this.dictationPress(event)
+  }
+
+  // pointermove on the mic button (held) or the status bar (tap mode).
+  dictationMove(event) {
+    const session = this._dictation
+    if (!session || session.startX == null || !this.hasDictationStatusTarget) return
+
+    const offset = event.clientX - session.startX
+    if (Math.abs(offset) >= this.constructor.DICTATION_SWIPE_CANCEL_PX) {
+      this.cancelDictation()
+      return
+    }
+    this.dictationStatusTarget.style.transform = `translateX(${offset}px)`
+  }
+
+  dictationRelease() {
+    const session = this._dictation
+    if (!session || session.startX == null) return
+
+    session.startX = null
+    if (this.hasDictationStatusTarget) this.dictationStatusTarget.style.transform = ""
+    if (session.finishOnRelease || Date.now() - session.pressedAt >= this.constructor.DICTATION_HOLD_MS) {
+      this.finishDictation()
+    }
+  }
+
+  // Swipe on the status bar while a tap-started dictation is listening.
+  dictationSwipeStart(event) {
+    if (this._dictation && !event.target.closest("input, button")) this._dictation.startX = event.clientX
+  }
+
+  dictationSwipeEnd() {
+    if (!this._dictation) return
+    this._dictation.startX = null
+    this.dictationStatusTarget.style.transform = ""
+  }
+
+  async finishDictation() {
+    const session = this._dictation
+    if (!session || session.finishing) return
+
+    session.finishing = true
+    this.renderDictationStatus("transcribing")
+    let transcript = ""
+    try {
+      transcript = await session.provider.stop()
+    } catch (_error) {
+      if (this._dictation !== session) return
+      this._dictation = null
+      this.renderDictationStatus("failed")
+      return
+    }
+    if (this._dictation !== session) return // cancelled while transcribing
+
+    this._dictation = null
+    this.renderDictationStatus(transcript ? null : "empty")
+    if (!transcript) return
+
+    this.inputTarget.value = appendTranscript(this.inputTarget.value, transcript)
+    this.inputTarget.dispatchEvent(new Event("input", { bubbles: true }))
+    if (this.dictationAutoSend() && !this.inputTarget.disabled) {
+      this.sendMessage(new Event("submit", { cancelable: true }))
+    }
+  }
+
+  cancelDictation({ silent = false } = {}) {
+    const session = this._dictation
+    if (!session) return
+
+    this._dictation = null
+    session.provider.cancel()
+    this.renderDictationStatus(silent ? null : "cancelled")
+  }
+
+  dictationAutoSend() {
+    try {
+      return localStorage.getItem(this.constructor.DICTATION_AUTO_SEND_KEY) === "true"
+    } catch (_error) {
+      return false
+    }
+  }
+
+  toggleDictationAutoSend(event) {
+    try {
+      localStorage.setItem(this.constructor.DICTATION_AUTO_SEND_KEY, String(event.target.checked))
+    } catch (_error) { /* private mode: the choice lasts for this dictation only */ }
+  }
+
+  // @param state [String, null] listening | transcribing | cancelled | empty | denied | failed; null hides the bar
+  // @param transcript [String] interim text while listening
+  renderDictationStatus(state, transcript = "") {
+    if (!this.hasDictationStatusTarget) return
+
+    const status = this.dictationStatusTarget
+    const listening = state === "listening"
+    clearTimeout(this._dictationStatusTimer)
+    if (this.hasDictationButtonTarget) {
+      this.dictationButtonTarget.classList.toggle("is-listening", listening)
+      this.dictationButtonTarget.setAttribute("aria-pressed", String(listening))
+    }
+    status.style.transform = ""
+    if (!state) {
+      status.hidden = true
+      status.innerHTML = ""
+      return
+    }
+
+    const heard = transcript ? `<span class="dictation-transcript">${this.escapeHtml(transcript)}</span>` : ""
+    const controls = listening
+      ? `<span class="dictation-hint">${this.escapeHtml(this._t("chat.dictation.swipe_hint"))}</span>` +
+        `<label class="dictation-auto-send"><input type="checkbox" data-action="change->rag-chat#toggleDictationAutoSend"${this.dictationAutoSend() ? " checked" : ""}> ${this.escapeHtml(this._t("chat.dictation.auto_send"))}</label>` +
+        `<button type="button" class="dictation-cancel" data-action="click->rag-chat#cancelDictation">${this.escapeHtml(this._t("chat.dictation.cancel"))}</button>`
+      : ""
+    status.hidden = false
+    status.dataset.state = state
+    status.innerHTML = `<span class="dictation-label">${this.escapeHtml(this._t(`chat.dictation.${state}`))}</span>${heard}${controls}`
+
+    if ([ "cancelled", "empty", "denied", "failed" ].includes(state)) {
+      this._dictationStatusTimer = setTimeout(() => this.renderDictationStatus(null), 2500)
+    }
+  }
+
+  // ── Slash commands (rag/slash_commands.js) ───────────────────────────────
+  // A composer value starting with a known /command runs here instead of
+  // going to /rag/ask. Suggestions follow the typing: ↑/↓ move, Tab or Enter
+  // completes, Enter on a complete command runs it, Esc closes.
+
+  updateCommandMenu() {
+    if (!this.hasCommandMenuTarget) return
+
+    this._commandSuggestions = commandSuggestions(this.inputTarget.value, {
+      documents: this._knowledgeDocuments(),
+      locales: availableLocales(),
+      lang: this.localeValue
+    })
+    this._commandIndex = this._commandSuggestions.length ? 0 : -1
+    this.renderCommandMenu()
+  }
+
+  renderCommandMenu() {
+    const menu = this.commandMenuTarget
+    const open = this._commandSuggestions.length > 0
+    menu.hidden = !open
+    menu.innerHTML = open ? renderCommandSuggestions(this._commandSuggestions, this._commandIndex, menu.id) : ""
+    menu.setAttribute("aria-label", this._t("slash_commands.menu"))
+    this.inputTarget.setAttribute("aria-expanded", String(open))
+    if (open) {
+      this.inputTarget.setAttribute("aria-activedescendant", `${menu.id}-${this._commandIndex}`)
+    } else {
+      this.inputTarget.removeAttribute("aria-activedescendant")
+    }
+  }
+
+  closeCommandMenu() {
+    if (!this.hasCommandMenuTarget || !this._commandSuggestions.length) return
+
+    this._commandSuggestions = []
+    this._commandIndex = -1
+    this.renderCommandMenu()
+  }
+
+  pickCommandSuggestion(event) {
+    this.acceptCommandSuggestion(Number(event.currentTarget.dataset.index))
+  }
+
+  acceptCommandSuggestion(index) {
+    const suggestion = this._commandSuggestions[index]
+    if (!suggestion) return
+
+    this.inputTarget.value = suggestion.value
+    this.inputTarget.focus()
+    this.updateCommandMenu()
+  }
+
+  // @return [Boolean] true when the open menu consumed the key
+  _handleCommandMenuKey(event) {
+    const count = this._commandSuggestions.length
+    if (!count) return false
+
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      this._commandIndex = (this._commandIndex + (event.key === "ArrowDown" ? 1 : -1) + count) % count
+      this.renderCommandMenu()
+    } else if (event.key === "Tab" && !event.shiftKey) {
+      this.acceptCommandSuggestion(this._commandIndex)
+    } else if (event.key === "Enter" && !event.shiftKey) {
+      const suggestion = this._commandSuggestions[this._commandIndex]
+      if (suggestion.value.trim() === this.inputTarget.value.trim()) return false
+      this.acceptCommandSuggestion(this._commandIndex)
+    } else if (event.key === "Escape") {
+      this.closeCommandMenu()
+    } else {
+      return false
+    }
+    event.preventDefault()
+    return true
+  }
+
+  // Base de Conocimiento cards on the page, one per document (the mobile and
+  // desktop panels both render every card).
+  // @return [Array<Object>] { id, name, selected, card }
+  _knowledgeDocuments() {
+    const documents = new Map()
+    this.element.querySelectorAll("[data-doc-id][data-doc-name]").forEach((card) => {
+      if (documents.has(card.dataset.docId)) return
+      documents.set(card.dataset.docId, {
+        id: card.dataset.docId,
+        name: card.dataset.docName,
+        selected: card.dataset.selected === "true",
+        card
+      })
+    })
+    return [ ...documents.values() ]
+  }
+
+  async runCommand({ name, arg }) {
+    switch (name) {
+      case "pin":     return this.pinCommand(arg)
+      case "unpin":   return this.unpinCommand(arg)
+      case "photo":   return this.cameraInputTarget.click()
+      case "reset":   return this.resetConversation()
+      case "sources": return this.toggleLatestSources()
+      case "lang":    return this.langCommand(arg)
+    }
+  }
+
+  // Command results are local notes in the transcript, never sent or stored.
+  _commandNotice(key, vars = {}) {
+    this.switchToChatTab()
+    this.addMessage(this._t(`slash_commands.${key}`, vars), "assistant")
+  }
+
+  async pinCommand(query) {
+    if (!query) return this._commandNotice("usage", { usage: commandUsage("pin", this.localeValue) })
+
+    const doc = matchDocument(query, this._knowledgeDocuments())
+    if (!doc) return this._commandNotice("no_document", { query })
+    if (!doc.selected && !(await this.toggleDocSelection({ currentTarget: doc.card }))) {
+      return this._commandNotice("failed")
+    }
+    this._commandNotice("pinned", { name: doc.name })
+  }
+
+  async unpinCommand(query) {
+    const pinned = this._knowledgeDocuments().filter((doc) => doc.selected)
+    const targets = query ? [ matchDocument(query, pinned) ].filter(Boolean) : pinned
+    if (!targets.length) return this._commandNotice(query ? "no_document" : "nothing_pinned", { query })
+
+    // One at a time: each toggle rewrites the same session's pins.
+    for (const doc of targets) {
+      if (!(await this.toggleDocSelection({ currentTarget: doc.card }))) return this._commandNotice("failed")
+    }
+    this._commandNotice("unpinned", { names: targets.map((doc) => doc.name).join(", ") })
+  }
+
+  // POST /conversation_reset, then the same empty chat a first visit shows.
+  // Pins stay; questions still waiting in the outbox keep their bubbles.
+  async resetConversation() {
+    try {
+      const response = await fetch("/conversation_reset", {
+        method: "POST",
+        headers: this._jsonHeaders(),
+        credentials: "same-origin"
+      })
+      if (!response.ok) throw new Error(`conversation reset failed: ${response.status}`)
+    } catch (_error) {
+      return this._commandNotice("failed")
+    }
+
+    await this._clearTranscript()
+    this._commandNotice("reset_done")
+  }
+
+  // Empties the chat for another (or a clean) conversation. Rows still waiting
+  // in the outbox stay: they are sent to whichever thread is current by then.
+  async _clearTranscript() {
+    Array.from(this.messagesTarget.children).forEach((row) => {
+      if (!row.dataset.outboxId) row.remove()
+    })
+    this._answerCitations = new WeakMap()
+    this._answerResolutions = new WeakMap()
+    this._oldestHistoryId = null
+    this._historyHasMore = false
+    await forgetRecentAnswers(this.outboxOwnerValue).catch(() => {})
+  }
+
+  toggleLatestSources() {
+    const lists = this.messagesTarget.querySelectorAll("details.chat-sources")
+    const latest = lists[lists.length - 1]
+    if (!latest) return this._commandNotice("no_sources")
+
+    this.switchToChatTab()
+    latest.open = !latest.open
+    if (latest.open) latest.scrollIntoView({ block: "nearest" })
+  }
+
+  // The chat chrome switches at once and later answers are asked for in this
+  // language (response_locale); /locale/:locale keeps the rest of the app in
+  // step from the next page load on.
+  langCommand(value) {
+    const locale = String(value || "").toLowerCase()
+    if (!availableLocales().includes(locale)) {
+      return this._commandNotice("usage", { usage: commandUsage("lang", this.localeValue) })
+    }
+
+    this._chosenLocale = locale
+    this.localeValue = locale
+    fetch(`/locale/${locale}`, { credentials: "same-origin", redirect: "manual" }).catch(() => {})
+    this._commandNotice("lang_set", { language: this._t(`slash_commands.languages.${locale}`) })
+  }
+
+  // ── Conversation threads (rag/conversation_threads.js) ───────────────────
+  // Each thread is its own server-side session (history + pins). Switching or
+  // starting one swaps the transcript and the Archivos checkboxes in place;
+  // every later request (ask, pin, export) follows the current thread.
 
-    this._onVvChange = () => {
-      // Keyboard height = layout viewport bottom - visual viewport bottom.
-      // Clamp at 0 so non-keyboard resizes (URL bar, rotation) don't lift.
-      const layoutH = window.innerHeight
-      const visualBottom = vv.height + vv.offsetTop
-      const kbdH = Math.max(0, Math.round(layoutH - visualBottom))
-      document.documentElement.style.setProperty("--kbd-h", `${kbdH}px`)
+  toggleThreadMenu(event) {
+    if (event.currentTarget.open) this.loadThreads()
+  }
+
+  async loadThreads() {
+    try {
+      const response = await fetch("/conversation_threads", {
+        headers: { "Accept": "application/json" },
+        credentials: "same-origin"
+      })
+      if (!response.ok) throw new Error(`conversation threads failed: ${response.status}`)
+
+      const { threads = [] } = await response.json()
+      this.renderThreads(threads)
+    } catch (error) {
+      console.error("loadThreads failed:", error)
     }
+  }
 
-    vv.addEventListener("resize", this._onVvChange)
-    vv.addEventListener("scroll", this._onVvChange)
-    this._onVvChange()
+  // The first question or pin of a visit can open the current thread on the
+  // server, so the list is also where threadIdValue catches up.
+  renderThreads(threads) {
+    const html = renderThreadList(threads, this.localeValue)
+    this.threadListTargets.forEach((list) => { list.innerHTML = html })
+    const current = threads.find((thread) => thread.current) || null
+    this.threadIdValue = current?.id || 0
+    this._showThreadHeader(current)
   }
 
-  teardownKeyboardLift() {
-    const vv = window.visualViewport
-    if (!vv || !this._onVvChange) return
-    vv.removeEventListener("resize", this._onVvChange)
-    vv.removeEventListener("scroll", this._onVvChange)
-    document.documentElement.style.removeProperty("--kbd-h")
-    this._onVvChange = null
+  async newThread() {
+    const thread = await this._threadRequest("/conversation_threads", "POST")
+    if (thread) await this.showThread(thread)
   }
 
-  // ── Message row builder (avatar + bubble wrapper) ─────────────────────────
-  // Each message is wrapped in a flex row:
-  //   user      → flex-row-reverse (avatar right, bubble left, both pushed right)
-  //   assistant → flex-row (avatar left, bubble right)
-  //   system    → centered, no avatar
+  async switchThread(event) {
+    const id = Number(event.currentTarget.dataset.threadId)
+    if (id === this.threadIdValue) return this._closeThreadMenus()
 
-  _buildMessageRow(type, id = null, temporary = false) {
-    const isUser   = type === "user"
-    const isSystem = type === "system"
+    const thread = await this._threadRequest(`/conversation_threads/${id}/switch`, "POST")
+    if (thread) await this.showThread(thread)
+  }
 
-    const row = document.createElement("div")
-    row.className = `chat-row chat-row-${isUser ? "user" : isSystem ? "system" : "assistant"}`
-    if (id) row.id = id
-    if (temporary) row.dataset.temporary = true
+  // Names the current thread; before the first question there is none yet, so
+  // the name opens a new one.
+  async renameThread(event) {
+    const title = event.currentTarget.value.trim()
+    const thread = this.threadIdValue
+      ? await this._threadRequest(`/conversation_threads/${this.threadIdValue}`, "PATCH", { title })
+      : await this._threadRequest("/conversation_threads", "POST", { title })
+    if (!thread) return
+
+    this.threadIdValue = thread.id
+    this._showThreadHeader(thread)
+  }
 
-    if (!isSystem) {
-      const avatar = document.createElement("div")
-      avatar.className = `chat-avatar ${isUser ? "chat-avatar-user" : "chat-avatar-bot"}`
-      avatar.innerHTML = isUser ? this.constructor.USER_SVG : this.constructor.BOT_SVG
-      row.appendChild(avatar)
-    }
+  // Archiving the thread on screen leaves the chat empty: the next question
+  // starts a new thread on the server.
+  async archiveThread(event) {
+    const id = Number(event.currentTarget.dataset.threadId)
+    const archived = event.currentTarget.dataset.archived !== "true"
+    const thread = await this._threadRequest(`/conversation_threads/${id}`, "PATCH", { archived })
+    if (!thread) return
 
-    const bubble = document.createElement("div")
-    bubble.className = `chat-message chat-message-${type}`
-    row.appendChild(bubble)
+    if (archived && id === this.threadIdValue) await this.showThread(null)
+    this.loadThreads()
+  }
 
-    return row
+  // @param thread [Object, null] as_thread_json of the thread to show, or
+  //   null for an empty chat with no thread yet
+  async showThread(thread) {
+    this._closeThreadMenus()
+    this.threadIdValue = thread?.id || 0
+    this._showThreadHeader(thread)
+
+    this._syncPinnedUI(thread?.pinned_document_ids || [])
+
+    await this._clearTranscript()
+    this.switchToChatTab()
+    if (thread) await this.loadConversationHistory()
   }
 
-  addLoadingMessage() {
-    const id  = `msg-${Date.now()}`
-    const row = this._buildMessageRow("assistant", id, true)
-    row.querySelector(".chat-message").innerHTML =
-      `<div style="display:flex;flex-direction:column;gap:6px;" role="status" aria-live="polite">` +
-      this.constructor.INDEXING_TYPING_DOTS_HTML +
-      `</div>`
-    this.messagesTarget.appendChild(row)
-    this.scroll()
-    return id
+  _showThreadHeader(thread) {
+    const label = threadLabel(thread, this.localeValue)
+    this.threadLabelTargets.forEach((element) => { element.textContent = label })
+    this.threadTitleInputTargets.forEach((input) => {
+      if (input !== document.activeElement) input.value = thread?.title || ""
+    })
   }
 
-  addMessage(text, type, temporary = false) {
-    const id  = `msg-${Date.now()}`
-    const row = this._buildMessageRow(type, id, temporary)
-    row.querySelector(".chat-message").textContent = text
-    this.messagesTarget.appendChild(row)
-    this.scroll()
-    return id
+  _closeThreadMenus() {
+    this.threadMenuTargets.forEach((menu) => { menu.open = false })
   }
 
-  addMessageHtml(html, type) {
-    const row = this._buildMessageRow(type)
-    row.querySelector(".chat-message").innerHTML = html
-    this.messagesTarget.appendChild(row)
-    this.scroll()
-    return row
+  // @return [Object, null] the thread from the response; null after telling
+  //   the technician the request failed
+  async _threadRequest(url, method, body = null) {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: this._jsonHeaders(),
+        credentials: "same-origin",
+        body: body && JSON.stringify(body)
+      })
+      if (!response.ok) throw new Error(`${method} ${url} failed: ${response.status}`)
+
+      const { thread } = await response.json()
+      return thread
+    } catch (error) {
+      console.error("conversation thread request failed:", error)
+      this._closeThreadMenus()
+      this.switchToChatTab()
+      this.addMessage(this._t("conversation_threads.failed"), "assistant")
+      return null
+    }
   }
 
-  addImageMessage(imageSrc, text) {
-    const row = this._buildMessageRow("user")
-    const bubble = row.querySelector(".chat-message")
-    let html = `<img src="${imageSrc}" style="max-width:200px;max-height:150px;border-radius:8px;display:block;margin-bottom:4px;" />`
-    if (text) html += `<span>${this.escapeHtml(text)}</span>`
-    bubble.innerHTML = html
-    this.messagesTarget.appendChild(row)
-    this.scroll()
+  // ── Pin sets (rag/pin_sets.js) ───────────────────────────────────────────
+  // Named groups of documents shared by the account ("Orona ARCA II").
+  // Applying or clearing one flips every card of the set and the sources badge
+  // in one go, then settles on the pins the server reports. The server pins
+  // all of the set or none, so a refusal puts every card back. Unlike a tap on
+  // a card, a set does not write document names into the composer.
+
+  togglePinSetMenu(event) {
+    if (event.currentTarget.open) this.loadPinSets()
   }
 
-  addDocumentMessage(filename, text) {
-    const row = this._buildMessageRow("user")
-    const bubble = row.querySelector(".chat-message")
-    let html = `<span style="font-size:12px;color:#4a5568;">📄 ${this.escapeHtml(filename)}</span>`
-    if (text) html += `<br><span>${this.escapeHtml(text)}</span>`
-    bubble.innerHTML = html
-    this.messagesTarget.appendChild(row)
-    this.scroll()
+  async loadPinSets() {
+    try {
+      const response = await fetch("/pin_sets", {
+        headers: { "Accept": "application/json" },
+        credentials: "same-origin"
+      })
+      if (!response.ok) throw new Error(`pin sets failed: ${response.status}`)
+
+      const { pin_sets: pinSets = [] } = await response.json()
+      this._pinSets = pinSets
+      this.renderPinSets()
+    } catch (error) {
+      console.error("loadPinSets failed:", error)
+    }
   }
 
-  // Drops only the requested row. Upload indexing notices can remain active
-  // while a separate text query is being answered.
-  removeMessage(id) {
-    document.getElementById(id)?.remove()
+  renderPinSets() {
+    const html = renderPinSetList(this._pinSets || [], this._pinnedDocumentIds(), this.localeValue)
+    this.pinSetListTargets.forEach((list) => { list.innerHTML = html })
   }
 
-  clearRetryFallbackNotice() {
-    if (!this.retryNoticeId) return
-    document.getElementById(this.retryNoticeId)?.remove()
-    this.retryNoticeId = null
+  // Saves what is pinned now under the name typed in the menu's form.
+  async savePinSet(event) {
+    const input = event.currentTarget.elements.name
+    const name = input.value.trim()
+    if (!name) return input.focus()
+    if (!this._pinnedDocumentIds().size) return this._pinSetNotice("nothing_pinned")
+
+    if (!(await this._pinSetRequest("/pin_sets", "POST", { name }, "save_failed"))) return
+    this.element.querySelectorAll("form.pin-set-form input[name='name']").forEach((field) => { field.value = "" })
+    this.loadPinSets()
   }
 
-  // KbSync `retrying`: update the active indexing spinner with dots + server message.
-  // Every `retrying` broadcast replaces only the bubble content; dots are re-injected so
-  // the animation continues. Scrolls the row into view. Fallback (no indexing bubble yet)
-  // injects an equivalent dots+message assistant bubble, cleared on indexed/failed.
-  _indexingWarmCopy(kind) {
-    const lang = this.localeValue
-    if (this.pendingUploadType === "image") {
-      const photoTable = lang.startsWith("en") ? {
-        ack:   "I got your photo and I'm analyzing what is directly visible.",
-        nudge: "I'm still analyzing your photo — I'll show the visible details and uncertainties shortly.",
-        retry: "The photo analysis is taking a little longer than usual. I'm still working on it.",
-        stall: "The photo analysis is still taking a while. If nothing updates, try sending it again."
-      } : {
-        ack:   "Recibí tu foto y estoy analizando lo que se ve directamente.",
-        nudge: "Sigo analizando tu foto — en breve te muestro los datos visibles y las incertidumbres.",
-        retry: "El análisis de la foto está tardando un poco más de lo habitual. Sigo trabajando en ella.",
-        stall: "El análisis de la foto sigue tardando. Si no ves novedades, intenta enviarla otra vez."
-      }
-      return photoTable[kind] || photoTable.retry
-    }
+  async togglePinSet(event) {
+    const { pinSetId, pinSetAction, documentIds } = event.currentTarget.dataset
+    const apply = pinSetAction === "apply"
+    const before = [ ...this._pinnedDocumentIds() ]
 
-    const table = lang.startsWith("en") ? {
-      ack:   "Got your file and I'm indexing it. You can keep asking about already-indexed documents while it gets ready.",
-      nudge: "Still working on your file — large documents can take a little longer in the field. You can keep asking about documents that are already indexed.",
-      full:  "I already prepared the urgent pages I could match. The full manual is still indexing in the background.",
-      retry: "Taking a bit longer than usual — still on your file, I'll be with you in a moment.",
-      stall: "Still taking a while. If nothing updates, refresh the page — when you're back, we'll continue."
-    } : {
-      ack:   "Recibí tu archivo y lo estoy indexando. Puedes seguir consultando documentos ya indexados mientras queda listo.",
-      nudge: "Sigo con tu archivo — los documentos grandes pueden tardar un poco más en campo. Puedes seguir preguntando sobre documentos ya indexados.",
-      full:  "Ya preparé las páginas urgentes que pude asociar a tu consulta. El manual completo sigue indexándose en segundo plano.",
-      retry: "Está tardando un poco más de lo habitual — sigo con tu archivo, en un momento te cuento.",
-      stall: "Sigue tardando un poco. Si no ves novedades, recarga la página; cuando vuelvas, seguimos."
-    }
-    return table[kind] || table.retry
+    JSON.parse(documentIds || "[]").forEach((id) => this._setSelectedUI(id, apply))
+    const result = await this._pinSetRequest(`/pin_sets/${pinSetId}/${pinSetAction}`, "POST")
+    this._syncPinnedUI(result ? result.pinned_document_ids : before)
+    this.renderPinSets()
   }
 
-  _queryWarmCopy(kind) {
-    const lang = this.localeValue
-    const table = lang.startsWith("en") ? {
-      nudge: "Still working on your query — sometimes it takes a moment, especially with the connection in the field. I'll respond shortly.",
-      stall: "Still taking a while. If nothing updates, refresh the page — when you're back, we'll continue."
-    } : {
-      nudge: "Sigo procesando tu consulta — a veces tarda un poco más por la señal en campo. En unos segundos te respondo.",
-      stall: "Sigue tardando un poco. Si no ves novedades, recarga la página; cuando vuelvas, seguimos."
-    }
-    return table[kind] || table.nudge
+  async deletePinSet(event) {
+    const { pinSetId, pinSetName } = event.currentTarget.dataset
+    if (!window.confirm(this._t("pin_sets.confirm_delete", { name: pinSetName }))) return
+
+    if (!(await this._pinSetRequest(`/pin_sets/${pinSetId}`, "DELETE"))) return
+    this.loadPinSets()
   }
 
-  updateIndexingLoadingForRetry(data) {
-    const message = (data.message && data.message.trim()) || this._indexingWarmCopy("retry")
+  // @return [Set<String>] ids of the pinned cards on the page
+  _pinnedDocumentIds() {
+    return new Set(this._knowledgeDocuments().filter((doc) => doc.selected).map((doc) => String(doc.id)))
+  }
 
-    const retryInnerHtml =
-      `<div style="display:flex;flex-direction:column;gap:6px;" role="status" aria-live="polite">` +
-      this.constructor.INDEXING_TYPING_DOTS_HTML +
-      `<span style="font-size:13px;line-height:1.45;font-weight:500;">${this.escapeHtml(message)}</span>` +
-      `</div>`
+  // Every card (both panels) shows exactly the given pins.
+  _syncPinnedUI(pinnedIds) {
+    const pinned = new Set(pinnedIds.map(String))
+    this._knowledgeDocuments().forEach((doc) => this._setSelectedUI(doc.id, pinned.has(String(doc.id))))
+  }
 
-    if (this.indexingLoadingId) {
-      this.clearRetryFallbackNotice()
-      const row    = document.getElementById(this.indexingLoadingId)
-      const bubble = row?.querySelector(".chat-message")
-      if (!bubble) return
+  _pinSetNotice(key) {
+    this.pinSetMenuTargets.forEach((menu) => { menu.open = false })
+    this.switchToChatTab()
+    this.addMessage(this._t(`pin_sets.${key}`), "assistant")
+  }
 
-      bubble.innerHTML = retryInnerHtml
-      row.scrollIntoView({ behavior: "smooth", block: "nearest" })
-      this.scroll()
-      return
-    }
+  // @return [Object, null] the JSON body ({} for 204); null after telling the
+  //   technician the request failed
+  async _pinSetRequest(url, method, body = null, failureKey = "failed") {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: this._jsonHeaders(),
+        credentials: "same-origin",
+        body: body && JSON.stringify(body)
+      })
+      if (!response.ok) throw new Error(`${method} ${url} failed: ${response.status}`)
 
-    // Fallback: no indexing bubble (race — kbSyncInProgress or late cable subscribe).
-    // Reuse or create a persistent assistant bubble with the same dots+message layout.
-    if (this.retryNoticeId) {
-      const bubble = document.getElementById(this.retryNoticeId)?.querySelector(".chat-message")
-      if (bubble) bubble.innerHTML = retryInnerHtml
-    } else {
-      const id  = `msg-${Date.now()}`
-      const row = this._buildMessageRow("assistant", id, false)
-      row.querySelector(".chat-message").innerHTML = retryInnerHtml
-      this.messagesTarget.appendChild(row)
-      this.retryNoticeId = id
+      return response.status === 204 ? {} : await response.json()
+    } catch (error) {
+      console.error("pin set request failed:", error)
+      this._pinSetNotice(failureKey)
+      return null
     }
-    this.scroll()
   }
 
-  scroll() {
-    this.chatContainerTarget.scrollTop =
-      this.chatContainerTarget.scrollHeight
-  }
+  // ── Document card actions (rag/kb_document_actions.js) ───────────────────
+  // Reprocess failed pages, re-ingest or remove a document. The bubble posted
+  // here (or the indexed bubble whose button was pressed) is the one the
+  // KbSync events carrying the request's correlation id move along, from
+  // "reprocessing" to the indexed summary, "removed" or the failure.
 
-  scrollToMessageTop(element) {
-    const container = this.chatContainerTarget
-    const containerRect = container.getBoundingClientRect()
-    const elementRect = element.getBoundingClientRect()
-    container.scrollTop += elementRect.top - containerRect.top
+  async kbDocumentAction(event) {
+    const button = event.currentTarget
+    const { kbAction: action, docId, docName = "" } = button.dataset
+    button.closest("details")?.removeAttribute("open")
+    if (!docId || !KB_DOCUMENT_ACTIONS[action]) return
+    if (action === "remove" && !window.confirm(this._t("kb_document_actions.confirm_remove", { name: docName }))) return
+
+    this.switchToChatTab()
+    const row = button.closest(".chat-row") || this.addMessageHtml("", "assistant")
+    button.disabled = true
+    this._setKbActionBubble(row, this._t(`kb_document_actions.started.${action}`, { name: docName }), { progress: true })
+
+    try {
+      const response = await fetch(kbActionUrl(action, docId), {
+        method: KB_DOCUMENT_ACTIONS[action].method,
+        headers: this._jsonHeaders(),
+        credentials: "same-origin"
+      })
+      if (!response.ok) throw new Error(`${action} failed: ${response.status}`)
+
+      const { correlation_id: correlationId } = await response.json()
+      this.kbActionBubbles.set(correlationId, { row, name: docName })
+      if (action === "remove") this.refreshDocuments()
+    } catch (error) {
+      console.error("kbDocumentAction failed:", error)
+      button.disabled = false
+      this._setKbActionBubble(row, this._t("kb_document_actions.failed"), { error: true })
+    }
   }
 
-  handleKeyPress(event) {
-    if (event.key === "Enter" && !event.shiftKey) {
-      if (window.innerWidth < 768) return  // mobile: Enter inserts newline, send via button
-      event.preventDefault()
-      this.sendMessage(event)
+  // @return [Boolean] true when the event belongs to a card action's bubble
+  applyKbActionEvent(data) {
+    const correlationId = eventCorrelationIds(data).find((id) => this.kbActionBubbles.has(id))
+    if (!correlationId) return false
+
+    const { row, name } = this.kbActionBubbles.get(correlationId)
+    const step = kbActionStep(data)
+    if (step === "progress") {
+      const pages = (data.pages || []).join(", ")
+      this._setKbActionBubble(row, this._t("kb_document_actions.reprocessing", { pages, name }), { progress: true })
+    } else if (step === "indexed") {
+      this._setKbActionBubble(row, null)
+      row.querySelector(".chat-message").innerHTML = this._indexedMessageHtml(data)
+    } else if (step === "removed") {
+      this._setKbActionBubble(row, this._t("kb_document_actions.removed", { name }))
+    } else if (step === "failed") {
+      this._setKbActionBubble(row, data.message || this._t("kb_document_actions.failed"), { error: true })
+    }
+    if (step && step !== "progress") {
+      this.kbActionBubbles.delete(correlationId)
+      this.refreshDocuments()
     }
+    return true
+  }
+
+  _setKbActionBubble(row, text, { progress = false, error = false } = {}) {
+    const bubble = row.querySelector(".chat-message")
+    bubble.className = `chat-message chat-message-${error ? "error" : "assistant"}`
+    if (text == null) return
+
+    bubble.innerHTML = progress
+      ? `<div class="kb-action-progress" role="status" aria-live="polite">` +
+        this.constructor.INDEXING_TYPING_DOTS_HTML +
+        `<span>${this.escapeHtml(text)}</span></div>`
+      : this.escapeHtml(text)
+    this.scroll()
   }
 
   // Click on a KB doc card → toggle pin via POST/DELETE /pinned_documents.
   // Optimistic UI flip + textarea append/remove with revert on server failure.
+  // Clicks inside the card's actions menu are not a tap on the card.
+  // @return [Boolean] false when the server refused and the flip was reverted
   async toggleDocSelection(event) {
+    if (event.target?.closest?.(".kb-doc-actions")) return false
+
     const btn = event.currentTarget
     const docId = btn.dataset.docId
-    if (!docId) return
+    if (!docId) return false
 
     const wasSelected = btn.dataset.selected === "true"
     const docName = btn.dataset.docName || ""
@@ -808,10 +2183,12 @@ export default class extends Controller {
         body
       })
       if (!res.ok) throw new Error(`HTTP ${res.status}`)
+      return true
     } catch (err) {
       this._setSelectedUI(docId, wasSelected)
       this._updateTextareaWithDocName(docName, wasSelected)
       console.error("toggleDocSelection failed:", err)
+      return false
     }
   }
 
@@ -879,6 +2256,12 @@ export default class extends Controller {
     return div.innerHTML
   }
 
+  // escapeHtml leaves quotes alone, so a value inside a double-quoted attribute
+  // (a document or file name) could close it early.
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, "&quot;")
+  }
+
   renderAssistantAnswer(data) {
     // Prefer this specific answer's own response_locale (already applied via
     // _setLocale in sendMessage, but data may arrive from a caller — e.g. the
@@ -905,8 +2288,15 @@ export default class extends Controller {
     // `answerHtml` (que es lo único derivado de `data.answer`) — nunca se
     // concatena al string `answer` del JSON, sólo al host del mensaje.
     const noticeHtml = renderVerificationNotice(lang)
+    const feedbackHtml = renderAnswerFeedback(data.correlation_id, data.feedback, lang)
+    // SHOW_USAGE_METRICS: usage_metrics_controller fills it once the turn is tracked.
+    const usageChipHtml = this.usageChipsValue && data.correlation_id
+      ? `<span class="chat-usage-chip" data-usage-metrics-target="chip" data-correlation-id="${this.escapeHtml(data.correlation_id).replace(/"/g, "&quot;")}" hidden></span>`
+      : ""
 
-    const answerRow = this.addMessageHtml(answerHtml + resolutionHtml + sourcesHtml + noticeHtml, "assistant")
+    const answerRow = this.addMessageHtml(answerHtml + resolutionHtml + sourcesHtml + noticeHtml + feedbackHtml + usageChipHtml, "assistant")
+    if (citations.length) this._answerCitations.set(answerRow, { citations, lang })
+    if (resolutionHtml && data.resolution.mode === "ambiguous") this._answerResolutions.set(answerRow, data.resolution)
     const cardsOwnSelection = this.evidenceCardsValue && hasSelectableEvidenceCards(data.resolution)
     if (!cardsOwnSelection && Array.isArray(data.quick_replies) && data.quick_replies.length) {
       this.addMessageHtml(this.renderQuickReplies(data.quick_replies), "assistant")
@@ -914,6 +2304,45 @@ export default class extends Controller {
     this.scrollToMessageTop(answerRow)
   }
 
+  // Inline [n] markers and numbered Sources rows open the cited page in the
+  // slide-over viewer (rag/citation_viewer), with the answer's own locale.
+  openCitation(event) {
+    const row = event.currentTarget.closest(".chat-row")
+    const answer = row && this._answerCitations.get(row)
+    const number = Number(event.currentTarget.dataset.citationNumber)
+    const citation = answer?.citations.find((entry) => Number(entry.number) === number)
+    if (!citation) return
+
+    event.preventDefault()
+    openCitationViewer(citation, { lang: answer.lang })
+  }
+
+  // Thumbs-up sends at once; thumbs-down opens the reason picker and a reason
+  // button sends the rating (rag/answer_feedback). On failure the footer goes
+  // back to the rating it showed before.
+  async rateAnswer(event) {
+    const footer = event.currentTarget.closest(".answer-feedback")
+    const { rating, reason } = event.currentTarget.dataset
+    if (!footer || !rating) return
+    if (rating === "down" && !reason) return openFeedbackReasons(footer)
+
+    const previous = { rating: footer.dataset.rating, reason: footer.dataset.reason }
+    showAnswerFeedback(footer, { rating, reason })
+    try {
+      const response = await fetch("/answer_feedbacks", {
+        method: "POST",
+        headers: this._jsonHeaders(),
+        credentials: "same-origin",
+        body: JSON.stringify({ correlation_id: footer.dataset.correlationId, rating, reason })
+      })
+      if (!response.ok) throw new Error(`answer feedback failed: ${response.status}`)
+      setFeedbackStatus(footer, "thanks")
+    } catch (_error) {
+      showAnswerFeedback(footer, previous)
+      setFeedbackStatus(footer, "failed")
+    }
+  }
+
   renderQuickReplies(replies) {
     const buttons = replies.slice(0, 3).map((reply) => {
       const label = typeof reply === "string" ? reply : reply.label
@@ -938,6 +2367,53 @@ export default class extends Controller {
     this.sendMessage({ preventDefault() {} })
   }
 
+  // ── Ambiguous evidence: compare and ask across candidates ─────────────────
+  // Ticking two or three cards enables "Comparar" (side-by-side columns with
+  // the lines that tell them apart highlighted) and "Preguntar en cada una"
+  // (each card's select_query sent in turn, one answer per board).
+  pickEvidenceCandidate(event) {
+    const section = event.currentTarget.closest(".rag-evidence-resolution")
+    if (section) syncEvidencePicks(section)
+  }
+
+  compareEvidence(event) {
+    const section = event.currentTarget.closest(".rag-evidence-resolution")
+    const slot = section?.querySelector(".rag-evidence-compare")
+    const cards = this._pickedEvidenceCards(section)
+    if (!slot || cards.length < 2) return
+
+    slot.innerHTML = renderEvidenceComparison(cards, this.resolutionCopyValue)
+    slot.hidden = false
+    slot.scrollIntoView({ block: "nearest", behavior: "smooth" })
+  }
+
+  closeEvidenceComparison(event) {
+    const slot = event.currentTarget.closest(".rag-evidence-compare")
+    if (!slot) return
+
+    slot.hidden = true
+    slot.innerHTML = ""
+  }
+
+  async askEvidenceCandidates(event) {
+    const section = event.currentTarget.closest(".rag-evidence-resolution")
+    const queries = this._pickedEvidenceCards(section).map((card) => card.select_query).filter(Boolean)
+    if (queries.length < 2) return
+
+    section.querySelectorAll("[data-compare-action]").forEach((button) => { button.disabled = true })
+    for (const query of queries) await this.submitQuestion(query)
+  }
+
+  _pickedEvidenceCards(section) {
+    const resolution = section && this._answerResolutions.get(section.closest(".chat-row"))
+    if (!resolution) return []
+
+    const cards = Array.isArray(resolution.evidence_cards) ? resolution.evidence_cards : []
+    return pickedEvidenceCardIds(section)
+      .map((id) => cards.find((card) => String(card.id) === id))
+      .filter(Boolean)
+  }
+
   // ── Immediate acknowledgment in the loading bubble ────────────────────────
   // Updates the dots bubble with a warm first line so the technician sees
   // human company from the very first second, not just a spinner.
@@ -958,11 +2434,28 @@ export default class extends Controller {
   startIndexingNudgeTimer() {
     this.clearIndexingNudgeTimer()
     this.indexingNudgeTimer = setTimeout(() => {
-      if (!this.kbSyncInProgress) return
+      if (!this.kbSyncInProgress || this.indexingProgressShown) return
       this.setIndexingLoadingAcknowledgment(this._indexingWarmCopy("nudge"))
     }, this.constructor.INDEXING_NUDGE_MS)
   }
 
+  // KbSync `progress`: the stage the upload is in replaces the warm copy. The
+  // stall hint only restarts outside the Batch stage — IngestManualBatchResultsJob
+  // polls it hourly, so minutes without an event there are normal.
+  updateIndexingLoadingForProgress(data) {
+    const row    = document.getElementById(this.indexingLoadingId)
+    const bubble = row?.querySelector(".chat-message")
+    if (!bubble) return
+
+    delete row.dataset.temporary
+    this.indexingProgressShown = true
+    this.clearRetryFallbackNotice()
+    bubble.innerHTML = renderIngestionProgress(data, this.localeValue)
+    this.clearIndexingNudgeTimer()
+    this.clearIndexingStallTimer()
+    if (data.stage !== "batch") this.startIndexingStallTimer()
+  }
+
   clearIndexingNudgeTimer() {
     if (this.indexingNudgeTimer) {
       clearTimeout(this.indexingNudgeTimer)
@@ -973,9 +2466,10 @@ export default class extends Controller {
   // ── Stall notice while waiting for KbSync `indexed` broadcast ─────────────
   // Backend ingestion can run for a while on large documents: S3 upload, sync
   // page parsing, Bedrock ingestion poll, and metadata enrichment. If the
-  // WebSocket dropped mid-flight (Solid Cable does not replay), the dots
-  // animation hangs forever until the user reloads. This timer surfaces a
-  // recovery hint after the normal long-document window.
+  // WebSocket dropped mid-flight (Solid Cable does not replay), the missed
+  // event is recovered on reconnect (recoverMissedKbSyncEvents); this timer
+  // covers the case where the socket never comes back, surfacing a recovery
+  // hint after the normal long-document window.
   startIndexingStallTimer() {
     this.clearIndexingStallTimer()
     this.indexingStallTimer = setTimeout(() => {
@@ -1013,6 +2507,11 @@ export default class extends Controller {
         `</div>`
     }, this.constructor.CHAT_WARM_NUDGE_MS)
 
+    this.resetQueryStallTimer(loadingId)
+  }
+
+  resetQueryStallTimer(loadingId) {
+    this.clearQueryStallTimer()
     this.queryStallTimer = setTimeout(() => {
       if (!document.getElementById(loadingId)) return
       this.queryStallNoticeId = this.addMessage(this._queryWarmCopy("stall"), "assistant", true)
@@ -1039,27 +2538,22 @@ export default class extends Controller {
 
   addIndexedMessage(data) {
     const row = this._buildMessageRow("assistant")
-    const bubble = row.querySelector(".chat-message")
+    row.querySelector(".chat-message").innerHTML = this._indexedMessageHtml(data)
+    this.messagesTarget.appendChild(row)
+    this.scrollToMessageTop(row)
+  }
 
-    const canonical     = data.canonical_name || (data.filenames && data.filenames[0]) || "Documento"
+  _indexedMessageHtml(data) {
+    const canonical     = data.canonical_name || (data.filenames && data.filenames[0]) || this._t("chat.indexed.fallback_name")
     const aliases       = Array.isArray(data.aliases) && data.aliases.length ? data.aliases : null
     const partialPages  = Array.isArray(data.partial_pages) ? data.partial_pages.filter(p => p != null) : []
     const selectedPages = Array.isArray(data.selected_pages) ? data.selected_pages.filter(p => p != null) : []
     const isUrgentPages = data.processing_scope === "urgent_pages"
-    const lang          = this.localeValue
-    const readyLine     = isUrgentPages
-      ? (lang.startsWith("en")
-        ? "Urgent pages are ready. The full manual is still indexing."
-        : "Páginas urgentes listas. El manual completo sigue indexándose.")
-      : lang.startsWith("en")
-      ? "Ready — you can ask me anything about this."
-      : "Listo, ya puedes preguntarme lo que necesites sobre esto."
+    const readyLine     = this._t(isUrgentPages ? "chat.indexed.urgent_ready" : "chat.indexed.ready")
 
     let html = `<div style="font-weight:600;">${this.escapeHtml(canonical)}</div>`
     if (isUrgentPages && selectedPages.length > 0) {
-      const pagesText = lang.startsWith("en")
-        ? `Pages now available: ${selectedPages.join(", ")}`
-        : `Páginas disponibles ahora: ${selectedPages.join(", ")}`
+      const pagesText = this._t("chat.indexed.pages_available", { pages: selectedPages.join(", ") })
       html += `<div style="margin-top:4px;color:#4a5568;font-size:13px;">${this.escapeHtml(pagesText)}</div>`
     }
     if (aliases) {
@@ -1071,28 +2565,26 @@ export default class extends Controller {
     html += `<div style="margin-top:6px;">${this.escapeHtml(readyLine)}</div>`
 
     if (partialPages.length > 0) {
-      const warningText = lang.startsWith("en")
-        ? `⚠️ Pages ${partialPages.join(", ")} could not be fully extracted. Re-upload the file to reprocess them.`
-        : `⚠️ Las páginas ${partialPages.join(", ")} no se procesaron completamente. Vuelve a subir el archivo para reprocesarlas.`
+      const warningText = this._t("chat.indexed.partial_pages", { count: partialPages.length, pages: partialPages.join(", ") })
       html += `<div style="margin-top:6px;color:#b45309;font-size:13px;">${this.escapeHtml(warningText)}</div>`
+      if (data.kb_document_id) {
+        html += `<button type="button" class="kb-doc-action-inline" data-kb-action="reprocess" ` +
+          `data-doc-id="${this.escapeAttribute(String(data.kb_document_id))}" data-doc-name="${this.escapeAttribute(canonical)}" ` +
+          `data-action="click->rag-chat#kbDocumentAction">${this.escapeHtml(this._t("kb_document_actions.reprocess"))}</button>`
+      }
     }
 
-    bubble.innerHTML = html
-    this.messagesTarget.appendChild(row)
-    this.scrollToMessageTop(row)
+    return html
   }
 
   addImageSummaryMessage(data) {
     const row = this._buildMessageRow("assistant")
     const bubble = row.querySelector(".chat-message")
 
-    const canonical = data.canonical_name || (data.filenames && data.filenames[0]) || "Imagen"
+    const canonical = data.canonical_name || (data.filenames && data.filenames[0]) || this._t("chat.image_summary.fallback_name")
     const aliases   = Array.isArray(data.aliases) && data.aliases.length ? data.aliases : null
-    const lang      = this.localeValue
 
-    const inviteFallback = lang.startsWith("en")
-      ? "Tell me what you need — you can ask in just a word or two, that\u2019s fine."
-      : "Cu\u00e9ntame qu\u00e9 necesitas, puedo ayudarte aunque me preguntes con pocas palabras."
+    const inviteFallback = this._t("chat.image_summary.invite")
     const invite = (data.companion_offer && data.companion_offer.trim())
       ? data.companion_offer.trim()
       : inviteFallback
@@ -1112,14 +2604,19 @@ export default class extends Controller {
     html += `<div style="margin-top:10px;color:#4a5568;">${this.escapeHtml(invite)}</div>`
 
     if (data.field_photo_id) {
-      const reuseLabel = lang.startsWith("en") ? "Ask about this photo" : "Preguntar sobre esta foto"
-      const viewAria = lang.startsWith("en") ? "Open full photo in a new tab" : "Abrir foto completa en una pestaña nueva"
+      const reuseLabel = this._t("chat.image_summary.reuse")
+      const viewAria = this._t("chat.image_summary.open_full")
       const photoUrl = `/field_photos/${encodeURIComponent(data.field_photo_id)}`
+      // The link still opens the photo in a new tab (middle click, no JS);
+      // a plain click shows it in the lightbox with the conversation's photos.
       const thumb = data.thumbnail_url
-        ? `<a href="${photoUrl}" target="_blank" rel="noopener" aria-label="${this.escapeHtml(viewAria)}"
-              style="display:flex;height:44px;width:44px;flex-shrink:0;align-items:center;justify-content:center;border-radius:10px;overflow:hidden;background:#e2e8f0;">
-              <img src="${this.escapeHtml(data.thumbnail_url)}" alt="" style="height:100%;width:100%;object-fit:cover;">
-            </a>`
+        ? this._lightboxOpener(photoUrl, canonical,
+            `<img src="${this.escapeAttribute(data.thumbnail_url)}" alt="" style="height:100%;width:100%;object-fit:cover;">`, {
+              tag: "a",
+              thumbUrl: data.thumbnail_url,
+              attributes: `href="${photoUrl}" target="_blank" rel="noopener" title="${this.escapeHtml(viewAria)}"
+                style="display:flex;height:44px;width:44px;flex-shrink:0;align-items:center;justify-content:center;border-radius:10px;overflow:hidden;background:#e2e8f0;"`
+            })
         : ""
       html += `<div style="margin-top:12px;display:flex;align-items:center;gap:10px;">` +
         thumb +
@@ -1142,17 +2639,19 @@ export default class extends Controller {
   // the backend rehydrates from field_photos/ storage when needed.
   reuseFieldPhoto(event) {
     this.pendingFieldPhotoId = event.currentTarget.dataset.fieldPhotoId
-    const lang = this.localeValue
-    const attachedLabel = lang.startsWith("en") ? "Photo attached — ask your question" : "Foto adjunta — escribe tu pregunta"
-    this.inputTarget.placeholder = attachedLabel
+    this.inputTarget.placeholder = this._t("chat.photos.attached")
     this.inputTarget.focus()
   }
 
   async refreshDocuments() {
     if (window.location.pathname !== '/' && window.location.pathname !== '/home') return
 
+    // Keep whatever the Archivos search is showing (kb_search_controller).
+    const searchForm = document.querySelector('form.kb-search')
+    const query = searchForm ? new URLSearchParams(new FormData(searchForm)).toString() : ''
+
     try {
-      const response = await fetch('/home/documents', {
+      const response = await fetch(query ? `/home/documents?${query}` : '/home/documents', {
         method: 'GET',
         headers: {
           'Accept': 'text/vnd.turbo-stream.html',
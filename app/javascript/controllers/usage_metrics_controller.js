@@ -0,0 +1,131 @@
+import { Controller } from "@hotwired/stimulus"
+import { createConsumer } from "@rails/actioncable"
+import { translator } from "rag/i18n"
+
+// Live usage for the home chat footer (SHOW_USAGE_METRICS only). Each
+// UsageMetricsChannel event is one tracked LLM call (UsageMetricsBroadcaster):
+// its tokens, cost and latency, and the day's footer totals after it.
+//
+// - Footer pills (home/_usage_pill, data-usage-pill) take the new totals.
+// - "Última respuesta" shows this technician's latest chat answer.
+// - Cost chips in assistant bubbles (rag-chat renders them hidden, keyed by
+//   the answer's correlation_id) fill in when the answer's calls are tracked,
+//   summing retries and fallbacks of the same turn. Tracking is async, so an
+//   event can arrive before its bubble; the chip picks up what was seen.
+//
+// Cable messages missed while disconnected are not replayed; on reconnect the
+// footer is re-rendered from home#metrics.
+const MAX_REMEMBERED_ANSWERS = 50
+
+function formatTokens(value) {
+  return Number(value || 0).toLocaleString("en-US")
+}
+
+// Same as the footer's `$<%= cost.round(4) %>`.
+function formatCost(value) {
+  const rounded = Math.round(Number(value || 0) * 10000) / 10000
+  return `$${Number.isInteger(rounded) ? rounded.toFixed(1) : rounded}`
+}
+
+export default class extends Controller {
+  static targets = [ "chip", "lastAnswer", "lastTokens", "lastCost", "lastLatency" ]
+  // locale: chip language; defaults to the page's <html lang>.
+  static values = { userId: Number, locale: String }
+
+  connect() {
+    this.answers = new Map()
+    this.t = translator(this.localeValue || document.documentElement.lang)
+    const controller = this
+    let connectedOnce = false
+
+    this.subscription = createConsumer().subscriptions.create("UsageMetricsChannel", {
+      connected() {
+        if (connectedOnce) controller.resync()
+        connectedOnce = true
+      },
+      received(data) {
+        controller.apply(data)
+      }
+    })
+  }
+
+  disconnect() {
+    this.subscription?.unsubscribe()
+    this.subscription = null
+  }
+
+  apply(data) {
+    if (Array.isArray(data?.daily)) this.updateTotals(data.daily)
+
+    const usage = data?.usage
+    if (usage?.source !== "query" || !usage.correlation_id) return
+
+    const answer = this.remember(usage)
+    this.chipTargets
+      .filter((chip) => chip.dataset.correlationId === usage.correlation_id)
+      .forEach((chip) => this.fillChip(chip, answer))
+    if (usage.user_id === this.userIdValue) this.updateLastAnswer(answer)
+  }
+
+  chipTargetConnected(chip) {
+    const answer = this.answers?.get(chip.dataset.correlationId)
+    if (answer) this.fillChip(chip, answer)
+  }
+
+  // @return [Object] running totals of every call tracked for the answer
+  remember(usage) {
+    const answer = this.answers.get(usage.correlation_id) || { tokens: 0, cost: 0, latencyMs: 0, calls: 0 }
+    answer.tokens += Number(usage.input_tokens || 0) + Number(usage.output_tokens || 0)
+    answer.cost += Number(usage.cost || 0)
+    answer.latencyMs += Number(usage.latency_ms || 0)
+    answer.calls += 1
+
+    this.answers.delete(usage.correlation_id)
+    this.answers.set(usage.correlation_id, answer)
+    if (this.answers.size > MAX_REMEMBERED_ANSWERS) this.answers.delete(this.answers.keys().next().value)
+    return answer
+  }
+
+  fillChip(chip, answer) {
+    chip.textContent = `${formatCost(answer.cost)} · ${formatTokens(answer.tokens)} tok`
+    chip.title = `${formatTokens(answer.latencyMs)} ms · ${this.t("usage_metrics.calls", { count: answer.calls })}`
+    chip.hidden = false
+  }
+
+  updateLastAnswer(answer) {
+    if (!this.hasLastAnswerTarget) return
+
+    this.lastTokensTarget.textContent = formatTokens(answer.tokens)
+    this.lastCostTarget.textContent = formatCost(answer.cost)
+    this.lastLatencyTarget.textContent = formatTokens(answer.latencyMs)
+    this.lastAnswerTarget.hidden = false
+  }
+
+  updateTotals(rows) {
+    rows.forEach(({ key, tokens, cost }) => {
+      const pill = this.element.querySelector(`[data-usage-pill="${CSS.escape(key)}"]`)
+      if (!pill) return
+
+      const tokensElement = pill.querySelector("[data-usage-tokens]")
+      const costElement = pill.querySelector("[data-usage-cost]")
+      if (tokensElement?.firstChild) tokensElement.firstChild.textContent = `${formatTokens(tokens)} `
+      if (costElement) {
+        costElement.textContent = formatCost(cost)
+        costElement.classList.toggle("text-red-500", Number(cost) > 0)
+        costElement.classList.toggle("text-[hsl(215,20%,62%)]", !(Number(cost) > 0))
+      }
+    })
+  }
+
+  async resync() {
+    try {
+      const response = await fetch("/home/metrics", {
+        headers: { Accept: "text/vnd.turbo-stream.html" },
+        credentials: "same-origin"
+      })
+      if (response.ok) window.Turbo?.renderStreamMessage(await response.text())
+    } catch (error) {
+      console.error("usage-metrics: resync failed", error)
+    }
+  }
+}
@@ -0,0 +1,90 @@
+// app/javascript/rag/answer_feedback.js
+//
+// Thumbs up/down footer inside an assistant answer bubble. A thumbs-down opens
+// a reason picker; the rating is only sent (rag_chat_controller#rateAnswer →
+// POST /answer_feedbacks) once the technician picks a reason. Keyed by the
+// answer's /rag/ask correlation_id, so AnswerFeedbackService can log it next
+// to that interaction's telemetry. Answers without a correlation_id (offline
+// replies, indexing acknowledgments) get no footer.
+//
+// A reloaded transcript passes the payload's stored `feedback` back in, so the
+// footer reopens showing the rating already given.
+
+import { translator } from "rag/i18n"
+
+// Same list, same order as AnswerFeedbackService::REASONS.
+export const FEEDBACK_REASONS = ["wrong_board", "wrong_page", "unsafe", "outdated", "not_found"]
+
+function escapeHtml(value = "") {
+  const element = document.createElement("div")
+  element.textContent = String(value)
+  return element.innerHTML
+}
+
+function escapeAttribute(value = "") {
+  return escapeHtml(value).replace(/"/g, "&quot;")
+}
+
+function thumbMarkup(rating, t) {
+  const icon = rating === "up" ? "👍" : "👎"
+  return `<button type="button" class="answer-feedback-thumb" data-rating="${rating}" aria-pressed="false" ` +
+    `aria-label="${escapeAttribute(t(`answer_feedback.${rating}`))}" data-action="click->rag-chat#rateAnswer">${icon}</button>`
+}
+
+// @param correlationId [String] the answer's correlation_id
+// @param feedback [Object, null] { rating, reason } already stored for it
+// @param lang [String] response_locale of the answer
+// @return [String] "" when there is nothing to rate
+export function renderAnswerFeedback(correlationId, feedback = null, lang = "es") {
+  if (!correlationId) return ""
+
+  const t = translator(lang)
+  const reasons = FEEDBACK_REASONS.map((reason) =>
+    `<button type="button" class="answer-feedback-reason" data-rating="down" data-reason="${reason}" ` +
+    `data-action="click->rag-chat#rateAnswer">${escapeHtml(t(`answer_feedback.reasons.${reason}`))}</button>`
+  ).join("")
+
+  const html =
+    `<div class="answer-feedback" data-correlation-id="${escapeAttribute(correlationId)}" data-lang="${escapeAttribute(lang)}">` +
+      `<div class="answer-feedback-bar">` +
+        `<span class="answer-feedback-prompt">${escapeHtml(t("answer_feedback.prompt"))}</span>` +
+        thumbMarkup("up", t) + thumbMarkup("down", t) +
+      `</div>` +
+      `<div class="answer-feedback-reasons" role="group" aria-label="${escapeAttribute(t("answer_feedback.reason_prompt"))}" hidden>` +
+        `<span class="answer-feedback-prompt">${escapeHtml(t("answer_feedback.reason_prompt"))}</span>${reasons}` +
+      `</div>` +
+      `<p class="answer-feedback-status" role="status" aria-live="polite"></p>` +
+    `</div>`
+  if (!feedback?.rating) return html
+
+  const template = document.createElement("template")
+  template.innerHTML = html
+  showAnswerFeedback(template.content.firstElementChild, feedback)
+  return template.innerHTML
+}
+
+// Marks the stored rating (and reason) as pressed and closes the picker.
+// @param element [HTMLElement] the .answer-feedback footer
+export function showAnswerFeedback(element, { rating, reason = null } = {}) {
+  element.querySelectorAll(".answer-feedback-thumb").forEach((button) => {
+    button.setAttribute("aria-pressed", String(button.dataset.rating === rating))
+  })
+  element.querySelectorAll(".answer-feedback-reason").forEach((button) => {
+    button.setAttribute("aria-pressed", String(rating === "down" && button.dataset.reason === reason))
+  })
+  element.querySelector(".answer-feedback-reasons").hidden = true
+  element.dataset.rating = rating || ""
+  element.dataset.reason = reason || ""
+}
+
+// Thumbs-down shows the picker without sending anything yet.
+export function openFeedbackReasons(element) {
+  element.querySelector(".answer-feedback-reasons").hidden = false
+  setFeedbackStatus(element, "")
+}
+
+// @param key [String, ""] "thanks" | "failed", or "" to clear
+export function setFeedbackStatus(element, key) {
+  const t = translator(element.dataset.lang)
+  element.querySelector(".answer-feedback-status").textContent = key ? t(`answer_feedback.${key}`) : ""
+}
@@ -5,9 +5,11 @@
 //
 // Pipeline (order is load-bearing, do not reorder):
 //   1. escapeHtml(rawText)         — blocks any HTML injection from the model
-//   2. markdownToHtml(escaped)     — asterisks survive escapeHtml, safe to match
+//   2. markdownToHtml(escaped)     — *, #, |, ` and - survive escapeHtml, safe to match
 //   3. replace [n] → citation span — after markdown so markers are never split
 
+import { t } from "rag/i18n"
+
 const escapeHtml = (text = "") => {
   const div = document.createElement("div")
   div.textContent = text
@@ -22,46 +24,221 @@ const escapeHtml = (text = "") => {
 // igual a todas las respuestas. Esta función nunca recibe ni toca
 // `answer` — el llamador la concatena por fuera del HTML derivado del string
 // `answer` del JSON, para que el gate/artefactos de benchmark no se
-// contaminen (E7).
-const VERIFICATION_NOTICE_COPY = {
-  es: "Asistencia de consulta al manual — verifica cualquier acción sobre seguridades contra el manual antes de ejecutarla.",
-  en: "Manual-lookup assistance — verify any action on safety devices against the manual before performing it."
+// contaminen (E7). Texto: `js.answer.verification_notice` (config/locales/js.*.yml).
+export function renderVerificationNotice(lang = "es") {
+  return `<p class="answer-verification-notice" role="note">${escapeHtml(t("answer.verification_notice", { locale: lang }))}</p>`
 }
 
-export function renderVerificationNotice(lang = "es") {
-  const copy = String(lang).toLowerCase().startsWith("en")
-    ? VERIFICATION_NOTICE_COPY.en
-    : VERIFICATION_NOTICE_COPY.es
-  return `<p class="answer-verification-notice" role="note">${escapeHtml(copy)}</p>`
+// ── Markdown (safe subset) ────────────────────────────────────────────────
+// Input is already HTML-escaped, so every tag below is one this module wrote.
+// Supported: headings, ordered/bullet lists (nested by indentation), GFM
+// tables, fenced and inline code, **bold**, *italic*, --- rules, paragraphs.
+// Code is set aside first so its asterisks, pipes and [n] are never touched;
+// `[` inside code is emitted as &#91; so the citation pass skips terminal
+// labels like `X1[3]`. /rag/ask keeps headings and tables for the web
+// channel (RagQueryConcern#sanitize_answer only flattens them for WhatsApp).
+
+const BLOCK_TOKEN  = /^\u0001(\d+)\u0001$/
+const HEADING      = /^[ \t]*(#{1,6})[ \t]+(.+?)[ \t#]*$/
+const RULE         = /^[ \t]*(?:-{3,}|\*{3,}|_{3,})[ \t]*$/
+const LIST_ITEM    = /^([ \t]*)([-*+]|\d{1,3}[.)])[ \t]+(.*)$/
+const TABLE_DIVIDER = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)+\|?[ \t]*$|^[ \t]*\|[ \t]*:?-+:?[ \t]*\|[ \t]*$/
+
+const protectCode = (code) => code.replace(/\[/g, "&#91;")
+
+// Bold/italic only when the asterisks hug the text (CommonMark flanking), so
+// "5 * 3 = 15 y 2 * 4", circled numerals ①②③ and lone asterisks stay literal.
+function renderInline(text) {
+  return text
+    .replace(/\*\*(?![\s*])(.+?)(?<![\s*])\*\*/g, "<strong>$1</strong>")
+    .replace(/(?<![*\w])\*(?![\s*])(.+?)(?<![\s*])\*(?![*\w])/g, "<em>$1</em>")
+}
+
+const indentWidth = (whitespace) => whitespace.replace(/\t/g, "    ").length
+
+function isBlockStart(line, nextLine = "") {
+  return BLOCK_TOKEN.test(line) || HEADING.test(line) || RULE.test(line) ||
+    LIST_ITEM.test(line) || isTableStart(line, nextLine)
+}
+
+function isTableStart(line, nextLine = "") {
+  return line.includes("|") && TABLE_DIVIDER.test(nextLine)
+}
+
+function splitRow(line) {
+  let row = line.trim()
+  if (row.startsWith("|")) row = row.slice(1)
+  if (row.endsWith("|")) row = row.slice(0, -1)
+  return row.split("|").map(cell => cell.trim())
+}
+
+function columnAlign(divider) {
+  if (divider.startsWith(":") && divider.endsWith(":")) return "center"
+  if (divider.endsWith(":")) return "right"
+  if (divider.startsWith(":")) return "left"
+  return null
+}
+
+// @return [Object] { html, next } — `next` is the first line after the table
+function renderTable(lines, start) {
+  const header = splitRow(lines[start])
+  const aligns = splitRow(lines[start + 1]).map(columnAlign)
+  const cell = (tag, value, index) => {
+    const align = aligns[index] ? ` style="text-align:${aligns[index]}"` : ""
+    return `<${tag}${align}>${renderInline(value || "")}</${tag}>`
+  }
+
+  let i = start + 2
+  const rows = []
+  while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+    rows.push(splitRow(lines[i]))
+    i++
+  }
+
+  const head = `<tr>${header.map((value, index) => cell("th", value, index)).join("")}</tr>`
+  const body = rows.map(row => `<tr>${header.map((_, index) => cell("td", row[index], index)).join("")}</tr>`).join("")
+  return {
+    html: `<div class="answer-table-wrap"><table class="answer-table"><thead>${head}</thead>` +
+      (body ? `<tbody>${body}</tbody>` : "") + `</table></div>`,
+    next: i
+  }
+}
+
+function openList(item) {
+  if (!item.ordered) return `<ul class="answer-list">`
+  return item.number === 1 ? `<ol class="answer-list">` : `<ol class="answer-list" start="${item.number}">`
+}
+
+// Items nest by indentation: deeper than the open list starts a child list,
+// anything else is a sibling of the deepest list it does not out-indent.
+function buildList(items) {
+  const stack = []
+  let html = ""
+  items.forEach((item) => {
+    const tag = item.ordered ? "ol" : "ul"
+    while (stack.length > 1 && item.indent < stack[stack.length - 1].indent) {
+      html += `</li></${stack.pop().tag}>`
+    }
+
+    const top = stack[stack.length - 1]
+    if (!top || item.indent > top.indent) {
+      html += openList(item)
+      stack.push({ indent: item.indent, tag })
+    } else if (top.tag !== tag) {
+      html += `</li></${top.tag}>` + openList(item)
+      top.tag = tag
+    } else {
+      html += "</li>"
+    }
+    html += `<li>${item.lines.map(renderInline).join("<br>")}`
+  })
+  while (stack.length) html += `</li></${stack.pop().tag}>`
+  return html
+}
+
+// @return [Object] { html, next } — `next` is the first line after the list.
+// Blank lines between items keep the list going (models often emit loose
+// lists); an indented non-item line continues the previous item.
+function renderList(lines, start) {
+  const items = []
+  let i = start
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM)
+    if (match) {
+      const ordered = /\d/.test(match[2])
+      items.push({ indent: indentWidth(match[1]), ordered, number: ordered ? parseInt(match[2], 10) : null, lines: [ match[3] ] })
+      i++
+      continue
+    }
+
+    if (!lines[i].trim()) {
+      let next = i
+      while (next < lines.length && !lines[next].trim()) next++
+      if (next < lines.length && LIST_ITEM.test(lines[next])) {
+        i = next
+        continue
+      }
+      break
+    }
+
+    if (/^[ \t]+\S/.test(lines[i]) && !isBlockStart(lines[i], lines[i + 1])) {
+      items[items.length - 1].lines.push(lines[i].trim())
+      i++
+      continue
+    }
+    break
+  }
+  return { html: buildList(items), next: i }
 }
 
 function markdownToHtml(text) {
-  let out = text
-
-  // Bold: **text** → <strong>. Non-greedy, won't cross paragraph boundaries.
-  out = out.replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
-
-  // Italic: *text* only when NOT adjacent to another *, avoiding collision
-  // with circled numerals ①②③ or lone asterisks in edge cases.
-  out = out.replace(/(?<!\*)\*(?!\*)(.+?)(?<!\*)\*(?!\*)/g, "<em>$1</em>")
-
-  // Horizontal rule: a line that is only "---" (## headers already stripped by Ruby sanitizer).
-  out = out.replace(/^[ \t]*---[ \t]*$/gm, '<hr class="answer-hr">')
-
-  // Paragraph split on double (or more) blank lines, then single \n → <br> within paragraphs.
-  const blocks = out.split(/\n{2,}/)
-  out = blocks
-    .map(block => block.trim())
-    .filter(block => block.length > 0)
-    .map(block => {
-      // Block-level elements already contain their own wrapper — don't double-wrap.
-      if (/^<(hr|ul|ol|div|blockquote)/.test(block)) return block
-      const inner = block.replace(/\n/g, "<br>")
-      return `<p class="answer-p">${inner}</p>`
-    })
-    .join("")
-
-  return out
+  const inlineCode = []
+  const blockCode = []
+
+  let out = text.replace(/[\u0000\u0001]/g, "")
+
+  // Fenced code: its own block, content verbatim (already escaped).
+  out = out.replace(/^[ \t]*```[^\n`]*\n([\s\S]*?)\n?[ \t]*```[ \t]*$/gm, (_match, code) => {
+    blockCode.push(`<pre class="answer-code"><code>${protectCode(code)}</code></pre>`)
+    return `\n\n\u0001${blockCode.length - 1}\u0001\n\n`
+  })
+
+  // Inline code: terminal labels, connector names, short commands.
+  out = out.replace(/`([^`\n]+)`/g, (_match, code) => {
+    inlineCode.push(`<code class="answer-code-inline">${protectCode(code)}</code>`)
+    return `\u0000${inlineCode.length - 1}\u0000`
+  })
+
+  const lines = out.split("\n")
+  const html = []
+  let paragraph = []
+  const flushParagraph = () => {
+    if (!paragraph.length) return
+    html.push(`<p class="answer-p">${paragraph.map(renderInline).join("<br>")}</p>`)
+    paragraph = []
+  }
+
+  let i = 0
+  while (i < lines.length) {
+    const line = lines[i]
+    const heading = line.match(HEADING)
+
+    if (!line.trim()) {
+      flushParagraph()
+      i++
+    } else if (BLOCK_TOKEN.test(line)) {
+      flushParagraph()
+      html.push(line)
+      i++
+    } else if (RULE.test(line)) {
+      flushParagraph()
+      html.push('<hr class="answer-hr">')
+      i++
+    } else if (heading) {
+      flushParagraph()
+      const level = Math.min(heading[1].length + 2, 6)
+      html.push(`<h${level} class="answer-heading">${renderInline(heading[2])}</h${level}>`)
+      i++
+    } else if (LIST_ITEM.test(line)) {
+      flushParagraph()
+      const list = renderList(lines, i)
+      html.push(list.html)
+      i = list.next
+    } else if (isTableStart(line, lines[i + 1])) {
+      flushParagraph()
+      const table = renderTable(lines, i)
+      html.push(table.html)
+      i = table.next
+    } else {
+      paragraph.push(line.trim())
+      i++
+    }
+  }
+  flushParagraph()
+
+  return html.join("")
+    .replace(/\u0001(\d+)\u0001/g, (_match, index) => blockCode[index])
+    .replace(/\u0000(\d+)\u0000/g, (_match, index) => inlineCode[index])
 }
 
 // Drop-in replacement for formatAnswer used by rag_chat_controller for web answers.
@@ -70,7 +247,8 @@ function markdownToHtml(text) {
 // non-resolving markers like a literal "[24]" pin/terminal — see
 // docs/RAG_RESOLUTION_MODE_CONTRACT_FASE3_2026-07-29.md §1 C2). So there is a single
 // rule here regardless of flag state: wrap a marker as a citation span only if it
-// resolves against `citations`; otherwise leave it untouched.
+// resolves against `citations`; otherwise leave it untouched. Wrapped markers
+// open the cited page in rag/citation_viewer (rag-chat#openCitation).
 export function formatAnswerForWeb(answerText, citations = []) {
   const safeCitations = Array.isArray(citations) ? citations : []
 
@@ -88,6 +266,7 @@ export function formatAnswerForWeb(answerText, citations = []) {
     const excerpt = citation.tooltip_excerpt || ""
     const tooltip = escapeHtml(excerpt ? `${title} – ${excerpt}` : title)
 
-    return `<span class="citation" title="${tooltip}" data-citation-number="${num}">[${num}]</span>`
+    return `<span class="citation" title="${tooltip}" data-citation-number="${num}" role="button" tabindex="0" ` +
+      `data-action="click->rag-chat#openCitation keydown.enter->rag-chat#openCitation">[${num}]</span>`
   })
 }
@@ -0,0 +1,65 @@
+// app/javascript/rag/answer_stream.js
+//
+// Reader for POST /rag/ask/stream (RagStreamsController). Parses the
+// Server-Sent Events out of a fetch() body — EventSource cannot POST the
+// question — and hands each one to the caller as it arrives:
+//
+//   status { stage }   ping {}   delta { text }
+//   citations { citations }   resolution { resolution }   quick_replies { quick_replies }
+//   done <the /rag/ask JSON>   error { status: "error", message, http_status }
+//
+// The promise resolves with the `done` payload (or the `error` body), i.e. the
+// exact object rag_chat_controller#handleAskResponse already accepts from the
+// JSON endpoint. A stream that closes before either is treated as a failure.
+
+export function isAnswerStream(response) {
+  return Boolean(response?.ok && response.body &&
+    (response.headers.get("Content-Type") || "").startsWith("text/event-stream"))
+}
+
+// Parses one "event: x\ndata: {...}" block; comment and retry lines are ignored.
+function parseEvent(block) {
+  let name = "message"
+  const data = []
+  block.split("\n").forEach((line) => {
+    if (line.startsWith("event:")) name = line.slice(6).trim()
+    else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""))
+  })
+  if (!data.length) return null
+
+  try {
+    return { name, data: JSON.parse(data.join("\n")) }
+  } catch (_error) {
+    return null
+  }
+}
+
+// @param response [Response] an ok text/event-stream response (see isAnswerStream)
+// @param onEvent [Function] (name, data) => void, called for every event in order
+// @return [Promise<Object>] the `done` payload or the `error` body
+export async function readAnswerStream(response, onEvent = () => {}) {
+  const reader  = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ""
+
+  while (true) {
+    const { value, done } = await reader.read()
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done })
+    buffer = buffer.replace(/\r\n?/g, "\n")
+
+    let boundary
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const event = parseEvent(buffer.slice(0, boundary))
+      buffer = buffer.slice(boundary + 2)
+      if (!event) continue
+
+      onEvent(event.name, event.data)
+      if (event.name === "done" || event.name === "error") {
+        reader.cancel().catch(() => {})
+        return event.data
+      }
+    }
+
+    if (done) throw new Error("Answer stream closed before the answer finished")
+  }
+}
@@ -0,0 +1,126 @@
+// app/javascript/rag/chunked_upload.js
+//
+// Resumable document upload against ChunkedUploadsController. The picked File
+// is sent in server-sized slices (File#slice, never read whole into memory)
+// with real byte progress from XMLHttpRequest upload events:
+//
+//   POST  /chunked_uploads               → { id, received_bytes, chunk_size, status }
+//   PATCH /chunked_uploads/:id?offset=N  raw slice → same status (409 = resume point moved)
+//   GET   /chunked_uploads/:id           → status after a reconnect or reload
+//
+// The upload id is remembered in localStorage per owner + file identity, so an
+// interrupted upload (dropped signal, reload, outbox replay) continues from the
+// last acknowledged chunk. The returned id goes to /rag/ask as
+// `document: { upload_id }`.
+
+const STORAGE_PREFIX      = "rag-chunked-upload"
+const MAX_CHUNK_ATTEMPTS  = 3
+const RETRY_BASE_DELAY_MS = 1000
+
+function storageKey(owner, file) {
+  return `${STORAGE_PREFIX}:${owner}:${file.name}:${file.size}:${file.lastModified}`
+}
+
+function rememberedId(key) {
+  try { return localStorage.getItem(key) } catch (_error) { return null }
+}
+
+function remember(key, id) {
+  try { localStorage.setItem(key, String(id)) } catch (_error) { /* private mode: no resume across reloads */ }
+}
+
+function forget(key) {
+  try { localStorage.removeItem(key) } catch (_error) { /* nothing stored */ }
+}
+
+function csrfToken() {
+  return document.querySelector("meta[name=csrf-token]")?.content
+}
+
+async function requestJson(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: "same-origin",
+    ...options,
+    headers: { "Accept": "application/json", "X-CSRF-Token": csrfToken(), ...options.headers }
+  })
+  return { status: response.status, body: await response.json().catch(() => ({})) }
+}
+
+// Network failures reject with a TypeError, like fetch(), so callers can use
+// offline_outbox#isNetworkFailure to decide whether to queue the question.
+function sendChunk(id, offset, blob, onLoaded) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open("PATCH", `/chunked_uploads/${id}?offset=${offset}`)
+    xhr.setRequestHeader("Content-Type", "application/octet-stream")
+    xhr.setRequestHeader("Accept", "application/json")
+    xhr.setRequestHeader("X-CSRF-Token", csrfToken() || "")
+    xhr.withCredentials = true
+    xhr.upload.onprogress = (event) => { if (event.lengthComputable) onLoaded(event.loaded) }
+    xhr.onload = () => {
+      let body = {}
+      try { body = JSON.parse(xhr.responseText || "{}") } catch (_error) { /* non-JSON error page */ }
+      resolve({ status: xhr.status, body })
+    }
+    xhr.onerror = () => reject(new TypeError("Network request failed"))
+    xhr.ontimeout = () => reject(new TypeError("Network request timed out"))
+    xhr.send(blob)
+  })
+}
+
+async function sendChunkWithRetry(id, offset, blob, onLoaded) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sendChunk(id, offset, blob, onLoaded)
+    } catch (error) {
+      if (attempt >= MAX_CHUNK_ATTEMPTS || navigator.onLine === false) throw error
+      await new Promise((resolve) => setTimeout(resolve, RETRY_BASE_DELAY_MS * attempt))
+    }
+  }
+}
+
+// @param file [File] the picked document
+// @param mediaType [String] MIME type sent to the server
+// @param owner [String] signed-in user scope for the resume key
+// @param onProgress [Function] (fraction 0..1) => void
+// @return [Promise<Object>] the completed upload status ({ id, filename, … })
+export async function uploadInChunks({ file, mediaType, owner, onProgress = () => {} }) {
+  const key = storageKey(owner, file)
+  let upload = null
+
+  const knownId = rememberedId(key)
+  if (knownId) {
+    const { status, body } = await requestJson(`/chunked_uploads/${knownId}`)
+    if (status === 200 && body.byte_size === file.size) upload = body
+    else forget(key)
+  }
+
+  if (!upload) {
+    const { status, body } = await requestJson("/chunked_uploads", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ filename: file.name, content_type: mediaType, byte_size: file.size })
+    })
+    if (status !== 201) throw new Error(body.message || `Upload could not start (${status})`)
+    upload = body
+    remember(key, upload.id)
+  }
+
+  onProgress(upload.received_bytes / file.size)
+  while (upload.status !== "complete") {
+    const offset = upload.received_bytes
+    const slice  = file.slice(offset, offset + upload.chunk_size)
+    const { status, body } = await sendChunkWithRetry(upload.id, offset, slice,
+      (loaded) => onProgress((offset + loaded) / file.size))
+
+    if (status !== 200 && status !== 409) {
+      if (status === 404) forget(key)
+      throw new Error(body.message || `Upload failed (${status})`)
+    }
+    upload = body
+    onProgress(upload.received_bytes / file.size)
+  }
+
+  forget(key)
+  return upload
+}
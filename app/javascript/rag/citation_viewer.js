@@ -0,0 +1,210 @@
+// app/javascript/rag/citation_viewer.js
+//
+// Slide-over viewer for a cited source, opened from an inline [n] or a Sources
+// row. Shows the cited page under the citation's matched_excerpt: an <img> for
+// image documents, the browser's own PDF renderer at `#page=N` for PDFs (plus
+// an "open page" link for mobile browsers that will not render a PDF inline).
+//
+// Where the document lives: the citation's `evidence_url` (the same link
+// evidence cards show) when it has a safe one, else /citation_source
+// (CitationSourcesController → presigned S3 URL, scoped to the account).
+//
+// Singleton panel like image_lightbox_controller: ESC, the backdrop and the
+// browser back button close it.
+
+import { translator } from "rag/i18n"
+
+const PANEL_ID = "citation-viewer"
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp", ".gif"]
+
+function escapeHtml(value = "") {
+  const element = document.createElement("div")
+  element.textContent = String(value)
+  return element.innerHTML
+}
+
+// textContent/innerHTML escaping leaves quotes alone; attribute values need them.
+function escapeAttribute(value = "") {
+  return escapeHtml(value).replace(/"/g, "&quot;")
+}
+
+function safeHttpUrl(value) {
+  if (!value) return null
+
+  try {
+    const url = new URL(value, document.baseURI)
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null
+  } catch (_error) {
+    return null
+  }
+}
+
+function kindFromUrl(url) {
+  const path = new URL(url).pathname.toLowerCase()
+  if (path.endsWith(".pdf")) return "pdf"
+  if (IMAGE_EXTENSIONS.some((extension) => path.endsWith(extension))) return "image"
+  return "link"
+}
+
+function citationPage(citation) {
+  const page = Number(citation.page || citation.metadata?.page_number)
+  return Number.isInteger(page) && page > 0 ? page : null
+}
+
+function pageUrl(url, kind, page) {
+  return kind === "pdf" && page ? `${url.split("#")[0]}#page=${page}` : url
+}
+
+// @return [String] query string for /citation_source, or "" when the
+//   citation names no document this app could have stored.
+export function citationSourceQuery(citation) {
+  const metadata = citation?.metadata || {}
+  const params = new URLSearchParams()
+  if (metadata.document_id) params.set("document_id", metadata.document_id)
+  const sourceUri = metadata.original_source_uri || citation?.location?.s3Location?.uri
+  if (sourceUri) params.set("source_uri", sourceUri)
+  if (!params.toString()) return ""
+
+  const page = citationPage(citation)
+  if (page) params.set("page", page)
+  return params.toString()
+}
+
+// @return [Promise<Object>] { name, page, kind: "image" | "pdf" | "link" | "unavailable", url }
+async function resolveSource(citation) {
+  const page = citationPage(citation)
+  const evidenceUrl = safeHttpUrl(citation.metadata?.evidence_url || citation.evidence_url)
+  if (evidenceUrl) return { page, kind: kindFromUrl(evidenceUrl), url: evidenceUrl }
+
+  const query = citationSourceQuery(citation)
+  if (!query) return { page, kind: "unavailable" }
+
+  try {
+    const response = await fetch(`/citation_source?${query}`, {
+      headers: { "Accept": "application/json" },
+      credentials: "same-origin"
+    })
+    if (!response.ok) return { page, kind: "unavailable" }
+    const source = await response.json()
+    const url = safeHttpUrl(source.url)
+    return url ? { ...source, page: source.page || page, url } : { ...source, page, kind: "unavailable" }
+  } catch (_error) {
+    return { page, kind: "unavailable" }
+  }
+}
+
+function bodyMarkup(source, t) {
+  if (source.kind === "unavailable") {
+    return `<p class="citation-viewer-status">${escapeHtml(t("citation_viewer.unavailable"))}</p>`
+  }
+
+  const href = pageUrl(source.url, source.kind, source.page)
+  const linkText = source.kind === "pdf" && source.page
+    ? t("citation_viewer.open_page", { page: source.page })
+    : t("citation_viewer.open_document")
+  const link = `<a class="citation-viewer-open" href="${escapeAttribute(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(linkText)}</a>`
+  if (source.kind === "image") {
+    return `<img class="citation-viewer-image" src="${escapeAttribute(source.url)}" alt="${escapeAttribute(source.name || "")}">${link}`
+  }
+  if (source.kind === "pdf") {
+    return `<iframe class="citation-viewer-pdf" src="${escapeAttribute(href)}" title="${escapeAttribute(source.name || t("citation_viewer.title"))}"></iframe>${link}`
+  }
+  return link
+}
+
+function ensurePanel() {
+  let panel = document.getElementById(PANEL_ID)
+  if (panel) return panel
+
+  panel = document.createElement("div")
+  panel.id = PANEL_ID
+  panel.className = "citation-viewer hidden"
+  panel.setAttribute("role", "dialog")
+  panel.setAttribute("aria-modal", "true")
+  panel.setAttribute("aria-hidden", "true")
+  panel.innerHTML = `
+    <div class="citation-viewer-backdrop" data-citation-viewer-close></div>
+    <aside class="citation-viewer-sheet">
+      <header class="citation-viewer-header">
+        <div class="citation-viewer-heading">
+          <h2 class="citation-viewer-name" data-citation-viewer-name></h2>
+          <span class="citation-viewer-page" data-citation-viewer-page></span>
+        </div>
+        <button type="button" class="citation-viewer-close" data-citation-viewer-close>
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <line x1="6" y1="6" x2="18" y2="18"/>
+            <line x1="18" y1="6" x2="6" y2="18"/>
+          </svg>
+        </button>
+      </header>
+      <blockquote class="citation-viewer-excerpt" data-citation-viewer-excerpt></blockquote>
+      <div class="citation-viewer-body" data-citation-viewer-body></div>
+    </aside>
+  `
+  document.body.appendChild(panel)
+
+  panel.querySelectorAll("[data-citation-viewer-close]").forEach((element) => {
+    element.addEventListener("click", () => closeCitationViewer())
+  })
+  document.addEventListener("keydown", (event) => {
+    if (!panel.classList.contains("hidden") && event.key === "Escape") {
+      event.preventDefault()
+      closeCitationViewer()
+    }
+  })
+  window.addEventListener("popstate", () => {
+    if (!panel.classList.contains("hidden")) closeCitationViewer({ skipHistory: true })
+  })
+
+  return panel
+}
+
+export function closeCitationViewer({ skipHistory = false } = {}) {
+  const panel = document.getElementById(PANEL_ID)
+  if (!panel || panel.classList.contains("hidden")) return
+
+  panel.classList.add("hidden")
+  panel.setAttribute("aria-hidden", "true")
+  panel.querySelector("[data-citation-viewer-body]").innerHTML = ""
+  panel._requestId = null
+  document.body.style.overflow = ""
+
+  if (!skipHistory && history.state?.citationViewer) history.back()
+  panel._lastFocus?.focus?.()
+  panel._lastFocus = null
+}
+
+// @param citation [Object] one entry of the answer's `citations`
+// @param lang [String] response_locale of the answer the citation belongs to
+export async function openCitationViewer(citation, { lang = "es" } = {}) {
+  const t = translator(lang)
+  const panel = ensurePanel()
+  const requestId = Symbol("citation")
+  const page = citationPage(citation)
+  const excerpt = (citation.matched_excerpt || citation.tooltip_excerpt || "").trim()
+
+  panel._requestId = requestId
+  panel._lastFocus ||= document.activeElement
+  panel.setAttribute("aria-label", t("citation_viewer.title"))
+  panel.querySelector(".citation-viewer-close").setAttribute("aria-label", t("citation_viewer.close"))
+  panel.querySelector("[data-citation-viewer-name]").textContent =
+    (citation.metadata?.canonical_name || citation.title || citation.filename || t("citation_viewer.title")).trim()
+  panel.querySelector("[data-citation-viewer-page]").textContent = page ? t("citation_viewer.page", { page }) : ""
+  const excerptElement = panel.querySelector("[data-citation-viewer-excerpt]")
+  excerptElement.hidden = !excerpt
+  excerptElement.innerHTML = excerpt ? `<mark>${escapeHtml(excerpt)}</mark>` : ""
+  panel.querySelector("[data-citation-viewer-body]").innerHTML =
+    `<p class="citation-viewer-status">${escapeHtml(t("citation_viewer.loading"))}</p>`
+
+  if (panel.classList.contains("hidden")) {
+    panel.classList.remove("hidden")
+    panel.setAttribute("aria-hidden", "false")
+    document.body.style.overflow = "hidden"
+    if (!history.state?.citationViewer) history.pushState({ citationViewer: true }, "")
+  }
+  panel.querySelector(".citation-viewer-close").focus()
+
+  const source = await resolveSource(citation)
+  if (panel._requestId !== requestId) return // closed or another citation opened meanwhile
+  panel.querySelector("[data-citation-viewer-body]").innerHTML = bodyMarkup(source, t)
+}
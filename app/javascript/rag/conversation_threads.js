@@ -0,0 +1,64 @@
+// app/javascript/rag/conversation_threads.js
+//
+// Rows of the chat's thread switcher (home/_conversation_thread_menu). Each
+// thread is a ConversationSession with its own history and pins, listed by
+// GET /conversation_threads as ConversationSession#as_thread_json. The current
+// thread comes first; archived ones follow under their own heading and reopen
+// (and come back) when picked. rag_chat_controller owns the requests and the
+// transcript swap; this module only renders.
+
+import { translator } from "rag/i18n"
+
+function escapeHtml(value = "") {
+  const element = document.createElement("div")
+  element.textContent = String(value)
+  return element.innerHTML
+}
+
+// @return [String] the technician's name for the thread, its first question,
+//   or the "untitled" copy for a thread nothing was asked in yet
+export function threadLabel(thread, lang = "es") {
+  return thread?.label || translator(lang)("conversation_threads.untitled")
+}
+
+function threadDate(thread, lang) {
+  const date = new Date(thread.updated_at)
+  if (Number.isNaN(date.getTime())) return ""
+  return date.toLocaleString(lang, { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })
+}
+
+function threadRow(thread, lang, t) {
+  const pins = thread.pinned_document_ids?.length || 0
+  const meta = [ threadDate(thread, lang), pins ? t("conversation_threads.pins", { count: pins }) : "" ]
+    .filter(Boolean).join(" · ")
+  const archiveKey = thread.archived ? "restore" : "archive"
+
+  return `<li class="conversation-thread" data-thread-id="${thread.id}" data-current="${Boolean(thread.current)}">` +
+    `<button type="button" class="conversation-thread-open" aria-current="${thread.current ? "true" : "false"}" ` +
+      `data-thread-id="${thread.id}" data-action="click->rag-chat#switchThread">` +
+      `<span class="conversation-thread-label">${escapeHtml(threadLabel(thread, lang))}</span>` +
+      `<span class="conversation-thread-meta">${escapeHtml(meta)}</span>` +
+    `</button>` +
+    `<button type="button" class="conversation-thread-archive" data-thread-id="${thread.id}" ` +
+      `data-archived="${Boolean(thread.archived)}" data-action="click->rag-chat#archiveThread">` +
+      `${escapeHtml(t(`conversation_threads.${archiveKey}`))}` +
+    `</button>` +
+  `</li>`
+}
+
+// @param threads [Array<Object>] as_thread_json rows, current first
+// @return [String]
+export function renderThreadList(threads = [], lang = "es") {
+  const t = translator(lang)
+  const open = threads.filter((thread) => !thread.archived)
+  const archived = threads.filter((thread) => thread.archived)
+
+  const others = open.filter((thread) => !thread.current)
+  let html = `<ul class="conversation-thread-list">${open.map((thread) => threadRow(thread, lang, t)).join("")}</ul>`
+  if (!others.length) html += `<p class="conversation-thread-empty">${escapeHtml(t("conversation_threads.empty"))}</p>`
+  if (archived.length) {
+    html += `<p class="conversation-thread-heading">${escapeHtml(t("conversation_threads.archived"))}</p>` +
+      `<ul class="conversation-thread-list">${archived.map((thread) => threadRow(thread, lang, t)).join("")}</ul>`
+  }
+  return html
+}
@@ -1,5 +1,7 @@
 const VISIBLE_CARD_LIMIT = 3
 const SUPPORTED_MODES = new Set(["direct", "ambiguous", "insufficient", "not_applicable"])
+// Columns side by side in the compare view; also how many cards can be picked.
+export const COMPARE_LIMIT = 3
 
 function escapeHtml(value = "") {
   const element = document.createElement("div")
@@ -7,6 +9,10 @@ function escapeHtml(value = "") {
   return element.innerHTML
 }
 
+function escapeAttribute(value = "") {
+  return escapeHtml(value).replace(/"/g, "&quot;")
+}
+
 function safeEvidenceUrl(value) {
   if (!value) return null
 
@@ -18,7 +24,7 @@ function safeEvidenceUrl(value) {
   }
 }
 
-function cardMarkup(card, { selectable, copy }) {
+function cardMarkup(card, { selectable, comparable, copy }) {
   const breadcrumb = Array.isArray(card.breadcrumb) ? card.breadcrumb.filter(Boolean) : []
   const breadcrumbHtml = breadcrumb.length
     ? `<nav class="rag-evidence-breadcrumb" aria-label="${escapeHtml(copy.breadcrumb_label)}">${breadcrumb.map(escapeHtml).join("<span aria-hidden=\"true\">›</span>")}</nav>`
@@ -33,9 +39,13 @@ function cardMarkup(card, { selectable, copy }) {
   const selectAction = selectable && card.select_query
     ? `<button type="button" class="rag-evidence-primary-action" data-action="click->rag-chat#sendQuickReply" data-query="${escapeHtml(card.select_query)}">${escapeHtml(copy.use_board)}</button>`
     : ""
+  const comparePick = comparable && card.select_query
+    ? `<label class="rag-evidence-compare-pick"><input type="checkbox" value="${escapeAttribute(card.id)}" data-action="change->rag-chat#pickEvidenceCandidate"> ${escapeHtml(copy.compare_pick)}</label>`
+    : ""
 
   return `
     <article class="rag-evidence-card" data-evidence-card-id="${escapeHtml(card.id)}">
+      ${comparePick}
       <h3 class="rag-evidence-card-label">${escapeHtml(card.label)}</h3>
       ${breadcrumbHtml}
       <blockquote class="rag-evidence-excerpt">${escapeHtml(card.excerpt)}</blockquote>
@@ -93,17 +103,128 @@ export function renderEvidenceResolution(resolution, copy = {}) {
   const remainingCards = cards.slice(VISIBLE_CARD_LIMIT)
   const remaining = remainingCards.length
   const moreLabel = String(copy.show_more_contexts || "").replace("%{count}", remaining)
+  const comparable = cards.filter((card) => card.select_query).length >= 2
+  const options = { selectable: true, comparable, copy }
 
   return `
     <section class="rag-evidence-resolution" aria-label="${escapeHtml(copy.cards_label)}">
       <p class="rag-resolution-prompt">${escapeHtml(copy.ambiguous)}</p>
-      <div class="rag-evidence-card-list">${cardsMarkup(visibleCards, { selectable: true, copy })}</div>
+      <div class="rag-evidence-card-list">${cardsMarkup(visibleCards, options)}</div>
       ${remaining ? `
         <details class="rag-evidence-more">
           <summary>${escapeHtml(moreLabel)}</summary>
-          <div class="rag-evidence-card-list">${cardsMarkup(remainingCards, { selectable: true, copy })}</div>
+          <div class="rag-evidence-card-list">${cardsMarkup(remainingCards, options)}</div>
         </details>
       ` : ""}
+      ${comparable ? `
+        <div class="rag-evidence-compare-bar">
+          <button type="button" class="rag-evidence-secondary-action" data-compare-action="compare" data-action="click->rag-chat#compareEvidence" disabled>${escapeHtml(copy.compare)}</button>
+          <button type="button" class="rag-evidence-secondary-action" data-compare-action="ask" data-action="click->rag-chat#askEvidenceCandidates" disabled>${escapeHtml(copy.ask_selected)}</button>
+        </div>
+        <div class="rag-evidence-compare" hidden></div>
+      ` : ""}
     </section>
   `
 }
+
+// ── Compare view ───────────────────────────────────────────────────────────
+// The technician ticks two or three ambiguous cards; rag_chat_controller
+// keeps the answer's resolution and renders the picked cards side by side
+// into the section's .rag-evidence-compare slot, or sends each card's
+// select_query in turn ("ask the same question on each board").
+
+function normalizeLine(text) {
+  return String(text).toLowerCase().replace(/\s+/g, " ").trim()
+}
+
+// @param lists [Array<Array<String>>] one list of lines per compared card
+// @return [Array<Array<{ text, differs }>>] a line differs when at least one
+//   other card lacks it, which is what tells two boards apart
+export function markDifferences(lists) {
+  const sets = lists.map((lines) => new Set(lines.map(normalizeLine)))
+  return lists.map((lines, index) => lines.map((text) => ({
+    text,
+    differs: sets.some((set, other) => other !== index && !set.has(normalizeLine(text)))
+  })))
+}
+
+function excerptLines(excerpt) {
+  return String(excerpt || "").split(/\n+/).map((line) => line.trim()).filter(Boolean)
+}
+
+function linesMarkup(lines, className, separator = "") {
+  return lines.map(({ text, differs }) => differs
+    ? `<mark class="${className} rag-compare-differs">${escapeHtml(text)}</mark>`
+    : `<span class="${className}">${escapeHtml(text)}</span>`).join(separator)
+}
+
+// Image documents carry a thumbnail_url. PDFs have no page images, and
+// embedding one would download the whole manual per column, so a PDF page is
+// a link-only placeholder that opens evidence_url at the page.
+function pagePreviewMarkup(card, copy) {
+  const page = Number.isInteger(card.page) && card.page > 0 ? card.page : null
+  const alt = String(copy.page_preview || "").replace("%{page}", page || "").replace("%{label}", card.label)
+  const thumbnailUrl = safeEvidenceUrl(card.thumbnail_url)
+  if (thumbnailUrl) {
+    return `<img class="rag-evidence-compare-thumb" src="${escapeAttribute(thumbnailUrl)}" alt="${escapeAttribute(alt)}" loading="lazy">`
+  }
+
+  const evidenceUrl = safeEvidenceUrl(card.evidence_url)
+  if (!evidenceUrl || !new URL(evidenceUrl).pathname.toLowerCase().endsWith(".pdf")) return ""
+
+  const pageUrl = page ? `${evidenceUrl.split("#")[0]}#page=${page}` : evidenceUrl
+  return `<a class="rag-evidence-compare-thumb rag-evidence-compare-placeholder" href="${escapeAttribute(pageUrl)}" target="_blank" rel="noopener noreferrer" aria-label="${escapeAttribute(alt)}">` +
+    `${escapeHtml(copy.view_document)}` +
+  `</a>`
+}
+
+// @param cards [Array<Object>] resolution evidence_cards, in the order picked
+// @return [String] one column per card
+export function renderEvidenceComparison(cards, copy = {}) {
+  const compared = cards.slice(0, COMPARE_LIMIT)
+  const breadcrumbs = markDifferences(compared.map((card) => (Array.isArray(card.breadcrumb) ? card.breadcrumb.filter(Boolean) : [])))
+  const excerpts = markDifferences(compared.map((card) => excerptLines(card.excerpt)))
+
+  const columns = compared.map((card, index) => {
+    const page = Number.isInteger(card.page) && card.page > 0
+      ? `<span class="rag-evidence-page">${escapeHtml(copy.page)} ${card.page}</span>`
+      : ""
+    const selectAction = card.select_query
+      ? `<button type="button" class="rag-evidence-primary-action" data-action="click->rag-chat#sendQuickReply" data-query="${escapeAttribute(card.select_query)}">${escapeHtml(copy.use_board)}</button>`
+      : ""
+
+    return `
+      <article class="rag-evidence-compare-column" data-evidence-card-id="${escapeAttribute(card.id)}">
+        <h3 class="rag-evidence-card-label">${escapeHtml(card.label)}</h3>
+        ${breadcrumbs[index].length ? `<nav class="rag-evidence-breadcrumb" aria-label="${escapeAttribute(copy.breadcrumb_label)}">${linesMarkup(breadcrumbs[index], "rag-compare-crumb", "<span aria-hidden=\"true\">›</span>")}</nav>` : ""}
+        ${pagePreviewMarkup(card, copy)}
+        <blockquote class="rag-evidence-excerpt">${linesMarkup(excerpts[index], "rag-compare-line")}</blockquote>
+        <div class="rag-evidence-actions">${page}${selectAction}</div>
+      </article>
+    `
+  }).join("")
+
+  return `
+    <div class="rag-evidence-compare-head">
+      <p class="rag-resolution-prompt">${escapeHtml(copy.compare_label)}</p>
+      <button type="button" class="rag-evidence-secondary-action" data-action="click->rag-chat#closeEvidenceComparison">${escapeHtml(copy.close_compare)}</button>
+    </div>
+    <div class="rag-evidence-compare-grid" role="group" aria-label="${escapeAttribute(copy.compare_label)}" style="--compare-columns:${compared.length}">${columns}</div>
+  `
+}
+
+// @return [Array<String>] card ids ticked in an ambiguous section, in card order
+export function pickedEvidenceCardIds(section) {
+  return [ ...section.querySelectorAll(".rag-evidence-compare-pick input:checked") ].map((input) => input.value)
+}
+
+// Caps the picks at COMPARE_LIMIT and enables the bar's buttons at two or more.
+export function syncEvidencePicks(section) {
+  const count = pickedEvidenceCardIds(section).length
+  section.querySelectorAll(".rag-evidence-compare-pick input").forEach((input) => {
+    input.disabled = !input.checked && count >= COMPARE_LIMIT
+  })
+  section.querySelectorAll("[data-compare-action]").forEach((button) => {
+    button.disabled = count < 2
+  })
+}
@@ -0,0 +1,79 @@
+// app/javascript/rag/i18n.js
+//
+// Browser side of Rails i18n. Strings live in config/locales/js.*.yml and are
+// compiled into rag/translations by `bin/rails i18n:js`; this module only looks
+// them up. Keys are relative to the `js:` namespace ("chat.outbox.pending").
+//
+// Same conventions as the Rails side, so one yml serves both readers:
+//   - `%{name}` placeholders are filled from the options object;
+//   - a key whose value is { one, other } (optionally zero, few, many) is
+//     pluralized when `count` is passed, using the locale's Intl plural rules;
+//   - a key missing from the locale falls back to DEFAULT_LOCALE, then to the
+//     key itself so a gap shows up on screen instead of as "undefined".
+//
+// Callers always pass the locale they mean (rag_chat's localeValue, an answer's
+// response_locale) — never document.documentElement.lang implicitly: the chat
+// chrome follows the answer language, not the auth-time switcher.
+
+import { DEFAULT_LOCALE, TRANSLATIONS } from "rag/translations"
+
+const PLURAL_RULES = new Map()
+
+// @return [Array<String>] locales with a compiled table, default first
+export function availableLocales() {
+  return Object.keys(TRANSLATIONS)
+}
+
+export function hasLocale(lang) {
+  return Object.prototype.hasOwnProperty.call(TRANSLATIONS, String(lang || "").toLowerCase())
+}
+
+// "en-US" → "en", "pt-BR" → "pt"; anything without a table → DEFAULT_LOCALE.
+export function localeFor(lang) {
+  const normalized = String(lang || "").toLowerCase()
+  if (hasLocale(normalized)) return normalized
+
+  const base = normalized.split(/[-_]/)[0]
+  return hasLocale(base) ? base : DEFAULT_LOCALE
+}
+
+function lookup(locale, key) {
+  return key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), TRANSLATIONS[locale])
+}
+
+function pluralCategory(locale, count) {
+  if (!PLURAL_RULES.has(locale)) PLURAL_RULES.set(locale, new Intl.PluralRules(locale))
+  return PLURAL_RULES.get(locale).select(count)
+}
+
+function pluralize(entry, locale, count) {
+  if (count === 0 && entry.zero != null) return entry.zero
+  return entry[pluralCategory(locale, count)] ?? entry.other
+}
+
+function interpolate(text, vars) {
+  return text.replace(/%\{(\w+)\}/g, (match, name) => (vars[name] == null ? match : String(vars[name])))
+}
+
+// @param key [String] dotted path under `js:`
+// @param options [Object] { locale, count, ...placeholders }
+// @return [String]
+export function t(key, { locale, ...vars } = {}) {
+  const lang = localeFor(locale)
+  let entry = lookup(lang, key)
+  if (entry == null && lang !== DEFAULT_LOCALE) entry = lookup(DEFAULT_LOCALE, key)
+  if (entry == null) return key
+
+  if (typeof entry === "object") {
+    if (vars.count == null) return key
+    entry = pluralize(entry, lang, Number(vars.count))
+  }
+  return interpolate(String(entry), vars)
+}
+
+// @return [Function] (key, vars) => String bound to `lang`, for modules that
+//   render several strings in one language.
+export function translator(lang) {
+  const locale = localeFor(lang)
+  return (key, vars = {}) => t(key, { ...vars, locale })
+}
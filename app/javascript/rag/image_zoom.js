@@ -0,0 +1,159 @@
+// app/javascript/rag/image_zoom.js
+//
+// Pinch, double-tap and wheel zoom plus drag-to-pan for the image lightbox
+// (controllers/image_lightbox_controller.js). Pointer Events only, so touch,
+// pen and mouse share one path; the stage needs `touch-action: none`.
+//
+// The image is centred in the stage and moved with a CSS transform
+// (translate, then scale around its centre). Panning is clamped so a zoomed
+// image never leaves an empty band larger than the stage allows.
+//
+// At 1× a one-finger drag is not a pan: it is reported through `onSwipe` as
+// "next" / "previous" (sideways) or "down", for gallery navigation and
+// swipe-down to dismiss.
+
+export const MAX_SCALE = 5
+export const DOUBLE_TAP_SCALE = 2.5
+
+const DOUBLE_TAP_MS = 300
+const TAP_SLOP_PX = 24
+const SWIPE_PX = 60
+const SWIPE_DISMISS_PX = 80
+const WHEEL_STEP = 0.002
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y)
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+}
+
+// @return [Object] { reset(), zoomBy(factor), scale } — `scale` is a getter
+export function createImageZoom(stage, image, { onSwipe = () => {} } = {}) {
+  let scale = 1
+  let x = 0
+  let y = 0
+  let gesture = null
+  let lastTap = null
+  const pointers = new Map()
+
+  function clamp() {
+    scale = Math.min(MAX_SCALE, Math.max(1, scale))
+    const maxX = Math.max(0, (image.offsetWidth * scale - stage.clientWidth) / 2)
+    const maxY = Math.max(0, (image.offsetHeight * scale - stage.clientHeight) / 2)
+    x = Math.min(maxX, Math.max(-maxX, x))
+    y = Math.min(maxY, Math.max(-maxY, y))
+  }
+
+  function apply() {
+    clamp()
+    image.style.transform = scale === 1 ? "" : `translate(${x}px, ${y}px) scale(${scale})`
+    stage.dataset.zoomed = String(scale > 1)
+  }
+
+  // Keeps the screen point (clientX, clientY) still while the scale changes.
+  function zoomAt(nextScale, clientX, clientY) {
+    const rect = stage.getBoundingClientRect()
+    const offsetX = clientX - (rect.left + rect.width / 2)
+    const offsetY = clientY - (rect.top + rect.height / 2)
+    const target = Math.min(MAX_SCALE, Math.max(1, nextScale))
+    x = offsetX - (target / scale) * (offsetX - x)
+    y = offsetY - (target / scale) * (offsetY - y)
+    scale = target
+    if (scale === 1) x = y = 0
+    apply()
+  }
+
+  function startGesture({ afterPinch = false } = {}) {
+    const points = [ ...pointers.values() ]
+    if (points.length >= 2) {
+      return { type: "pinch", distance: distance(points[0], points[1]) || 1, mid: midpoint(points[0], points[1]), scale, x, y }
+    }
+    return { type: "drag", start: points[0], x, y, startScale: scale, afterPinch }
+  }
+
+  function handleTap(point) {
+    const now = Date.now()
+    if (lastTap && now - lastTap.time < DOUBLE_TAP_MS && distance(lastTap, point) < TAP_SLOP_PX) {
+      lastTap = null
+      if (scale > 1) reset()
+      else zoomAt(DOUBLE_TAP_SCALE, point.x, point.y)
+      return
+    }
+    lastTap = { time: now, x: point.x, y: point.y }
+  }
+
+  function handleSwipe(dx, dy) {
+    if (Math.abs(dx) > SWIPE_PX && Math.abs(dx) > Math.abs(dy)) onSwipe(dx < 0 ? "next" : "previous")
+    else if (dy > SWIPE_DISMISS_PX && dy > Math.abs(dx)) onSwipe("down")
+  }
+
+  stage.addEventListener("pointerdown", (event) => {
+    if (event.target.closest("button")) return
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY })
+    try { stage.setPointerCapture(event.pointerId) } catch (_error) { /* synthetic pointer */ }
+    gesture = startGesture()
+  })
+
+  stage.addEventListener("pointermove", (event) => {
+    if (!pointers.has(event.pointerId) || !gesture) return
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY })
+    const points = [ ...pointers.values() ]
+
+    if (gesture.type === "pinch" && points.length >= 2) {
+      const mid = midpoint(points[0], points[1])
+      scale = gesture.scale
+      x = gesture.x + (mid.x - gesture.mid.x)
+      y = gesture.y + (mid.y - gesture.mid.y)
+      zoomAt(gesture.scale * (distance(points[0], points[1]) / gesture.distance), mid.x, mid.y)
+    } else if (gesture.type === "drag" && scale > 1) {
+      x = gesture.x + (points[0].x - gesture.start.x)
+      y = gesture.y + (points[0].y - gesture.start.y)
+      apply()
+    }
+  })
+
+  const release = (event) => {
+    const point = pointers.get(event.pointerId)
+    if (!point) return
+    pointers.delete(event.pointerId)
+    const finished = gesture
+    if (pointers.size) {
+      gesture = startGesture({ afterPinch: true })
+      return
+    }
+    gesture = null
+    if (event.type === "pointercancel" || finished?.type !== "drag") return
+
+    const dx = point.x - finished.start.x
+    const dy = point.y - finished.start.y
+    if (finished.startScale === 1 && !finished.afterPinch) handleSwipe(dx, dy)
+    if (Math.hypot(dx, dy) < TAP_SLOP_PX) handleTap(point)
+  }
+  stage.addEventListener("pointerup", release)
+  stage.addEventListener("pointercancel", release)
+
+  stage.addEventListener("wheel", (event) => {
+    event.preventDefault()
+    zoomAt(scale * Math.exp(-event.deltaY * WHEEL_STEP), event.clientX, event.clientY)
+  }, { passive: false })
+
+  function reset() {
+    scale = 1
+    x = y = 0
+    lastTap = null
+    apply()
+  }
+
+  function zoomBy(factor) {
+    const rect = stage.getBoundingClientRect()
+    zoomAt(scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2)
+  }
+
+  return {
+    reset,
+    zoomBy,
+    get scale() { return scale }
+  }
+}
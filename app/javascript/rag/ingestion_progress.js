@@ -0,0 +1,85 @@
+// app/javascript/rag/ingestion_progress.js
+//
+// KbSync `progress` events (KbSyncBroadcaster.progress) drawn as a stepper in
+// the indexing bubble and as a one-line label in the upload queue. Each event
+// names the stage a file is in and, when the stage counts them, pages done out
+// of total, an estimate of the time left and how many times it was retried.
+// The controller decides which bubble or queue item an event belongs to; this
+// module only renders it.
+
+import { translator } from "rag/i18n"
+
+// Same order as KbSyncBroadcaster::PROGRESS_STAGES.
+export const INGESTION_STAGES = Object.freeze([ "uploading", "splitting", "batch", "parsing", "embedding" ])
+
+function escapeHtml(value = "") {
+  const element = document.createElement("div")
+  element.textContent = String(value)
+  return element.innerHTML
+}
+
+function stageName(data, t) {
+  if (data.stage === "embedding" && data.processing_scope === "urgent_pages") {
+    return t("ingestion_progress.stages.embedding_urgent")
+  }
+  return t(`ingestion_progress.stages.${data.stage}`)
+}
+
+function hasPageCount(data) {
+  return Number(data.pages_total) > 0 && data.pages_done != null
+}
+
+// @return [String, null] "≈ 12 min left"; null without an estimate
+export function formatEta(seconds, lang = "es") {
+  const value = Number(seconds)
+  if (!Number.isFinite(value) || value <= 0) return null
+
+  const t = translator(lang)
+  if (value < 60) return t("ingestion_progress.eta.soon")
+
+  const minutes = Math.round(value / 60)
+  if (minutes < 60) return t("ingestion_progress.eta.minutes", { count: minutes })
+  return t("ingestion_progress.eta.hours", { hours: Math.floor(minutes / 60), minutes: minutes % 60 })
+}
+
+// @return [String] "Leyendo páginas · 40/200", for the upload queue
+export function ingestionProgressLabel(data, lang = "es") {
+  const t = translator(lang)
+  const name = stageName(data, t)
+  return hasPageCount(data) ? `${name} · ${data.pages_done}/${data.pages_total}` : name
+}
+
+// @param data [Object] a KbSync event with status "progress"
+// @return [String]
+export function renderIngestionProgress(data, lang = "es") {
+  const t = translator(lang)
+  const current = Math.max(INGESTION_STAGES.indexOf(data.stage), 0)
+
+  const steps = INGESTION_STAGES.map((stage, index) => {
+    const step = index < current ? "done" : index === current ? "current" : "pending"
+    return `<li class="ingestion-progress-step" data-step="${step}"${step === "current" ? ` aria-current="step"` : ""}>` +
+      `${escapeHtml(t(`ingestion_progress.stages.${stage}`))}</li>`
+  }).join("")
+
+  let pages = ""
+  if (hasPageCount(data)) {
+    const percent = Math.min(100, Math.round((Number(data.pages_done) / Number(data.pages_total)) * 100))
+    pages =
+      `<div class="chat-upload-progress-track" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">` +
+      `<div class="chat-upload-progress-bar" style="width:${percent}%"></div></div>` +
+      `<span class="chat-upload-progress-label">${escapeHtml(t("ingestion_progress.pages", { done: data.pages_done, total: data.pages_total }))}</span>`
+  }
+
+  const retries = Number(data.retries) || 0
+  const meta = [ formatEta(data.eta_seconds, lang), retries ? t("ingestion_progress.retries", { count: retries }) : null ]
+    .filter(Boolean).join(" · ")
+
+  return `<div class="ingestion-progress" role="status" aria-live="polite">` +
+    `<span class="ingestion-progress-stage">` +
+      `${escapeHtml(t("ingestion_progress.step", { current: current + 1, total: INGESTION_STAGES.length }))} — ` +
+      `${escapeHtml(stageName(data, t))}</span>` +
+    `<ol class="ingestion-progress-steps">${steps}</ol>` +
+    pages +
+    (meta ? `<span class="ingestion-progress-meta">${escapeHtml(meta)}</span>` : "") +
+  `</div>`
+}
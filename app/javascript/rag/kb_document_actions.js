@@ -0,0 +1,40 @@
+// app/javascript/rag/kb_document_actions.js
+//
+// Actions on a Base de Conocimiento card (home/_kb_docs_card_rows) and on an
+// indexed bubble that reports failed pages:
+//
+//   reprocess   POST   /kb_documents/:id/reprocess  only the pages that failed
+//   reingest    POST   /kb_documents/:id/reingest   the whole manual again
+//   remove      DELETE /kb_documents/:id
+//
+// Each request answers with a correlation id that later KbSync events carry.
+// rag_chat_controller keeps one chat bubble per id and moves it along with
+// kbActionStep; this module only knows the routes and what an event means.
+
+export const KB_DOCUMENT_ACTIONS = Object.freeze({
+  reprocess: { method: "POST",   path: "/reprocess" },
+  reingest:  { method: "POST",   path: "/reingest" },
+  remove:    { method: "DELETE", path: "" }
+})
+
+// @return [String]
+export function kbActionUrl(action, documentId) {
+  return `/kb_documents/${encodeURIComponent(documentId)}${KB_DOCUMENT_ACTIONS[action].path}`
+}
+
+// @return [String, null] "progress" while the work runs, "indexed", "removed"
+//   or "failed" when it ends, null for an event that does not change the
+//   bubble (a retry notice, the urgent pages of a manual)
+export function kbActionStep(data) {
+  switch (data?.status) {
+    case "reprocessing":
+      return "progress"
+    case "indexed":
+      return data.processing_scope === "urgent_pages" ? null : "indexed"
+    case "removed":
+    case "failed":
+      return data.status
+    default:
+      return null
+  }
+}
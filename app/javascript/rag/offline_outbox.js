@@ -0,0 +1,125 @@
+// app/javascript/rag/offline_outbox.js
+//
+// Durable outbox for chat questions asked without signal (machine rooms,
+// elevator shafts). Entries live in IndexedDB so a reload or a dead battery
+// does not lose them; rag_chat_controller replays them in insertion order
+// against /rag/ask once the browser reports connectivity again.
+//
+// Entry shape (structured-clone):
+//   { id, owner, question, file, previewSrc, requestId, state, createdAt }
+// `file` is the same object sendMessage builds for ask(): { data, … } for
+// images, { file: File, … } for documents so the replay can resume the chunked
+// upload (rag/chunked_upload). Browsers that refuse Blobs in IndexedDB reject
+// the enqueue and the chat shows its generic error. `previewSrc` is the image
+// thumb data URL used to redraw the user bubble after a reload. `owner` scopes
+// entries to the signed-in user so a shared crew tablet never replays someone
+// else's queue. `requestId` goes to /rag/ask as client_request_id: the server
+// answers a question it has already seen with the stored answer, so a replay
+// whose response was lost is not answered (and billed) twice.
+//
+// The store is shared by every tab of the origin; withOutboxLock keeps two
+// tabs that both see `online` from replaying the same entry.
+
+const DB_NAME    = "rag-chat-outbox"
+const DB_VERSION = 1
+const STORE      = "questions"
+
+export const OUTBOX_STATES = Object.freeze({
+  pending:  "pending",
+  sending:  "sending",
+  answered: "answered",
+  failed:   "failed"
+})
+
+let dbPromise = null
+
+function openDb() {
+  if (dbPromise) return dbPromise
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB unavailable"))
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true })
+      store.createIndex("owner", "owner", { unique: false })
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      dbPromise = null
+      reject(request.error)
+    }
+  })
+  return dbPromise
+}
+
+function run(mode, work) {
+  return openDb().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const result = work(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(result?.result ?? result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  }))
+}
+
+// @return [String] a fresh client_request_id for one question
+export function newRequestId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+}
+
+// Runs `work` only in the tab holding this owner's outbox lock; other tabs
+// skip it (their `online` handler finds the queue already being replayed).
+// Browsers without the Web Locks API run it directly.
+// @return [Promise<Boolean>] false when another tab holds the lock
+export function withOutboxLock(owner, work) {
+  if (typeof navigator === "undefined" || !navigator.locks?.request) return work().then(() => true)
+
+  return navigator.locks.request(`${DB_NAME}:${owner || ""}`, { ifAvailable: true }, async (lock) => {
+    if (!lock) return false
+    await work()
+    return true
+  })
+}
+
+// @return [Promise<Number>] auto-incremented id; ids are monotonic, so they
+//   double as the replay order.
+export function enqueueQuestion({ owner, question, file = null, previewSrc = null, requestId = newRequestId() }) {
+  return run("readwrite", (store) => store.add({
+    owner: String(owner || ""),
+    question: question || "",
+    file,
+    previewSrc,
+    requestId,
+    state: OUTBOX_STATES.pending,
+    createdAt: new Date().toISOString()
+  }))
+}
+
+// @return [Promise<Array<Object>>] this owner's entries, oldest first.
+export function queuedQuestions(owner) {
+  return run("readonly", (store) => store.index("owner").getAll(String(owner || "")))
+    .then((entries) => (entries || []).sort((a, b) => a.id - b.id))
+}
+
+export function updateQuestion(id, patch) {
+  return run("readwrite", (store) => {
+    const request = store.get(id)
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...patch, id })
+    }
+    return request
+  })
+}
+
+export function removeQuestion(id) {
+  return run("readwrite", (store) => store.delete(id))
+}
+
+// fetch() rejects with a TypeError only when the request never got an HTTP
+// response (DNS, dropped socket, airplane mode). Server errors resolve with
+// !response.ok and must keep surfacing as errors, not be silently queued.
+export function isNetworkFailure(error) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return true
+  return error instanceof TypeError
+}
@@ -0,0 +1,340 @@
+// app/javascript/rag/photo_markup.js
+//
+// Markup step for a staged field photo: the technician circles a component,
+// points at it with an arrow, labels a mark and/or crops, so the diagnosis
+// looks at the part they mean on a crowded board.
+//
+// openPhotoMarkup resolves with the flattened JPEG (marks drawn in) plus the
+// marks as `annotations` — FieldPhotoAnnotations regions in fractions of the
+// cropped image, which /rag/ask forwards to FieldPhotoAnalysisService — and
+// the editor `state` so reopening starts from the unmarked photo with the
+// same marks. Cancel resolves null and leaves the staged photo alone.
+//
+// Marks are kept in fractions of the *uncropped* source while editing; crop is
+// applied only when flattening.
+
+import { translator } from "rag/i18n"
+
+const PANEL_ID = "photo-markup"
+const MARK_COLOR = "#ef4444"
+const MIN_DRAG_PX = 8
+const MIN_CROP = 0.05 // fraction of the photo; smaller drags are slips, not crops
+const JPEG_QUALITY = 0.85
+const MAX_LABEL_LENGTH = 60
+
+function escapeHtml(value = "") {
+  const element = document.createElement("div")
+  element.textContent = String(value)
+  return element.innerHTML
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value))
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000
+}
+
+const FULL_FRAME = Object.freeze({ x: 0, y: 0, width: 1, height: 1 })
+
+// @param marks [Array<Object>] editor marks, fractions of the uncropped photo
+// @param crop [Object, null] { x, y, width, height } fractions of the uncropped photo
+// @return [Array<Object>] FieldPhotoAnnotations regions relative to the crop;
+//   marks that fall outside the crop are dropped.
+export function regionsForCrop(marks, crop = null) {
+  const frame = crop || FULL_FRAME
+  const toX = (x) => (x - frame.x) / frame.width
+  const toY = (y) => (y - frame.y) / frame.height
+
+  return marks.filter((mark) => {
+    if (mark.shape === "arrow") {
+      const tipX = toX(mark.x)
+      const tipY = toY(mark.y)
+      return tipX >= 0 && tipX <= 1 && tipY >= 0 && tipY <= 1
+    }
+    return toX(mark.x + mark.width) > 0 && toX(mark.x) < 1 && toY(mark.y + mark.height) > 0 && toY(mark.y) < 1
+  }).map((mark) => {
+    const region = mark.shape === "arrow"
+      ? { shape: "arrow", x: toX(mark.x), y: toY(mark.y), from_x: clamp01(toX(mark.from_x)), from_y: clamp01(toY(mark.from_y)) }
+      : circleRegion(mark, toX, toY)
+    Object.keys(region).forEach((key) => { if (key !== "shape") region[key] = round3(region[key]) })
+    const label = String(mark.label || "").trim().slice(0, MAX_LABEL_LENGTH)
+    if (label) region.label = label
+    return region
+  })
+}
+
+// The part of a circle's bounding box inside the crop.
+function circleRegion(mark, toX, toY) {
+  const left = clamp01(toX(mark.x))
+  const top = clamp01(toY(mark.y))
+  return {
+    shape:  "circle",
+    x:      left,
+    y:      top,
+    width:  clamp01(toX(mark.x + mark.width)) - left,
+    height: clamp01(toY(mark.y + mark.height)) - top
+  }
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    image.onload = () => resolve(image)
+    image.onerror = reject
+    image.src = src
+  })
+}
+
+// Draws the marks onto `context`, whose full area shows `frame` of the photo.
+function drawMarks(context, marks, frame, width, height) {
+  const scale = Math.max(1, Math.min(width, height) / 400)
+  const px = (x) => ((x - frame.x) / frame.width) * width
+  const py = (y) => ((y - frame.y) / frame.height) * height
+
+  context.save()
+  context.strokeStyle = MARK_COLOR
+  context.fillStyle = MARK_COLOR
+  context.lineWidth = 3 * scale
+  context.lineCap = "round"
+  context.font = `bold ${Math.round(14 * scale)}px system-ui, sans-serif`
+  context.textBaseline = "bottom"
+
+  marks.forEach((mark) => {
+    let labelX
+    let labelY
+    if (mark.shape === "arrow") {
+      const [fromX, fromY, toX, toY] = [ px(mark.from_x), py(mark.from_y), px(mark.x), py(mark.y) ]
+      const angle = Math.atan2(toY - fromY, toX - fromX)
+      const head = 14 * scale
+      context.beginPath()
+      context.moveTo(fromX, fromY)
+      context.lineTo(toX, toY)
+      context.moveTo(toX, toY)
+      context.lineTo(toX - head * Math.cos(angle - Math.PI / 7), toY - head * Math.sin(angle - Math.PI / 7))
+      context.moveTo(toX, toY)
+      context.lineTo(toX - head * Math.cos(angle + Math.PI / 7), toY - head * Math.sin(angle + Math.PI / 7))
+      context.stroke()
+      labelX = fromX
+      labelY = fromY - 4 * scale
+    } else {
+      const left = px(mark.x)
+      const top = py(mark.y)
+      const radiusX = ((mark.width / frame.width) * width) / 2
+      const radiusY = ((mark.height / frame.height) * height) / 2
+      context.beginPath()
+      context.ellipse(left + radiusX, top + radiusY, radiusX, radiusY, 0, 0, Math.PI * 2)
+      context.stroke()
+      labelX = left
+      labelY = top - 4 * scale
+    }
+
+    const label = String(mark.label || "").trim()
+    if (!label) return
+    const textWidth = context.measureText(label).width
+    const textHeight = 18 * scale
+    const boxX = Math.min(Math.max(0, labelX), Math.max(0, width - textWidth - 8 * scale))
+    const boxY = Math.min(Math.max(textHeight, labelY), height)
+    context.fillStyle = "rgba(255, 255, 255, 0.9)"
+    context.fillRect(boxX, boxY - textHeight, textWidth + 8 * scale, textHeight)
+    context.fillStyle = MARK_COLOR
+    context.fillText(label, boxX + 4 * scale, boxY - 2 * scale)
+  })
+  context.restore()
+}
+
+// @return [Object] { dataUrl, base64 } JPEG of the cropped photo with marks drawn in
+function flatten(image, marks, crop) {
+  const frame = crop || FULL_FRAME
+  const canvas = document.createElement("canvas")
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * frame.width))
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * frame.height))
+  const context = canvas.getContext("2d")
+  context.drawImage(
+    image,
+    image.naturalWidth * frame.x, image.naturalHeight * frame.y, canvas.width, canvas.height,
+    0, 0, canvas.width, canvas.height
+  )
+  drawMarks(context, marks, frame, canvas.width, canvas.height)
+  const dataUrl = canvas.toDataURL("image/jpeg", JPEG_QUALITY)
+  return { dataUrl, base64: dataUrl.split(",")[1] }
+}
+
+function panelMarkup(t) {
+  const tool = (name) =>
+    `<button type="button" class="photo-markup-tool" data-markup-tool="${name}" aria-pressed="false">${escapeHtml(t(`photo_markup.${name}`))}</button>`
+  return `
+    <div class="photo-markup-sheet">
+      <header class="photo-markup-toolbar">
+        <h2 class="photo-markup-title">${escapeHtml(t("photo_markup.title"))}</h2>
+        <div class="photo-markup-tools" role="group">${tool("circle")}${tool("arrow")}${tool("crop")}</div>
+        <button type="button" class="photo-markup-undo" data-markup-undo>${escapeHtml(t("photo_markup.undo"))}</button>
+      </header>
+      <div class="photo-markup-stage">
+        <canvas class="photo-markup-canvas" aria-label="${escapeHtml(t("photo_markup.hint"))}"></canvas>
+      </div>
+      <footer class="photo-markup-footer">
+        <input type="text" class="photo-markup-label" data-markup-label maxlength="${MAX_LABEL_LENGTH}"
+               placeholder="${escapeHtml(t("photo_markup.label"))}" aria-label="${escapeHtml(t("photo_markup.label"))}" disabled>
+        <button type="button" class="photo-markup-cancel" data-markup-cancel>${escapeHtml(t("photo_markup.cancel"))}</button>
+        <button type="button" class="photo-markup-done" data-markup-done>${escapeHtml(t("photo_markup.done"))}</button>
+      </footer>
+    </div>
+  `
+}
+
+// @param source [String] data URL of the staged (compressed, unmarked) photo
+// @param lang [String] chat locale for the editor chrome
+// @param state [Object, null] `state` from a previous markup of the same photo
+// @return [Promise<Object, null>] { dataUrl, base64, annotations, state } or null on cancel
+export async function openPhotoMarkup(source, { lang = "es", state = null } = {}) {
+  const image = await loadImage(source)
+  const t = translator(lang)
+  document.getElementById(PANEL_ID)?.remove()
+
+  const panel = document.createElement("div")
+  panel.id = PANEL_ID
+  panel.className = "photo-markup"
+  panel.setAttribute("role", "dialog")
+  panel.setAttribute("aria-modal", "true")
+  panel.setAttribute("aria-label", t("photo_markup.title"))
+  panel.innerHTML = panelMarkup(t)
+  document.body.appendChild(panel)
+  document.body.style.overflow = "hidden"
+
+  const canvas = panel.querySelector(".photo-markup-canvas")
+  const stage = panel.querySelector(".photo-markup-stage")
+  const labelInput = panel.querySelector("[data-markup-label]")
+  const context = canvas.getContext("2d")
+  const marks = (state?.marks || []).map((mark) => ({ ...mark }))
+  let crop = state?.crop ? { ...state.crop } : null
+  let tool = "circle"
+  let selected = marks.length ? marks[marks.length - 1] : null
+  let drag = null
+
+  const fit = () => {
+    const ratio = Math.min(stage.clientWidth / image.naturalWidth, stage.clientHeight / image.naturalHeight, 1)
+    canvas.style.width = `${Math.round(image.naturalWidth * ratio)}px`
+    canvas.style.height = `${Math.round(image.naturalHeight * ratio)}px`
+    canvas.width = Math.round(image.naturalWidth * ratio * (window.devicePixelRatio || 1))
+    canvas.height = Math.round(image.naturalHeight * ratio * (window.devicePixelRatio || 1))
+    render()
+  }
+
+  const render = () => {
+    context.clearRect(0, 0, canvas.width, canvas.height)
+    context.drawImage(image, 0, 0, canvas.width, canvas.height)
+    const cropBox = drag?.tool === "crop" ? drag.box : crop
+    if (cropBox) {
+      const [x, y, w, h] = [ cropBox.x * canvas.width, cropBox.y * canvas.height, cropBox.width * canvas.width, cropBox.height * canvas.height ]
+      context.save()
+      context.fillStyle = "rgba(0, 0, 0, 0.55)"
+      context.beginPath()
+      context.rect(0, 0, canvas.width, canvas.height)
+      context.rect(x, y, w, h)
+      context.fill("evenodd")
+      context.strokeStyle = "#fff"
+      context.setLineDash([ 6, 4 ])
+      context.lineWidth = 2
+      context.strokeRect(x, y, w, h)
+      context.restore()
+    }
+    const shown = drag && drag.tool !== "crop" && drag.mark ? [ ...marks, drag.mark ] : marks
+    drawMarks(context, shown, FULL_FRAME, canvas.width, canvas.height)
+  }
+
+  const selectTool = (name) => {
+    tool = name
+    panel.querySelectorAll("[data-markup-tool]").forEach((button) => {
+      button.setAttribute("aria-pressed", String(button.dataset.markupTool === name))
+    })
+  }
+
+  const selectMark = (mark) => {
+    selected = mark
+    labelInput.disabled = !mark
+    labelInput.value = mark?.label || ""
+  }
+
+  const point = (event) => {
+    const rect = canvas.getBoundingClientRect()
+    return { x: clamp01((event.clientX - rect.left) / rect.width), y: clamp01((event.clientY - rect.top) / rect.height) }
+  }
+
+  const boxFrom = (start, end) => ({
+    x: Math.min(start.x, end.x), y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x), height: Math.abs(end.y - start.y)
+  })
+
+  canvas.addEventListener("pointerdown", (event) => {
+    event.preventDefault()
+    canvas.setPointerCapture?.(event.pointerId)
+    drag = { tool, start: point(event), startClient: { x: event.clientX, y: event.clientY } }
+  })
+  canvas.addEventListener("pointermove", (event) => {
+    if (!drag) return
+    const end = point(event)
+    if (drag.tool === "crop") drag.box = boxFrom(drag.start, end)
+    else if (drag.tool === "arrow") drag.mark = { shape: "arrow", from_x: drag.start.x, from_y: drag.start.y, x: end.x, y: end.y }
+    else drag.mark = { shape: "circle", ...boxFrom(drag.start, end) }
+    render()
+  })
+  const endDrag = (event) => {
+    if (!drag) return
+    const moved = Math.hypot(event.clientX - drag.startClient.x, event.clientY - drag.startClient.y) >= MIN_DRAG_PX
+    if (moved && drag.tool === "crop" && drag.box?.width > MIN_CROP && drag.box?.height > MIN_CROP) {
+      crop = drag.box
+    } else if (moved && drag.mark) {
+      marks.push(drag.mark)
+      selectMark(drag.mark)
+    }
+    drag = null
+    render()
+  }
+  canvas.addEventListener("pointerup", endDrag)
+  canvas.addEventListener("pointercancel", () => { drag = null; render() })
+
+  panel.querySelectorAll("[data-markup-tool]").forEach((button) => {
+    button.addEventListener("click", () => selectTool(button.dataset.markupTool))
+  })
+  panel.querySelector("[data-markup-undo]").addEventListener("click", () => {
+    // Crop is undone after the marks drawn since it, newest first.
+    if (marks.length) marks.pop()
+    else crop = null
+    selectMark(marks[marks.length - 1] || null)
+    render()
+  })
+  labelInput.addEventListener("input", () => {
+    if (!selected) return
+    selected.label = labelInput.value
+    render()
+  })
+
+  selectTool(tool)
+  selectMark(selected)
+  window.addEventListener("resize", fit)
+  fit()
+
+  return new Promise((resolve) => {
+    const close = (result) => {
+      window.removeEventListener("resize", fit)
+      document.removeEventListener("keydown", onKeydown)
+      panel.remove()
+      document.body.style.overflow = ""
+      resolve(result)
+    }
+    const onKeydown = (event) => {
+      if (event.key === "Escape") {
+        event.preventDefault()
+        close(null)
+      }
+    }
+    document.addEventListener("keydown", onKeydown)
+    panel.querySelector("[data-markup-cancel]").addEventListener("click", () => close(null))
+    panel.querySelector("[data-markup-done]").addEventListener("click", () => {
+      const { dataUrl, base64 } = flatten(image, marks, crop)
+      close({ dataUrl, base64, annotations: regionsForCrop(marks, crop), state: { marks, crop } })
+    })
+  })
+}
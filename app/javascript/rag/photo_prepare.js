@@ -0,0 +1,183 @@
+// app/javascript/rag/photo_prepare.js
+//
+// Turns a picked or dropped photo into what /rag/ask expects: an upright JPEG
+// no larger than MAX_DIMENSION on its longest side, base64-encoded.
+//
+// Orientation: phones store portrait shots as landscape pixels plus an EXIF
+// Orientation tag. Current browsers apply the tag when decoding, older
+// WebViews do not — so the tag is read here and the rotation is drawn onto the
+// canvas only when browserAppliesOrientation() says the decoder ignored it.
+//
+// HEIC/HEIF (iPhone default): decoded here when the browser can (Safari);
+// otherwise the original bytes go up untouched with their HEIC media type and
+// ImageCompressionService converts them to JPEG on the server.
+
+export const MAX_PHOTOS = 4
+export const MAX_DIMENSION = 1024
+export const JPEG_QUALITY = 0.82
+export const HEIC_TYPES = ["image/heic", "image/heif"]
+
+// The Orientation tag lives in APP1 near the start of the file.
+const EXIF_SCAN_BYTES = 128 * 1024
+
+// Canvas transform for each EXIF orientation, given the drawn (pre-rotation)
+// width and height. 5–8 swap the canvas axes.
+const ORIENTATION_TRANSFORMS = {
+  1: () => [1, 0, 0, 1, 0, 0],
+  2: (width) => [-1, 0, 0, 1, width, 0],
+  3: (width, height) => [-1, 0, 0, -1, width, height],
+  4: (_width, height) => [1, 0, 0, -1, 0, height],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (_width, height) => [0, 1, -1, 0, height, 0],
+  7: (width, height) => [0, -1, -1, 0, height, width],
+  8: (width) => [0, -1, 1, 0, 0, width]
+}
+
+// Browsers leave file.type empty for HEIC on some platforms; fall back to the extension.
+export function photoMediaType(file) {
+  if (file.type) return file.type
+  const match = /\.(heic|heif)$/i.exec(file.name || "")
+  return match ? `image/${match[1].toLowerCase()}` : ""
+}
+
+// @param buffer [ArrayBuffer] the start of a JPEG file
+// @return [Number] EXIF orientation 1–8 (1 when absent or unreadable)
+export function readExifOrientation(buffer) {
+  const view = new DataView(buffer)
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1
+
+  let offset = 2
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset)
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return 1
+
+    const length = view.getUint16(offset + 2)
+    if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      return tiffOrientation(view, offset + 10)
+    }
+    offset += 2 + length
+  }
+  return 1
+}
+
+function tiffOrientation(view, tiff) {
+  if (tiff + 8 > view.byteLength) return 1
+  const little = view.getUint16(tiff) === 0x4949
+  const ifd = tiff + view.getUint32(tiff + 4, little)
+  if (ifd + 2 > view.byteLength) return 1
+
+  const entries = view.getUint16(ifd, little)
+  for (let index = 0; index < entries; index++) {
+    const entry = ifd + 2 + index * 12
+    if (entry + 12 > view.byteLength) return 1
+    if (view.getUint16(entry, little) === 0x0112) {
+      const value = view.getUint16(entry + 8, little)
+      return value >= 1 && value <= 8 ? value : 1
+    }
+  }
+  return 1
+}
+
+// @return [Blob] the JPEG with a minimal APP1 segment carrying `orientation`
+//   inserted after SOI. Used by the decoder probe below.
+export async function withExifOrientation(jpeg, orientation) {
+  const bytes = new Uint8Array(await jpeg.arrayBuffer())
+  const segment = new Uint8Array([
+    0xFF, 0xE1, 0x00, 0x22,
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+    0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08,
+    0x00, 0x01,
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00
+  ])
+  return new Blob([bytes.slice(0, 2), segment, bytes.slice(2)], { type: "image/jpeg" })
+}
+
+let orientationProbe = null
+
+// Decodes a 2×1 JPEG tagged "rotate 90°": a decoder that honours the tag
+// reports it as 1×2.
+export function browserAppliesOrientation() {
+  orientationProbe ??= new Promise((resolve) => {
+    const canvas = document.createElement("canvas")
+    canvas.width = 2
+    canvas.height = 1
+    canvas.toBlob(async (blob) => {
+      try {
+        const image = await loadImage(await withExifOrientation(blob, 6))
+        resolve(image.naturalWidth === 1)
+      } catch (_error) {
+        resolve(false)
+      }
+    }, "image/jpeg")
+  })
+  return orientationProbe
+}
+
+function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob)
+    const image = new Image()
+    image.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(image)
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error("photo could not be decoded"))
+    }
+    image.src = url
+  })
+}
+
+function readDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
+
+function drawUpright(image, orientation, maxDim, quality) {
+  const scale = Math.min(1, maxDim / Math.max(image.naturalWidth, image.naturalHeight))
+  const width = Math.round(image.naturalWidth * scale)
+  const height = Math.round(image.naturalHeight * scale)
+  const canvas = document.createElement("canvas")
+  canvas.width = orientation >= 5 ? height : width
+  canvas.height = orientation >= 5 ? width : height
+
+  const context = canvas.getContext("2d")
+  context.setTransform(...ORIENTATION_TRANSFORMS[orientation](width, height))
+  context.drawImage(image, 0, 0, width, height)
+  return canvas.toDataURL("image/jpeg", quality)
+}
+
+// @return [Promise<Object>] { data, media_type, dataUrl } — dataUrl is the
+//   preview, null for a HEIC the browser cannot show. A photo the browser
+//   cannot decode or draw goes up as-is for the server to compress.
+export async function preparePhoto(file, { maxDim = MAX_DIMENSION, quality = JPEG_QUALITY } = {}) {
+  const mediaType = photoMediaType(file)
+  try {
+    const image = await loadImage(file)
+    const orientation = mediaType === "image/jpeg"
+      ? readExifOrientation(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer())
+      : 1
+    const rotate = orientation > 1 && !(await browserAppliesOrientation())
+    const dataUrl = drawUpright(image, rotate ? orientation : 1, maxDim, quality)
+    return { data: dataUrl.split(",")[1], media_type: "image/jpeg", dataUrl }
+  } catch (_error) {
+    const dataUrl = await readDataUrl(file)
+    return {
+      data: dataUrl.split(",")[1],
+      media_type: mediaType,
+      dataUrl: HEIC_TYPES.includes(mediaType) ? null : dataUrl
+    }
+  }
+}
+
+// A staged image attachment is { type: "image", photos: [...] }; outbox
+// entries queued before multi-photo carry one photo's fields directly.
+export function stagedPhotos(file) {
+  return file?.photos || (file ? [file] : [])
+}
@@ -0,0 +1,56 @@
+// app/javascript/rag/pin_sets.js
+//
+// Rows of the Archivos panel's pin set menu (home/_pin_set_menu). A pin set is
+// a named group of documents shared by the account (GET /pin_sets,
+// PinSet#as_pin_set_json); applying one pins all of them in the current
+// thread. rag_chat_controller owns the requests and the card flips; this
+// module only renders.
+
+import { translator } from "rag/i18n"
+
+function escapeHtml(value = "") {
+  const element = document.createElement("div")
+  element.textContent = String(value)
+  return element.innerHTML
+}
+
+function escapeAttribute(value = "") {
+  return escapeHtml(value).replace(/"/g, "&quot;")
+}
+
+// @return [Boolean] every document of the set is pinned
+export function pinSetApplied(pinSet, pinnedIds) {
+  const ids = pinSet.document_ids || []
+  return ids.length > 0 && ids.every((id) => pinnedIds.has(String(id)))
+}
+
+function pinSetRow(pinSet, pinnedIds, t) {
+  const ids = pinSet.document_ids || []
+  const applied = pinSetApplied(pinSet, pinnedIds)
+  const action = applied ? "clear" : "apply"
+  const meta = [ t("pin_sets.documents", { count: ids.length }), (pinSet.names || []).join(", ") ]
+    .filter(Boolean).join(" · ")
+
+  return `<li class="pin-set" data-pin-set-id="${escapeAttribute(pinSet.id)}" data-applied="${applied}">` +
+    `<button type="button" class="pin-set-toggle" data-pin-set-id="${escapeAttribute(pinSet.id)}" ` +
+      `data-document-ids="${escapeAttribute(JSON.stringify(ids))}" data-pin-set-action="${action}" ` +
+      `aria-pressed="${applied}" data-action="click->rag-chat#togglePinSet">` +
+      `<span class="pin-set-name">${escapeHtml(pinSet.name)}</span>` +
+      `<span class="pin-set-meta">${escapeHtml(meta)}</span>` +
+      `<span class="pin-set-hint">${escapeHtml(t(`pin_sets.${action}`))}</span>` +
+    `</button>` +
+    `<button type="button" class="pin-set-delete" data-pin-set-id="${escapeAttribute(pinSet.id)}" ` +
+      `data-pin-set-name="${escapeAttribute(pinSet.name)}" aria-label="${escapeAttribute(t("pin_sets.delete", { name: pinSet.name }))}" ` +
+      `data-action="click->rag-chat#deletePinSet">×</button>` +
+  `</li>`
+}
+
+// @param pinSets [Array<Object>] as_pin_set_json rows, by name
+// @param pinnedIds [Set<String>] kb_document ids pinned in the thread on screen
+// @return [String]
+export function renderPinSetList(pinSets = [], pinnedIds = new Set(), lang = "es") {
+  const t = translator(lang)
+  if (!pinSets.length) return `<p class="pin-set-empty">${escapeHtml(t("pin_sets.empty"))}</p>`
+
+  return `<ul class="pin-set-list">${pinSets.map((pinSet) => pinSetRow(pinSet, pinnedIds, t)).join("")}</ul>`
+}
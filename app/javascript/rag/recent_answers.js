@@ -0,0 +1,81 @@
+// app/javascript/rag/recent_answers.js
+//
+// Last answers and photo diagnoses the technician saw, kept in the Cache API
+// so the offline app shell (app/views/pwa/service-worker.js.erb) can reopen
+// the chat with them underground. The service worker never writes here — it
+// only deletes the whole cache on sign-out (PURGE_USER_DATA), which is why the
+// cache name is shared and unversioned.
+//
+// Entry shape (JSON body of a synthetic Response):
+//   { kind: "answer" | "photo", question, data, at }
+// `data` is the /rag/ask JSON or the photo_analyzed KbSync payload, exactly as
+// rag_chat_controller rendered it. Keys embed the owner so a shared crew tablet
+// never shows another user's answers.
+
+const CACHE_NAME = "rag-recent-answers"
+const KEY_PREFIX = "/offline/recent-answers/"
+
+export const MAX_RECENT_ANSWERS    = 20
+export const RECENT_ANSWERS_TTL_MS = 12 * 60 * 60 * 1000
+
+function available() {
+  return typeof caches !== "undefined"
+}
+
+function ownerPrefix(owner) {
+  return `${KEY_PREFIX}${encodeURIComponent(String(owner || ""))}/`
+}
+
+function timestampOf(request) {
+  return Number(new URL(request.url).pathname.split("/").pop().split("-")[0]) || 0
+}
+
+async function ownerKeys(cache, owner) {
+  const prefix = ownerPrefix(owner)
+  const keys = await cache.keys()
+  return keys
+    .filter((request) => new URL(request.url).pathname.startsWith(prefix))
+    .sort((a, b) => timestampOf(a) - timestampOf(b))
+}
+
+// Drops expired entries and everything beyond the newest MAX_RECENT_ANSWERS.
+async function prune(cache, owner, now = Date.now()) {
+  const keys = await ownerKeys(cache, owner)
+  const stale = keys.filter((request, index) =>
+    now - timestampOf(request) > RECENT_ANSWERS_TTL_MS || index < keys.length - MAX_RECENT_ANSWERS
+  )
+  await Promise.all(stale.map((request) => cache.delete(request)))
+  return keys.filter((request) => !stale.includes(request))
+}
+
+export async function rememberAnswer({ owner, kind, question = null, data }) {
+  if (!available() || !data) return
+
+  const at = Date.now()
+  const cache = await caches.open(CACHE_NAME)
+  const key = `${ownerPrefix(owner)}${at}-${Math.random().toString(36).slice(2, 8)}`
+  const body = JSON.stringify({ kind, question, data, at })
+  await cache.put(key, new Response(body, { headers: { "Content-Type": "application/json" } }))
+  await prune(cache, owner, at)
+}
+
+// @return [Promise<Array<Object>>] this owner's unexpired entries, oldest first.
+export async function recentAnswers(owner) {
+  if (!available()) return []
+
+  const cache = await caches.open(CACHE_NAME)
+  const keys = await prune(cache, owner)
+  const responses = await Promise.all(keys.map((request) => cache.match(request)))
+  const entries = await Promise.all(responses.map((response) => response?.json().catch(() => null)))
+  return entries.filter(Boolean)
+}
+
+// `/reset` in the composer: a clean conversation must not reopen offline with
+// the answers it just cleared.
+export async function forgetRecentAnswers(owner) {
+  if (!available()) return
+
+  const cache = await caches.open(CACHE_NAME)
+  const keys = await ownerKeys(cache, owner)
+  await Promise.all(keys.map((request) => cache.delete(request)))
+}
@@ -0,0 +1,136 @@
+// app/javascript/rag/slash_commands.js
+//
+// Slash commands typed into the chat composer (rag_chat_controller):
+//
+//   /pin <doc>     pin a Base de Conocimiento document (same backend as a tap
+//                  on its card, rag-chat#toggleDocSelection)
+//   /unpin [doc]   unpin one document, or every pinned one
+//   /photo         open the camera
+//   /reset         start a clean conversation
+//   /sources       open or close the latest answer's sources list
+//   /lang en|es    switch the chat (and the answers) to that language
+//
+// Parsing and suggestions are pure: the controller hands in the documents it
+// can see and runs whatever parseCommand returns. Only a known command name
+// counts as a command — "/dev/ttyUSB0 no responde" is still sent as a question.
+
+import { translator } from "rag/i18n"
+
+export const COMMANDS = Object.freeze([
+  { name: "pin",     arg: "document", required: true },
+  { name: "unpin",   arg: "document", required: false },
+  { name: "photo" },
+  { name: "reset" },
+  { name: "sources" },
+  { name: "lang",    arg: "locale",   required: true }
+])
+
+export const MAX_SUGGESTIONS = 6
+
+function escapeHtml(value = "") {
+  const element = document.createElement("div")
+  element.textContent = String(value)
+  return element.innerHTML
+}
+
+// Case- and accent-insensitive, so "/pin valvula" finds "Válvula TW1".
+export function normalizeName(value = "") {
+  return String(value).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim()
+}
+
+function findCommand(name) {
+  return COMMANDS.find((command) => command.name === name) || null
+}
+
+// @param text [String] composer value
+// @return [Object, null] { name, arg } for a known command (arg may be ""),
+//   or null when the text is not a command
+export function parseCommand(text) {
+  const match = /^\/(\S+)(?:\s+([\s\S]*))?$/.exec(String(text || "").trim())
+  if (!match) return null
+
+  const command = findCommand(match[1].toLowerCase())
+  return command ? { name: command.name, arg: (match[2] || "").trim() } : null
+}
+
+// @return [String] "/pin <documento>" in the given locale
+export function commandUsage(name, lang = "es") {
+  const command = findCommand(name)
+  if (!command?.arg) return `/${name}`
+
+  const t = translator(lang)
+  const placeholder = `<${t(`slash_commands.args.${command.arg}`)}>`
+  return `/${name} ${command.required ? placeholder : `[${placeholder}]`}`
+}
+
+// Best match for a typed document name: an exact name, else the only name
+// that starts with it, else the only name that contains it.
+// @param documents [Array<Object>] { id, name, selected }
+// @return [Object, null]
+export function matchDocument(query, documents = []) {
+  const wanted = normalizeName(query)
+  if (!wanted) return null
+
+  const exact = documents.find((doc) => normalizeName(doc.name) === wanted)
+  if (exact) return exact
+
+  for (const test of [ (name) => name.startsWith(wanted), (name) => name.includes(wanted) ]) {
+    const matches = documents.filter((doc) => test(normalizeName(doc.name)))
+    if (matches.length === 1) return matches[0]
+    if (matches.length > 1) return null
+  }
+  return null
+}
+
+// Autocomplete for the composer: command names while the first word is being
+// typed, then the argument (document names, locales).
+// @param documents [Array<Object>] { id, name, selected }
+// @param locales [Array<String>] locales /lang accepts
+// @return [Array<Object>] { value, label, hint } — `value` replaces the
+//   composer text when the suggestion is picked
+export function commandSuggestions(text, { documents = [], locales = [], lang = "es" } = {}) {
+  const value = String(text || "")
+  if (!value.startsWith("/") || value.includes("\n")) return []
+
+  const t = translator(lang)
+  const space = value.indexOf(" ")
+  if (space === -1) {
+    const typed = value.slice(1).toLowerCase()
+    return COMMANDS
+      .filter((command) => command.name.startsWith(typed))
+      .map((command) => ({
+        value: command.arg ? `/${command.name} ` : `/${command.name}`,
+        label: commandUsage(command.name, lang),
+        hint: t(`slash_commands.help.${command.name}`)
+      }))
+  }
+
+  const command = findCommand(value.slice(1, space).toLowerCase())
+  const typed = normalizeName(value.slice(space + 1))
+  if (command?.arg === "locale") {
+    return locales
+      .filter((locale) => locale.startsWith(typed))
+      .map((locale) => ({ value: `/${command.name} ${locale}`, label: locale, hint: t(`slash_commands.languages.${locale}`) }))
+  }
+  if (command?.arg === "document") {
+    // /unpin only offers what is pinned; /pin only what is not.
+    const wantSelected = command.name === "unpin"
+    return documents
+      .filter((doc) => Boolean(doc.selected) === wantSelected && normalizeName(doc.name).includes(typed))
+      .slice(0, MAX_SUGGESTIONS)
+      .map((doc) => ({ value: `/${command.name} ${doc.name}`, label: doc.name, hint: "" }))
+  }
+  return []
+}
+
+// @param menuId [String] id of the listbox, for aria-activedescendant
+export function renderCommandSuggestions(suggestions, activeIndex, menuId) {
+  return suggestions.map((suggestion, index) => {
+    const active = index === activeIndex
+    const hint = suggestion.hint ? `<span class="slash-command-hint">${escapeHtml(suggestion.hint)}</span>` : ""
+    return `<button type="button" role="option" id="${menuId}-${index}" class="slash-command-option" ` +
+      `aria-selected="${active}" data-index="${index}" tabindex="-1" ` +
+      `data-action="mousedown->rag-chat#pickCommandSuggestion:prevent">` +
+      `<span class="slash-command-label">${escapeHtml(suggestion.label)}</span>${hint}</button>`
+  }).join("")
+}
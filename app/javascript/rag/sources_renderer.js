@@ -6,6 +6,8 @@
 // filtered to citations without an excerpt). One row per citation covers both
 // cases, so no [n] cited inline is ever missing a row and none is duplicated.
 
+import { t } from "rag/i18n"
+
 const CIRCLED_NUMERALS = ["①", "②", "③", "④", "⑤", "⑥", "⑦", "⑧", "⑨", "⑩"]
 
 function escape(text = "") {
@@ -20,10 +22,8 @@ export function resolveName(citation) {
   return (citation.metadata?.canonical_name || citation.title || citation.filename || "Document").trim()
 }
 
-// JS has no access to Rails i18n; kept in sync by hand with `rag.sources_label`
-// in config/locales/rag.*.yml.
 function sourcesLabel(count, lang) {
-  return String(lang || "es").toLowerCase().startsWith("en") ? `Sources (${count})` : `Fuentes (${count})`
+  return t("sources.title", { locale: lang, count })
 }
 
 // Returns a <details> fragment meant to live INSIDE the answer bubble, not as
@@ -47,9 +47,15 @@ export function renderSources(citations = [], lang = "es") {
     const pageSuffix = page && !alreadyPaged ? `, p. ${page}` : ""
     const excerpt = (citation.matched_excerpt || "").trim()
     const excerptSuffix = excerpt ? ` &mdash; &ldquo;${escape(excerpt)}&rdquo;` : ""
+    // Numbered rows are real citations: tapping one opens the cited page
+    // (rag/citation_viewer). Consulted-document fallbacks have nothing to open.
+    const nameHtml = citation.number
+      ? `<button type="button" class="chat-sources-name chat-sources-open" data-citation-number="${Number(citation.number)}" ` +
+        `data-action="click->rag-chat#openCitation">${escape(name)}${escape(pageSuffix)}</button>`
+      : `<span class="chat-sources-name">${escape(name)}${escape(pageSuffix)}</span>`
     return (
       `<li><span class="chat-sources-bullet">${bullet}</span>` +
-      `<span class="chat-sources-name">${escape(name)}${escape(pageSuffix)}</span>${excerptSuffix}</li>`
+      `${nameHtml}${excerptSuffix}</li>`
     )
   }).join("")
 
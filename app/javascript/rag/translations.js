@@ -0,0 +1,517 @@
+// app/javascript/rag/translations.js
+//
+// GENERATED by `bin/rails i18n:js` from config/locales/js.*.yml — do not edit.
+// Look strings up through rag/i18n, not this table.
+
+export const DEFAULT_LOCALE = "es"
+
+export const TRANSLATIONS = {
+  "es": {
+    "answer": {
+      "verification_notice": "Asistencia de consulta al manual — verifica cualquier acción sobre seguridades contra el manual antes de ejecutarla."
+    },
+    "sources": {
+      "title": "Fuentes (%{count})"
+    },
+    "answer_feedback": {
+      "prompt": "¿Te sirvió esta respuesta?",
+      "up": "Sí, me sirvió",
+      "down": "No me sirvió",
+      "reason_prompt": "¿Qué falló?",
+      "reasons": {
+        "wrong_board": "Otra placa",
+        "wrong_page": "Página equivocada",
+        "unsafe": "Inseguro",
+        "outdated": "Desactualizado",
+        "not_found": "No estaba en el manual"
+      },
+      "thanks": "Gracias, lo tendremos en cuenta.",
+      "failed": "No se pudo enviar. Inténtalo de nuevo."
+    },
+    "slash_commands": {
+      "menu": "Comandos",
+      "args": {
+        "document": "documento",
+        "locale": "idioma"
+      },
+      "help": {
+        "pin": "Fijar un documento de la base",
+        "unpin": "Quitar uno o todos los documentos fijados",
+        "photo": "Abrir la cámara",
+        "reset": "Empezar una conversación nueva",
+        "sources": "Mostrar u ocultar las fuentes de la última respuesta",
+        "lang": "Cambiar el idioma del chat"
+      },
+      "languages": {
+        "es": "Español",
+        "en": "English"
+      },
+      "usage": "Uso: %{usage}",
+      "no_document": "Ningún documento de la base coincide con «%{query}».",
+      "nothing_pinned": "No hay documentos fijados.",
+      "pinned": "📌 %{name} fijado.",
+      "unpinned": "Documentos quitados: %{names}.",
+      "reset_done": "Conversación nueva. Los documentos fijados se mantienen.",
+      "no_sources": "Todavía no hay respuestas con fuentes.",
+      "lang_set": "Idioma del chat: %{language}.",
+      "failed": "No se pudo completar el comando. Inténtalo de nuevo."
+    },
+    "conversation_threads": {
+      "menu": "Conversaciones",
+      "untitled": "Conversación sin nombre",
+      "new": "Nueva conversación",
+      "title_label": "Nombre de esta conversación",
+      "title_placeholder": "Edificio, ascensor…",
+      "archive": "Archivar",
+      "restore": "Restaurar",
+      "archived": "Archivadas",
+      "empty": "Todavía no hay otras conversaciones.",
+      "pins": {
+        "one": "%{count} documento fijado",
+        "other": "%{count} documentos fijados"
+      },
+      "failed": "No se pudo cambiar de conversación. Inténtalo de nuevo."
+    },
+    "pin_sets": {
+      "menu": "Conjuntos",
+      "save_label": "Guardar lo fijado como conjunto",
+      "name_placeholder": "Orona ARCA II",
+      "save": "Guardar",
+      "apply": "Fijar todos",
+      "clear": "Quitar",
+      "documents": {
+        "one": "%{count} documento",
+        "other": "%{count} documentos"
+      },
+      "empty": "Todavía no hay conjuntos. Fija los manuales de un equipo y guárdalos con un nombre.",
+      "delete": "Borrar el conjunto %{name}",
+      "confirm_delete": "¿Borrar el conjunto «%{name}» para todo el equipo?",
+      "nothing_pinned": "Fija al menos un documento antes de guardar un conjunto.",
+      "save_failed": "No se pudo guardar el conjunto. ¿Ya existe uno con ese nombre?",
+      "failed": "No se pudo usar el conjunto. Inténtalo de nuevo."
+    },
+    "kb_document_actions": {
+      "menu": "Acciones de %{name}",
+      "reprocess": "Reprocesar páginas fallidas",
+      "failed_pages": "Páginas %{pages}",
+      "reingest": "Volver a indexar",
+      "remove": "Quitar de la base de conocimiento",
+      "confirm_remove": "¿Quitar «%{name}» de la base de conocimiento? Dejará de aparecer en las respuestas.",
+      "started": {
+        "reprocess": "Reprocesando las páginas fallidas de %{name}…",
+        "reingest": "Volviendo a indexar %{name}. El manual completo tarda un rato; te aviso aquí.",
+        "remove": "Quitando %{name} de la base de conocimiento…"
+      },
+      "reprocessing": "Reprocesando las páginas %{pages} de %{name}…",
+      "removed": "%{name} ya no está en la base de conocimiento.",
+      "failed": "No se pudo completar la acción. Inténtalo de nuevo."
+    },
+    "ingestion_progress": {
+      "step": "Paso %{current} de %{total}",
+      "pages": "%{done} de %{total} páginas",
+      "retries": {
+        "one": "%{count} reintento",
+        "other": "%{count} reintentos"
+      },
+      "stages": {
+        "uploading": "Guardando el archivo",
+        "splitting": "Separando páginas",
+        "batch": "Leyendo páginas",
+        "parsing": "Armando fragmentos",
+        "embedding": "Indexando en la base",
+        "embedding_urgent": "Indexando páginas urgentes"
+      },
+      "eta": {
+        "soon": "Falta menos de un minuto",
+        "minutes": {
+          "one": "Falta ≈ %{count} min",
+          "other": "Faltan ≈ %{count} min"
+        },
+        "hours": "Faltan ≈ %{hours} h %{minutes} min"
+      }
+    },
+    "citation_viewer": {
+      "title": "Fuente citada",
+      "close": "Cerrar",
+      "page": "p. %{page}",
+      "loading": "Cargando documento…",
+      "open_page": "Abrir en la página %{page}",
+      "open_document": "Abrir documento",
+      "unavailable": "No se puede mostrar este documento aquí. El fragmento citado está arriba."
+    },
+    "photo_markup": {
+      "title": "Marcar foto",
+      "circle": "Círculo",
+      "arrow": "Flecha",
+      "crop": "Recortar",
+      "undo": "Deshacer",
+      "label": "Etiqueta de la marca (ej. relé K3)",
+      "cancel": "Cancelar",
+      "done": "Listo",
+      "hint": "Dibuja sobre la foto para señalar la pieza"
+    },
+    "lightbox": {
+      "dialog": "Vista ampliada de la imagen",
+      "close": "Cerrar",
+      "previous": "Imagen anterior",
+      "next": "Imagen siguiente",
+      "zoom_in": "Acercar",
+      "zoom_out": "Alejar",
+      "position": "%{index} de %{total}",
+      "load_error": "error al cargar"
+    },
+    "voice_dictation": {
+      "recognition_lang": "es-ES"
+    },
+    "usage_metrics": {
+      "calls": {
+        "one": "%{count} llamada",
+        "other": "%{count} llamadas"
+      }
+    },
+    "upload_queue": {
+      "title": "Subidas",
+      "clear": "Limpiar terminadas",
+      "retry": "Reintentar",
+      "failed": "No se pudo subir",
+      "offline": "Sin señal — reintenta al recuperar conexión",
+      "image_alone": "Adjunta las fotos por separado — hasta %{max} por pregunta",
+      "uploading_percent": "Subiendo… %{percent}%",
+      "states": {
+        "validating": "Revisando…",
+        "queued": "En espera",
+        "uploading": "Subiendo…",
+        "indexing": "Indexando…",
+        "urgent_ready": "Páginas urgentes listas",
+        "indexed": "Lista",
+        "failed": "Falló"
+      }
+    },
+    "chat": {
+      "ask_error": "Algo falló de mi parte. Inténtalo de nuevo en un momento.",
+      "offline_recent": "Sin señal — mostrando tus respuestas más recientes.",
+      "open_image": "Ver imagen en tamaño completo",
+      "attachment": {
+        "unsupported": "Formato no soportado. Imágenes: PNG, JPEG, GIF, WebP o HEIC (máx. 3.75 MB). Documentos: .txt, .md, .html, .csv, .pdf, .doc, .docx, .xls, .xlsx, .ppt, .pptx (máx. 50 MB).",
+        "image_too_large": "La imagen excede el límite de 3.75 MB (Knowledge Base). Comprímela o reduce su tamaño.",
+        "document_too_large": "El documento excede el límite de 50 MB."
+      },
+      "photos": {
+        "too_many": "Hasta %{max} fotos por pregunta — las demás quedaron fuera.",
+        "no_preview": "HEIC",
+        "add": "+ Foto",
+        "count": {
+          "one": "%{count} foto de la falla",
+          "other": "%{count} fotos de la misma falla"
+        },
+        "select": "Foto %{number}",
+        "remove": "Quitar foto %{number}",
+        "attached": "Foto adjunta — escribe tu pregunta"
+      },
+      "outbox": {
+        "pending": "Sin señal — se enviará al recuperar conexión",
+        "sending": "Enviando…",
+        "answered": "Respondida",
+        "failed": "No se pudo enviar"
+      },
+      "indexing": {
+        "ack": "Recibí tu archivo y lo estoy indexando. Puedes seguir consultando documentos ya indexados mientras queda listo.",
+        "nudge": "Sigo con tu archivo — los documentos grandes pueden tardar un poco más en campo. Puedes seguir preguntando sobre documentos ya indexados.",
+        "full": "Ya preparé las páginas urgentes que pude asociar a tu consulta. El manual completo sigue indexándose en segundo plano.",
+        "retry": "Está tardando un poco más de lo habitual — sigo con tu archivo, en un momento te cuento.",
+        "stall": "Sigue tardando un poco. Si no ves novedades, recarga la página; cuando vuelvas, seguimos."
+      },
+      "photo_analysis": {
+        "ack": "Recibí tu foto y estoy analizando lo que se ve directamente.",
+        "nudge": "Sigo analizando tu foto — en breve te muestro los datos visibles y las incertidumbres.",
+        "retry": "El análisis de la foto está tardando un poco más de lo habitual. Sigo trabajando en ella.",
+        "stall": "El análisis de la foto sigue tardando. Si no ves novedades, intenta enviarla otra vez."
+      },
+      "query": {
+        "nudge": "Sigo procesando tu consulta — a veces tarda un poco más por la señal en campo. En unos segundos te respondo.",
+        "stall": "Sigue tardando un poco. Si no ves novedades, recarga la página; cuando vuelvas, seguimos."
+      },
+      "dictation": {
+        "listening": "Escuchando…",
+        "transcribing": "Transcribiendo…",
+        "cancelled": "Dictado cancelado",
+        "empty": "No se entendió — intenta de nuevo",
+        "denied": "Micrófono bloqueado — permítelo en el navegador",
+        "failed": "No se pudo transcribir — intenta de nuevo o escribe",
+        "swipe_hint": "Desliza para cancelar",
+        "auto_send": "Enviar tras una pausa",
+        "cancel": "Cancelar"
+      },
+      "indexed": {
+        "fallback_name": "Documento",
+        "ready": "Listo, ya puedes preguntarme lo que necesites sobre esto.",
+        "urgent_ready": "Páginas urgentes listas. El manual completo sigue indexándose.",
+        "pages_available": "Páginas disponibles ahora: %{pages}",
+        "partial_pages": {
+          "one": "⚠️ La página %{pages} no se procesó completamente. Usa «Reprocesar páginas fallidas» para reintentarla.",
+          "other": "⚠️ Las páginas %{pages} no se procesaron completamente. Usa «Reprocesar páginas fallidas» para reintentarlas."
+        }
+      },
+      "image_summary": {
+        "fallback_name": "Imagen",
+        "invite": "Cuéntame qué necesitas, puedo ayudarte aunque me preguntes con pocas palabras.",
+        "reuse": "Preguntar sobre esta foto",
+        "open_full": "Abrir foto completa en una pestaña nueva"
+      }
+    }
+  },
+  "en": {
+    "answer": {
+      "verification_notice": "Manual-lookup assistance — verify any action on safety devices against the manual before performing it."
+    },
+    "sources": {
+      "title": "Sources (%{count})"
+    },
+    "answer_feedback": {
+      "prompt": "Was this answer useful?",
+      "up": "Yes, it helped",
+      "down": "It did not help",
+      "reason_prompt": "What went wrong?",
+      "reasons": {
+        "wrong_board": "Wrong board",
+        "wrong_page": "Wrong page",
+        "unsafe": "Unsafe",
+        "outdated": "Outdated",
+        "not_found": "Not in the manual"
+      },
+      "thanks": "Thanks, noted.",
+      "failed": "Could not send. Try again."
+    },
+    "slash_commands": {
+      "menu": "Commands",
+      "args": {
+        "document": "document",
+        "locale": "language"
+      },
+      "help": {
+        "pin": "Pin a knowledge base document",
+        "unpin": "Unpin one or every pinned document",
+        "photo": "Open the camera",
+        "reset": "Start a new conversation",
+        "sources": "Show or hide the latest answer's sources",
+        "lang": "Change the chat language"
+      },
+      "languages": {
+        "es": "Español",
+        "en": "English"
+      },
+      "usage": "Usage: %{usage}",
+      "no_document": "No knowledge base document matches “%{query}”.",
+      "nothing_pinned": "No documents are pinned.",
+      "pinned": "📌 %{name} pinned.",
+      "unpinned": "Unpinned: %{names}.",
+      "reset_done": "New conversation. Pinned documents are kept.",
+      "no_sources": "No answers with sources yet.",
+      "lang_set": "Chat language: %{language}.",
+      "failed": "The command could not be completed. Try again."
+    },
+    "conversation_threads": {
+      "menu": "Conversations",
+      "untitled": "Untitled conversation",
+      "new": "New conversation",
+      "title_label": "Name this conversation",
+      "title_placeholder": "Building, elevator…",
+      "archive": "Archive",
+      "restore": "Restore",
+      "archived": "Archived",
+      "empty": "No other conversations yet.",
+      "pins": {
+        "one": "%{count} pinned document",
+        "other": "%{count} pinned documents"
+      },
+      "failed": "Could not switch conversations. Try again."
+    },
+    "pin_sets": {
+      "menu": "Sets",
+      "save_label": "Save the pinned files as a set",
+      "name_placeholder": "Orona ARCA II",
+      "save": "Save",
+      "apply": "Pin all",
+      "clear": "Unpin",
+      "documents": {
+        "one": "%{count} document",
+        "other": "%{count} documents"
+      },
+      "empty": "No sets yet. Pin the manuals for one kind of equipment and save them under a name.",
+      "delete": "Delete the set %{name}",
+      "confirm_delete": "Delete the set “%{name}” for the whole team?",
+      "nothing_pinned": "Pin at least one document before saving a set.",
+      "save_failed": "Could not save the set. Is there already one with that name?",
+      "failed": "Could not use the set. Try again."
+    },
+    "kb_document_actions": {
+      "menu": "Actions for %{name}",
+      "reprocess": "Reprocess failed pages",
+      "failed_pages": "Pages %{pages}",
+      "reingest": "Re-ingest",
+      "remove": "Remove from KB",
+      "confirm_remove": "Remove “%{name}” from the knowledge base? It will stop appearing in answers.",
+      "started": {
+        "reprocess": "Reprocessing the failed pages of %{name}…",
+        "reingest": "Re-ingesting %{name}. The full manual takes a while; I'll let you know here.",
+        "remove": "Removing %{name} from the knowledge base…"
+      },
+      "reprocessing": "Reprocessing pages %{pages} of %{name}…",
+      "removed": "%{name} is no longer in the knowledge base.",
+      "failed": "That didn't go through. Try again."
+    },
+    "ingestion_progress": {
+      "step": "Step %{current} of %{total}",
+      "pages": "%{done} of %{total} pages",
+      "retries": {
+        "one": "%{count} retry",
+        "other": "%{count} retries"
+      },
+      "stages": {
+        "uploading": "Storing the file",
+        "splitting": "Splitting pages",
+        "batch": "Reading pages",
+        "parsing": "Building chunks",
+        "embedding": "Indexing into the knowledge base",
+        "embedding_urgent": "Indexing urgent pages"
+      },
+      "eta": {
+        "soon": "Less than a minute left",
+        "minutes": {
+          "one": "≈ %{count} min left",
+          "other": "≈ %{count} min left"
+        },
+        "hours": "≈ %{hours} h %{minutes} min left"
+      }
+    },
+    "citation_viewer": {
+      "title": "Cited source",
+      "close": "Close",
+      "page": "p. %{page}",
+      "loading": "Loading document…",
+      "open_page": "Open at page %{page}",
+      "open_document": "Open document",
+      "unavailable": "This document can't be shown here. The cited excerpt is above."
+    },
+    "photo_markup": {
+      "title": "Mark up photo",
+      "circle": "Circle",
+      "arrow": "Arrow",
+      "crop": "Crop",
+      "undo": "Undo",
+      "label": "Mark label (e.g. relay K3)",
+      "cancel": "Cancel",
+      "done": "Done",
+      "hint": "Draw on the photo to point at the part"
+    },
+    "lightbox": {
+      "dialog": "Image full view",
+      "close": "Close",
+      "previous": "Previous image",
+      "next": "Next image",
+      "zoom_in": "Zoom in",
+      "zoom_out": "Zoom out",
+      "position": "%{index} of %{total}",
+      "load_error": "failed to load"
+    },
+    "voice_dictation": {
+      "recognition_lang": "en-US"
+    },
+    "usage_metrics": {
+      "calls": {
+        "one": "%{count} call",
+        "other": "%{count} calls"
+      }
+    },
+    "upload_queue": {
+      "title": "Uploads",
+      "clear": "Clear finished",
+      "retry": "Retry",
+      "failed": "Upload failed",
+      "offline": "No signal — retry when you're back online",
+      "image_alone": "Attach photos on their own — up to %{max} per question",
+      "uploading_percent": "Uploading… %{percent}%",
+      "states": {
+        "validating": "Checking…",
+        "queued": "Waiting",
+        "uploading": "Uploading…",
+        "indexing": "Indexing…",
+        "urgent_ready": "Urgent pages ready",
+        "indexed": "Ready",
+        "failed": "Failed"
+      }
+    },
+    "chat": {
+      "ask_error": "Something went wrong on my end. Please try again in a moment.",
+      "offline_recent": "No signal — showing your most recent answers.",
+      "open_image": "View image at full size",
+      "attachment": {
+        "unsupported": "Unsupported format. Images: PNG, JPEG, GIF, WebP or HEIC (max. 3.75 MB). Documents: .txt, .md, .html, .csv, .pdf, .doc, .docx, .xls, .xlsx, .ppt, .pptx (max. 50 MB).",
+        "image_too_large": "The image exceeds the 3.75 MB limit (Knowledge Base). Compress it or reduce its size.",
+        "document_too_large": "The document exceeds the 50 MB limit."
+      },
+      "photos": {
+        "too_many": "Up to %{max} photos per question — the extra ones were left out.",
+        "no_preview": "HEIC",
+        "add": "+ Photo",
+        "count": {
+          "one": "%{count} photo of the fault",
+          "other": "%{count} photos of the same fault"
+        },
+        "select": "Photo %{number}",
+        "remove": "Remove photo %{number}",
+        "attached": "Photo attached — ask your question"
+      },
+      "outbox": {
+        "pending": "No signal — will send when you're back online",
+        "sending": "Sending…",
+        "answered": "Answered",
+        "failed": "Could not send"
+      },
+      "indexing": {
+        "ack": "Got your file and I'm indexing it. You can keep asking about already-indexed documents while it gets ready.",
+        "nudge": "Still working on your file — large documents can take a little longer in the field. You can keep asking about documents that are already indexed.",
+        "full": "I already prepared the urgent pages I could match. The full manual is still indexing in the background.",
+        "retry": "Taking a bit longer than usual — still on your file, I'll be with you in a moment.",
+        "stall": "Still taking a while. If nothing updates, refresh the page — when you're back, we'll continue."
+      },
+      "photo_analysis": {
+        "ack": "I got your photo and I'm analyzing what is directly visible.",
+        "nudge": "I'm still analyzing your photo — I'll show the visible details and uncertainties shortly.",
+        "retry": "The photo analysis is taking a little longer than usual. I'm still working on it.",
+        "stall": "The photo analysis is still taking a while. If nothing updates, try sending it again."
+      },
+      "query": {
+        "nudge": "Still working on your query — sometimes it takes a moment, especially with the connection in the field. I'll respond shortly.",
+        "stall": "Still taking a while. If nothing updates, refresh the page — when you're back, we'll continue."
+      },
+      "dictation": {
+        "listening": "Listening…",
+        "transcribing": "Transcribing…",
+        "cancelled": "Dictation cancelled",
+        "empty": "Didn't catch that — try again",
+        "denied": "Microphone blocked — allow it in the browser settings",
+        "failed": "Couldn't transcribe — try again or type",
+        "swipe_hint": "Swipe to cancel",
+        "auto_send": "Send after a pause",
+        "cancel": "Cancel"
+      },
+      "indexed": {
+        "fallback_name": "Document",
+        "ready": "Ready — you can ask me anything about this.",
+        "urgent_ready": "Urgent pages are ready. The full manual is still indexing.",
+        "pages_available": "Pages now available: %{pages}",
+        "partial_pages": {
+          "one": "⚠️ Page %{pages} could not be fully extracted. Use “Reprocess failed pages” to retry it.",
+          "other": "⚠️ Pages %{pages} could not be fully extracted. Use “Reprocess failed pages” to retry them."
+        }
+      },
+      "image_summary": {
+        "fallback_name": "Image",
+        "invite": "Tell me what you need — you can ask in just a word or two, that’s fine.",
+        "reuse": "Ask about this photo",
+        "open_full": "Open full photo in a new tab"
+      }
+    }
+  }
+}
@@ -0,0 +1,112 @@
+// app/javascript/rag/upload_queue.js
+//
+// Per-file status queue for multi-select and drag-and-drop uploads. The chat
+// controller owns the items and the upload loop; this module only knows how a
+// KbSync event moves one item and how the queue is drawn.
+//
+// Item shape: { key, filename, state, progress, correlationId, message, file, mediaType, ingestion }
+// `key` is an opaque id (time and position in the selection); the file name
+// only ever travels in `filename`.
+// `correlationId` is the /rag/ask correlation_id of the turn that uploaded the
+// file. KbSync events name it in `correlation_ids` (filename → id, stamped by
+// KbSyncBroadcaster) so each file follows its own ingestion, independent of
+// the single indexing bubble the composer upload uses. `ingestion` is the
+// latest KbSync `progress` event for the file (rag/ingestion_progress).
+
+import { translator } from "rag/i18n"
+import { ingestionProgressLabel } from "rag/ingestion_progress"
+
+export const UPLOAD_STATES = Object.freeze({
+  validating:  "validating",
+  queued:      "queued",
+  uploading:   "uploading",
+  indexing:    "indexing",
+  urgentReady: "urgent_ready",
+  indexed:     "indexed",
+  failed:      "failed"
+})
+
+const FINISHED_STATES = [ UPLOAD_STATES.indexed, UPLOAD_STATES.failed ]
+
+export function isFinished(item) {
+  return FINISHED_STATES.includes(item.state)
+}
+
+// @return [Array<String>] every correlation id a KbSync event refers to
+export function eventCorrelationIds(data) {
+  return [ data?.correlation_id, ...Object.values(data?.correlation_ids || {}) ].filter(Boolean)
+}
+
+// @return [String, null] the state `data` moves the item to, or null when the
+//   event does not change it (retry notices, partial failures).
+export function nextUploadState(data) {
+  switch (data?.status) {
+    case "indexed":
+      return data.processing_scope === "urgent_pages" ? UPLOAD_STATES.urgentReady : UPLOAD_STATES.indexed
+    case "failed":
+      return UPLOAD_STATES.failed
+    default:
+      return null
+  }
+}
+
+function escapeHtml(value) {
+  const div = document.createElement("div")
+  div.textContent = value == null ? "" : String(value)
+  return div.innerHTML
+}
+
+function escapeAttribute(value) {
+  return escapeHtml(value).replace(/"/g, "&quot;")
+}
+
+function stateLabel(item, t, lang) {
+  if (item.state === UPLOAD_STATES.uploading) {
+    return t("upload_queue.uploading_percent", { percent: Math.round((item.progress || 0) * 100) })
+  }
+  if (item.ingestion && [ UPLOAD_STATES.indexing, UPLOAD_STATES.urgentReady ].includes(item.state)) {
+    return ingestionProgressLabel(item.ingestion, lang)
+  }
+  return t(`upload_queue.states.${item.state}`)
+}
+
+function renderItem(item, t, lang) {
+  const label = stateLabel(item, t, lang)
+  const bar = item.state === UPLOAD_STATES.uploading
+    ? `<div class="chat-upload-progress-track" role="progressbar" aria-valuemin="0" aria-valuemax="100" ` +
+      `aria-valuenow="${Math.round((item.progress || 0) * 100)}">` +
+      `<div class="chat-upload-progress-bar" style="width:${Math.round((item.progress || 0) * 100)}%"></div></div>`
+    : ""
+  const message = item.message ? `<span class="upload-queue-message">${escapeHtml(item.message)}</span>` : ""
+  const retry = item.state === UPLOAD_STATES.failed && item.file
+    ? `<button type="button" class="upload-queue-retry" data-action="click->rag-chat#retryUpload" ` +
+      `data-upload-key="${escapeAttribute(item.key)}">${escapeHtml(t("upload_queue.retry"))}</button>`
+    : ""
+
+  return `<li class="upload-queue-item" data-upload-key="${escapeAttribute(item.key)}" data-state="${item.state}">` +
+    `<span class="upload-queue-name">📄 ${escapeHtml(item.filename)}</span>` +
+    `<span class="upload-queue-state">${escapeHtml(label)}</span>` +
+    bar + message + retry +
+    `</li>`
+}
+
+// @param container [HTMLElement] the rag-chat uploadQueue target
+// @param items [Array<Object>] queue items, oldest first
+// @param lang [String] chat locale for the queue's labels
+export function renderUploadQueue(container, items, lang) {
+  if (!items.length) {
+    container.hidden = true
+    container.innerHTML = ""
+    return
+  }
+
+  const t = translator(lang)
+  const done = items.filter(isFinished).length
+  const clear = done
+    ? `<button type="button" class="upload-queue-clear" data-action="click->rag-chat#clearUploadQueue">${escapeHtml(t("upload_queue.clear"))}</button>`
+    : ""
+  container.hidden = false
+  container.innerHTML =
+    `<div class="upload-queue-header"><span>${escapeHtml(t("upload_queue.title"))} · ${done}/${items.length}</span>${clear}</div>` +
+    `<ul class="upload-queue-list" role="status" aria-live="polite">${items.map((item) => renderItem(item, t, lang)).join("")}</ul>`
+}
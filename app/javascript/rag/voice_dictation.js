@@ -0,0 +1,212 @@
+// app/javascript/rag/voice_dictation.js
+//
+// Speech-to-text for the chat composer's push-to-talk button. Two providers
+// behind one interface, picked once per page by createDictationProvider:
+//
+//   browser — SpeechRecognition / webkitSpeechRecognition (Chrome, Safari):
+//             on-device or vendor recognition with live interim text.
+//   server  — MediaRecorder clip POSTed to /transcriptions
+//             (TranscriptionsController); only when the server has a provider
+//             configured (SpeechTranscriptionService.enabled?).
+//
+// Provider interface:
+//   start({ lang, onInterim(text), onPause() }) → Promise (rejects on mic denial)
+//   stop()   → Promise<String> final transcript ("" when nothing was heard)
+//   cancel() → discards whatever was captured
+//
+// `onPause` fires once the technician has spoken and then stayed quiet for
+// PAUSE_MS; the chat controller uses it to end dictation (and auto-send).
+
+import { t } from "rag/i18n"
+
+export const PAUSE_MS = 1600
+
+// RMS level (0–1) above which a MediaRecorder frame counts as speech.
+const SPEECH_LEVEL = 0.04
+const LEVEL_POLL_MS = 100
+
+function csrfToken() {
+  return document.querySelector("meta[name=csrf-token]")?.content
+}
+
+function recognitionClass() {
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null
+}
+
+function recognitionLang(lang) {
+  return t("voice_dictation.recognition_lang", { locale: lang })
+}
+
+class BrowserSpeechProvider {
+  static supported() {
+    return Boolean(recognitionClass())
+  }
+
+  start({ lang, onInterim = () => {}, onPause = () => {} } = {}) {
+    const Recognition = recognitionClass()
+    this.recognition = new Recognition()
+    this.recognition.lang = recognitionLang(lang)
+    this.recognition.continuous = true
+    this.recognition.interimResults = true
+    this.finalText = ""
+    this.interimText = ""
+    this.cancelled = false
+    this.stopping = false
+
+    // Some browsers end recognition on their own after a silence even in
+    // continuous mode; that is a pause too.
+    this.ended = new Promise((resolve) => {
+      this.recognition.onend = () => {
+        resolve()
+        if (!this.stopping) onPause()
+      }
+    })
+    this.recognition.onresult = (event) => {
+      let interim = ""
+      for (let index = event.resultIndex; index < event.results.length; index++) {
+        const result = event.results[index]
+        if (result.isFinal) this.finalText += `${result[0].transcript} `
+        else interim += result[0].transcript
+      }
+      this.interimText = interim
+      onInterim(this.transcript())
+      clearTimeout(this.pauseTimer)
+      this.pauseTimer = setTimeout(onPause, PAUSE_MS)
+    }
+
+    return new Promise((resolve, reject) => {
+      this.recognition.onstart = () => resolve()
+      this.recognition.onerror = (event) => {
+        clearTimeout(this.pauseTimer)
+        if (event.error === "not-allowed" || event.error === "service-not-allowed") reject(new Error(event.error))
+      }
+      this.recognition.start()
+    })
+  }
+
+  transcript() {
+    return `${this.finalText}${this.interimText}`.replace(/\s+/g, " ").trim()
+  }
+
+  async stop() {
+    clearTimeout(this.pauseTimer)
+    if (!this.recognition) return ""
+    this.stopping = true
+    this.recognition.stop()
+    await this.ended
+    return this.cancelled ? "" : this.transcript()
+  }
+
+  cancel() {
+    clearTimeout(this.pauseTimer)
+    this.cancelled = true
+    this.stopping = true
+    this.recognition?.abort()
+  }
+}
+
+class ServerTranscriptionProvider {
+  static supported() {
+    return Boolean(window.MediaRecorder && navigator.mediaDevices?.getUserMedia)
+  }
+
+  async start({ lang, onPause = () => {} } = {}) {
+    this.lang = lang
+    this.chunks = []
+    this.stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+    this.recorder = new MediaRecorder(this.stream)
+    this.recorder.ondataavailable = (event) => { if (event.data.size) this.chunks.push(event.data) }
+    this.stopped = new Promise((resolve) => { this.recorder.onstop = resolve })
+    this.recorder.start()
+    this.watchForPause(onPause)
+  }
+
+  // No interim text from a recorder, so the pause is read off the mic level.
+  watchForPause(onPause) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext
+    if (!AudioContextClass) return
+
+    this.audioContext = new AudioContextClass()
+    const analyser = this.audioContext.createAnalyser()
+    analyser.fftSize = 1024
+    this.audioContext.createMediaStreamSource(this.stream).connect(analyser)
+    const samples = new Float32Array(analyser.fftSize)
+    let heardSpeech = false
+    let quietSince = null
+
+    this.levelTimer = setInterval(() => {
+      analyser.getFloatTimeDomainData(samples)
+      const level = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length)
+      if (level >= SPEECH_LEVEL) {
+        heardSpeech = true
+        quietSince = null
+      } else if (heardSpeech) {
+        quietSince ??= Date.now()
+        if (Date.now() - quietSince >= PAUSE_MS) {
+          this.releaseLevelWatch()
+          onPause()
+        }
+      }
+    }, LEVEL_POLL_MS)
+  }
+
+  releaseLevelWatch() {
+    clearInterval(this.levelTimer)
+    this.levelTimer = null
+    this.audioContext?.close()
+    this.audioContext = null
+  }
+
+  async finishRecording() {
+    this.releaseLevelWatch()
+    if (this.recorder && this.recorder.state !== "inactive") this.recorder.stop()
+    await this.stopped
+    this.stream?.getTracks().forEach((track) => track.stop())
+  }
+
+  async stop() {
+    if (!this.recorder) return ""
+    await this.finishRecording()
+    if (this.cancelled || !this.chunks.length) return ""
+
+    const clip = new Blob(this.chunks, { type: this.recorder.mimeType || "audio/webm" })
+    const form = new FormData()
+    form.append("audio", clip, "dictation")
+    form.append("locale", this.lang || "es")
+    const response = await fetch("/transcriptions", {
+      method: "POST",
+      body: form,
+      credentials: "same-origin",
+      headers: { "Accept": "application/json", "X-CSRF-Token": csrfToken() }
+    })
+    if (!response.ok) throw new Error(`transcription failed (${response.status})`)
+    const { text } = await response.json()
+    return String(text || "").trim()
+  }
+
+  cancel() {
+    this.cancelled = true
+    this.chunks = []
+    this.finishRecording()
+  }
+}
+
+// @param serverEnabled [Boolean] the server has a transcription provider
+// @return [Object, null] a fresh provider, or null when this browser cannot dictate
+export function createDictationProvider({ serverEnabled = false } = {}) {
+  if (BrowserSpeechProvider.supported()) return new BrowserSpeechProvider()
+  if (serverEnabled && ServerTranscriptionProvider.supported()) return new ServerTranscriptionProvider()
+  return null
+}
+
+export function dictationSupported({ serverEnabled = false } = {}) {
+  return BrowserSpeechProvider.supported() || (serverEnabled && ServerTranscriptionProvider.supported())
+}
+
+// Dictated text joins whatever the technician already typed.
+export function appendTranscript(current, transcript) {
+  const before = String(current || "").replace(/\s+$/, "")
+  const addition = String(transcript || "").trim()
+  if (!addition) return String(current || "")
+  return before ? `${before} ${addition}` : addition
+}
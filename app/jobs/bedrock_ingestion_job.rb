@@ -75,6 +75,8 @@ class BedrockIngestionJob < ApplicationJob
     started_at = parse_started_at(started_at_iso)
     raise Timeout::Error, "Ingestion #{ingestion_job_id} timed out" if Time.current - started_at > TIMEOUT
 
+    broadcast_embedding(uploaded_filenames, web_v1_metadata) if started_at_iso.blank?
+
     service = IngestionStatusService.new(kb_id: kb_id, data_source_id: data_source_id)
     status  = service.job_status(ingestion_job_id)
 
@@ -102,6 +104,7 @@ class BedrockIngestionJob < ApplicationJob
   def perform_legacy(ingestion_job_id, uploaded_filenames, kb_id:, data_source_id:, conv_session_id:, kb_document_ids:, web_v1_metadata:)
     service = IngestionStatusService.new(kb_id: kb_id, data_source_id: data_source_id)
     started_at = Time.current
+    broadcast_embedding(uploaded_filenames, web_v1_metadata)
 
     loop do
       raise Timeout::Error, "Ingestion job #{ingestion_job_id} timed out" if Time.current - started_at > TIMEOUT
@@ -155,7 +158,20 @@ class BedrockIngestionJob < ApplicationJob
     end
   end
 
-  def broadcast_indexed(filename, result = nil)
+  # Once per ingestion job: Bedrock reports no per-file progress to count.
+  def broadcast_embedding(uploaded_filenames, web_v1_metadata)
+    KbSyncBroadcaster.progress(
+      filenames:        uploaded_filenames,
+      stage:            "embedding",
+      account_id:       @account_id,
+      retries:          executions - 1,
+      processing_scope: Array(web_v1_metadata).first&.dig("processing_scope").presence
+    )
+  end
+
+  # kb_document_id lets the chat offer "Reprocess failed pages" right in the
+  # bubble when partial_pages come back.
+  def broadcast_indexed(filename, result = nil, kb_document_id: nil)
     canonical       = result&.dig(:canonical_name).to_s.strip.presence || File.basename(filename, ".*").tr("_-", " ").strip
     aliases         = Array(result&.dig(:aliases)).first(5).map(&:to_s).compact_blank
     summary         = result&.dig(:summary).to_s.presence
@@ -188,7 +204,7 @@ class BedrockIngestionJob < ApplicationJob
       message = "#{message}\n#{I18n.t('rag.partial_pages_warning', pages: partial_pages.join(', '))}"
     end
 
-    ActionCable.server.broadcast(KbSyncBroadcaster.channel_for(@account_id), {
+    KbSyncBroadcaster.broadcast(@account_id, {
       status:          "indexed",
       filenames:       [ filename ],
       canonical_name:  canonical,
@@ -199,6 +215,7 @@ class BedrockIngestionJob < ApplicationJob
       processing_scope: processing_scope,
       selected_pages:   selected_pages,
       total_pages:      total_pages,
+      kb_document_id:   kb_document_id,
       message:         message
     })
   end
@@ -231,7 +248,7 @@ class BedrockIngestionJob < ApplicationJob
       enrich_kb_document(filename, result, kb_doc: kb_doc)
       register_entity(session, filename, result, kb_doc: kb_doc) if session
       mark_web_manual_batch_complete(result)
-      broadcast_indexed(filename, result)
+      broadcast_indexed(filename, result, kb_document_id: kb_doc&.id)
     end
   end
 
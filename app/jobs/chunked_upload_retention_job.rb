@@ -0,0 +1,23 @@
+# frozen_string_literal: true
+
+# Aborts chat document uploads that were never finished (or finished but never
+# sent to /rag/ask) so their S3 multipart parts do not accumulate. A resumed
+# upload touches `updated_at` with every chunk, so only uploads idle for
+# ChunkedUpload::RETENTION are removed.
+#
+# Scheduled every day at 3:30am via config/recurring.yml.
+class ChunkedUploadRetentionJob < ApplicationJob
+  queue_as :default
+
+  def perform
+    storage = ChunkedUploadStorageService.new
+    count = 0
+
+    ChunkedUpload.stale.find_each do |upload|
+      upload.discard!(storage: storage)
+      count += 1
+    end
+
+    Rails.logger.info("ChunkedUploadRetentionJob: discarded #{count} abandoned upload(s)")
+  end
+end
@@ -48,10 +48,15 @@ class FieldPhotoAnalysisJob < ApplicationJob
   end
 
   def perform(image_token:, image_sha256:, filename:, content_type:, account_id:, user_id: nil,
-              conversation_session_id: nil, locale: nil, correlation_id: nil, field_photo_id: nil)
+              conversation_session_id: nil, locale: nil, correlation_id: nil, field_photo_id: nil,
+              annotations: [], companions: [])
     started_at = Process.clock_gettime(Process::CLOCK_MONOTONIC)
     locale = locale.to_s.presence || I18n.default_locale.to_s
     correlation_id ||= "photo:#{SecureRandom.uuid}"
+    # Further photos of the same fault ({ image_token:, image_sha256:, filename:,
+    # content_type:, annotations: }): analyzed with this one, never persisted.
+    companions = Array(companions).map { |companion| companion.to_h.symbolize_keys }
+    diagnosis_sha256 = FieldPhotoDiagnosisCache.set_sha256([ image_sha256, *companions.pluck(:image_sha256) ])
     session = conversation_session_id ? ConversationSession.find_by(id: conversation_session_id) : nil
     if session && account_id && session.account_id != account_id
       raise ArgumentError, "ConversationSession #{session.id} is not owned by account #{account_id}"
@@ -59,7 +64,7 @@ class FieldPhotoAnalysisJob < ApplicationJob
 
     cached = FieldPhotoDiagnosisCache.read(
       account_id: account_id,
-      sha256: image_sha256,
+      sha256: diagnosis_sha256,
       locale: locale
     )
     if cached
@@ -145,6 +150,13 @@ class FieldPhotoAnalysisJob < ApplicationJob
       )
     end
 
+    # A companion whose bytes expired is left out; the diagnosis still runs on
+    # the rest but is not cached under the full set's key.
+    companion_images = companions.filter_map do |companion|
+      FieldPhotoPendingImageStore.take(token: companion[:image_token], account_id: account_id)
+        &.merge(annotations: companion[:annotations])
+    end
+
     result = FieldPhotoAnalysisService.new(
       binary: image.fetch(:binary),
       content_type: image[:content_type].presence || content_type,
@@ -153,16 +165,20 @@ class FieldPhotoAnalysisJob < ApplicationJob
       account_id: account_id,
       user_id: user_id,
       conv_session_id: conversation_session_id,
-      correlation_id: correlation_id
+      correlation_id: correlation_id,
+      annotations: annotations,
+      companions: companion_images
     ).call
 
     cache_value = diagnosis_cache_value(result)
-    FieldPhotoDiagnosisCache.write(
-      account_id: account_id,
-      sha256: image_sha256,
-      locale: locale,
-      value: cache_value
-    )
+    if companion_images.size == companions.size
+      FieldPhotoDiagnosisCache.write(
+        account_id: account_id,
+        sha256: diagnosis_sha256,
+        locale: locale,
+        value: cache_value
+      )
+    end
 
     deliver(
       cache_value,
@@ -196,6 +212,9 @@ class FieldPhotoAnalysisJob < ApplicationJob
     )
   ensure
     FieldPhotoPendingImageStore.delete(token: image_token, account_id: account_id)
+    Array(companions).each do |companion|
+      FieldPhotoPendingImageStore.delete(token: companion.to_h.symbolize_keys[:image_token], account_id: account_id)
+    end
   end
 
   private
@@ -248,7 +267,7 @@ class FieldPhotoAnalysisJob < ApplicationJob
       user_id: user_id,
       correlation_id: correlation_id
     )
-    KbSyncBroadcaster.photo_analyzed(
+    payload = KbSyncBroadcaster.photo_analyzed(
       filenames: [ filename ],
       analysis: value.fetch(:analysis),
       canonical_name: value[:canonical_name],
@@ -259,6 +278,13 @@ class FieldPhotoAnalysisJob < ApplicationJob
       thumbnail_url: field_photo_thumbnail_url(field_photo_id),
       response_locale: locale
     )
+    ConversationMessage.record(
+      session,
+      role: "photo",
+      payload: payload.except(:sequence_id),
+      user_id: user_id,
+      correlation_id: correlation_id
+    )
   end
 
   def field_photo_thumbnail_url(field_photo_id)
@@ -35,10 +35,8 @@ class IngestManualBatchResultsJob < ApplicationJob
     return if batch_ids.empty?
 
     batch_client = ClaudeBatchClient.new
-    statuses = batch_ids.to_h do |current_batch_id|
-      status = batch_client.retrieve(batch_id: current_batch_id)
-      [ current_batch_id, status.processing_status.to_s ]
-    end
+    batches = batch_ids.index_with { |current_batch_id| batch_client.retrieve(batch_id: current_batch_id) }
+    statuses = batches.transform_values { |batch| batch.processing_status.to_s }
     unexpected = statuses.reject { |_id, status| status.in?(%w[in_progress ended]) }
 
     if unexpected.any?
@@ -51,6 +49,7 @@ class IngestManualBatchResultsJob < ApplicationJob
       Rails.logger.warn("IngestManualBatchResultsJob: unexpected batch statuses #{status_summary}")
     elsif statuses.value?("in_progress")
       web_manual_batch&.update!(status: "in_progress")
+      broadcast_batch_progress(web_manual_batch, batches.values) if web_manual_batch
       if attempt >= MAX_ATTEMPTS
         web_manual_batch&.update!(
           status:        "failed",
@@ -136,6 +135,14 @@ class IngestManualBatchResultsJob < ApplicationJob
     end
 
     page_results.sort_by! { |r| r[:page_number] }
+    KbSyncBroadcaster.progress(
+      filenames:   [ filename ],
+      stage:       "parsing",
+      account_id:  account_id,
+      pages_done:  page_results.count { |result| !BatchPageRetryService.needs_retry?(result) },
+      pages_total: Array(ctx[:kept_pages]).presence&.size || page_customs.size,
+      retries:     executions - 1
+    )
 
     # B.1 paso 12: shared bounded retry for truncated OR invalid-JSON pages
     # (V1 page-6 failure mode). Retry only — automatic long-manual routing
@@ -149,7 +156,9 @@ class IngestManualBatchResultsJob < ApplicationJob
       tracking_prefix: "web_batch_retry"
     )
 
-    merged_json = ChunkMergerService.merge(page_results)
+    report       = ChunkMergerService.merge_with_report(page_results)
+    merged_json  = report[:json]
+    failed_pages = failed_pages_for(ctx, page_results, report[:degraded_pages])
 
     s3 = S3DocumentsService.new
     asset = ChunkAsset.new(filename: filename, sha256: sha256, s3_key: s3_key, content_type: "application/pdf")
@@ -167,6 +176,7 @@ class IngestManualBatchResultsJob < ApplicationJob
       aliases:          Array(chunk_asset.aliases),
       chunks_count:     chunk_asset.chunks_count,
       chunks_s3_prefix: chunk_asset.chunks_s3_prefix,
+      failed_pages:     failed_pages,
       error_message:    nil
     )
 
@@ -178,7 +188,7 @@ class IngestManualBatchResultsJob < ApplicationJob
       "summary"          => chunk_asset.summary.to_s.presence,
       "companion_offer"  => chunk_asset.companion_offer.to_s.presence,
       "chunks_s3_prefix" => chunk_asset.chunks_s3_prefix.to_s.presence,
-      "partial_pages"    => Array(chunk_asset.degraded_pages),
+      "partial_pages"    => failed_pages,
       "processing_scope" => "full_manual",
       "web_manual_batch_id" => web_manual_batch&.id
     } ]
@@ -211,6 +221,37 @@ class IngestManualBatchResultsJob < ApplicationJob
     Rails.logger.info("IngestManualBatchResultsJob: #{filename} batches #{batch_ids.join(',')} → Bedrock sync started")
   end
 
+  # Pages the manual is still missing after the retry: degraded by the merger,
+  # or kept for the Batch but never returned as a succeeded result. The
+  # Archivos panel offers to reprocess exactly these (ReprocessFailedPagesJob).
+  def failed_pages_for(ctx, page_results, degraded_pages)
+    expected = Array(ctx[:kept_pages]).presence || (ctx[:page_customs] || {}).keys
+    missing  = expected.map(&:to_i) - page_results.map { |result| result[:page_number].to_i }
+    (Array(degraded_pages) + missing).uniq.sort
+  end
+
+  # Pages the Batch API has answered so far (request_counts, one request per
+  # kept page) and, once some have, the time left at the rate seen since
+  # submission.
+  def broadcast_batch_progress(web_manual_batch, batches)
+    counts = batches.filter_map { |batch| batch.try(:request_counts) }
+    done   = counts.sum { |count| count.succeeded.to_i + count.errored.to_i + count.canceled.to_i + count.expired.to_i }
+    total  = web_manual_batch.kept_pages.size.nonzero? || (done + counts.sum { |count| count.processing.to_i })
+    elapsed = web_manual_batch.submitted_at && (Time.current - web_manual_batch.submitted_at)
+    eta = (elapsed / done * (total - done)).round if elapsed && done.positive? && total > done
+
+    KbSyncBroadcaster.progress(
+      filenames:   [ web_manual_batch.filename ],
+      stage:       "batch",
+      account_id:  web_manual_batch.account_id,
+      pages_done:  [ done, total ].min,
+      pages_total: total,
+      eta_seconds: eta
+    )
+  rescue StandardError => e
+    Rails.logger.warn("IngestManualBatchResultsJob: failed to broadcast Batch progress — #{e.message}")
+  end
+
   def load_web_manual_batch(id)
     return if id.blank?
 
@@ -237,9 +278,10 @@ class IngestManualBatchResultsJob < ApplicationJob
 
   def broadcast_failed(web_manual_batch, ctx)
     KbSyncBroadcaster.failed(
-      filenames: [ ctx[:filename] ],
-      reason:    "manual_batch_failed",
-      locale:    web_manual_batch&.locale || ctx[:locale]
+      filenames:  [ ctx[:filename] ],
+      account_id: web_manual_batch&.account_id || ctx[:account_id],
+      reason:     "manual_batch_failed",
+      locale:     web_manual_batch&.locale || ctx[:locale]
     )
   rescue StandardError => e
     Rails.logger.warn("IngestManualBatchResultsJob: failed to broadcast manual batch failure — #{e.message}")
@@ -57,6 +57,7 @@ class ProcessManualUrgentTriageJob < ApplicationJob
     Rails.logger.error(e.backtrace.first(10).join("\n"))
     KbSyncBroadcaster.partial_failed(
       filenames: [ filename ],
+      account_id: batch&.account_id,
       message: I18n.with_locale(locale || :es) { I18n.t("rag.manual_urgent_triage_failed") }
     )
   end
@@ -0,0 +1,45 @@
+# frozen_string_literal: true
+
+# Second half of "Remove from KB" (KbDocumentsController#destroy). The row is
+# already gone and unpinned everywhere (KbDocument#remove_from_kb!); this deletes
+# the document's chunks and original upload from S3 and starts a sync so Bedrock
+# drops them too. The chat bubble that asked hears "removed" or "failed".
+class PurgeKbDocumentJob < ApplicationJob
+  queue_as :bulk_ingestion
+
+  # @param account_id   [Integer]
+  # @param document_uid [String] names the chunk prefix (BatchResultsParserService)
+  # @param s3_key       [String] original upload, bare key or s3:// URI
+  # @param filename     [String] the name KbSync events use for the file
+  # @param locale       [String, nil] ISO 639-1
+  def perform(account_id:, document_uid:, s3_key:, filename:, locale: nil)
+    s3 = S3DocumentsService.new
+    s3.delete_prefix("#{format(BatchResultsParserService::CHUNK_PREFIX_TPL, account_id, document_uid)}/")
+    # Exact keys: another upload's name can start with this one's.
+    original_key = KbDocument.object_key_for_match(s3_key)
+    s3.delete_keys([ original_key, "#{original_key}.metadata.json" ]) if original_key.present?
+
+    if BulkKbSyncService.new.sync!(uploaded_filenames: [], locale: locale).blank?
+      return broadcast_failed(account_id, filename, locale)
+    end
+
+    KbSyncBroadcaster.removed(filenames: [ filename ], account_id: account_id, locale: locale)
+  rescue StandardError => e
+    Rails.logger.error("PurgeKbDocumentJob[#{document_uid}]: #{e.class}: #{e.message}")
+    broadcast_failed(account_id, filename, locale)
+    raise
+  end
+
+  private
+
+  def broadcast_failed(account_id, filename, locale)
+    KbSyncBroadcaster.failed(
+      filenames:  [ filename ],
+      account_id: account_id,
+      reason:     "kb_remove_failed",
+      message:    I18n.with_locale(locale || :es) { I18n.t("rag.kb_document_remove_failed", name: filename) }
+    )
+  rescue StandardError => e
+    Rails.logger.warn("PurgeKbDocumentJob: failed to broadcast removal failure — #{e.message}")
+  end
+end
@@ -0,0 +1,121 @@
+# frozen_string_literal: true
+
+# "Reprocess failed pages" in the Archivos panel (KbDocumentsController#reprocess).
+# Sends only the pages a finished long-manual pass could not chunk
+# (WebManualBatch#failed_pages) back through BatchPageRetryService, rewrites just
+# those pages' chunk files and resyncs. The rest of the manual is neither read
+# again nor billed again.
+#
+# The chat bubble that asked follows it over KbSyncChannel: "reprocessing" now,
+# then BedrockIngestionJob's "indexed" (pages that still failed come back as
+# partial_pages) or "failed".
+class ReprocessFailedPagesJob < ApplicationJob
+  queue_as :bulk_ingestion
+
+  discard_on ActiveRecord::RecordNotFound
+
+  TRACKING_PREFIX = "web_page_reprocess"
+
+  # @param web_manual_batch_id [Integer] the manual's latest full pass
+  # @param locale              [String, nil] ISO 639-1, for the KbSync messages
+  def perform(web_manual_batch_id:, locale: nil)
+    batch = WebManualBatch.find(web_manual_batch_id)
+    return unless batch.reprocessable?
+
+    pages = Array(batch.failed_pages).map(&:to_i).sort
+    KbSyncBroadcaster.reprocessing(filenames: [ batch.filename ], pages: pages, account_id: batch.account_id, locale: locale)
+
+    recovered = retry_pages(batch, pages).reject { |result| BatchPageRetryService.needs_retry?(result) }
+    if recovered.empty?
+      broadcast_failed(batch, locale, I18n.with_locale(locale || :es) { I18n.t("rag.reprocess_pages_failed", pages: pages.join(", ")) })
+      return
+    end
+
+    rewrite_pages(batch, recovered)
+    still_failed = pages - recovered.map { |result| result[:page_number] }
+    batch.update!(failed_pages: still_failed)
+
+    sync_result = BulkKbSyncService.new.sync!(uploaded_filenames: [ batch.filename ], locale: locale)
+    return broadcast_failed(batch, locale) if sync_result.blank?
+
+    BedrockIngestionJob.perform_later(
+      sync_result[:job_id],
+      [ batch.filename ],
+      kb_id:           sync_result[:kb_id],
+      data_source_id:  sync_result[:data_source_id],
+      account_id:      batch.account_id,
+      document_uid:    batch.kb_document.document_uid,
+      kb_document_ids: [ batch.kb_document_id ],
+      web_v1_metadata: [ {
+        "filename"            => batch.filename,
+        "canonical_name"      => batch.canonical_name.to_s,
+        "aliases"             => Array(batch.aliases),
+        "chunks_s3_prefix"    => batch.chunks_s3_prefix,
+        "partial_pages"       => still_failed,
+        "processing_scope"    => "full_manual",
+        "web_manual_batch_id" => batch.id
+      } ],
+      locale:          locale
+    )
+
+    Rails.logger.info(
+      "ReprocessFailedPagesJob: #{batch.filename} recovered #{recovered.size}/#{pages.size} page(s) → Bedrock sync started"
+    )
+  rescue StandardError => e
+    Rails.logger.error("ReprocessFailedPagesJob[#{web_manual_batch_id}]: #{e.class}: #{e.message}")
+    broadcast_failed(batch, locale) if batch
+    raise
+  end
+
+  private
+
+  # Every page starts with no text, so each one is retried from the first rung
+  # of the ladder. Anchor and page count are the manual's, not this subset's.
+  def retry_pages(batch, pages)
+    edges = batch.page_topology_edges.to_h.transform_keys(&:to_i)
+    kept  = Array(batch.kept_pages).map(&:to_i)
+    page_results = pages.map do |page|
+      { page_number: page, text: nil, model: nil, stop_reason: nil, topology_edges: Array(edges[page]) }
+    end
+
+    BatchPageRetryService.new.retry_failed_pages!(
+      page_results:       page_results,
+      s3_key:             batch.s3_key,
+      filename:           batch.filename,
+      sha256:             batch.sha256,
+      tracking_prefix:    TRACKING_PREFIX,
+      anchor_page_number: kept.min,
+      total_pages:        kept.size.nonzero?
+    )
+  end
+
+  # A few pages alone do not name the manual reliably, so the first pass's
+  # name and aliases stay on every rewritten chunk.
+  def rewrite_pages(batch, recovered)
+    merged = JSON.parse(ChunkMergerService.merge(recovered)).except("document_name_consensus")
+    merged["document_name"] = batch.canonical_name if batch.canonical_name.present?
+    merged["aliases"]       = Array(batch.aliases) if Array(batch.aliases).any?
+
+    asset = ChunkAsset.new(filename: batch.filename, sha256: batch.sha256, s3_key: batch.s3_key, content_type: "application/pdf")
+    BatchResultsParserService.new.call(
+      asset:          asset,
+      raw_json:       JSON.generate(merged),
+      ingestion_path: BatchResultsParserService::MANUAL_BATCH_INGESTION_PATH,
+      account_id:     batch.account_id,
+      document_uid:   batch.kb_document.document_uid,
+      pages:          recovered.map { |result| result[:page_number] }
+    )
+  end
+
+  def broadcast_failed(batch, locale, message = nil)
+    KbSyncBroadcaster.failed(
+      filenames:  [ batch.filename ],
+      account_id: batch.account_id,
+      reason:     "reprocess_failed",
+      message:    message,
+      locale:     locale
+    )
+  rescue StandardError => e
+    Rails.logger.warn("ReprocessFailedPagesJob: failed to broadcast reprocess failure — #{e.message}")
+  end
+end
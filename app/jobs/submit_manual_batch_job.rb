@@ -36,6 +36,7 @@ class SubmitManualBatchJob < ApplicationJob
     return unless locked == 1
 
     batch.reload
+    KbSyncBroadcaster.progress(filenames: [ filename ], stage: "splitting", account_id: account_id, retries: executions - 1)
 
     binary = S3DocumentsService.new.download(s3_key)
     if binary.blank?
@@ -61,9 +62,10 @@ class SubmitManualBatchJob < ApplicationJob
         error_message: "No pages kept by relevance filter"
       )
       KbSyncBroadcaster.failed(
-        filenames: [ filename ],
-        reason:    "manual_batch_no_relevant_pages",
-        locale:    locale
+        filenames:  [ filename ],
+        account_id: account_id,
+        reason:     "manual_batch_no_relevant_pages",
+        locale:     locale
       )
       Rails.logger.warn("SubmitManualBatchJob: no pages kept for #{filename} — skipping batch")
       return
@@ -85,6 +87,13 @@ class SubmitManualBatchJob < ApplicationJob
     )
 
     enqueue_poll(batch, wait: 5.minutes)
+    KbSyncBroadcaster.progress(
+      filenames:   [ filename ],
+      stage:       "batch",
+      account_id:  account_id,
+      pages_done:  0,
+      pages_total: batch.kept_pages.size
+    )
 
     Rails.logger.info(
       "SubmitManualBatchJob: #{filename} → batch_id=#{result[:batch_id]} " \
@@ -96,9 +105,10 @@ class SubmitManualBatchJob < ApplicationJob
       error_message: e.message
     )
     KbSyncBroadcaster.failed(
-      filenames: [ filename ],
-      reason:    "manual_batch_payload_too_large",
-      locale:    locale
+      filenames:  [ filename ],
+      account_id: account_id,
+      reason:     "manual_batch_payload_too_large",
+      locale:     locale
     )
     Rails.logger.warn("SubmitManualBatchJob[#{filename}]: #{e.message}")
   rescue StandardError => e
@@ -4,8 +4,8 @@
 # Called from BedrockRagService and BedrockClient so that tracking never blocks
 # the HTTP response.
 #
-# After updating CostMetric it broadcasts a Turbo Stream to the "metrics" channel
-# so the home page metrics widget refreshes automatically in the browser.
+# After updating CostMetric it pushes the row and the day's totals to the
+# account's UsageMetricsChannel so the home chat footer updates live.
 class TrackBedrockQueryJob < ApplicationJob
   queue_as :default
 
@@ -77,7 +77,7 @@ class TrackBedrockQueryJob < ApplicationJob
 
     SimpleMetricsService.update_database_metrics_only
 
-    broadcast_metrics_update
+    broadcast_metrics_update(bedrock_query)
 
     Rails.logger.info(
       "[TrackBedrockQueryJob] tracked #{input_tokens} in + #{output_tokens} out tokens " \
@@ -137,15 +137,9 @@ class TrackBedrockQueryJob < ApplicationJob
     Rails.logger.info("[RAG_REGRESSION] #{JSON.generate(payload)}")
   end
 
-  # Pushes Turbo Stream update to #chat-usage-metrics-container (home chat footer).
-  # Subscribes via `turbo_stream_from "metrics"`.
-  def broadcast_metrics_update
-    Turbo::StreamsChannel.broadcast_update_to(
-      "metrics",
-      target: "chat-usage-metrics-container",
-      partial: "home/chat_usage_footer_metrics",
-      locals: { current_metrics: CostMetric.daily_snapshot(Date.current) }
-    )
+  # Pushes the row and the day's totals to the home chat footer (UsageMetricsBroadcaster).
+  def broadcast_metrics_update(bedrock_query)
+    UsageMetricsBroadcaster.broadcast(bedrock_query)
   rescue StandardError => e
     Rails.logger.warn("[TrackBedrockQueryJob] metrics broadcast failed: #{e.message}")
   end
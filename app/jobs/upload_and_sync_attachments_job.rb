@@ -30,29 +30,34 @@ class UploadAndSyncAttachmentsJob < ApplicationJob
   # @param documents_payload [Array<Hash>] sanitized document payloads
   # @param conv_session_id   [Integer, nil] ConversationSession#id for entity registration
   # @param account_id        [Integer] Account#id for ownership scoping
+  # @param user_id           [Integer, nil] uploading User#id (KbDocument#uploaded_by_user_id)
   # @param document_uid      [String] UUID assigned by the request before enqueue
   # @param locale            [String, nil] ISO 639-1 locale — forwarded to QOS for image summary
   # @param query             [String, nil] original question, used for long-manual urgent triage
-  def perform(images_payload:, documents_payload:, conv_session_id: nil, account_id:, document_uid:, locale: nil, query: nil)
+  def perform(images_payload:, documents_payload:, conv_session_id: nil, account_id:, document_uid:, locale: nil, query: nil,
+              user_id: nil)
     images    = restore_images(Array(images_payload))
-    documents = Array(documents_payload).map { |d| d.transform_keys(&:to_sym) }
     account   = Account.find(account_id)
+    staged    = staged_uploads(Array(documents_payload), account)
+    documents = restore_documents(Array(documents_payload), staged)
     session   = conv_session_id ? ConversationSession.find_by(id: conv_session_id) : nil
     assert_session_account!(session, account) if session
 
     I18n.with_locale(locale || :es) do
       QueryOrchestratorService
         .new(query.to_s, images: images, documents: documents, document_uids: [ document_uid ],
-             account: account, conv_session: session, locale: locale)
+             account: account, conv_session: session, locale: locale, user_id: user_id)
         .send(:upload_and_sync_attachments)
     end
+    # Kept until the pipeline succeeds so a Solid Queue retry can read them again.
+    staged.each_value(&:discard!)
   rescue AccountOwnershipError => e
     Rails.logger.warn("UploadAndSyncAttachmentsJob ownership error: #{e.message}")
-    broadcast_failed(Array(images_payload), Array(documents_payload), locale)
+    broadcast_failed(Array(images_payload), Array(documents_payload), locale, account_id)
   rescue StandardError => e
     Rails.logger.error("UploadAndSyncAttachmentsJob failed: #{e.class}: #{e.message}")
     Rails.logger.error(e.backtrace.first(10).join("\n"))
-    broadcast_failed(Array(images_payload), Array(documents_payload), locale)
+    broadcast_failed(Array(images_payload), Array(documents_payload), locale, account_id)
     raise
   end
 
@@ -69,10 +74,10 @@ class UploadAndSyncAttachmentsJob < ApplicationJob
 
   private
 
-  def broadcast_failed(images_payload, documents_payload, locale)
+  def broadcast_failed(images_payload, documents_payload, locale, account_id)
     filenames = (Array(images_payload) + Array(documents_payload))
                   .map { |a| a[:filename] || a["filename"] }.compact
-    KbSyncBroadcaster.failed(filenames: filenames, reason: "upload_error", locale: locale)
+    KbSyncBroadcaster.failed(filenames: filenames, account_id: account_id, reason: "upload_error", locale: locale)
   end
 
   # Strips/wraps raw binary fields so the payload is JSON-safe AND smaller.
@@ -94,6 +99,32 @@ class UploadAndSyncAttachmentsJob < ApplicationJob
     end
   end
 
+  # Chunked uploads (ChunkedUpload) travel as { chunked_upload_id } so the
+  # assembled manual never lands in solid_queue_jobs.arguments; the bytes are
+  # read back from S3 here, in the worker.
+  #
+  # @return [Hash{Integer => ChunkedUpload}]
+  def staged_uploads(payloads, account)
+    ids = payloads.filter_map { |d| d[:chunked_upload_id] || d["chunked_upload_id"] }
+    ChunkedUpload.where(id: ids).to_a.each do |upload|
+      next if upload.account_id == account.id
+
+      raise AccountOwnershipError, "ChunkedUpload #{upload.id} is not owned by account #{account.id}"
+    end.index_by(&:id)
+  end
+
+  def restore_documents(payloads, staged)
+    payloads.map do |raw|
+      doc = raw.transform_keys(&:to_sym)
+      next doc if doc[:chunked_upload_id].blank?
+
+      upload = staged[doc[:chunked_upload_id].to_i]
+      raise ActiveRecord::RecordNotFound, "ChunkedUpload #{doc[:chunked_upload_id]} not found" if upload.nil?
+
+      doc.except(:chunked_upload_id).merge(binary: upload.read_binary)
+    end
+  end
+
   def assert_session_account!(session, account)
     return if session.account_id == account.id
 
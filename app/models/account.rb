@@ -8,6 +8,7 @@ class Account < ApplicationRecord
   has_many :technician_documents, dependent: :restrict_with_error
   # Operational data with a TTL, not knowledge that should block account deletion.
   has_many :field_photos, dependent: :destroy
+  has_many :pin_sets, dependent: :destroy
 
   validates :slug, presence: true, uniqueness: true
   validates :display_name, presence: true
@@ -0,0 +1,109 @@
+# frozen_string_literal: true
+
+# A chat document being uploaded in fixed-size chunks (ChunkedUploadsController)
+# instead of base64 inside the /rag/ask JSON body. Each acknowledged chunk is an
+# S3 multipart part (ChunkedUploadStorageService) and `received_bytes` is the
+# resume point: after a dropped connection the client asks for it and sends
+# only what is missing. A complete upload is referenced from /rag/ask by id and
+# read back by UploadAndSyncAttachmentsJob for CustomChunkingPipeline.
+class ChunkedUpload < ApplicationRecord
+  class OffsetMismatch < StandardError; end
+  class InvalidChunk < StandardError; end
+
+  # S3's minimum multipart part size; only the last chunk may be smaller.
+  CHUNK_SIZE    = 5.megabytes
+  # Same cap as rag_chat_controller MAX_DOC_SIZE (Bedrock KB document limit).
+  MAX_BYTE_SIZE = 50.megabytes
+  # Abandoned uploads are aborted by ChunkedUploadRetentionJob after this.
+  RETENTION     = 1.day
+  STATUSES      = %w[uploading complete].freeze
+
+  belongs_to :account
+  belongs_to :user
+
+  validates :filename, :content_type, presence: true
+  validates :byte_size, numericality: { greater_than: 0, less_than_or_equal_to: MAX_BYTE_SIZE }
+  validates :status, inclusion: { in: STATUSES }
+
+  scope :stale, -> { where(updated_at: ...RETENTION.ago) }
+
+  # Opens the S3 multipart upload and persists the resume state.
+  # @raise [ActiveRecord::RecordInvalid] before anything is created in S3
+  def self.start!(user:, account:, filename:, content_type:, byte_size:, storage: ChunkedUploadStorageService.new)
+    upload = new(user: user, account: account, filename: File.basename(filename.to_s),
+                 content_type: content_type, byte_size: byte_size)
+    upload.validate!
+
+    upload.s3_key       = storage.key_for(account_id: account.id, token: SecureRandom.uuid, filename: upload.filename)
+    upload.s3_upload_id = storage.start(key: upload.s3_key, content_type: content_type)
+    upload.save!
+    upload
+  end
+
+  # Stores the chunk that starts at `offset`; the last one assembles the file.
+  # A chunk that was stored but never acknowledged (connection dropped on the
+  # response) comes back as an OffsetMismatch, which tells the client where to
+  # continue.
+  #
+  # @raise [OffsetMismatch] offset is not the current resume point
+  # @raise [InvalidChunk] wrong chunk length
+  def append_chunk!(offset:, body:, storage: ChunkedUploadStorageService.new)
+    with_lock do
+      raise OffsetMismatch, "expected offset #{received_bytes}, got #{offset}" unless uploading? && offset == received_bytes
+
+      expected = [ CHUNK_SIZE, byte_size - received_bytes ].min
+      raise InvalidChunk, "expected #{expected} bytes, got #{body.bytesize}" unless body.bytesize == expected
+
+      part_number = (offset / CHUNK_SIZE) + 1
+      etag = storage.upload_part(key: s3_key, upload_id: s3_upload_id, part_number: part_number, body: body)
+      self.parts = parts + [ { "part_number" => part_number, "etag" => etag } ]
+      self.received_bytes += body.bytesize
+
+      if received_bytes == byte_size
+        storage.complete(key: s3_key, upload_id: s3_upload_id, parts: parts)
+        self.status = "complete"
+      end
+      save!
+    end
+    self
+  end
+
+  def uploading?
+    status == "uploading"
+  end
+
+  def complete?
+    status == "complete"
+  end
+
+  def read_binary(storage: ChunkedUploadStorageService.new)
+    storage.read(s3_key)
+  end
+
+  # Removes the staged object (or the unfinished multipart parts) and the row.
+  def discard!(storage: ChunkedUploadStorageService.new)
+    if complete?
+      storage.delete(s3_key)
+    else
+      storage.abort(key: s3_key, upload_id: s3_upload_id)
+    end
+    destroy!
+  end
+
+  # Shape rag_controller#extract_documents_from_params hands to
+  # QueryOrchestratorService in place of an inline base64 document.
+  def to_document_payload
+    { filename: filename, media_type: content_type, chunked_upload_id: id }
+  end
+
+  def as_status_json
+    {
+      id:             id,
+      filename:       filename,
+      byte_size:      byte_size,
+      received_bytes: received_bytes,
+      chunk_size:     CHUNK_SIZE,
+      status:         status
+    }
+  end
+end
@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+# Render-ready transcript of a web conversation: the technician's question and
+# the exact /rag/ask JSON (or photo_analyzed payload) the chat rendered, so the
+# home page can rehydrate the visible transcript after a reload or Turbo visit.
+# ConversationSession#conversation_history stays the prompt memory (last
+# MAX_HISTORY turns, truncated to MAX_MSG_LENGTH) and is never rendered from.
+class ConversationMessage < ApplicationRecord
+  ROLES     = %w[user assistant photo].freeze
+  PAGE_SIZE = 20
+
+  belongs_to :conversation_session
+  belongs_to :account
+
+  validates :role, inclusion: { in: ROLES }
+
+  # Recording must never cost the technician the answer they are waiting for.
+  # @return [ConversationMessage, nil]
+  def self.record(session, role:, payload:, user_id: nil, correlation_id: nil)
+    return if session.nil?
+
+    create!(
+      conversation_session: session,
+      account_id:           session.account_id,
+      role:                 role,
+      user_id:              user_id,
+      correlation_id:       correlation_id,
+      payload:              payload
+    )
+  rescue StandardError => e
+    Rails.logger.warn("ConversationMessage: could not record #{role} turn — #{e.message}")
+    nil
+  end
+
+  # @param scope [ActiveRecord::Relation]
+  # @param before_id [Integer, String, nil] oldest id the client already shows
+  # @return [Array(Array<ConversationMessage>, Boolean)] the page oldest first,
+  #   and whether older messages remain
+  def self.page_before(scope, before_id: nil, limit: PAGE_SIZE)
+    scope = scope.where(id: ...before_id.to_i) if before_id.present?
+    rows  = scope.order(id: :desc).limit(limit + 1).to_a
+    [ rows.first(limit).reverse, rows.size > limit ]
+  end
+
+  def as_transcript_json
+    {
+      id:             id,
+      role:           role,
+      correlation_id: correlation_id,
+      created_at:     created_at.iso8601,
+      payload:        payload
+    }
+  end
+end
@@ -5,6 +5,8 @@ class ConversationSession < ApplicationRecord
   MAX_HISTORY    = 20
   MAX_ENTITIES   = ENV.fetch('SESSION_MAX_ENTITIES', 10).to_i
   MAX_MSG_LENGTH = 300
+  MAX_TITLE_LENGTH = 80
+  TITLE_FALLBACK_LENGTH = 60 # untitled threads show their first question, cut to this
   PINNED_IMAGE_EXTENSIONS = %w[.gif .jpeg .jpg .png .webp].freeze
 
   # WA channel disabled for MVP. "whatsapp" kept in CHANNELS so legacy rows (if any) remain valid.
@@ -12,10 +14,12 @@ class ConversationSession < ApplicationRecord
 
   belongs_to :user, optional: true
   belongs_to :account, optional: true
+  has_many :conversation_messages, dependent: :delete_all
 
   validates :identifier, presence: true
   validates :channel,    inclusion: { in: CHANNELS }
   validates :expires_at, presence: true
+  validates :title,      length: { maximum: MAX_TITLE_LENGTH }
 
   # Backfill test-only: pre-tenancy tests omit account_id. Mirrors KbDocument#document_uid fallback.
   before_validation { self.account_id ||= Account.minimum(:id) } if Rails.env.test?
@@ -27,25 +31,110 @@ class ConversationSession < ApplicationRecord
   # ─── Lifecycle ──────────────────────────────────────────────────────────────
 
   def self.find_or_create_for(identifier:, channel: "web", user_id: nil, account_id: nil)
+    key    = lookup_key(identifier: identifier, channel: channel, account_id: account_id)
+    record = find_by(key)
+
+    if record.nil? || record.expired?
+      record&.destroy
+      record = create!(**key, user_id: user_id, expires_at: EXPIRY_DURATION.from_now)
+    end
+
+    record
+  end
+
+  # Read-only counterpart of find_or_create_for (e.g. GET /conversation_messages):
+  # the live session, or nil when there is none yet or it expired.
+  def self.current_for(identifier:, channel: "web", account_id: nil)
+    record = find_by(lookup_key(identifier: identifier, channel: channel, account_id: account_id))
+    record unless record.nil? || record.expired?
+  end
+
+  # Both lookups above resolve to the *current* thread: a technician can keep
+  # several conversation threads (one per job or building), each its own row
+  # with its own history and pins, and the chat shows one of them at a time.
+  def self.lookup_key(identifier:, channel:, account_id:)
+    thread_key(identifier: identifier, channel: channel, account_id: account_id).merge(current: true)
+  end
+  private_class_method :lookup_key
+
+  def self.thread_key(identifier:, channel:, account_id:)
     if SharedSession::ENABLED
       identifier = SharedSession::IDENTIFIER
       channel    = SharedSession::CHANNEL
     end
     account_id ||= Account.minimum(:id) if Rails.env.test?
-    record = find_by(account_id: account_id, identifier: identifier, channel: channel)
+    { account_id: account_id, identifier: identifier, channel: channel }
+  end
+  private_class_method :thread_key
 
-    if record.nil? || record.expired?
-      record&.destroy
-      record = create!(
-        identifier:  identifier,
-        channel:     channel,
-        user_id:     user_id,
-        account_id:  account_id,
-        expires_at:  EXPIRY_DURATION.from_now
-      )
+  # ─── Threads ────────────────────────────────────────────────────────────────
+
+  # Live threads for the switcher, most recently used first. Archived ones are
+  # included (flagged by archived_at) so they can still be reopened.
+  def self.threads_for(identifier:, channel: "web", account_id: nil)
+    where(thread_key(identifier: identifier, channel: channel, account_id: account_id))
+      .active
+      .order(current: :desc, updated_at: :desc)
+  end
+
+  # Opens a fresh thread and makes it the current one.
+  def self.start_thread!(identifier:, channel: "web", user_id: nil, account_id: nil, title: nil)
+    key = thread_key(identifier: identifier, channel: channel, account_id: account_id)
+    transaction do
+      where(key).where(current: true).update_all(current: false, updated_at: Time.current)
+      create!(**key, current: true, title: title.to_s.squish.presence, user_id: user_id, expires_at: EXPIRY_DURATION.from_now)
+    end
+  end
+
+  # Makes this thread the current one again; reopening an archived thread
+  # brings it back to the switcher.
+  def open!
+    transaction do
+      siblings.where(current: true).where.not(id: id).update_all(current: false, updated_at: Time.current)
+      update!(current: true, archived_at: nil, expires_at: EXPIRY_DURATION.from_now)
     end
+  end
 
-    record
+  # Archiving the current thread leaves none current: the next question starts
+  # a new one (find_or_create_for).
+  def archive!
+    update!(archived_at: Time.current, current: false)
+  end
+
+  def archived?
+    archived_at.present?
+  end
+
+  # The technician's name for the thread, else its first question.
+  # @return [String, nil] nil for a thread nothing was asked in yet
+  def display_title
+    return title if title.present?
+
+    first_question = conversation_history.find { |m| m["role"] == "user" }&.dig("content")
+    first_question&.squish&.truncate(TITLE_FALLBACK_LENGTH)
+  end
+
+  # KbDocument ids pinned in this thread (the Archivos checkboxes).
+  def pinned_kb_document_ids
+    active_entities.values
+      .select { |meta| meta["source"] == "user_pin" }
+      .filter_map { |meta| meta["kb_document_id"] }
+  end
+
+  def siblings
+    self.class.where(account_id: account_id, identifier: identifier, channel: channel)
+  end
+
+  def as_thread_json
+    {
+      id:                  id,
+      title:               title,
+      label:               display_title,
+      current:             current,
+      archived:            archived?,
+      updated_at:          updated_at.iso8601,
+      pinned_document_ids: pinned_kb_document_ids
+    }
   end
 
   def expired?
@@ -60,6 +149,28 @@ class ConversationSession < ApplicationRecord
     update!(current_procedure: {}, session_status: "active")
   end
 
+  # Clean conversation for `/reset` in the chat composer (ConversationResetsController).
+  # Drops the caller's transcript and their turns in the prompt history. Pinned
+  # documents stay pinned: they are the technician's own choice and stay checked
+  # in the Archivos list. Once no one else's turns remain (always, unless
+  # SharedSession is on) the open procedure and the documents picked up from the
+  # conversation go too.
+  def start_over!(user_id:)
+    transaction do
+      conversation_messages.where(user_id: user_id).delete_all
+      history = SharedSession::ENABLED ? conversation_history.reject { |m| m["user_id"].to_s == user_id.to_s } : []
+      attributes = { conversation_history: history }
+      if history.empty?
+        attributes.merge!(
+          current_procedure: {},
+          session_status:    "active",
+          active_entities:   active_entities.select { |_, meta| meta["source"] == "user_pin" }
+        )
+      end
+      update!(attributes)
+    end
+  end
+
   # ─── History ────────────────────────────────────────────────────────────────
 
   def add_to_history(role, content, user_id: nil, correlation_id: nil)
@@ -75,7 +75,7 @@ class CostMetric < ApplicationRecord
   ].freeze
 
   # Returns the view-shape hash consumed by `home/_chat_usage_footer_metrics`
-  # and `MetricsHelper#current_metrics`. Replaces 14 individual `find_by` calls
+  # and `shared/_usage_channel_cards`. Replaces 14 individual `find_by` calls
   # (one per metric_type) with a single SELECT.
   #
   # @param date [Date] day to snapshot — defaults to today
@@ -84,8 +84,14 @@ class CostMetric < ApplicationRecord
     raw = where(date: date, metric_type: TRACKED_TYPES_FOR_SNAPSHOT).pluck(:metric_type, :value)
     # `pluck(:metric_type, :value)` may return symbol or string keys depending
     # on Rails enum exposure — normalize defensively.
-    by_type = raw.each_with_object({}) { |(t, v), acc| acc[t.to_sym] = v }
+    snapshot_from(raw.each_with_object({}) { |(t, v), acc| acc[t.to_sym] = v })
+  end
 
+  # The view shape of #daily_snapshot from metric_type → value, so an
+  # account's figures (AccountUsageMetrics) render through the same partials.
+  # @param by_type [Hash{Symbol => Numeric}]
+  # @return [Hash]
+  def self.snapshot_from(by_type)
     s3_bytes = by_type[:s3_total_size] || 0
     {
       today_tokens:        by_type[:daily_tokens]        || 0,
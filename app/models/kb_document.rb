@@ -5,6 +5,9 @@
 class KbDocument < ApplicationRecord
   belongs_to :account, optional: true
   has_one :thumbnail, class_name: "KbDocumentThumbnail", dependent: :destroy
+  has_many :web_manual_batches, dependent: :nullify
+  # The pass the Archivos panel's actions work on (reprocess, re-ingest).
+  has_one :latest_web_manual_batch, -> { order(id: :desc) }, class_name: "WebManualBatch"
 
   # Centralized KB bucket constant. Single source of truth for s3_uri building
   # across the app (was duplicated in rag_query_concern + bedrock_ingestion_job).
@@ -27,6 +30,54 @@ class KbDocument < ApplicationRecord
     s.sub(%r{\As3://[^/]+/}, "")
   end
 
+  # document_uid is a Postgres uuid column: anything else would raise on cast.
+  UUID_PATTERN = /\A\h{8}-\h{4}-\h{4}-\h{4}-\h{12}\z/
+
+  # The document a retrieved chunk or citation names: its sidecar `document_id`
+  # (document_uid) when present, else its original source URI. Call it on an
+  # account-scoped relation (`account.kb_documents.find_cited(...)`).
+  def self.find_cited(document_uid:, source_uri:)
+    if document_uid.to_s.match?(UUID_PATTERN)
+      document = find_by(document_uid: document_uid.to_s)
+      return document if document
+    end
+
+    key = object_key_for_match(source_uri)
+    return nil if key.blank?
+
+    find_by(s3_key: [ key, "s3://#{KB_BUCKET}/#{key}" ])
+  end
+
+  # find_cited for several references in at most two queries (one by
+  # document_uid, one by s3_key), for callers that resolve a whole answer's
+  # evidence at once.
+  # @param references [Array<Array(String, String)>] [document_uid, source_uri] pairs
+  # @return [Array<KbDocument, nil>] in the order of `references`
+  def self.find_all_cited(references)
+    uids = references.map { |uid, _| uid.to_s }.select { |uid| uid.match?(UUID_PATTERN) }.uniq
+    by_uid = uids.any? ? where(document_uid: uids).index_by { |document| document.document_uid.to_s } : {}
+
+    keys = references.filter_map { |uid, source_uri| object_key_for_match(source_uri) unless by_uid.key?(uid.to_s) }.uniq
+    by_key =
+      if keys.any?
+        where(s3_key: keys + keys.map { |key| "s3://#{KB_BUCKET}/#{key}" })
+          .index_by { |document| object_key_for_match(document.s3_key) }
+      else
+        {}
+      end
+
+    references.map { |uid, source_uri| by_uid[uid.to_s] || by_key[object_key_for_match(source_uri)] }
+  end
+
+  # "Remove from KB" in the Archivos panel. A pin on a missing document would
+  # filter every later answer of that thread down to nothing, so it comes off
+  # every thread of the account first. PurgeKbDocumentJob then deletes the S3
+  # objects and resyncs the knowledge base.
+  def remove_from_kb!
+    ConversationSession.where(account_id: account_id).find_each { |session| session.unpin_kb_document!(self) }
+    destroy!
+  end
+
   def display_s3_uri(bucket_name)
     return s3_key if s3_key.to_s.start_with?("s3://")
     return if bucket_name.blank?
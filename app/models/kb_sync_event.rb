@@ -0,0 +1,45 @@
+# frozen_string_literal: true
+
+# Replay log for KbSyncChannel. Solid Cable does not replay messages, so a
+# technician whose socket dropped inside a shaft would otherwise miss the
+# `indexed` / `photo_analyzed` / `failed` event their spinner is waiting for.
+# KbSyncBroadcaster records every account-scoped event here before
+# broadcasting it; the row id rides along as the monotonic `sequence_id`, and
+# the browser asks IngestionStatusService#kb_sync_status for anything after
+# the last id it saw.
+class KbSyncEvent < ApplicationRecord
+  # Long manuals finish through async Batch well after the upload stall hint,
+  # so keep events as long as IngestionStatusService keeps its indexing state.
+  RETENTION    = IngestionStatusService::CACHE_TTL
+  REPLAY_LIMIT = 50
+
+  belongs_to :account
+
+  scope :for_account, ->(account_id) { where(account_id: account_id) }
+  scope :retained,    -> { where(created_at: RETENTION.ago..) }
+
+  # Records one broadcast payload and prunes the account's expired events.
+  # @return [KbSyncEvent]
+  def self.record!(account_id:, payload:)
+    event = create!(account_id: account_id, status: payload[:status].to_s, payload: payload)
+    for_account(account_id).where(created_at: ...RETENTION.ago).delete_all
+    event
+  end
+
+  # @return [Integer] 0 when the account has no events yet
+  def self.last_sequence_id(account_id)
+    for_account(account_id).maximum(:id).to_i
+  end
+
+  # @return [Array(Array<KbSyncEvent>, Boolean)] retained events after
+  #   `sequence_id`, oldest first, and whether newer ones remain past `limit`
+  def self.page_after(account_id, sequence_id, limit: REPLAY_LIMIT)
+    rows = for_account(account_id).retained.where(id: (sequence_id.to_i + 1)..).order(:id).limit(limit + 1).to_a
+    [ rows.first(limit), rows.size > limit ]
+  end
+
+  # The payload exactly as KbSyncChannel delivered it.
+  def to_broadcast
+    payload.merge("sequence_id" => id)
+  end
+end
@@ -0,0 +1,59 @@
+# frozen_string_literal: true
+
+# A named group of KbDocuments a crew pins together, e.g. the three manuals of
+# one controller family ("Orona ARCA II"). Shared by everyone in the account
+# (PinSetsController); applying or clearing one pins or unpins all of its
+# documents in the technician's current conversation thread, or none of them.
+class PinSet < ApplicationRecord
+  class PinRejected < StandardError; end
+
+  MAX_NAME_LENGTH = 80
+
+  belongs_to :account
+
+  validates :name, presence: true, length: { maximum: MAX_NAME_LENGTH },
+                   uniqueness: { scope: :account_id, case_sensitive: false }
+  validates :kb_document_ids, presence: true
+  # More than a session holds would evict the set's own first documents.
+  validates :kb_document_ids, length: { maximum: ConversationSession::MAX_ENTITIES }
+
+  before_validation { self.name = name.to_s.squish }
+
+  # Saves what is pinned in the session under a new name.
+  # @raise [ActiveRecord::RecordInvalid] blank or taken name, nothing pinned
+  def self.save_from!(session, account:, user_id:, name:)
+    ids = session ? account.kb_documents.where(id: session.pinned_kb_document_ids).pluck(:id) : []
+    create!(account: account, user_id: user_id, name: name, kb_document_ids: ids)
+  end
+
+  # Documents deleted since the set was saved are skipped.
+  def kb_documents
+    account.kb_documents.where(id: kb_document_ids).order(:id)
+  end
+
+  # @raise [PinRejected] nothing is pinned when any document is refused
+  def apply_to!(session)
+    transaction do
+      kb_documents.each do |kb_doc|
+        raise PinRejected, "could not pin #{kb_doc.id}" unless session.pin_kb_document!(kb_doc)
+      end
+    end
+  end
+
+  # Unpins the set's documents; other pins stay.
+  def clear_from!(session)
+    transaction do
+      kb_documents.each { |kb_doc| session.unpin_kb_document!(kb_doc) }
+    end
+  end
+
+  def as_pin_set_json
+    documents = kb_documents.to_a
+    {
+      id:           id,
+      name:         name,
+      document_ids: documents.map(&:id),
+      names:        documents.map { |doc| doc.display_name.presence || File.basename(doc.s3_key.to_s, ".*") }
+    }
+  end
+end
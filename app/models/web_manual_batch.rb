@@ -42,4 +42,50 @@ class WebManualBatch < ApplicationRecord
   def processing_batch_ids
     Array(claude_batch_ids).presence || Array(claude_batch_id).compact
   end
+
+  # "Reprocess failed pages" in the Archivos panel: only the pages the full
+  # pass could not chunk go back through BatchPageRetryService.
+  def reprocessable?
+    complete? && Array(failed_pages).any?
+  end
+
+  # "Re-ingest": not while a Batch pass is still running.
+  def reingestable?
+    terminal?
+  end
+
+  # Sends the stored PDF through a fresh Batch pass. SubmitManualBatchJob only
+  # submits a pending row, so this one is cleared first; a row from an older
+  # ingestion contract stays as history and the job opens a new one.
+  def reingest!(locale: nil)
+    reset_for_reingest! if ingestion_contract_version == BatchChunkingPrompt::INGESTION_CONTRACT_VERSION
+    SubmitManualBatchJob.perform_later(
+      s3_key:          s3_key,
+      filename:        filename,
+      sha256:          sha256,
+      kb_doc_id:       kb_document_id,
+      account_id:      account_id,
+      document_uid:    kb_document.document_uid,
+      locale:          locale || self.locale,
+      conv_session_id: conv_session_id
+    )
+  end
+
+  private
+
+  def reset_for_reingest!
+    update!(
+      status:              "pending",
+      claude_batch_id:     nil,
+      claude_batch_ids:    [],
+      page_customs:        {},
+      page_topology_edges: {},
+      kept_pages:          [],
+      failed_pages:        [],
+      chunks_count:        nil,
+      error_message:       nil,
+      submitted_at:        nil,
+      completed_at:        nil
+    )
+  end
 end
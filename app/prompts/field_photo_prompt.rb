@@ -120,12 +120,45 @@ module FieldPhotoPrompt
     }
   ].freeze
 
-  def self.user_content(binary:, content_type:, filename:, locale: nil)
-    BatchChunkingPrompt.user_content(
+  # @param annotations [Array<Hash>] FieldPhotoAnnotations.normalize regions
+  # @param companions [Array<Hash>] further photos of the same fault, each
+  #   { binary:, content_type:, filename:, annotations: } — one diagnosis
+  #   covers them all
+  def self.user_content(binary:, content_type:, filename:, locale: nil, annotations: [], companions: [])
+    primary = { binary: binary, content_type: content_type, filename: filename, annotations: annotations }
+    return photo_blocks(**primary, locale: locale) if companions.blank?
+
+    photos = [ primary, *companions ]
+    blocks = [ { type: "text", text: multi_photo_text(photos.size) } ]
+    photos.each_with_index do |photo, index|
+      blocks << { type: "text", text: "Photo #{index + 1} of #{photos.size}:" }
+      blocks.concat(photo_blocks(**photo.slice(:binary, :content_type, :filename, :annotations)))
+    end
+    blocks << { type: "text", text: "Summary language: #{locale}." } if locale.present?
+    blocks
+  end
+
+  def self.photo_blocks(binary:, content_type:, filename:, annotations: [], locale: nil)
+    blocks = BatchChunkingPrompt.user_content(
       binary:       binary,
       content_type: content_type,
       filename:     filename,
       locale:       locale
     )
+    markup = FieldPhotoAnnotations.prompt_text(annotations)
+    blocks << { type: "text", text: markup } if markup
+    blocks
+  end
+  private_class_method :photo_blocks
+
+  def self.multi_photo_text(count)
+    <<~TEXT.strip
+      Multi-photo diagnosis: the #{count} photos below show the SAME fault or component
+      (typically a wide shot plus close-ups). Return ONE JSON object that combines what
+      is visible across all of them — do not describe each photo separately. Transcribe
+      visible_text from every photo, and when photos disagree or one is unreadable, say
+      so in anti_hallucination_notes.
+    TEXT
   end
+  private_class_method :multi_photo_text
 end
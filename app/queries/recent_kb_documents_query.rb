@@ -1,28 +1,130 @@
 # frozen_string_literal: true
 
 # Single source of truth for paginated KbDocument lookups in the home KB list
-# (initial render, post-indexing refresh, and infinite-scroll page fetch).
+# (initial render, post-indexing refresh, infinite-scroll page fetch, and the
+# Archivos panel's search box, filter chips and sort).
 #
 # Replaces three near-identical inline queries in HomeController. The
 # `KbDocument.count > PAGE_SIZE` pattern was a guaranteed extra COUNT(*) round
 # trip on every render; this object uses the standard `limit(per_page + 1)`
 # trick so a single SELECT answers BOTH "what to show" AND "is there more?".
 class RecentKbDocumentsQuery
+  FILTERS = %w[pinned images manuals partial mine].freeze
+  SORTS   = %w[newest oldest name].freeze
+  MAX_SEARCH_LENGTH = 100
+
+  # The KB card rows use this list too, to pick a thumbnail over a file icon.
+  IMAGE_EXTENSIONS = %w[.png .jpg .jpeg .webp .gif].freeze
+
+  # Words a technician types to mean a kind of file rather than a name.
+  CONTENT_TYPE_TERMS = {
+    "pdf"    => %w[.pdf],
+    "imagen" => IMAGE_EXTENSIONS, "image" => IMAGE_EXTENSIONS,
+    "foto"   => IMAGE_EXTENSIONS, "photo" => IMAGE_EXTENSIONS,
+    "word"   => %w[.doc .docx],
+    "excel"  => %w[.xls .xlsx .csv],
+    "texto"  => %w[.txt .md], "text" => %w[.txt .md]
+  }.freeze
+
+  # What the Archivos panel asked for. `pinned_uris` and `user_id` are the
+  # caller's context for the "pinned" and "mine" chips.
+  Criteria = Data.define(:search, :filters, :sort, :pinned_uris, :user_id) do
+    def self.default
+      new(search: "", filters: [], sort: "newest", pinned_uris: Set.new, user_id: nil)
+    end
+
+    # @param params [ActionController::Parameters, Hash] q, filter[], sort
+    def self.from_params(params, pinned_uris: Set.new, user_id: nil)
+      new(
+        search:      params[:q].to_s.squish.first(MAX_SEARCH_LENGTH),
+        filters:     Array(params[:filter]).map(&:to_s) & FILTERS,
+        sort:        SORTS.include?(params[:sort].to_s) ? params[:sort].to_s : "newest",
+        pinned_uris: pinned_uris,
+        user_id:     user_id
+      )
+    end
+
+    def filtered?
+      search.present? || filters.any?
+    end
+
+    # @return [Hash] the non-default parts, for the next page's URL
+    def to_query_params
+      { q: search.presence, filter: filters.presence, sort: (sort unless sort == "newest") }.compact
+    end
+  end
+
   # @param page [Integer] 0-indexed page (0 = first page)
   # @param per_page [Integer] page size; the query fetches per_page + 1 to
   #   detect a next page without a separate COUNT.
+  # @param criteria [Criteria] search, filters and sort (default: newest first)
   # @return [Array(Array<KbDocument>, Boolean)] [docs_for_page, has_more]
-  def self.page(page, per_page:, account:)
+  def self.page(page, per_page:, account:, criteria: Criteria.default)
     raise ArgumentError, "account is required" unless account
 
     page_index = [ page.to_i, 0 ].max
-    docs = KbDocument.where(account_id: account.id)
-                     .includes(:thumbnail)
-                     .order(created_at: :desc)
-                     .offset(page_index * per_page)
-                     .limit(per_page + 1)
-                     .to_a
+    scope = KbDocument.where(account_id: account.id)
+    scope = search(scope, criteria.search)
+    scope = criteria.filters.reduce(scope) { |filtered, name| filter(filtered, name, criteria) }
+    docs = sorted(scope, criteria.sort)
+             .includes(:thumbnail, :latest_web_manual_batch)
+             .offset(page_index * per_page)
+             .limit(per_page + 1)
+             .to_a
     has_more = docs.size > per_page
     [ docs.first(per_page), has_more ]
   end
+
+  # Every word must match the canonical name, an alias or the file type.
+  def self.search(scope, text)
+    text.downcase.split.uniq.reduce(scope) do |matched, term|
+      like = "%#{KbDocument.sanitize_sql_like(term)}%"
+      condition = KbDocument.where("LOWER(kb_documents.display_name) LIKE :like OR LOWER(kb_documents.aliases::text) LIKE :like", like: like)
+      extensions = CONTENT_TYPE_TERMS.fetch(term) { [ ".#{term.delete_prefix('.')}" ] }
+      matched.merge(condition.or(KbDocument.where(*extension_condition(extensions))))
+    end
+  end
+  private_class_method :search
+
+  def self.filter(scope, name, criteria)
+    case name
+    when "pinned"  then scope.where(s3_key: pinned_s3_keys(criteria.pinned_uris))
+    when "images"  then scope.where(*extension_condition(IMAGE_EXTENSIONS))
+    when "manuals" then scope.where.not(*extension_condition(IMAGE_EXTENSIONS))
+    when "partial" then scope.where(id: partially_indexed_ids)
+    when "mine"    then scope.where(uploaded_by_user_id: criteria.user_id || 0)
+    else scope
+    end
+  end
+  private_class_method :filter
+
+  def self.sorted(scope, sort)
+    case sort
+    when "oldest" then scope.order(created_at: :asc, id: :asc)
+    when "name"   then scope.order(Arel.sql("LOWER(COALESCE(kb_documents.display_name, kb_documents.s3_key)) ASC"), id: :asc)
+    else scope.order(created_at: :desc)
+    end
+  end
+  private_class_method :sorted
+
+  # @return [Array] where() arguments: s3_key ends in one of the extensions
+  def self.extension_condition(extensions)
+    patterns = extensions.map { |ext| "%#{KbDocument.sanitize_sql_like(ext)}" }
+    [ "LOWER(kb_documents.s3_key) LIKE ANY (ARRAY[?])", patterns ]
+  end
+  private_class_method :extension_condition
+
+  # The panel marks a card pinned by its s3 URI (SessionContextBuilder); rows
+  # store either the bare object key or the full URI.
+  def self.pinned_s3_keys(pinned_uris)
+    Array(pinned_uris).flat_map { |uri| [ uri, KbDocument.object_key_for_match(uri) ] }.uniq
+  end
+  private_class_method :pinned_s3_keys
+
+  # Long manuals whose urgent pages are searchable while the full Batch pass is
+  # still running (or failed): WebManualBatch urgent_status complete, status not.
+  def self.partially_indexed_ids
+    WebManualBatch.where(urgent_status: "complete").where.not(status: "complete").where.not(kb_document_id: nil).select(:kb_document_id)
+  end
+  private_class_method :partially_indexed_ids
 end
@@ -0,0 +1,81 @@
+# frozen_string_literal: true
+
+# One account's LLM usage per day, priced from its own BedrockQuery rows.
+# CostMetric rollups (SimpleMetricsService.update_database_metrics_only) are
+# platform-wide, so tenant-facing views — the dashboard and the live usage
+# footer — read these instead. Values use the same CostMetric metric types
+# for the query/parse/embed split and the LlmUsageChannel channels, so
+# UsageMetricsHelper and CostMetric.snapshot_from shape them unchanged.
+# Shared infrastructure (Aurora, S3) and WhatsApp cache counters are not
+# attributed per account and stay 0.
+#
+# Usage:
+#   usage = AccountUsageMetrics.new(account_id: account.id, from: Date.current.beginning_of_month)
+#   usage.daily_values # => { Date => { daily_cost_query: 0.0123, ... } }
+#   usage.snapshot     # => CostMetric.daily_snapshot's shape, for `to`
+class AccountUsageMetrics
+  SOURCE_METRICS = { "query" => :query, "ingestion_parse" => :parse, "ingestion_embed" => :embed }.freeze
+
+  # @param account_id [Integer]
+  # @param from [Date]
+  # @param to [Date]
+  def initialize(account_id:, from: Date.current, to: Date.current)
+    @account_id = account_id
+    @from       = from
+    @to         = to
+  end
+
+  # @return [Hash{Date => Hash{Symbol => Float}}] days without usage are absent
+  def daily_values
+    @daily_values ||= rows.group_by { |row| row.last.in_time_zone.to_date }
+                          .transform_values { |day_rows| metrics_for(day_rows) }
+  end
+
+  # @param date [Date]
+  # @return [Hash] CostMetric.daily_snapshot's view shape for this account
+  def snapshot(date = @to)
+    CostMetric.snapshot_from(daily_values.fetch(date, {}))
+  end
+
+  # @return [Hash] total_cost and total_queries over the whole range
+  def totals
+    {
+      total_cost:    daily_values.values.sum { |metrics| metrics[:daily_cost] }.round(6),
+      total_queries: daily_values.values.sum { |metrics| metrics[:daily_queries] }.to_i
+    }
+  end
+
+  private
+
+  def rows
+    BedrockQuery.where(account_id: @account_id, created_at: @from.beginning_of_day..@to.end_of_day)
+                .pluck(:source, :model_id, :input_tokens, :output_tokens,
+                       :cache_read_tokens, :cache_creation_tokens, :user_query, :created_at)
+  end
+
+  def metrics_for(day_rows)
+    metrics = Hash.new(0.0)
+    day_rows.each do |source, model_id, input, output, cache_read, cache_creation, user_query, _created_at|
+      tokens = input.to_i + output.to_i + cache_read.to_i + cache_creation.to_i
+      cost   = BedrockQuery.new(model_id: model_id, input_tokens: input, output_tokens: output,
+                                cache_read_tokens: cache_read, cache_creation_tokens: cache_creation).cost
+
+      add(metrics, nil, tokens, cost)
+      metrics[:daily_queries] += 1 if source.to_s == "query"
+      add(metrics, SOURCE_METRICS[source.to_s], tokens, cost)
+      add(metrics, LlmUsageChannel.for(model_id: model_id, source: source, user_query: user_query), tokens, cost)
+    end
+    metrics
+  end
+
+  # Adds to daily_tokens/daily_cost (suffix nil) or daily_tokens_<suffix>/
+  # daily_cost_<suffix> when CostMetric tracks that suffix.
+  def add(metrics, suffix, tokens, cost)
+    tokens_key = suffix ? :"daily_tokens_#{suffix}" : :daily_tokens
+    cost_key   = suffix ? :"daily_cost_#{suffix}" : :daily_cost
+    return unless CostMetric.metric_types.key?(cost_key.to_s)
+
+    metrics[tokens_key] += tokens
+    metrics[cost_key]   += cost
+  end
+end
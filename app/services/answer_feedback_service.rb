@@ -0,0 +1,50 @@
+# frozen_string_literal: true
+
+# Thumbs up/down from the field on one web chat answer (AnswerFeedbacksController).
+# The answer is the technician's own assistant ConversationMessage, found by
+# the /rag/ask correlation_id it was rendered with.
+#
+# Two writes, both keyed by that correlation_id:
+#   - the message payload keeps `feedback` so a reloaded transcript shows the
+#     rating the technician already gave;
+#   - an `answer_feedback` PilotUsageLog event lands next to the interaction's
+#     `interaction_completed`, which is where PilotMetricsReport and
+#     PilotValueReport read it from.
+# Rating again replaces the previous rating; the reports keep the latest one.
+class AnswerFeedbackService
+  class Invalid < StandardError; end
+
+  EVENT = "answer_feedback"
+  RATINGS = %w[up down].freeze
+  # Only a thumbs-down carries a reason; the chat offers exactly these.
+  REASONS = %w[wrong_board wrong_page unsafe outdated not_found].freeze
+
+  def initialize(message:, user:)
+    @message = message
+    @user = user
+  end
+
+  # @return [Hash] { "rating" => String, "reason" => String|nil, "at" => ISO8601 }
+  def call(rating:, reason: nil)
+    rating = rating.to_s
+    reason = reason.presence&.to_s
+    raise Invalid, "rating must be one of #{RATINGS.join(', ')}" unless RATINGS.include?(rating)
+    raise Invalid, "reason must be one of #{REASONS.join(', ')}" if reason && !REASONS.include?(reason)
+
+    reason = nil if rating == "up"
+    feedback = { "rating" => rating, "reason" => reason, "at" => Time.current.iso8601 }
+    @message.update!(payload: @message.payload.to_h.merge("feedback" => feedback))
+
+    PilotUsageLog.log(
+      EVENT,
+      correlation_id: @message.correlation_id,
+      user_id: @user.id,
+      account_id: @message.account_id,
+      conversation_session_id: @message.conversation_session_id,
+      route: @message.correlation_id.to_s.start_with?("photo:") ? "photo" : "text",
+      rating: rating,
+      feedback_reason: reason
+    )
+    feedback
+  end
+end
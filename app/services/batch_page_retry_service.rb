@@ -56,9 +56,13 @@ class BatchPageRetryService
   # @param sha256          [String]      document SHA-256 (correlation)
   # @param tracking_prefix [String]      user_query prefix ("bulk_retry" | "web_batch_retry")
   # @param on_usage        [Proc, nil]   called once per billed retry with the usage object
+  # @param anchor_page_number [Integer, nil] the manual's anchor page, when page_results
+  #   is only some of its kept pages (ReprocessFailedPagesJob); default: lowest page given
+  # @param total_pages     [Integer, nil] kept page count for the prompt; default: page_results.size
   # @return [Array<Hash>] the same page_results array
   def retry_failed_pages!(page_results:, s3_key:, filename:, sha256:,
-                          tracking_prefix: "bulk_retry", on_usage: nil)
+                          tracking_prefix: "bulk_retry", on_usage: nil,
+                          anchor_page_number: nil, total_pages: nil)
     failed = page_results.select { |pr| self.class.needs_retry?(pr) }
     return page_results if failed.empty?
 
@@ -73,10 +77,10 @@ class BatchPageRetryService
 
     # The anchor (lowest-numbered kept page) must keep its ANCHOR_PAGE role on
     # retry so it still emits S0/summary/companion_offer; all others stay CONTENT_PAGE.
-    anchor_page_number = page_results.filter_map { |pr| pr[:page_number] }.min
+    anchor_page_number ||= page_results.filter_map { |pr| pr[:page_number] }.min
 
     failed.each do |pr|
-      retry_one_page!(pr, page_binaries, page_results.size,
+      retry_one_page!(pr, page_binaries, total_pages || page_results.size,
                       filename: filename, sha256: sha256,
                       tracking_prefix: tracking_prefix, on_usage: on_usage,
                       anchor_page_number: anchor_page_number)
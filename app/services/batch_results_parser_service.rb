@@ -69,9 +69,12 @@ class BatchResultsParserService
   # @param result        [Object, nil]  Anthropic batch result (.result.type, .result.message)
   # @param raw_json      [String, nil]  pre-parsed JSON string (web path — skips result unwrap)
   # @param ingestion_path [String]      "batch_v1" | "web_v1"
+  # @param pages         [Array<Integer>, nil] manual_batch_v1 only: the chunks are these
+  #   pages' alone, so only their files are replaced and the rest of the manual stays
+  #   (ReprocessFailedPagesJob). nil rewrites the whole prefix.
   # @return asset with parsed fields set
   # @raise [ParseError]
-  def call(asset:, result: nil, raw_json: nil, ingestion_path: "batch_v1", account_id: nil, document_uid: nil)
+  def call(asset:, result: nil, raw_json: nil, ingestion_path: "batch_v1", account_id: nil, document_uid: nil, pages: nil)
     text = if raw_json
       raw_json
     else
@@ -109,7 +112,8 @@ class BatchResultsParserService
       aliases:        aliases,
       ingestion_path: ingestion_path,
       account_id:     account_id,
-      document_uid:   document_uid
+      document_uid:   document_uid,
+      pages:          pages
     )
 
     if asset.respond_to?(:update!)
@@ -385,9 +389,12 @@ class BatchResultsParserService
     end
   end
 
-  def write_chunks_to_s3(prefix:, chunks:, asset:, canonical_name:, aliases:, ingestion_path:, account_id:, document_uid:)
+  def write_chunks_to_s3(prefix:, chunks:, asset:, canonical_name:, aliases:, ingestion_path:, account_id:, document_uid:, pages: nil)
     original_uri = original_source_uri(asset)
-    delete_existing_chunks(prefix) if ingestion_path == MANUAL_BATCH_INGESTION_PATH
+    if ingestion_path == MANUAL_BATCH_INGESTION_PATH
+      # chunk_filename names every chunk of a page "chunk_p<page>_<n>.txt".
+      pages ? pages.each { |page| delete_existing_chunks("#{prefix}/chunk_p#{page}_") } : delete_existing_chunks(prefix)
+    end
 
     page_ordinals = Hash.new(0)
     chunks.each_with_index do |chunk, idx|
@@ -0,0 +1,93 @@
+# frozen_string_literal: true
+
+# Runs retrieve_and_generate_stream and collects it into the shape
+# retrieve_and_generate returns (output.text, citations, session_id), so
+# BedrockRagService post-processes a streamed answer exactly like a blocking
+# one. Finished lines are handed to `on_delta` (RagStreamsController writes
+# them as `delta` events) only while everything generated so far is
+# `releasable` — BedrockRagService#streamable_answer? runs it through
+# Rag::AnswerSafetyProcessor against the citations received so far. A line
+# that fails is held, with everything after it, until new citations or lines
+# make the prefix pass again, or until the complete answer reaches the
+# browser in the `done` payload.
+#
+# Usage:
+#   Bedrock::StreamedGeneration.new(on_delta: ->(text) { ... }, releasable: ->(text, citations) { ... })
+#                              .call(client, params)
+module Bedrock
+  class StreamedGeneration
+    Output   = Struct.new(:text)
+    Response = Struct.new(:output, :citations, :session_id)
+
+    # @param on_delta [#call] receives each released piece of answer text
+    # @param releasable [#call] (text so far, raw citations so far) → true when
+    #   that text may be shown as is
+    def initialize(on_delta:, releasable:)
+      @on_delta   = on_delta
+      @releasable = releasable
+    end
+
+    # @param client [Aws::BedrockAgentRuntime::Client]
+    # @param params [Hash] the retrieve_and_generate params
+    # @return [Response]
+    def call(client, params)
+      @text      = +""
+      @released  = 0
+      @citations = []
+      @checked   = nil
+
+      handler = Aws::BedrockAgentRuntime::EventStreams::RetrieveAndGenerateStreamResponseOutput.new
+      handler.on_event { |event| handle(event) }
+      response = client.retrieve_and_generate_stream(params, event_stream_handler: handler)
+      release(final: true)
+
+      Response.new(Output.new(@text.dup), @citations, response.session_id)
+    end
+
+    # One stream event: answer text, a citation, or an error. Guardrail
+    # events carry nothing the answer needs.
+    def handle(event)
+      case event.event_type
+      when :output
+        @text << event.text.to_s
+        release
+      when :citation
+        @citations << citation_from(event)
+        release
+      when :error
+        raise event
+      when /_exception\z/
+        raise Aws::BedrockAgentRuntime::Errors::ServiceError.new(nil, event.message.to_s)
+      end
+    end
+
+    private
+
+    # Releases the text up to the last finished line (all of it at the end of
+    # the stream) when that whole prefix is releasable. A half-written line
+    # could still turn into a marker or an identifier, so it always waits.
+    def release(final: false)
+      boundary = final ? @text.length : (@text.rindex("\n") || -1) + 1
+      return if boundary <= @released
+      return if @checked == [ boundary, @citations.size ]
+
+      @checked = [ boundary, @citations.size ]
+      prefix = @text[0...boundary]
+      return unless @releasable.call(prefix, @citations)
+
+      @on_delta.call(prefix[@released..])
+      @released = boundary
+    end
+
+    # Newer SDKs put the span and references on the event itself; older ones
+    # nest them under the deprecated `citation` member.
+    def citation_from(event)
+      return event.citation unless event.respond_to?(:generated_response_part) && event.generated_response_part
+
+      Aws::BedrockAgentRuntime::Types::Citation.new(
+        generated_response_part: event.generated_response_part,
+        retrieved_references:    event.retrieved_references
+      )
+    end
+  end
+end
@@ -168,10 +168,13 @@ class BedrockRagService
   #   heuristic. Use this when the caller has explicitly bound the query to a
   #   document (e.g. a WhatsApp picker selection) so heavy-capitalized seed
   #   queries like "Describe Orona ARCA BASICO ..." don't trip the bypass.
+  # @param on_answer_delta [#call, nil] When given, the answer is generated with
+  #   retrieve_and_generate_stream and each chunk of text is passed to it as it
+  #   arrives (see Bedrock::StreamedGeneration). The return value is unchanged.
   def query(question, session_id: nil, custom_config: {}, response_locale: nil, session_context: nil,
             entity_s3_uris: [], entity_sources: [], output_channel: nil, force_entity_filter: false,
             account_id: nil, user_id: nil, conversation_session_id: nil, correlation_id: nil,
-            include_diagnostics: false)
+            include_diagnostics: false, on_answer_delta: nil)
     unless @knowledge_base_id
       error_msg = 'Knowledge Base ID not configured. Please set BEDROCK_KNOWLEDGE_BASE_ID environment variable or configure in Rails credentials.'
       Rails.logger.error(error_msg)
@@ -232,7 +235,7 @@ class BedrockRagService
       # Wraps call with retry logic for Aurora Serverless auto-pause cold-start.
       # Aurora can take 20-60s to resume; we back off and retry up to 3 times.
       bedrock_start_time = Time.current
-      response = retrieve_and_generate_with_retry(params)
+      response = retrieve_and_generate_with_retry(params, on_answer_delta: on_answer_delta)
 
       # Fallback: if filter produced no results, retry without filter. Covers
       # both the entity-pin filter and the Fase 1 (ciclo 4, N10) page-pin
@@ -274,7 +277,7 @@ class BedrockRagService
           :knowledge_base_configuration
         ).except(:knowledge_base_id, :model_arn)
         applied_filter_uris = unfiltered_entity_uris
-        response = retrieve_and_generate_with_retry(unfiltered_params)
+        response = retrieve_and_generate_with_retry(unfiltered_params, on_answer_delta: on_answer_delta)
       end
 
       bedrock_latency_ms = ((Time.current - bedrock_start_time) * 1000).to_i
@@ -840,11 +843,20 @@ class BedrockRagService
 
   # Retries the retrieve_and_generate call when Aurora Serverless is cold-starting.
   # Delegates to Bedrock::AuroraColdStartRetry (shared with KbSyncService).
-  def retrieve_and_generate_with_retry(params)
+  # Aurora resumes before generation starts, so a retried stream has not
+  # emitted any text yet.
+  def retrieve_and_generate_with_retry(params, on_answer_delta: nil)
     Bedrock::AuroraColdStartRetry.with_retry(
       error_classes: [ Aws::BedrockAgentRuntime::Errors::ServiceError ]
     ) do
-      @client.retrieve_and_generate(params)
+      if on_answer_delta
+        Bedrock::StreamedGeneration.new(
+          on_delta: on_answer_delta,
+          releasable: method(:streamable_answer?)
+        ).call(@client, params)
+      else
+        @client.retrieve_and_generate(params)
+      end
     end
   end
 
@@ -907,6 +919,16 @@ class BedrockRagService
     val.to_f
   end
 
+  # Streamed text is shown before #query post-processes the answer, so a prefix
+  # is only released once it passes the final guardrail as is against the
+  # references cited so far. The canned no-results reply is never shown: it is
+  # swapped for a localized message or retried without filters.
+  def streamable_answer?(text, raw_citations)
+    return false if bedrock_no_results?(text)
+
+    Rag::AnswerSafetyProcessor.new.streamable?(text, evidence: @citation_processor.extract_citations(raw_citations))
+  end
+
   # Returns true when Bedrock's retrieve_and_generate responds with its built-in
   # "no relevant results" guardrail message instead of a real answer.
   def bedrock_no_results?(text)
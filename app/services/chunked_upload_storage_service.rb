@@ -0,0 +1,71 @@
+# frozen_string_literal: true
+
+require "aws-sdk-s3"
+
+# S3 multipart staging for ChunkedUpload: every acknowledged chunk is one
+# multipart part, so an interrupted upload resumes without re-sending what S3
+# already holds. Once the last part lands the object is assembled and read back
+# by UploadAndSyncAttachmentsJob, which hands the bytes to
+# CustomChunkingPipeline and deletes the staged copy.
+class ChunkedUploadStorageService
+  include AwsClientInitializer
+
+  PREFIX = "chunked_uploads"
+
+  def initialize(s3: nil, bucket: nil)
+    @s3 = s3 || Aws::S3::Client.new(build_aws_client_options)
+    @bucket = bucket || bucket_name
+  end
+
+  def key_for(account_id:, token:, filename:)
+    "#{PREFIX}/#{account_id}/#{token}/#{File.basename(filename.to_s)}"
+  end
+
+  # @return [String] the S3 multipart upload id
+  def start(key:, content_type:)
+    @s3.create_multipart_upload(bucket: @bucket, key: key, content_type: content_type).upload_id
+  end
+
+  # @return [String] the part ETag, required to assemble the object
+  def upload_part(key:, upload_id:, part_number:, body:)
+    @s3.upload_part(bucket: @bucket, key: key, upload_id: upload_id, part_number: part_number, body: body).etag
+  end
+
+  # @param parts [Array<Hash>] { "part_number", "etag" } in any order
+  def complete(key:, upload_id:, parts:)
+    @s3.complete_multipart_upload(
+      bucket: @bucket,
+      key: key,
+      upload_id: upload_id,
+      multipart_upload: {
+        parts: parts.sort_by { |part| part["part_number"] }
+                    .map { |part| { part_number: part["part_number"], etag: part["etag"] } }
+      }
+    )
+  end
+
+  def read(key)
+    @s3.get_object(bucket: @bucket, key: key).body.read
+  end
+
+  def abort(key:, upload_id:)
+    @s3.abort_multipart_upload(bucket: @bucket, key: key, upload_id: upload_id)
+  rescue Aws::S3::Errors::ServiceError => e
+    Rails.logger.warn("ChunkedUploadStorageService: failed to abort #{key} — #{e.message}")
+  end
+
+  def delete(key)
+    @s3.delete_object(bucket: @bucket, key: key)
+  rescue Aws::S3::Errors::ServiceError => e
+    Rails.logger.warn("ChunkedUploadStorageService: failed to delete #{key} — #{e.message}")
+  end
+
+  private
+
+  def bucket_name
+    ENV["KNOWLEDGE_BASE_S3_BUCKET"].presence ||
+      Rails.application.credentials.dig(:bedrock, :knowledge_base_s3_bucket) ||
+      Rails.application.credentials.dig(:aws, :knowledge_base_s3_bucket) ||
+      "document-chatbot-generic-tech-info"
+  end
+end
@@ -0,0 +1,140 @@
+# frozen_string_literal: true
+
+# Service report of one web chat session (ConversationExportsController): what
+# a technician would otherwise retype into their maintenance log after a
+# call-out. Built from the same ConversationMessage payloads the chat rehydrates
+# from, so it shows exactly what the technician saw. Only the caller's own turns
+# are included, as in GET /conversation_messages.
+#
+# #as_json is the structured export a CMMS import can consume, and the
+# input for the printable HTML view and ConversationReportPdf. Entries are in
+# chronological order, one per chat bubble:
+#   question        — text, plus the attachment name and photo thumbnails
+#   answer          — answer text, numbered sources with pages, feedback
+#   photo_diagnosis — equipment identified on a field photo and its diagnosis
+class ConversationReport
+  FORMAT  = "service_report"
+  VERSION = 1
+  # citation_processor.rb#build_numbered_references appends " — p. N" to titles;
+  # the page is reported on its own.
+  TITLE_PAGE_SUFFIX = /\s+—\s+p\.\s*\d+\s*\z/
+
+  # Shared by the HTML view and ConversationReportPdf.
+  # @param source [Hash] one entry of an answer's `sources` (string keys)
+  # @return [String] "[1] Manual TW1 p. 46 — “excerpt”"
+  def self.source_label(source)
+    label = [ ("[#{source['number']}]" if source["number"]), source["document"],
+              (I18n.t("conversation_export.page", page: source["page"]) if source["page"]) ].compact.join(" ")
+    source["excerpt"].present? ? "#{label} — “#{source['excerpt']}”" : label
+  end
+
+  # @param feedback [Hash] an answer's `feedback` (string keys)
+  def self.feedback_label(feedback)
+    return I18n.t("conversation_export.feedback_up") if feedback["rating"] == "up"
+
+    reason = feedback["reason"].present? ? I18n.t("js.answer_feedback.reasons.#{feedback['reason']}") : "—"
+    I18n.t("conversation_export.feedback_down", reason: reason)
+  end
+
+  def initialize(session:, user:)
+    @session = session
+    @user = user
+  end
+
+  def messages
+    @messages ||= @session ? @session.conversation_messages.where(user_id: @user.id).order(:id).to_a : []
+  end
+
+  def as_json(*)
+    entries = messages.filter_map { |message| entry(message) }
+    {
+      format: FORMAT,
+      version: VERSION,
+      generated_at: Time.current.iso8601,
+      locale: I18n.locale.to_s,
+      account: { id: @user.account_id, name: @user.account&.display_name },
+      technician: { id: @user.id, email: @user.email },
+      session: {
+        id: @session&.id,
+        started_at: messages.first&.created_at&.iso8601,
+        ended_at: messages.last&.created_at&.iso8601
+      },
+      verification_notice: I18n.t("js.answer.verification_notice"),
+      cited_documents: cited_documents(entries),
+      entries: entries
+    }
+  end
+
+  private
+
+  def entry(message)
+    payload = message.payload.to_h.deep_stringify_keys
+    base = { at: message.created_at.iso8601, correlation_id: message.correlation_id }
+
+    case message.role
+    when "user"      then base.merge(question(payload))
+    when "assistant" then base.merge(answer(payload)) if payload["answer"].present?
+    when "photo"     then base.merge(photo_diagnosis(payload))
+    end
+  end
+
+  def question(payload)
+    attachment = payload["attachment"]
+    {
+      type: "question",
+      text: payload["question"].to_s,
+      attachment: attachment && {
+        type: attachment["type"],
+        filename: attachment["filename"],
+        photos: Array(attachment["preview_srcs"].presence || attachment["preview_src"]).compact
+      }
+    }
+  end
+
+  def answer(payload)
+    {
+      type: "answer",
+      text: payload["answer"].to_s,
+      locale: payload["response_locale"],
+      sources: sources(payload),
+      feedback: payload["feedback"]&.slice("rating", "reason")
+    }
+  end
+
+  def photo_diagnosis(payload)
+    {
+      type: "photo_diagnosis",
+      filenames: Array(payload["filenames"]),
+      equipment: payload["canonical_name"],
+      diagnosis: payload["summary"].to_s,
+      locale: payload["response_locale"],
+      photos: [ payload["thumbnail_url"] ].compact
+    }
+  end
+
+  # Numbered citations when the answer has them; otherwise the consulted
+  # document names the chat listed instead.
+  def sources(payload)
+    citations = Array(payload["citations"])
+    if citations.any?
+      citations.map do |citation|
+        metadata = citation["metadata"].to_h
+        {
+          number: citation["number"],
+          document: (metadata["canonical_name"].presence || citation["title"].presence || citation["filename"]).to_s.sub(TITLE_PAGE_SUFFIX, ""),
+          page: citation["page"] || metadata["page_number"],
+          excerpt: citation["matched_excerpt"].presence
+        }
+      end
+    else
+      Array(payload["consulted_documents"]).map { |name| { number: nil, document: name.to_s, page: nil, excerpt: nil } }
+    end
+  end
+
+  def cited_documents(entries)
+    entries.select { |entry| entry[:type] == "answer" }
+      .flat_map { |entry| entry[:sources] }
+      .group_by { |source| source[:document] }
+      .map { |document, sources| { document: document, pages: sources.filter_map { |source| source[:page] }.uniq.sort_by(&:to_i) } }
+  end
+end
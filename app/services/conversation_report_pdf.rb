@@ -0,0 +1,134 @@
+# frozen_string_literal: true
+
+# PDF rendering of a ConversationReport#as_json (GET /conversation_export.pdf),
+# laid out with HexaPDF::Composer like the printable HTML view.
+#
+# Uses the built-in Helvetica so the PDF needs no font files; its WinAnsi
+# encoding covers Spanish and English text, and anything outside it (emoji in
+# answers) is dropped rather than failing the export. Photos are embedded from
+# the report's data: URLs when they are JPEG or PNG, the two formats PDF images
+# support without conversion.
+class ConversationReportPdf
+  PHOTO_WIDTH = 160
+  DATA_URL = %r{\Adata:image/(?:jpeg|jpg|png);base64,(?<data>.+)\z}m
+
+  def initialize(report)
+    @report = report.deep_stringify_keys
+  end
+
+  # @return [String] PDF bytes
+  def render
+    composer = HexaPDF::Composer.new(page_size: :A4, margin: 48)
+    define_styles(composer)
+
+    composer.text(t("title"), style: :title)
+    header_lines.each { |line| composer.text(line, style: :meta) }
+    composer.text(text(@report["verification_notice"]), style: :notice)
+
+    entries = Array(@report["entries"])
+    composer.text(t("empty"), style: :body) if entries.empty?
+    entries.each { |entry| render_entry(composer, entry) }
+    render_cited_documents(composer)
+
+    io = StringIO.new("".b)
+    composer.write(io)
+    io.string
+  end
+
+  private
+
+  def define_styles(composer)
+    composer.style(:base, font: "Helvetica", font_size: 10, line_spacing: 1.3)
+    composer.style(:title, font: [ "Helvetica", { variant: :bold } ], font_size: 18, margin: [ 0, 0, 6 ])
+    composer.style(:meta, font_size: 9, fill_color: "555555")
+    composer.style(:notice, font_size: 8, fill_color: "555555", margin: [ 8, 0, 12 ])
+    composer.style(:heading, font: [ "Helvetica", { variant: :bold } ], font_size: 11, margin: [ 12, 0, 2 ])
+    composer.style(:time, font_size: 8, fill_color: "777777", margin: [ 0, 0, 4 ])
+    composer.style(:body, margin: [ 0, 0, 4 ])
+    composer.style(:source, font_size: 9, fill_color: "333333", padding: [ 0, 0, 0, 12 ])
+  end
+
+  def header_lines
+    session = @report["session"].to_h
+    period = [ session["started_at"], session["ended_at"] ].compact.map { |value| time(value) }.uniq.join(" – ")
+    [
+      "#{t('technician')}: #{text(@report.dig('technician', 'email'))}",
+      "#{t('account')}: #{text(@report.dig('account', 'name'))}",
+      ("#{t('period')}: #{period}" if period.present?),
+      "#{t('generated_at')}: #{time(@report['generated_at'])}"
+    ].compact
+  end
+
+  def render_entry(composer, entry)
+    case entry["type"]
+    when "question"
+      composer.text(t("question"), style: :heading)
+      composer.text(time(entry["at"]), style: :time)
+      composer.text(text(entry["text"]), style: :body) if entry["text"].present?
+      if (attachment = entry["attachment"])
+        composer.text("#{t('attachment')}: #{text(attachment['filename'])}", style: :meta)
+        render_photos(composer, attachment["photos"])
+      end
+    when "answer"
+      composer.text(t("answer"), style: :heading)
+      composer.text(time(entry["at"]), style: :time)
+      composer.text(text(entry["text"]), style: :body)
+      render_sources(composer, entry["sources"])
+      composer.text(text(ConversationReport.feedback_label(entry["feedback"])), style: :meta) if entry["feedback"]
+    when "photo_diagnosis"
+      composer.text(t("photo_diagnosis"), style: :heading)
+      composer.text(time(entry["at"]), style: :time)
+      composer.text("#{t('equipment')}: #{text(entry['equipment'])}", style: :meta) if entry["equipment"].present?
+      render_photos(composer, entry["photos"])
+      composer.text(text(entry["diagnosis"]), style: :body)
+    end
+  end
+
+  def render_sources(composer, sources)
+    sources = Array(sources)
+    return if sources.empty?
+
+    composer.text(t("sources"), style: :meta)
+    sources.each { |source| composer.text(text(ConversationReport.source_label(source)), style: :source) }
+  end
+
+  def render_cited_documents(composer)
+    documents = Array(@report["cited_documents"])
+    return if documents.empty?
+
+    composer.text(t("cited_documents"), style: :heading)
+    documents.each do |document|
+      pages = Array(document["pages"])
+      line = pages.any? ? "#{document['document']} — #{t('pages', pages: pages.join(', '))}" : document["document"]
+      composer.text(text(line), style: :source)
+    end
+  end
+
+  def render_photos(composer, photos)
+    Array(photos).each do |photo|
+      match = DATA_URL.match(photo.to_s)
+      next unless match
+
+      composer.image(StringIO.new(Base64.decode64(match[:data])), width: PHOTO_WIDTH, margin: [ 4, 0 ])
+    rescue HexaPDF::Error => e
+      Rails.logger.warn("ConversationReportPdf: skipped a photo — #{e.message}")
+    end
+  end
+
+  # Markdown emphasis markers read as noise on paper; the HTML view renders them.
+  def text(value)
+    value.to_s.gsub(/\*\*(.+?)\*\*/m, '\1')
+      .encode("Windows-1252", invalid: :replace, undef: :replace, replace: "")
+      .encode("UTF-8")
+  end
+
+  def time(value)
+    I18n.l(Time.zone.parse(value.to_s), format: :short)
+  rescue ArgumentError, TypeError
+    value.to_s
+  end
+
+  def t(key, **options)
+    I18n.t("conversation_export.#{key}", **options)
+  end
+end
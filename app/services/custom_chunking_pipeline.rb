@@ -26,17 +26,20 @@ class CustomChunkingPipeline
   # @param documents    [Array<Hash>] same shape as QOS @documents
   # @param conv_session [ConversationSession, nil]
   # @param account_id   [Integer] owning account for upload and chunk paths
+  # @param user_id      [Integer, nil] uploading technician, stored as KbDocument#uploaded_by_user_id
   # @param document_uid [String] stable UUID assigned before enqueue
   # @param locale       [String, nil] ISO 639-1 — forwarded to SingleFileChunkingService for image summary
   # @param urgent       [Boolean] retained for caller compatibility. Long manual
   #                     routing is automatic; emergency triage is handled separately.
   # @param query        [String, nil] original text question; enables automatic
   #                     urgent-page triage for long PDFs while Batch runs.
-  def initialize(images:, documents:, conv_session: nil, account_id: nil, document_uid: nil, locale: nil, urgent: false, query: nil)
+  def initialize(images:, documents:, conv_session: nil, account_id: nil, user_id: nil, document_uid: nil, locale: nil,
+                 urgent: false, query: nil)
     @images         = Array(images)
     @documents      = Array(documents)
     @conv_session   = conv_session
     @account_id     = account_id
+    @user_id        = user_id
     @document_uid   = document_uid
     @locale         = locale
     @urgent         = urgent
@@ -107,7 +110,7 @@ class CustomChunkingPipeline
     @documents.each_with_index.map do |doc, idx|
       filename = (doc[:filename] || doc["filename"]).presence || "doc_#{Time.current.strftime('%Y%m%d_%H%M%S')}_#{idx}.txt"
       filename = File.basename(filename)
-      binary   = Base64.decode64(doc[:data] || doc["data"])
+      binary   = doc[:binary] || doc["binary"] || Base64.decode64(doc[:data] || doc["data"])
       {
         filename:     filename,
         binary:       binary,
@@ -121,6 +124,7 @@ class CustomChunkingPipeline
     binary       = attrs[:binary]
     content_type = attrs[:content_type]
 
+    KbSyncBroadcaster.progress(filenames: [ filename ], stage: "uploading", account_id: @account_id)
     s3_key = s3.upload_file(filename, binary, content_type, account_id: @account_id, document_uid: @document_uid)
     raise "S3 upload failed for #{filename}" if s3_key.blank?
 
@@ -163,8 +167,9 @@ class CustomChunkingPipeline
     end
 
     KbDocument.create!(account_id: @account_id, document_uid: @document_uid, s3_key: s3_key) do |d|
-      d.display_name = File.basename(s3_key, ".*").tr("_-", " ").strip.presence
-      d.aliases      = []
+      d.display_name        = File.basename(s3_key, ".*").tr("_-", " ").strip.presence
+      d.aliases             = []
+      d.uploaded_by_user_id = @user_id
     end
   rescue ActiveRecord::RecordNotUnique
     retry
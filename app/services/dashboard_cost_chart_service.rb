@@ -1,46 +1,274 @@
 # frozen_string_literal: true
 
-# Builds calendar-month line-chart payload for the dashboard (one series per LLM channel).
+require "csv"
+
+# Builds the dashboard cost chart payload: USD per LLM channel over a date
+# range, grouped by day, week or month (one series per channel with cost).
+# The same payload carries the ingestion vs query split and what
+# SaasCostModel projected for the period's queries and manual pages, so
+# cost_chart_controller.js switches views without another request, and
+# #export returns exactly the series a view shows.
+#
+# Everything is scoped to one account: channel series come from its own
+# BedrockQuery rows (AccountUsageMetrics), never the platform-wide CostMetric
+# rollups, and #breakdown prices a single bucket (the chart's drill-down).
 class DashboardCostChartService
   CHART_COLORS = %w[
     #2563eb #dc2626 #16a34a #9333ea #ea580c #0891b2 #ca8a04
   ].freeze
 
-  def initialize(month: Date.current)
-    @month_start = month.beginning_of_month
-    @month_end = month.end_of_month
-    @days = (@month_start..@month_end).to_a
+  GROUPINGS = %w[day week month].freeze
+  VIEWS     = %w[channels split].freeze
+  MAX_RANGE_DAYS = 366
+
+  SPLIT_COLORS      = { query: "#2563eb", ingestion: "#ea580c" }.freeze
+  PROJECTION_COLORS = { expected: "#64748b", conservative: "#94a3b8" }.freeze
+
+  # AccountUsageMetrics series for the split and the projection.
+  QUERY_GROUP = :query
+  QUERIES_METRIC = :daily_queries
+
+  # Ingestion rows name their document as "ingest:<first 12 of sha256>[:…]".
+  INGEST_CORRELATION = /\Aingest:(\h{12})/
+
+  # @param params [ActionController::Parameters, Hash] from, to (ISO dates), group_by
+  # @param account [Account]
+  # @return [DashboardCostChartService] the current month by day when no range is given
+  def self.from_params(params, account:)
+    from = parse_date(params[:from])
+    to   = parse_date(params[:to])
+    return new(account: account, group_by: params[:group_by]) if from.nil? && to.nil?
+
+    to   ||= [ from.end_of_month, Date.current ].max
+    from ||= to.beginning_of_month
+    from, to = to, from if from > to
+    new(account: account, from: [ from, to - (MAX_RANGE_DAYS - 1) ].max, to: to, group_by: params[:group_by])
+  end
+
+  def self.parse_date(value)
+    Date.iso8601(value.to_s) if value.present?
+  rescue Date::Error
+    nil
+  end
+  private_class_method :parse_date
+
+  # @param account [Account] whose usage the chart shows
+  # @param month [Date] the calendar month shown when no range is given
+  # @param from [Date, nil]
+  # @param to [Date, nil]
+  # @param group_by [String] "day", "week" or "month"
+  def initialize(account:, month: Date.current, from: nil, to: nil, group_by: "day")
+    @account  = account
+    @from     = from || month.beginning_of_month
+    @to       = to || month.end_of_month
+    @group_by = GROUPINGS.include?(group_by.to_s) ? group_by.to_s : "day"
+    @days     = (@from..@to).to_a
+    @buckets  = @days.group_by { |day| bucket_start(day) }
   end
 
   def call
-    channels = UsageMetricsHelper.chart_channels
-    metric_types = channels.pluck(:metric_type)
+    by_date = daily_values
+    active  = channels.select { |channel| @days.sum { |day| by_date.dig(day, channel[:metric_type]).to_f }.positive? }
+
+    {
+      title:    title,
+      from:     @from.iso8601,
+      to:       @to.iso8601,
+      group_by: @group_by,
+      buckets:  @buckets.keys.map(&:iso8601),
+      labels:   @buckets.keys.map { |bucket| label_for(bucket) },
+      datasets: active.each_with_index.map do |channel, idx|
+        dataset(channel[:label], series(by_date, [ channel[:metric_type] ]), CHART_COLORS[idx % CHART_COLORS.length])
+          .merge(kind: kind_of(channel))
+      end,
+      split:      split_datasets(by_date),
+      projection: projection_datasets(by_date)
+    }
+  end
 
-    rows = CostMetric.where(date: @month_start..@month_end, metric_type: metric_types)
-                     .pluck(:date, :metric_type, :value)
+  # The series one chart view shows, for CSV/JSON export.
+  # @param view [String] "channels" or "split"
+  # @param projection [Boolean] include the SaasCostModel lines
+  # @return [Hash] { from:, to:, group_by:, buckets:, labels:, datasets: [{ label:, data: }] }
+  def export(view: "channels", projection: false)
+    payload  = call
+    datasets = view.to_s == "split" ? payload[:split] : payload[:datasets]
+    datasets += payload[:projection] if projection
 
-    by_date = rows.each_with_object({}) do |(date, metric_type, value), acc|
-      acc[date] ||= {}
-      acc[date][metric_type.to_sym] = value.to_f
-    end
+    payload.slice(:from, :to, :group_by, :buckets, :labels)
+           .merge(view: VIEWS.include?(view.to_s) ? view.to_s : "channels",
+                  datasets: datasets.map { |set| set.slice(:label, :data) })
+  end
 
-    active = channels.select do |channel|
-      @days.sum { |day| by_date.dig(day, channel[:metric_type]).to_f }.positive?
+  # @return [String] one row per bucket: its start date, label, then one USD column per series
+  def to_csv(**options)
+    exported = export(**options)
+    CSV.generate do |csv|
+      csv << [ "desde", "periodo", *exported[:datasets].pluck(:label) ]
+      exported[:buckets].each_with_index do |bucket, idx|
+        csv << [ bucket, exported[:labels][idx], *exported[:datasets].map { |set| set[:data][idx] } ]
+      end
     end
+  end
+
+  # What the account spent in a bucket of the chart, by user and by document.
+  # Query costs have no document; they are reported with ingestion rows whose
+  # document could not be resolved as `unattributed_document_cost`.
+  #
+  # @param bucket [Date] a bucket start, as in #call's `buckets`
+  # @return [Hash] { from:, to:, label:, total_cost:, query_cost:, ingestion_cost:,
+  #   users: [...], documents: [...], unattributed_document_cost: }
+  def breakdown(bucket)
+    bucket = bucket_start(bucket)
+    days   = @buckets.fetch(bucket) { raise ArgumentError, "#{bucket} is outside #{@from}..#{@to}" }
+    rows   = BedrockQuery.where(account_id: @account.id, created_at: days.first.beginning_of_day..days.last.end_of_day)
+                         .select(:id, :model_id, :input_tokens, :output_tokens, :cache_read_tokens,
+                                 :cache_creation_tokens, :source, :user_id, :correlation_id)
+                         .to_a
+    priced = rows.map { |row| [ row, row.cost ] }
+    documents, unattributed = document_costs(priced, @account)
 
     {
-      title: I18n.l(@month_start, format: "%B %Y"),
-      labels: @days.map { |d| d.day.to_s },
-      datasets: active.each_with_index.map do |channel, idx|
-        {
-          label: channel[:label],
-          data: @days.map { |day| by_date.dig(day, channel[:metric_type]).to_f.round(4) },
-          borderColor: CHART_COLORS[idx % CHART_COLORS.length],
-          backgroundColor: "#{CHART_COLORS[idx % CHART_COLORS.length]}33",
-          tension: 0.25,
-          fill: false
-        }
-      end
+      from:           days.first.iso8601,
+      to:             days.last.iso8601,
+      label:          label_for(bucket),
+      total_cost:     priced.sum(&:last).round(6),
+      query_cost:     priced.select { |row, _| row.query? }.sum(&:last).round(6),
+      ingestion_cost: priced.reject { |row, _| row.query? }.sum(&:last).round(6),
+      users:          user_costs(priced),
+      documents:      documents,
+      unattributed_document_cost: unattributed
     }
   end
+
+  private
+
+  def channels
+    UsageMetricsHelper.chart_channels
+  end
+
+  def kind_of(channel)
+    channel[:group] == QUERY_GROUP ? "query" : "ingestion"
+  end
+
+  # @return [Hash{Date => Hash{Symbol => Float}}]
+  def daily_values
+    AccountUsageMetrics.new(account_id: @account.id, from: @from, to: @to).daily_values
+  end
+
+  def series(by_date, metric_types)
+    @buckets.values.map do |days|
+      days.sum { |day| metric_types.sum { |type| by_date.dig(day, type).to_f } }.round(4)
+    end
+  end
+
+  def dataset(label, data, color, **options)
+    { label: label, data: data, borderColor: color, backgroundColor: "#{color}33", tension: 0.25, fill: false, **options }
+  end
+
+  def split_datasets(by_date)
+    grouped = channels.group_by { |channel| kind_of(channel).to_sym }
+    %i[query ingestion].map do |kind|
+      dataset(I18n.t("dashboard.costs.split.#{kind}"), series(by_date, Array(grouped[kind]).pluck(:metric_type)),
+              SPLIT_COLORS[kind], kind: kind.to_s)
+    end
+  end
+
+  def projection_datasets(by_date)
+    queries = @buckets.values.map { |days| days.sum { |day| by_date.dig(day, QUERIES_METRIC).to_i } }
+    pages   = onboarded_pages
+
+    SaasCostModel::SCENARIOS.map do |scenario|
+      data = @buckets.keys.each_with_index.map do |bucket, idx|
+        SaasCostModel.projected_cost(queries: queries[idx], pages: pages[bucket].to_i, scenario: scenario).round(4)
+      end
+      dataset(I18n.t("dashboard.costs.projection.#{scenario}"), data, PROJECTION_COLORS[scenario],
+              kind: "projection", borderDash: [ 6, 4 ])
+    end
+  end
+
+  # First-attempt Batch page parses, the unit SaasCostModel prices onboarding by.
+  # @return [Hash{Date => Integer}] bucket start → pages
+  def onboarded_pages
+    BedrockQuery.ingestion_parse.where(account_id: @account.id, route: "batch", attempt: [ nil, 1 ],
+                                       created_at: @from.beginning_of_day..@to.end_of_day)
+                .pluck(:created_at)
+                .map { |time| bucket_start(time.in_time_zone.to_date) }
+                .tally
+  end
+
+  def user_costs(priced)
+    emails = User.where(id: priced.filter_map { |row, _| row.user_id }.uniq).pluck(:id, :email).to_h
+    priced.group_by { |row, _| row.user_id }.map do |user_id, entries|
+      {
+        user_id:        user_id,
+        email:          emails[user_id],
+        queries:        entries.count { |row, _| row.query? },
+        query_cost:     entries.select { |row, _| row.query? }.sum(&:last).round(6),
+        ingestion_cost: entries.reject { |row, _| row.query? }.sum(&:last).round(6),
+        total_cost:     entries.sum(&:last).round(6)
+      }
+    end.sort_by { |user| -user[:total_cost] }
+  end
+
+  # @return [Array(Array<Hash>, Float)] per-document ingestion cost, and what
+  #   could not be tied to one of the account's documents
+  def document_costs(priced, account)
+    shas = priced.filter_map { |row, _| row.correlation_id.to_s[INGEST_CORRELATION, 1] unless row.query? }.uniq
+    document_ids = document_ids_by_sha(shas, account)
+    names = KbDocument.where(account_id: account.id, id: document_ids.values.uniq).to_h { |doc| [ doc.id, doc.display_name.presence || doc.stem_from_s3_key ] }
+
+    attributed = priced.group_by do |row, _|
+      next if row.query?
+
+      document_id = document_ids[row.correlation_id.to_s[INGEST_CORRELATION, 1]]
+      document_id if names.key?(document_id)
+    end
+    unattributed = attributed.delete(nil).to_a.sum(&:last).round(6)
+
+    documents = attributed.map do |document_id, entries|
+      { kb_document_id: document_id, name: names[document_id], ingestion_cost: entries.sum(&:last).round(6) }
+    end
+    [ documents.sort_by { |doc| -doc[:ingestion_cost] }, unattributed ]
+  end
+
+  # Web manuals (WebManualBatch) and bulk ZIP assets both keep the sha256 the
+  # ingestion correlation ids are cut from.
+  # @return [Hash{String => Integer}] sha prefix → KbDocument id
+  def document_ids_by_sha(shas, account)
+    return {} if shas.empty?
+
+    prefix = Arel.sql("LEFT(sha256, 12)")
+    pairs  = WebManualBatch.where(account_id: account.id).where.not(kb_document_id: nil)
+                           .where(prefix => shas).pluck(prefix, :kb_document_id)
+    pairs += BulkUploadAsset.where.not(kb_document_id: nil).where(prefix => shas).pluck(prefix, :kb_document_id)
+    pairs.to_h
+  end
+
+  def bucket_start(day)
+    case @group_by
+    when "week"  then day.beginning_of_week
+    when "month" then day.beginning_of_month
+    else day
+    end
+  end
+
+  def single_month?
+    @from == @from.beginning_of_month && @to == @from.end_of_month
+  end
+
+  def title
+    return I18n.l(@from, format: "%B %Y") if single_month?
+
+    "#{I18n.l(@from, format: "%-d %b %Y")} – #{I18n.l(@to, format: "%-d %b %Y")}"
+  end
+
+  # Day numbers for a single month (the chart's original axis), dates otherwise.
+  def label_for(bucket)
+    case @group_by
+    when "month" then I18n.l(bucket, format: "%B %Y")
+    when "week"  then I18n.t("dashboard.costs.week_of", date: I18n.l(bucket, format: "%-d %b"))
+    else single_month? ? bucket.day.to_s : I18n.l(bucket, format: "%-d %b")
+    end
+  end
 end
@@ -2,14 +2,17 @@
 
 # Direct, non-persistent field-photo analysis for the authenticated web chat.
 # The image is sent once to Anthropic and is never written to S3 or the KB.
+# Up to MAX_PHOTOS photos of one fault (the first plus `companions`) go in a
+# single call and come back as one diagnosis.
 class FieldPhotoAnalysisService
   class ParseError < StandardError; end
 
+  MAX_PHOTOS = 4
   VISIBLE_CODE_LIMIT = 8
   CHAT_CONTEXT_LIMIT = ConversationSession::MAX_MSG_LENGTH
 
   def initialize(binary:, content_type:, filename:, locale:, account_id:, user_id:,
-                 conv_session_id:, correlation_id:, client: nil)
+                 conv_session_id:, correlation_id:, annotations: [], companions: [], client: nil)
     @binary = binary
     @content_type = content_type
     @filename = filename
@@ -18,17 +21,26 @@ class FieldPhotoAnalysisService
     @user_id = user_id
     @conv_session_id = conv_session_id
     @correlation_id = correlation_id
+    @annotations = FieldPhotoAnnotations.normalize(annotations)
+    @companions = Array(companions).first(MAX_PHOTOS - 1).map do |photo|
+      photo = photo.to_h.symbolize_keys
+      photo.slice(:binary, :content_type, :filename).merge(annotations: FieldPhotoAnnotations.normalize(photo[:annotations]))
+    end
     @client = client
   end
 
   def call
     started_at = Process.clock_gettime(Process::CLOCK_MONOTONIC)
-    route = FieldPhotoDensityGate.decide(
-      binary: @binary,
-      content_type: @content_type,
-      filename: @filename,
-      correlation_id: @correlation_id
-    )
+    # Any dense photo in the set sends the whole set to the multimodal model.
+    routes = [ { binary: @binary, content_type: @content_type, filename: @filename }, *@companions ].map do |photo|
+      FieldPhotoDensityGate.decide(
+        binary: photo[:binary],
+        content_type: photo[:content_type],
+        filename: photo[:filename],
+        correlation_id: @correlation_id
+      )
+    end
+    route = routes.include?(:opus) ? :opus : routes.first
     model = route == :opus ? BatchChunkingPrompt::MODEL_MULTIMODAL : BatchChunkingPrompt::MODEL_TEXT
     client = @client || ClaudeChunkingClient.new(model: model, system: FieldPhotoPrompt::SYSTEM_BLOCKS)
 
@@ -37,7 +49,9 @@ class FieldPhotoAnalysisService
         binary: @binary,
         content_type: @content_type,
         filename: @filename,
-        locale: @locale
+        locale: @locale,
+        annotations: @annotations,
+        companions: @companions
       ),
       filename: @filename,
       max_tokens: BatchChunkingPrompt::WEB_PAGE_MAX_TOKENS,
@@ -207,6 +221,8 @@ class FieldPhotoAnalysisService
       visible_codes: visible_codes(parsed),
       component: parsed["canonical_component"],
       condition: parsed["condition"],
+      annotation_count: @annotations.size + @companions.sum { |photo| photo[:annotations].size },
+      photo_count: @companions.size + 1,
       result: result,
       error_class: error_class
     }
@@ -0,0 +1,69 @@
+# frozen_string_literal: true
+
+# Technician markup sent with a field photo (`image.annotations` on /rag/ask,
+# drawn in the chat's markup step): circles around a component, arrows at a
+# point, each with an optional short label.
+#
+# The browser flattens the marks into the uploaded JPEG, so the picture the
+# model sees already shows them; the regions travel alongside as structured
+# data so FieldPhotoPrompt can say which parts are marked and what the
+# technician called them. Coordinates are fractions (0–1) of the flattened,
+# already-cropped image, origin top-left.
+#
+#   { "shape" => "circle", "x", "y", "width", "height", "label" }   bounding box
+#   { "shape" => "arrow",  "x", "y", "from_x", "from_y", "label" }  x/y = tip
+module FieldPhotoAnnotations
+  MAX_REGIONS = 8
+  MAX_LABEL_LENGTH = 60
+  SHAPES = %w[circle arrow].freeze
+  COORDINATES = {
+    "circle" => %w[x y width height],
+    "arrow"  => %w[x y from_x from_y]
+  }.freeze
+
+  module_function
+
+  # @param raw [Array, nil] request regions (Hashes or ActionController::Parameters)
+  # @return [Array<Hash>] valid regions, string keys, coordinates clamped to 0–1
+  def normalize(raw)
+    Array(raw).first(MAX_REGIONS).filter_map do |region|
+      region = region.to_unsafe_h if region.respond_to?(:to_unsafe_h)
+      next unless region.is_a?(Hash)
+
+      region = region.stringify_keys
+      shape = region["shape"].to_s
+      next unless SHAPES.include?(shape)
+
+      coordinates = COORDINATES.fetch(shape).index_with { |key| Float(region[key], exception: false) }
+      next if coordinates.values.any?(&:nil?)
+
+      label = region["label"].to_s.squish.truncate(MAX_LABEL_LENGTH, omission: "…")
+      { "shape" => shape, **coordinates.transform_values { |value| value.clamp(0.0, 1.0).round(3) }, "label" => label.presence }.compact
+    end
+  end
+
+  # @return [String, nil] prompt text naming each region, or nil without regions
+  def prompt_text(regions)
+    return nil if regions.blank?
+
+    lines = regions.each_with_index.map do |region, index|
+      "#{index + 1}. #{describe(region)}#{" — labelled \"#{region['label']}\"" if region['label'].present?}"
+    end
+    <<~TEXT.strip
+      Technician markup: the red marks drawn on this photo are NOT part of the equipment.
+      They show which parts the technician is asking about — centre the diagnosis on them
+      and never report the marks or their labels as visible_text. Coordinates are fractions
+      of the image width/height from the top-left corner.
+      #{lines.join("\n")}
+    TEXT
+  end
+
+  def describe(region)
+    if region["shape"] == "circle"
+      format("Circle around x %.2f–%.2f, y %.2f–%.2f",
+             region["x"], region["x"] + region["width"], region["y"], region["y"] + region["height"])
+    else
+      format("Arrow pointing at x %.2f, y %.2f", region["x"], region["y"])
+    end
+  end
+end
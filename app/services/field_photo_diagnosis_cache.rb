@@ -10,6 +10,12 @@ class FieldPhotoDiagnosisCache
   ].freeze
 
   class << self
+    # One diagnosis covers every photo of a multi-photo question, so the set is
+    # keyed by its digests in upload order; a single photo keeps its own.
+    def set_sha256(sha256s)
+      sha256s.one? ? sha256s.first : Digest::SHA256.hexdigest(sha256s.join(":"))
+    end
+
     def key(account_id:, sha256:, locale:)
       "photo_dx/#{FieldPhotoPrompt::CONTRACT_VERSION}/#{account_key(account_id)}/#{sha256}/#{locale}"
     end
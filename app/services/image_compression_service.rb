@@ -17,6 +17,9 @@ class ImageCompressionService
   MAX_BINARY_BYTES   = (3.75 * 1024 * 1024).to_i  # 3.75 MB in bytes
   THUMB_MAX_WIDTH    = 88   # px — fits 44×44 Tailwind h-11 w-11 at 2x DPR
   THUMB_QUALITY      = 70
+  # Formats the model cannot read (iPhone HEIC/HEIF the browser could not
+  # decode): always converted to JPEG, whatever their size.
+  CONVERT_MEDIA_TYPES = %w[image/heic image/heif].freeze
 
   class CompressionError < StandardError; end
 
@@ -104,6 +107,7 @@ class ImageCompressionService
 
   def should_skip_compression?
     return true if @base64_data.blank?
+    return false if CONVERT_MEDIA_TYPES.include?(@media_type)
 
     decoded_blob.bytesize <= MAX_BINARY_BYTES
   rescue CompressionError
@@ -144,7 +148,7 @@ class ImageCompressionService
   end
 
   def build_thumbnail(blob)
-    img        = Vips::Image.new_from_buffer(blob, "").thumbnail_image(THUMB_MAX_WIDTH, size: :down)
+    img        = Vips::Image.new_from_buffer(blob, "").autorot.thumbnail_image(THUMB_MAX_WIDTH, size: :down)
     thumb_blob = img.write_to_buffer(".jpg[Q=#{THUMB_QUALITY}]")
     {
       thumbnail_binary:       thumb_blob,
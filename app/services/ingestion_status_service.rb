@@ -42,6 +42,25 @@ class IngestionStatusService
     filenames
   end
 
+  # Missed-event recovery for KbSyncChannel: Solid Cable does not replay
+  # messages, so a client that reconnects asks for everything after the last
+  # sequence_id it saw (see KbSyncEvent).
+  # @param account_id [Integer]
+  # @param after [Integer, String, nil] last sequence_id the client saw
+  # @return [Hash] events: recorded payloads after `after`, oldest first, at
+  #   most KbSyncEvent::REPLAY_LIMIT; last_sequence_id: id of the last event
+  #   delivered (the next `after`); has_more: newer events remain, ask again;
+  #   indexing: document names whose ingestion job is still running
+  def kb_sync_status(account_id:, after:)
+    events, has_more = KbSyncEvent.page_after(account_id, after)
+    {
+      events:           events.map(&:to_broadcast),
+      last_sequence_id: [ events.last&.id.to_i, after.to_i ].max,
+      has_more:         has_more,
+      indexing:         indexing_document_names
+    }
+  end
+
   # Registers an ingestion job and documents being indexed.
   # @param job_id [String]
   # @param document_names [Array<String>]
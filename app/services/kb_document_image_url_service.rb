@@ -12,6 +12,7 @@ class KbDocumentImageUrlService
   include AwsClientInitializer
 
   IMAGE_EXTENSIONS  = %w[.png .jpg .jpeg .webp .gif].freeze
+  SOURCE_EXTENSIONS = (IMAGE_EXTENSIONS + %w[.pdf]).freeze
   URL_TTL_SECONDS   = 3600 # 1h — aligned with response_cache_control below
   CACHE_TTL_SECONDS = 50.minutes # presigner gets 60min — write expires earlier so we always rotate ahead of S3
 
@@ -32,43 +33,69 @@ class KbDocumentImageUrlService
   # render guaranteed a miss on every reload). The cache key embeds the
   # current UTC hour so URLs naturally rotate before they expire.
   def call(kb_document)
+    presigned_url_for(kb_document, extensions: IMAGE_EXTENSIONS)
+  end
+
+  # Same URL contract for the chat's citation viewer, which also opens PDFs
+  # (rendered by the browser at the cited page).
+  # @param kb_document [KbDocument]
+  # @return [String, nil] presigned URL, or nil for other types / on error
+  def source_url(kb_document)
+    presigned_url_for(kb_document, extensions: SOURCE_EXTENSIONS)
+  end
+
+  # Convenience for partials: { kb_document => url_or_nil }. The account
+  # check is one query for all documents instead of one per document.
+  def call_many(kb_documents)
+    scoped = @account.kb_documents.where(id: kb_documents.map(&:id)).index_by(&:id)
+    kb_documents.index_with { |doc| presign(scoped[doc.id], extensions: IMAGE_EXTENSIONS) }
+  end
+
+  private
+
+  def presigned_url_for(kb_document, extensions:)
     return nil if kb_document.nil?
-    scoped_document = @account.kb_documents.find_by(id: kb_document.id)
+
+    presign(@account.kb_documents.find_by(id: kb_document.id), extensions: extensions)
+  end
+
+  # @param scoped_document [KbDocument, nil] already checked against @account
+  def presign(scoped_document, extensions:)
     return nil unless scoped_document
     return nil if scoped_document.s3_key.blank?
-    return nil unless image?(scoped_document.s3_key)
+    return nil unless extensions.include?(extension(scoped_document.s3_key))
 
     key = KbDocument.object_key_for_match(scoped_document.s3_key)
     return nil if key.blank?
 
     cache_key = "kb_url/v1/#{@bucket}/#{key}/#{Time.current.utc.strftime('%Y%m%d%H')}"
     Rails.cache.fetch(cache_key, expires_in: CACHE_TTL_SECONDS) do
-      presigner.presigned_url(
-        :get_object,
-        bucket:                       @bucket,
-        key:                          key,
-        expires_in:                   URL_TTL_SECONDS,
-        response_content_disposition: "inline",
-        response_cache_control:       "public, max-age=#{URL_TTL_SECONDS}"
-      )
+      presigner.presigned_url(:get_object, **presign_options(key))
     end
   rescue StandardError => e
-    Rails.logger.warn("KbDocumentImageUrlService: failed for kb_doc=#{kb_document.id} — #{e.message}")
+    Rails.logger.warn("KbDocumentImageUrlService: failed for kb_doc=#{scoped_document.id} — #{e.message}")
     nil
   end
 
-  # Convenience for partials: { kb_document => url_or_nil }
-  def call_many(kb_documents)
-    kb_documents.index_with { |doc| call(doc) }
+  # PDFs are often stored as application/octet-stream; the explicit content
+  # type is what lets the browser render them inline instead of downloading.
+  def presign_options(key)
+    options = {
+      bucket:                       @bucket,
+      key:                          key,
+      expires_in:                   URL_TTL_SECONDS,
+      response_content_disposition: "inline",
+      response_cache_control:       "public, max-age=#{URL_TTL_SECONDS}"
+    }
+    options[:response_content_type] = "application/pdf" if extension(key) == ".pdf"
+    options
   end
 
-  private
-
   def presigner
     @presigner ||= Aws::S3::Presigner.new(client: Aws::S3::Client.new(build_aws_client_options))
   end
 
-  def image?(s3_key)
-    IMAGE_EXTENSIONS.include?(File.extname(s3_key.to_s).downcase)
+  def extension(s3_key)
+    File.extname(s3_key.to_s).downcase
   end
 end
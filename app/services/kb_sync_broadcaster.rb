@@ -3,16 +3,75 @@
 # Thin broadcast wrapper for kb_sync ActionCable channel events.
 # Centralises the broadcast contract so BedrockIngestionJob, CustomChunkingPipeline,
 # and UploadAndSyncAttachmentsJob all emit identical payloads.
+#
+# Account-scoped events are recorded in KbSyncEvent first and carry its id as
+# `sequence_id`, so a client that reconnects can recover what it missed.
+#
+# Documents uploaded from the chat are tracked by filename (track_upload), and
+# every later event about them carries `correlation_ids` (filename → the
+# correlation_id of the /rag/ask turn that uploaded it), so the chat's upload
+# queue can follow each file on its own.
+#
+# `progress` events (the ingestion stage a file is in) are live-only: they are
+# not recorded, so a reconnecting client never replays a stale stage.
 class KbSyncBroadcaster
   CHANNEL = "kb_sync"
 
+  # In pipeline order; rag/ingestion_progress.js draws one step per stage.
+  PROGRESS_STAGES = %w[uploading splitting batch parsing embedding].freeze
+
+  # Long manuals finish through Batch, well past IngestionStatusService::CACHE_TTL.
+  UPLOAD_TRACKING_TTL = 1.day
+
   def self.channel_for(account_id)
     account_id ? "account:#{account_id}:kb_sync" : CHANNEL
   end
 
+  # @param replayable [Boolean] false for events not worth recovering later
+  def self.broadcast(account_id, payload, replayable: true)
+    correlations = upload_correlations(account_id, payload[:filenames]) if account_id
+    payload = payload.merge(correlation_ids: correlations) if correlations.present?
+    sequence_id = record(account_id, payload) if account_id && replayable
+    payload = payload.merge(sequence_id: sequence_id) if sequence_id
+    ActionCable.server.broadcast(channel_for(account_id), payload)
+    payload
+  end
+
+  # Recording must never cost the technician the live event.
+  def self.record(account_id, payload)
+    KbSyncEvent.record!(account_id: account_id, payload: payload).id
+  rescue StandardError => e
+    Rails.logger.warn("KbSyncBroadcaster: could not record #{payload[:status]} event — #{e.message}")
+    nil
+  end
+  private_class_method :record
+
+  # @param filenames [Array<String>] basenames, as the ingestion jobs report them
+  def self.track_upload(account_id:, filenames:, correlation_id:)
+    return if account_id.blank? || correlation_id.blank?
+
+    Array(filenames).compact.each do |filename|
+      Rails.cache.write(upload_key(account_id, filename), correlation_id, expires_in: UPLOAD_TRACKING_TTL)
+    end
+  end
+
+  # @return [Hash{String => String}] filename → correlation_id, tracked files only
+  def self.upload_correlations(account_id, filenames)
+    keys = Array(filenames).compact.index_with { |filename| upload_key(account_id, filename) }
+    return {} if keys.empty?
+
+    found = Rails.cache.read_multi(*keys.values)
+    keys.filter_map { |filename, key| [ filename, found[key] ] if found[key] }.to_h
+  end
+
+  def self.upload_key(account_id, filename)
+    "kb_sync_upload:#{account_id}:#{filename}"
+  end
+  private_class_method :upload_key
+
   def self.failed(filenames:, account_id: nil, reason: "error", message: nil, locale: nil, correlation_id: nil)
     resolved_message = message.presence || I18n.with_locale(locale || :es) { I18n.t("rag.document_indexing_failed_message") }
-    ActionCable.server.broadcast(channel_for(account_id), {
+    broadcast(account_id, {
       status:    "failed",
       filenames: Array(filenames).compact,
       reason:    reason,
@@ -22,7 +81,7 @@ class KbSyncBroadcaster
   end
 
   def self.retrying(filenames:, attempt:, delay:, account_id: nil, locale: nil)
-    ActionCable.server.broadcast(channel_for(account_id), {
+    broadcast(account_id, {
       status:    "retrying",
       filenames: Array(filenames).compact,
       attempt:   attempt,
@@ -31,8 +90,54 @@ class KbSyncBroadcaster
     })
   end
 
+  # Where a file is in the ingestion pipeline, for the chat's loading bubble.
+  #
+  # @param stage [String] one of PROGRESS_STAGES
+  # @param pages_done [Integer, nil] pages finished in this stage, when it counts them
+  # @param pages_total [Integer, nil]
+  # @param eta_seconds [Integer, nil] estimated time left in this stage
+  # @param retries [Integer] times this stage has been retried after an error
+  # @param processing_scope [String, nil] "urgent_pages" while a long manual's
+  #   urgent pages are indexed ahead of the rest
+  def self.progress(filenames:, stage:, account_id: nil, pages_done: nil, pages_total: nil, eta_seconds: nil,
+                    retries: 0, processing_scope: nil)
+    raise ArgumentError, "unknown ingestion stage #{stage.inspect}" unless PROGRESS_STAGES.include?(stage)
+    # KbSyncChannel streams only account channels; nobody would see it.
+    return if account_id.blank?
+
+    broadcast(account_id, {
+      status:           "progress",
+      filenames:        Array(filenames).compact,
+      stage:            stage,
+      pages_done:       pages_done,
+      pages_total:      pages_total,
+      eta_seconds:      eta_seconds,
+      retries:          retries.to_i,
+      processing_scope: processing_scope
+    }, replayable: false)
+  end
+
+  # ReprocessFailedPagesJob has started on `pages` of a manual already in the KB.
+  def self.reprocessing(filenames:, pages:, account_id: nil, locale: nil)
+    broadcast(account_id, {
+      status:    "reprocessing",
+      filenames: Array(filenames).compact,
+      pages:     Array(pages),
+      message:   I18n.with_locale(locale || :es) { I18n.t("rag.reprocessing_pages", pages: Array(pages).join(", ")) }
+    })
+  end
+
+  # PurgeKbDocumentJob deleted the document's objects and started the resync.
+  def self.removed(filenames:, account_id: nil, locale: nil)
+    broadcast(account_id, {
+      status:    "removed",
+      filenames: Array(filenames).compact,
+      message:   I18n.with_locale(locale || :es) { I18n.t("rag.kb_document_removed", name: Array(filenames).first) }
+    })
+  end
+
   def self.partial_failed(filenames:, message:, account_id: nil, reason: "manual_urgent_triage_failed")
-    ActionCable.server.broadcast(channel_for(account_id), {
+    broadcast(account_id, {
       status:    "partial_failed",
       filenames: Array(filenames).compact,
       reason:    reason,
@@ -42,7 +147,7 @@ class KbSyncBroadcaster
 
   def self.photo_analyzed(filenames:, analysis:, canonical_name:, aliases:, account_id: nil, correlation_id: nil,
                           field_photo_id: nil, thumbnail_url: nil, response_locale: nil)
-    ActionCable.server.broadcast(channel_for(account_id), {
+    broadcast(account_id, {
       status: "photo_analyzed",
       filenames: Array(filenames).compact,
       summary: analysis,
@@ -15,6 +15,7 @@ class PilotMetricsHumanFormatter
       totals_section,
       adoption_section,
       interactions_section,
+      answer_feedback_section,
       repeat_usage_section,
       evidence_route_section,
       evidence_quality_section,
@@ -92,6 +93,21 @@ class PilotMetricsHumanFormatter
     lines.join("\n")
   end
 
+  def answer_feedback_section
+    feedback = report[:answer_feedback]
+    return nil unless feedback
+
+    lines = [ "== Answer feedback ==" ]
+    return (lines << "status: #{feedback[:status]}").join("\n") if feedback[:status] != "available"
+
+    lines << "Rated answers: #{num(feedback[:rated_answers])}   Ratings: #{tally_line(feedback[:by_rating])}"
+    lines << "Thumbs-down reasons: #{tally_line(feedback[:by_reason])}"
+    Array(feedback[:complaints]).first(10).each do |complaint|
+      lines << "  #{complaint[:correlation_id]} · route #{complaint[:route]} · #{complaint[:reason] || 'no reason'}"
+    end
+    lines.join("\n")
+  end
+
   def repeat_usage_section
     repeat = report[:repeat_usage]
     return nil unless repeat
@@ -64,6 +64,7 @@ class PilotMetricsReport
         per_account: accounts
       },
       interactions: interactions(rows, log_data[:pilot], log_data[:quality], log_data[:audit]),
+      answer_feedback: answer_feedback(log_data[:pilot]),
       adoption_signals: adoption_signals(rows, log_data[:pilot], messages, sessions),
       repeat_usage: repeat_usage(log_data[:pilot]),
       evidence_quality: evidence_quality(log_data[:quality]),
@@ -549,6 +550,7 @@ class PilotMetricsReport
       .group_by { |event| event[:correlation_id].presence }
     quality = quality_records.group_by { |record| record[:correlation_id].presence }
     audits = audit_records.group_by { |record| record[:correlation_id].presence }
+    feedback = latest_feedback(pilot_events)
     calls = rows.select { |row| query_row?(row) }
       .group_by { |row| row[:correlation_id].presence }
 
@@ -559,6 +561,7 @@ class PilotMetricsReport
       quality_record = Array(quality[correlation_id]).first || {}
       audit = Array(audits[correlation_id])
       call_rows = Array(calls[correlation_id])
+      rating = feedback[correlation_id] || {}
       result = {
         correlation_id: correlation_id,
         occurred_at: terminal[:ts],
@@ -597,6 +600,8 @@ class PilotMetricsReport
             attributed_cost_usd: row_cost(row).round(6)
           }
         end,
+        feedback_rating: rating[:rating],
+        feedback_reason: rating[:feedback_reason],
         correct_answer: nil,
         resolved: nil,
         technician_helpfulness: nil
@@ -621,6 +626,44 @@ class PilotMetricsReport
     end.sort_by { |row| row[:correlation_id] }
   end
 
+  # Thumbs from the chat (AnswerFeedbackService). Kept apart from
+  # `correct_answer`, which stays a human review field: a thumbs-down is a
+  # field complaint to look at, not a verdict.
+  def answer_feedback(pilot_events)
+    latest = latest_feedback(pilot_events).values
+    return { status: "logs_not_available" } if latest.empty?
+
+    complaints = latest.select { |event| event[:rating] == "down" }
+    {
+      status: "available",
+      rated_answers: latest.size,
+      by_rating: AnswerFeedbackService::RATINGS.index_with do |rating|
+        latest.count { |event| event[:rating] == rating }
+      end,
+      by_reason: AnswerFeedbackService::REASONS.index_with do |reason|
+        complaints.count { |event| event[:feedback_reason] == reason }
+      end,
+      complaints: complaints.map do |event|
+        {
+          correlation_id: event[:correlation_id],
+          account_id: integer_or_nil(event[:account_id]),
+          user_id: integer_or_nil(event[:user_id]),
+          route: event[:route],
+          reason: event[:feedback_reason],
+          occurred_at: event[:ts]
+        }
+      end.sort_by { |complaint| complaint[:occurred_at].to_s }
+    }
+  end
+
+  # A technician may change their rating; the latest one per answer counts.
+  def latest_feedback(pilot_events)
+    pilot_events
+      .select { |event| event[:event] == AnswerFeedbackService::EVENT && event[:correlation_id].present? }
+      .sort_by { |event| parse_time(event[:ts]) || Time.zone.at(0) }
+      .index_by { |event| event[:correlation_id] }
+  end
+
   def interaction_returning_users(representative_events)
     by_user_day = representative_events.filter_map do |event|
       user_id = integer_or_nil(event[:user_id])
@@ -13,6 +13,7 @@ class PilotValueReport
       precision_and_safety: precision_and_safety,
       value_capture: value_capture,
       knowledge_gaps: knowledge_gaps,
+      field_feedback: field_feedback,
       adoption: adoption
     }
   end
@@ -110,6 +111,37 @@ class PilotValueReport
     }
   end
 
+  # Thumbs-down answers from the field, joined to what the interaction cited,
+  # as candidates for the benchmark. Question text only when the source report
+  # was built with include_raw_questions.
+  def field_feedback
+    summary = report.fetch("answer_feedback", {})
+    return { status: summary["status"] || "logs_not_available" } unless summary["status"] == "available"
+
+    by_correlation = interactions.index_by { |interaction| interaction["correlation_id"] }
+    complaints = Array(summary["complaints"]).map do |complaint|
+      interaction = by_correlation[complaint["correlation_id"]] || {}
+      {
+        correlation_id: complaint["correlation_id"],
+        reason: complaint["reason"],
+        route: complaint["route"],
+        outcome: interaction["outcome"],
+        question: interaction.dig("audit", "question") || interaction["question"],
+        documents: interaction_documents(interaction),
+        pages: interaction_pages(interaction)
+      }
+    end
+
+    {
+      status: "available",
+      rated_answers: summary["rated_answers"],
+      thumbs_down: complaints.size,
+      thumbs_down_rate: ratio(complaints.size, summary["rated_answers"]),
+      by_reason: summary["by_reason"] || {},
+      complaints: complaints
+    }
+  end
+
   def adoption
     dates = Array(report.dig("repeat_usage", "queries_by_user_day"))
       .filter_map { |entry| entry["date"].presence }
@@ -27,7 +27,9 @@ class QueryOrchestratorService
   }.freeze
 
   # @param query [String] The user's question
-  # @param images [Array<Hash>] Optional array of { data: base64, media_type: "image/png" }
+  # @param images [Array<Hash>] Optional array of { data: base64, media_type: "image/png" },
+  #   optionally with `annotations` (FieldPhotoAnnotations regions). Up to
+  #   FieldPhotoAnalysisService::MAX_PHOTOS photos of one fault get one diagnosis.
   # @param documents [Array<Hash>] Optional array of { data: base64, media_type: "text/plain", filename: "x.txt" }
   # @param account [Account] Account for ingestion and retrieval scoping.
   # @param session_id [String, nil] Bedrock multi-turn session (e.g. WhatsApp thread)
@@ -39,9 +41,11 @@ class QueryOrchestratorService
   #   entity_s3_uris. Use when the caller has explicitly bound the query to a
   #   specific document (e.g. WhatsApp post-reset picker selection).
   # @param locale [String, nil] ISO 639-1 locale for image summary generation ("es", "en")
+  # @param on_answer_delta [#call, nil] Receives Knowledge Base answer text as it is generated
   def initialize(query, images: [], documents: [], document_uids: [], account: nil, session_id: nil, response_locale: nil, session_context: nil,
                  conv_session: nil, entity_s3_uris: [], output_channel: nil, force_entity_filter: false, locale: nil,
-                 user_id: nil, conversation_session_id: nil, correlation_id: nil, field_photo_id: nil)
+                 user_id: nil, conversation_session_id: nil, correlation_id: nil, field_photo_id: nil,
+                 on_answer_delta: nil)
     @query = query
     @images = images || []
     @documents = documents || []
@@ -59,6 +63,9 @@ class QueryOrchestratorService
     @conversation_session_id = conversation_session_id || (conv_session.id if conv_session.respond_to?(:id))
     @correlation_id = correlation_id
     @field_photo_id = field_photo_id
+    # Streams Knowledge Base answer text to the caller as Bedrock generates it
+    # (RagStreamsController). Hybrid answers are re-synthesized, so they don't stream.
+    @on_answer_delta = on_answer_delta
     @ai_provider = AiProvider.new
   end
 
@@ -108,45 +115,45 @@ class QueryOrchestratorService
     end
 
     if @images.any?
-      image = @images.first
-      filename = (image[:filename] || image["filename"]).presence
-      filename = filename ? File.basename(filename) : "image_1"
-      content_type = (image[:media_type] || image["media_type"]).presence || "image/jpeg"
-      binary = image[:binary] || image["binary"] || Base64.strict_decode64(image[:data] || image["data"])
-      image_sha256 = Digest::SHA256.hexdigest(binary)
+      image, *companion_images = @images.first(FieldPhotoAnalysisService::MAX_PHOTOS).map { |img| photo_upload(img) }
+      filename = image[:filename]
+      image_sha256 = image[:sha256]
       locale = (@response_locale || @locale || I18n.locale).to_s
       correlation_id = @correlation_id.presence || "photo:#{SecureRandom.uuid}"
       cached = FieldPhotoDiagnosisCache.read(
         account_id: @account&.id,
-        sha256: image_sha256,
+        sha256: FieldPhotoDiagnosisCache.set_sha256([ image_sha256, *companion_images.pluck(:sha256) ]),
         locale: locale
       )
       existing_photo_id = @account && FieldPhoto.where(account_id: @account.id, sha256: image_sha256).pick(:id)
 
       # Bytes are only needed when we still have something to do with them:
-      # analyze (no cached diagnosis) or persist (no durable row yet).
-      image_token = if cached.nil? || existing_photo_id.nil?
-        FieldPhotoPendingImageStore.write(
-          binary: binary, content_type: content_type, filename: filename,
-          account_id: @account&.id,
-          thumbnail_binary: image[:thumbnail_binary] || image["thumbnail_binary"],
-          thumbnail_content_type: image[:thumbnail_content_type] || image["thumbnail_content_type"],
-          thumbnail_width: image[:thumbnail_width] || image["thumbnail_width"],
-          thumbnail_height: image[:thumbnail_height] || image["thumbnail_height"]
-        )
+      # analyze (no cached diagnosis) or persist (no durable row yet). Only the
+      # first photo of a multi-photo question is persisted.
+      image_token = pending_image_token(image) if cached.nil? || existing_photo_id.nil?
+      companions = companion_images.map do |companion|
+        {
+          image_token: (pending_image_token(companion) if cached.nil?),
+          image_sha256: companion[:sha256],
+          filename: companion[:filename],
+          content_type: companion[:content_type],
+          annotations: companion[:annotations]
+        }
       end
 
       FieldPhotoAnalysisJob.perform_later(
         image_token: image_token,
         image_sha256: image_sha256,
         filename: filename,
-        content_type: content_type,
+        content_type: image[:content_type],
         account_id: @account&.id,
         user_id: @user_id,
         conversation_session_id: @conversation_session_id,
         locale: locale,
         correlation_id: correlation_id,
-        field_photo_id: existing_photo_id
+        field_photo_id: existing_photo_id,
+        annotations: image[:annotations],
+        companions: companions
       )
 
       PilotUsageLog.log(
@@ -165,7 +172,7 @@ class QueryOrchestratorService
         answer: I18n.with_locale(locale) { I18n.t("rag.image_analyzing_message") },
         citations: [],
         session_id: nil,
-        images_uploaded: [ filename ],
+        images_uploaded: [ filename, *companion_images.pluck(:filename) ],
         correlation_id: correlation_id,
         response_locale: locale
       }
@@ -173,6 +180,7 @@ class QueryOrchestratorService
 
     if @documents.any?
       filenames = @documents.map { |d| File.basename((d[:filename] || d["filename"]).presence || "doc.txt") }
+      KbSyncBroadcaster.track_upload(account_id: @account&.id, filenames: filenames, correlation_id: @correlation_id)
 
       # Off-request via Solid Queue lane (NOT Thread.new). The previous
       # Thread.new pattern leaked AR connections during Puma graceful
@@ -184,6 +192,7 @@ class QueryOrchestratorService
         documents_payload: @documents,
         conv_session_id:   @conversation_session_id,
         account_id:        @account&.id,
+        user_id:           @user_id,
         document_uid:      @document_uids.first,
         locale:            I18n.locale.to_s,
         query:             @query.to_s
@@ -194,8 +203,9 @@ class QueryOrchestratorService
           answer: I18n.t("rag.document_indexing_message"),
           citations: [],
           session_id: nil,
-          documents_uploaded: filenames
-        }
+          documents_uploaded: filenames,
+          correlation_id: @correlation_id
+        }.compact
       end
 
       upload_context[:documents_uploaded] = filenames
@@ -283,6 +293,7 @@ class QueryOrchestratorService
         entity_sources: entity_sources,
         output_channel: @output_channel,
         force_entity_filter: @force_entity_filter,
+        on_answer_delta: @on_answer_delta,
         **rag_telemetry
       ).merge(upload_context)
     when TOOLS[:HYBRID_QUERY]
@@ -302,6 +313,7 @@ class QueryOrchestratorService
         entity_sources: entity_sources,
         output_channel: @output_channel,
         force_entity_filter: @force_entity_filter,
+        on_answer_delta: @on_answer_delta,
         **rag_telemetry
       ).merge(upload_context)
     end
@@ -309,6 +321,31 @@ class QueryOrchestratorService
 
   private
 
+  # One uploaded photo (RagController#compress_images hash, symbol or string keys).
+  def photo_upload(image)
+    filename = (image[:filename] || image["filename"]).presence
+    binary = image[:binary] || image["binary"] || Base64.strict_decode64(image[:data] || image["data"])
+    {
+      filename: filename ? File.basename(filename) : "image_1",
+      content_type: (image[:media_type] || image["media_type"]).presence || "image/jpeg",
+      binary: binary,
+      sha256: Digest::SHA256.hexdigest(binary),
+      annotations: FieldPhotoAnnotations.normalize(image[:annotations] || image["annotations"]),
+      thumbnail_binary: image[:thumbnail_binary] || image["thumbnail_binary"],
+      thumbnail_content_type: image[:thumbnail_content_type] || image["thumbnail_content_type"],
+      thumbnail_width: image[:thumbnail_width] || image["thumbnail_width"],
+      thumbnail_height: image[:thumbnail_height] || image["thumbnail_height"]
+    }
+  end
+
+  def pending_image_token(photo)
+    FieldPhotoPendingImageStore.write(
+      account_id: @account&.id,
+      **photo.slice(:binary, :content_type, :filename, :thumbnail_binary,
+                    :thumbnail_content_type, :thumbnail_width, :thumbnail_height)
+    )
+  end
+
   def rag_telemetry
     {
       account_id: @account&.id,
@@ -328,6 +365,7 @@ class QueryOrchestratorService
       documents:    @documents,
       conv_session: @conv_session,
       account_id:   @account&.id,
+      user_id:      @user_id,
       document_uid: @document_uids.first || SecureRandom.uuid,
       locale:       @locale,
       urgent:       true,
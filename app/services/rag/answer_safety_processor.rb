@@ -137,6 +137,18 @@ module Rag
       render_internal_markers(validated)
     end
 
+    # Whether answer text generated so far may reach the technician before the
+    # answer is complete (Bedrock::StreamedGeneration): #call with the evidence
+    # cited so far must leave it untouched — no internal marker, no claim or
+    # identifier the evidence lacks, no orphan header — and no <DOC_REFS> block
+    # may have started. Anything else waits for the final answer, which gets the
+    # full #call.
+    def streamable?(text, evidence:)
+      return false if text.blank? || text.include?("<DOC_REFS")
+
+      call(text, evidence: evidence, require_cited_evidence: true) == text
+    end
+
     private
 
     def reject_unsupported_identifiers(answer, evidence)
@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+module Rag
+  # Splits the /rag/ask JSON contract into the ordered Server-Sent Events that
+  # RagStreamsController writes once the pipeline returns, after the `status`,
+  # `ping` and live `delta` events:
+  #
+  #   citations      { citations }      trailing, only when present
+  #   resolution     { resolution }     trailing, only when present
+  #   quick_replies  { quick_replies }  trailing, only when present
+  #   done           payload            the unchanged /rag/ask JSON
+  #
+  # An error payload becomes a single `error` event carrying the same body
+  # /rag/ask would have rendered plus its numeric http_status.
+  #
+  # Deltas only carry lines that pass AnswerSafetyProcessor against the
+  # citations received so far (see Bedrock::StreamedGeneration). Citation
+  # markers and the attribution guard need the complete answer, so their
+  # result arrives in `done`, which replaces the streamed bubble.
+  module AnswerStreamEvents
+    module_function
+
+    TRAILING_KEYS = %i[citations resolution quick_replies].freeze
+
+    # @param payload [Hash] the hash RagController#ask_payload built
+    # @param status [Symbol, Integer] its HTTP status
+    # @return [Array<Array(String, Hash)>] [event_name, data] pairs
+    def call(payload, status: :ok)
+      unless payload[:status] == "success"
+        return [ [ "error", payload.merge(http_status: Rack::Utils.status_code(status)) ] ]
+      end
+
+      events = []
+      TRAILING_KEYS.each do |key|
+        events << [ key.to_s, { key => payload[key] } ] if payload[key].present?
+      end
+      events << [ "done", payload ]
+    end
+  end
+end
@@ -0,0 +1,14 @@
+# frozen_string_literal: true
+
+module Rag
+  # Server-side reader for the streamed-answer rollout (RagStreamsController).
+  # The browser receives only the resolved boolean; with the flag off the chat
+  # keeps the single blocking /rag/ask JSON request.
+  module AnswerStreamingFlag
+    module_function
+
+    def enabled?
+      ENV["RAG_ANSWER_STREAMING_ENABLED"] == "true"
+    end
+  end
+end
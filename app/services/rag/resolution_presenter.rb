@@ -30,15 +30,20 @@ module Rag
       "no_candidate_retrieved"
     end
 
-    def initialize(selection:, analysis:, question:, sources_visible:)
+    # @param thumbnail_urls [#call, nil] contexts → page image URLs in the same
+    #   order, for the compare view (card.thumbnail_url); asked once per answer
+    #   and only while sources are visible
+    def initialize(selection:, analysis:, question:, sources_visible:, thumbnail_urls: nil)
       @selection = selection
       @analysis = analysis
       @question = question.to_s
       @sources_visible = sources_visible
+      @thumbnail_urls = thumbnail_urls
     end
 
     def call
-      cards = @selection.contexts.each_with_index.map { |context, index| card(context, index + 1) }
+      thumbnails = @sources_visible ? thumbnail_urls(@selection.contexts) : []
+      cards = @selection.contexts.each_with_index.map { |context, index| card(context, index + 1, thumbnails[index]) }
       {
         contract_version: self.class::CONTRACT_VERSION,
         mode: @selection.mode.to_s,
@@ -53,7 +58,7 @@ module Rag
 
     private
 
-    def card(context, ordinal)
+    def card(context, ordinal, thumbnail_url)
       {
         id: "c#{ordinal}",
         label: context.label.to_s,
@@ -61,10 +66,20 @@ module Rag
         excerpt: context.evidence_excerpt.to_s.first(200),
         select_query: select_query(context),
         page: @sources_visible ? context.page_number : nil,
-        evidence_url: @sources_visible ? safe_evidence_target(context.evidence_target) : nil
+        evidence_url: @sources_visible ? safe_evidence_target(context.evidence_target) : nil,
+        thumbnail_url: @sources_visible ? thumbnail_url : nil
       }
     end
 
+    def thumbnail_urls(contexts)
+      return [] if @thumbnail_urls.nil? || contexts.empty?
+
+      Array(@thumbnail_urls.call(contexts))
+    rescue StandardError => e
+      Rails.logger.warn("Rag::ResolutionPresenter: thumbnail lookup failed — #{e.message}")
+      []
+    end
+
     def select_query(context)
       return nil unless @selection.mode == :ambiguous
 
@@ -178,6 +178,24 @@ class S3DocumentsService
     0
   end
 
+  # Removes exactly these objects; unlike #delete_prefix, keys that merely
+  # start with one of them (a "manual.pdf.bak" next to "manual.pdf") survive.
+  # @param keys [Array<String>] S3 object keys
+  # @return [Integer] number of keys submitted for deletion
+  def delete_keys(keys)
+    keys = Array(keys).compact_blank.uniq
+    return 0 unless @bucket_name && keys.any?
+
+    @s3.delete_objects(
+      bucket: @bucket_name,
+      delete: { objects: keys.map { |key| { key: key } }, quiet: true }
+    )
+    keys.size
+  rescue StandardError => e
+    Rails.logger.error("S3 delete failed for #{keys.join(', ')}: #{e.message}")
+    0
+  end
+
   # Downloads an object from S3 and returns its raw binary.
   # @param key [String] S3 object key
   # @return [String, nil] raw bytes on success, nil on failure
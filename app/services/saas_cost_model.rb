@@ -0,0 +1,29 @@
+# frozen_string_literal: true
+
+# Unit costs from docs/SAAS_COST_MODEL_2026-06-12.md ("Canonical package
+# economics"), for comparing measured spend against what the model projected
+# for the same activity. Update these together with that document.
+#
+# Covers the two lines the dashboard can count: RAG queries and manual
+# onboarding pages. Field photos are not projected (their estimate is not
+# invoice-validated).
+module SaasCostModel
+  SCENARIOS = %i[expected conservative].freeze
+
+  # USD per RAG query: $6.14 / $9.25 per 1,000 queries.
+  QUERY_COST = { expected: 6.14 / 1000, conservative: 9.25 / 1000 }.freeze
+
+  # USD per kept manual page: the 200-page reference manual cost $5.32 to
+  # onboard for 168 kept pages, measured — the same in both scenarios.
+  ONBOARDING_PAGE_COST = { expected: 5.32 / 168, conservative: 5.32 / 168 }.freeze
+
+  # @param queries [Integer] chat queries answered
+  # @param pages [Integer] manual pages sent to the Batch API (first attempts)
+  # @param scenario [Symbol] :expected or :conservative
+  # @return [Float] projected USD
+  def self.projected_cost(queries:, pages:, scenario:)
+    raise ArgumentError, "unknown scenario #{scenario.inspect}" unless SCENARIOS.include?(scenario)
+
+    (queries.to_i * QUERY_COST[scenario]) + (pages.to_i * ONBOARDING_PAGE_COST[scenario])
+  end
+end
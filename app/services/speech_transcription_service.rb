@@ -0,0 +1,91 @@
+# frozen_string_literal: true
+
+# Server side of chat voice dictation (TranscriptionsController). Browsers with
+# built-in speech recognition never call it; the others record a short clip
+# (MediaRecorder) and POST it here for text to put in the composer.
+#
+# The provider is chosen by SPEECH_TRANSCRIPTION_PROVIDER:
+#   "openai" → Whisper through ruby-openai (credentials openai.api_key or
+#              OPENAI_API_KEY). Audio leaves AWS, so this is opt-in per deploy.
+#   "stub"   → StubProvider: fixed text, for local development and tests.
+# Anything else (the default) leaves the endpoint disabled; the composer then
+# only offers dictation where the browser can do it alone.
+class SpeechTranscriptionService
+  class Unavailable < StandardError; end
+  class TranscriptionError < StandardError; end
+
+  # ~60 s of Opus/WebM is well under 1 MB; anything bigger is not a question.
+  MAX_AUDIO_BYTES = 5.megabytes
+  AUDIO_CONTENT_TYPES = %w[audio/webm audio/ogg audio/mp4 audio/mpeg audio/wav audio/x-wav audio/aac].freeze
+
+  class OpenaiProvider
+    MODEL = "whisper-1"
+    EXTENSIONS = {
+      "audio/webm" => ".webm", "audio/ogg" => ".ogg", "audio/mp4" => ".m4a", "audio/aac" => ".m4a",
+      "audio/mpeg" => ".mp3", "audio/wav" => ".wav", "audio/x-wav" => ".wav"
+    }.freeze
+
+    def transcribe(audio:, content_type:, language:)
+      Tempfile.create([ "dictation", EXTENSIONS.fetch(content_type, ".webm") ]) do |file|
+        file.binmode
+        file.write(audio)
+        file.rewind
+        response = client.audio.transcribe(parameters: { model: MODEL, file: file, language: language }.compact)
+        raise TranscriptionError, response.dig("error", "message") if response["error"]
+
+        response["text"].to_s
+      end
+    rescue Faraday::Error => e
+      raise TranscriptionError, e.message
+    end
+
+    private
+
+    def client
+      api_key = Rails.application.credentials.dig(:openai, :api_key) || ENV["OPENAI_API_KEY"]
+      raise Unavailable, "OpenAI api_key missing" if api_key.blank?
+
+      OpenAI::Client.new(access_token: api_key, request_timeout: 30)
+    end
+  end
+
+  class StubProvider
+    TEXT = "¿Cuál es el torque de los pernos M8?"
+
+    def transcribe(audio:, content_type:, language:)
+      TEXT
+    end
+  end
+
+  PROVIDERS = { "openai" => OpenaiProvider, "stub" => StubProvider }.freeze
+
+  def self.provider_name
+    ENV["SPEECH_TRANSCRIPTION_PROVIDER"].to_s.strip.downcase
+  end
+
+  def self.enabled?
+    PROVIDERS.key?(provider_name)
+  end
+
+  def initialize(provider: nil)
+    @provider = provider || PROVIDERS[self.class.provider_name]&.new
+  end
+
+  # @param audio [String] recorded clip bytes
+  # @param content_type [String] MIME type as sent by MediaRecorder (codecs stripped)
+  # @param locale [String, nil] chat locale ("es", "en"); a hint, not a filter
+  # @return [String] transcript, squished ("" when nothing was understood)
+  # @raise [Unavailable] no provider configured
+  # @raise [TranscriptionError] clip rejected or provider failure
+  def call(audio:, content_type:, locale: nil)
+    raise Unavailable, "speech transcription is not configured" unless @provider
+
+    media_type = content_type.to_s.split(";").first.to_s.strip.downcase
+    raise TranscriptionError, "unsupported audio type #{media_type.inspect}" unless AUDIO_CONTENT_TYPES.include?(media_type)
+    raise TranscriptionError, "empty audio" if audio.blank?
+    raise TranscriptionError, "audio too large" if audio.bytesize > MAX_AUDIO_BYTES
+
+    language = locale.to_s[0, 2].downcase.presence
+    @provider.transcribe(audio: audio, content_type: media_type, language: language).to_s.squish
+  end
+end
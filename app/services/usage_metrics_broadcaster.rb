@@ -0,0 +1,42 @@
+# frozen_string_literal: true
+
+# Pushes each tracked BedrockQuery to its account's UsageMetricsChannel stream:
+# the row's own tokens, cost and latency (the chat's per-answer chip, matched by
+# correlation_id) and that account's footer totals for the day after it was
+# counted (AccountUsageMetrics — never the platform-wide CostMetric rollups).
+#
+# Rows without an account (platform jobs) are not pushed; their cost reaches the
+# footer totals with the account's next event.
+class UsageMetricsBroadcaster
+  def self.channel_for(account_id)
+    "account:#{account_id}:usage_metrics"
+  end
+
+  # @param bedrock_query [BedrockQuery] the row TrackBedrockQueryJob just created
+  # @return [Hash, nil] the payload sent
+  def self.broadcast(bedrock_query)
+    return if bedrock_query.account_id.blank?
+
+    payload = {
+      usage: usage(bedrock_query),
+      daily: UsageMetricsHelper.daily_usage_payload(AccountUsageMetrics.new(account_id: bedrock_query.account_id).snapshot)
+    }
+    ActionCable.server.broadcast(channel_for(bedrock_query.account_id), payload)
+    payload
+  end
+
+  def self.usage(bedrock_query)
+    {
+      correlation_id: bedrock_query.correlation_id,
+      user_id:        bedrock_query.user_id,
+      source:         bedrock_query.source,
+      channel:        LlmUsageChannel.for(model_id: bedrock_query.model_id, source: bedrock_query.source,
+                                          user_query: bedrock_query.user_query).to_s,
+      input_tokens:   bedrock_query.input_tokens.to_i,
+      output_tokens:  bedrock_query.output_tokens.to_i,
+      cost:           bedrock_query.cost,
+      latency_ms:     bedrock_query.latency_ms
+    }
+  end
+  private_class_method :usage
+end
@@ -12,8 +12,10 @@ Rails.application.routes.draw do
   get  'home/metrics',        to: 'home#metrics'
   get  'home/documents',      to: 'home#documents'
   get  'home/documents_page', to: 'home#documents_page'
-  # get  'dashboard',          to: 'dashboard#index'    # T-31: disabled for pilot
-  # get  'dashboard/metrics',  to: 'dashboard#metrics'  # T-31: disabled for pilot
+  get  'dashboard',                 to: 'dashboard#index'
+  get  'dashboard/metrics',         to: 'dashboard#metrics'
+  get  'dashboard/costs',           to: 'dashboard#costs'
+  get  'dashboard/costs/breakdown', to: 'dashboard#cost_breakdown'
 
   devise_for :users,
              controllers: {
@@ -29,16 +31,41 @@ Rails.application.routes.draw do
 
   get 'locale/:locale', to: 'locales#switch', as: :switch_locale, constraints: { locale: /es|en/ }
 
-  # Render dynamic PWA files from app/views/pwa/* (remember to link manifest in application.html.erb)
-  # get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
-  # get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
+  # Installable PWA: manifest + offline app-shell service worker (app/views/pwa/*).
+  get 'manifest' => 'pwa#manifest', as: :pwa_manifest
+  get 'service-worker' => 'pwa#service_worker', as: :pwa_service_worker
 
   resources :pinned_documents, only: %i[create destroy]
+  resources :pin_sets, only: %i[index create destroy] do
+    member do
+      post :apply
+      post :clear
+    end
+  end
+  resources :kb_documents, only: %i[destroy] do
+    member do
+      post :reprocess
+      post :reingest
+    end
+  end
   resources :field_photos, only: %i[show]
+  resources :conversation_messages, only: %i[index]
+  resources :answer_feedbacks, only: %i[create]
+  resource :conversation_export, only: %i[show]
+  resource :conversation_reset, only: %i[create]
+  resources :conversation_threads, only: %i[index create update] do
+    post :switch, on: :member
+  end
+  resources :chunked_uploads, only: %i[create show update]
+  get 'citation_source', to: 'citation_sources#show', as: :citation_source
+  resources :transcriptions, only: %i[create]
+  get 'kb_sync/status', to: 'kb_sync_status#show', as: :kb_sync_status
   # resources :bulk_uploads, only: %i[new create show]  # T-31: disabled for pilot
 
   # RAG endpoint for Knowledge Base queries
   post '/rag/ask', to: 'rag#ask'
+  # Same turn as Server-Sent Events (Rag::AnswerStreamingFlag)
+  post '/rag/ask/stream', to: 'rag_streams#create', as: :rag_ask_stream
 
   # post '/twilio/webhook', to: 'twilio#webhook'  # WA channel disabled for MVP
 end
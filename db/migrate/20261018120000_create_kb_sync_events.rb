@@ -0,0 +1,14 @@
+# frozen_string_literal: true
+
+class CreateKbSyncEvents < ActiveRecord::Migration[8.1]
+  def change
+    create_table :kb_sync_events do |t|
+      t.references :account, null: false, foreign_key: true, index: false
+      t.string :status, null: false
+      t.jsonb :payload, null: false, default: {}
+      t.datetime :created_at, null: false
+    end
+    add_index :kb_sync_events, [ :account_id, :id ]
+    add_index :kb_sync_events, :created_at
+  end
+end
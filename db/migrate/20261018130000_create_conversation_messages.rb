@@ -0,0 +1,18 @@
+# frozen_string_literal: true
+
+class CreateConversationMessages < ActiveRecord::Migration[8.1]
+  def change
+    create_table :conversation_messages do |t|
+      t.references :conversation_session, null: false, foreign_key: true, index: false
+      t.references :account, null: false, foreign_key: true, index: false
+      t.bigint :user_id
+      t.string :role, null: false
+      t.string :correlation_id
+      t.jsonb :payload, null: false, default: {}
+      t.datetime :created_at, null: false
+    end
+    add_index :conversation_messages, [ :conversation_session_id, :id ]
+    # AnswerFeedbacksController finds the answer being rated by correlation_id.
+    add_index :conversation_messages, [ :account_id, :correlation_id ]
+  end
+end
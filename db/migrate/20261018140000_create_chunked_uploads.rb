@@ -0,0 +1,20 @@
+# frozen_string_literal: true
+
+class CreateChunkedUploads < ActiveRecord::Migration[8.1]
+  def change
+    create_table :chunked_uploads do |t|
+      t.references :account, null: false, foreign_key: true
+      t.references :user, null: false, foreign_key: true
+      t.string :filename, null: false
+      t.string :content_type, null: false
+      t.bigint :byte_size, null: false
+      t.bigint :received_bytes, null: false, default: 0
+      t.string :s3_key, null: false
+      t.string :s3_upload_id, null: false
+      t.jsonb :parts, null: false, default: []
+      t.string :status, null: false, default: "uploading"
+      t.timestamps
+    end
+    add_index :chunked_uploads, :updated_at
+  end
+end
@@ -0,0 +1,39 @@
+# frozen_string_literal: true
+
+# Several web conversation threads per technician (ConversationSession rows
+# sharing account_id + identifier + channel). `current` marks the one the chat
+# is showing — the row every find_or_create_for / current_for resolves to — so
+# the old unique index narrows to current rows only. `title` is the name the
+# technician gives the thread (building, elevator); `archived_at` hides it from
+# the switcher.
+#
+# Existing rows are each the only thread of their key, so they all start current.
+class AddThreadsToConversationSessions < ActiveRecord::Migration[8.1]
+  disable_ddl_transaction!
+
+  def up
+    add_column :conversation_sessions, :current, :boolean, default: true, null: false
+    add_column :conversation_sessions, :title, :string
+    add_column :conversation_sessions, :archived_at, :datetime
+
+    add_index :conversation_sessions, %i[account_id identifier channel],
+              unique: true, where: "current", algorithm: :concurrently,
+              name: "idx_conversation_sessions_current_thread"
+    remove_index :conversation_sessions, name: "idx_conversation_sessions_account_id_channel"
+  end
+
+  def down
+    # Only the current thread of each key survives the old one-row-per-key index.
+    execute "DELETE FROM conversation_messages WHERE conversation_session_id IN " \
+            "(SELECT id FROM conversation_sessions WHERE NOT current)"
+    execute "DELETE FROM conversation_sessions WHERE NOT current"
+    add_index :conversation_sessions, %i[account_id identifier channel],
+              unique: true, algorithm: :concurrently,
+              name: "idx_conversation_sessions_account_id_channel"
+    remove_index :conversation_sessions, name: "idx_conversation_sessions_current_thread"
+
+    remove_column :conversation_sessions, :archived_at
+    remove_column :conversation_sessions, :title
+    remove_column :conversation_sessions, :current
+  end
+end
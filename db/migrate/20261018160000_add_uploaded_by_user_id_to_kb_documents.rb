@@ -0,0 +1,30 @@
+# frozen_string_literal: true
+
+# Who uploaded a KB document from the chat, for the Archivos panel's
+# "uploaded by me" filter (RecentKbDocumentsQuery). Set by CustomChunkingPipeline
+# when it creates the row; nil for bulk/backoffice uploads.
+#
+# Existing long manuals are backfilled from the conversation session that sent
+# them (web_manual_batches.conv_session_id); older uploads stay unattributed.
+class AddUploadedByUserIdToKbDocuments < ActiveRecord::Migration[8.1]
+  disable_ddl_transaction!
+
+  def up
+    add_column :kb_documents, :uploaded_by_user_id, :bigint
+    add_index :kb_documents, %i[account_id uploaded_by_user_id], algorithm: :concurrently
+
+    execute <<~SQL.squish
+      UPDATE kb_documents SET uploaded_by_user_id = conversation_sessions.user_id
+      FROM web_manual_batches
+      JOIN conversation_sessions ON conversation_sessions.id = web_manual_batches.conv_session_id
+      WHERE web_manual_batches.kb_document_id = kb_documents.id
+        AND kb_documents.uploaded_by_user_id IS NULL
+        AND conversation_sessions.user_id IS NOT NULL
+    SQL
+  end
+
+  def down
+    remove_index :kb_documents, %i[account_id uploaded_by_user_id]
+    remove_column :kb_documents, :uploaded_by_user_id
+  end
+end
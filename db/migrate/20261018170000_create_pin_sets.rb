@@ -0,0 +1,14 @@
+# frozen_string_literal: true
+
+class CreatePinSets < ActiveRecord::Migration[8.1]
+  def change
+    create_table :pin_sets do |t|
+      t.references :account, null: false, foreign_key: true, index: false
+      t.bigint :user_id
+      t.string :name, null: false
+      t.jsonb :kb_document_ids, null: false, default: []
+      t.timestamps
+    end
+    add_index :pin_sets, "account_id, lower(name)", unique: true, name: "index_pin_sets_on_account_id_and_lower_name"
+  end
+end
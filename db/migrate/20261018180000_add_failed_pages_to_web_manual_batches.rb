@@ -0,0 +1,11 @@
+# frozen_string_literal: true
+
+# Pages of a long manual the full Batch pass could not turn into chunks (no
+# succeeded result, or still truncated/unparseable after BatchPageRetryService).
+# The Archivos panel offers "Reprocess failed pages" while this is non-empty.
+# Manuals ingested before this column stay [] — re-ingest covers them.
+class AddFailedPagesToWebManualBatches < ActiveRecord::Migration[8.1]
+  def change
+    add_column :web_manual_batches, :failed_pages, :jsonb, default: [], null: false
+  end
+end
@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.1].define(version: 2026_08_01_120000) do
+ActiveRecord::Schema[8.1].define(version: 2026_10_18_180000) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
   enable_extension "pg_trgm"
@@ -111,19 +111,52 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_01_120000) do
     t.index [ "user_id" ], name: "index_bulk_uploads_on_user_id"
   end
 
+  create_table "chunked_uploads", force: :cascade do |t|
+    t.bigint "account_id", null: false
+    t.bigint "byte_size", null: false
+    t.string "content_type", null: false
+    t.datetime "created_at", null: false
+    t.string "filename", null: false
+    t.jsonb "parts", default: [], null: false
+    t.bigint "received_bytes", default: 0, null: false
+    t.string "s3_key", null: false
+    t.string "s3_upload_id", null: false
+    t.string "status", default: "uploading", null: false
+    t.datetime "updated_at", null: false
+    t.bigint "user_id", null: false
+    t.index [ "account_id" ], name: "index_chunked_uploads_on_account_id"
+    t.index [ "updated_at" ], name: "index_chunked_uploads_on_updated_at"
+    t.index [ "user_id" ], name: "index_chunked_uploads_on_user_id"
+  end
+
+  create_table "conversation_messages", force: :cascade do |t|
+    t.bigint "account_id", null: false
+    t.bigint "conversation_session_id", null: false
+    t.string "correlation_id"
+    t.datetime "created_at", null: false
+    t.jsonb "payload", default: {}, null: false
+    t.string "role", null: false
+    t.bigint "user_id"
+    t.index [ "account_id", "correlation_id" ], name: "index_conversation_messages_on_account_id_and_correlation_id"
+    t.index [ "conversation_session_id", "id" ], name: "index_conversation_messages_on_conversation_session_id_and_id"
+  end
+
   create_table "conversation_sessions", force: :cascade do |t|
     t.bigint "account_id", null: false
     t.jsonb "active_entities", default: {}, null: false
+    t.datetime "archived_at"
     t.string "channel", default: "web", null: false
     t.jsonb "conversation_history", default: [], null: false
     t.datetime "created_at", null: false
+    t.boolean "current", default: true, null: false
     t.jsonb "current_procedure", default: {}, null: false
     t.datetime "expires_at", null: false
     t.string "identifier", null: false
     t.string "session_status", default: "active", null: false
+    t.string "title"
     t.datetime "updated_at", null: false
     t.bigint "user_id"
-    t.index [ "account_id", "identifier", "channel" ], name: "idx_conversation_sessions_account_id_channel", unique: true
+    t.index [ "account_id", "identifier", "channel" ], name: "idx_conversation_sessions_current_thread", unique: true, where: "current"
     t.index [ "account_id" ], name: "index_conversation_sessions_on_account_id"
     t.index [ "active_entities" ], name: "index_conversation_sessions_on_active_entities", using: :gin
     t.index [ "conversation_history" ], name: "index_conversation_sessions_on_conversation_history", using: :gin
@@ -182,13 +215,34 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_01_120000) do
     t.string "s3_key", null: false
     t.bigint "size_bytes"
     t.datetime "updated_at", null: false
+    t.bigint "uploaded_by_user_id"
     t.index "lower((aliases)::text) gin_trgm_ops", name: "idx_kb_documents_aliases_text_trgm", using: :gin
     t.index "lower((display_name)::text) gin_trgm_ops", name: "idx_kb_documents_display_name_trgm", using: :gin
     t.index [ "account_id", "document_uid" ], name: "idx_kb_documents_account_document_uid", unique: true
     t.index [ "account_id", "s3_key" ], name: "idx_kb_documents_account_s3_key", unique: true
+    t.index [ "account_id", "uploaded_by_user_id" ], name: "index_kb_documents_on_account_id_and_uploaded_by_user_id"
     t.index [ "account_id" ], name: "index_kb_documents_on_account_id"
   end
 
+  create_table "kb_sync_events", force: :cascade do |t|
+    t.bigint "account_id", null: false
+    t.datetime "created_at", null: false
+    t.jsonb "payload", default: {}, null: false
+    t.string "status", null: false
+    t.index [ "account_id", "id" ], name: "index_kb_sync_events_on_account_id_and_id"
+    t.index [ "created_at" ], name: "index_kb_sync_events_on_created_at"
+  end
+
+  create_table "pin_sets", force: :cascade do |t|
+    t.bigint "account_id", null: false
+    t.datetime "created_at", null: false
+    t.jsonb "kb_document_ids", default: [], null: false
+    t.string "name", null: false
+    t.datetime "updated_at", null: false
+    t.bigint "user_id"
+    t.index "account_id, lower((name)::text)", name: "index_pin_sets_on_account_id_and_lower_name", unique: true
+  end
+
   create_table "technician_documents", force: :cascade do |t|
     t.bigint "account_id", null: false
     t.jsonb "aliases", default: [], null: false
@@ -235,6 +289,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_01_120000) do
     t.bigint "conv_session_id"
     t.datetime "created_at", null: false
     t.text "error_message"
+    t.jsonb "failed_pages", default: [], null: false
     t.string "filename", null: false
     t.string "ingestion_contract_version", null: false
     t.bigint "kb_document_id"
@@ -274,6 +329,12 @@ ActiveRecord::Schema[8.1].define(version: 2026_08_01_120000) do
     t.index [ "route", "created_at" ], name: "index_whatsapp_cache_hits_on_route_and_created_at"
   end
 
+  add_foreign_key "chunked_uploads", "accounts"
+  add_foreign_key "chunked_uploads", "users"
+  add_foreign_key "conversation_messages", "accounts"
+  add_foreign_key "conversation_messages", "conversation_sessions"
   add_foreign_key "field_photos", "accounts"
+  add_foreign_key "kb_sync_events", "accounts"
+  add_foreign_key "pin_sets", "accounts"
   add_foreign_key "technician_documents", "accounts", name: "fk_td_account"
 end
@@ -0,0 +1,73 @@
+# frozen_string_literal: true
+
+require "json"
+require "yaml"
+
+# Compiles config/locales/js.*.yml into app/javascript/rag/translations.js for
+# `bin/rails i18n:js`. The browser has no access to Rails i18n, so the `js:`
+# subtree of every locale that has one is written out as a plain ES module;
+# rag/i18n does the lookup, interpolation and pluralization.
+#
+# Adding a language is one more config/locales/js.<locale>.yml plus a rerun of
+# the task. Keys missing from it fall back to DEFAULT_LOCALE in the browser.
+module JsTranslations
+  module_function
+
+  SOURCE_GLOB = "config/locales/js.*.yml"
+  OUTPUT_PATH = "app/javascript/rag/translations.js"
+  DEFAULT_LOCALE = "es"
+
+  # @return [Hash{String => Hash}] locale → `js:` subtree, default locale first
+  def translations(root = Rails.root)
+    tree = Dir[File.join(root.to_s, SOURCE_GLOB)].sort.each_with_object({}) do |path, result|
+      YAML.load_file(path).each do |locale, keys|
+        next unless keys.is_a?(Hash) && keys["js"].is_a?(Hash)
+
+        result[locale.to_s] = deep_merge(result[locale.to_s] || {}, keys["js"])
+      end
+    end
+    tree.sort_by { |locale, _| [ locale == DEFAULT_LOCALE ? 0 : 1, locale ] }.to_h
+  end
+
+  # @return [String] the module source; deterministic so a stale file shows up as a diff
+  def source(root = Rails.root)
+    <<~JAVASCRIPT
+      // #{OUTPUT_PATH}
+      //
+      // GENERATED by `bin/rails i18n:js` from #{SOURCE_GLOB} — do not edit.
+      // Look strings up through rag/i18n, not this table.
+
+      export const DEFAULT_LOCALE = #{DEFAULT_LOCALE.to_json}
+
+      export const TRANSLATIONS = #{JSON.pretty_generate(translations(root))}
+    JAVASCRIPT
+  end
+
+  # @return [String] path written
+  def write!(root = Rails.root)
+    path = File.join(root.to_s, OUTPUT_PATH)
+    File.write(path, source(root))
+    path
+  end
+
+  # Dotted key paths per locale that the default locale defines and `locale`
+  # does not — what a new language still needs translated.
+  # @return [Array<String>]
+  def missing_keys(locale, root = Rails.root)
+    tree = translations(root)
+    key_paths(tree.fetch(DEFAULT_LOCALE, {})) - key_paths(tree.fetch(locale.to_s, {}))
+  end
+
+  def key_paths(hash, prefix = nil)
+    hash.flat_map do |key, value|
+      path = [ prefix, key ].compact.join(".")
+      value.is_a?(Hash) ? key_paths(value, path) : [ path ]
+    end
+  end
+
+  def deep_merge(base, other)
+    base.merge(other) do |_key, left, right|
+      left.is_a?(Hash) && right.is_a?(Hash) ? deep_merge(left, right) : right
+    end
+  end
+end
@@ -0,0 +1,35 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class UsageMetricsChannelTest < ActionCable::Channel::TestCase
+  test "streams the user's account usage while SHOW_USAGE_METRICS is on" do
+    with_usage_metrics("true") do
+      stub_connection current_user: users(:one)
+      subscribe
+    end
+
+    assert subscription.confirmed?
+    assert_has_stream "account:#{accounts(:legacy).id}:usage_metrics"
+    assert_not_includes subscription.streams, "account:#{accounts(:climb).id}:usage_metrics"
+  end
+
+  test "rejects the subscription while SHOW_USAGE_METRICS is off" do
+    with_usage_metrics(nil) do
+      stub_connection current_user: users(:one)
+      subscribe
+    end
+
+    assert subscription.rejected?
+  end
+
+  private
+
+  def with_usage_metrics(value)
+    previous = ENV["SHOW_USAGE_METRICS"]
+    ENV["SHOW_USAGE_METRICS"] = value
+    yield
+  ensure
+    ENV["SHOW_USAGE_METRICS"] = previous
+  end
+end
@@ -0,0 +1,71 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class AnswerFeedbacksControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = users(:one)
+    @account = accounts(:legacy)
+    @session = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: @account.id)
+    @answer = ConversationMessage.record(@session, role: 'assistant', payload: { answer: 'Revisa el fusible F3.' },
+                                                   user_id: @user.id, correlation_id: 'query:feedback-test')
+  end
+
+  test 'requires authentication' do
+    post answer_feedbacks_url, params: { correlation_id: 'query:feedback-test', rating: 'up' }, as: :json
+    assert_response :unauthorized
+  end
+
+  test 'stores a thumbs-down with its reason on the answer and logs it against the correlation_id' do
+    sign_in @user
+    pilot_usage_calls = []
+    original_log = PilotUsageLog.method(:log)
+    PilotUsageLog.define_singleton_method(:log) do |event, **fields|
+      pilot_usage_calls << [ event, fields ]
+    end
+
+    post answer_feedbacks_url, params: { correlation_id: 'query:feedback-test', rating: 'down', reason: 'wrong_page' }, as: :json
+
+    assert_response :success
+    assert_equal %w[down wrong_page], response.parsed_body['feedback'].values_at('rating', 'reason')
+    assert_equal %w[down wrong_page], @answer.reload.payload['feedback'].values_at('rating', 'reason')
+    event, fields = pilot_usage_calls.sole
+    assert_equal 'answer_feedback', event
+    assert_equal 'query:feedback-test', fields[:correlation_id]
+    assert_equal 'text', fields[:route]
+    assert_equal 'wrong_page', fields[:feedback_reason]
+  ensure
+    PilotUsageLog.define_singleton_method(:log) do |event, **fields|
+      original_log.call(event, **fields)
+    end if original_log
+  end
+
+  test 'a thumbs-up drops any reason sent with it' do
+    sign_in @user
+
+    post answer_feedbacks_url, params: { correlation_id: 'query:feedback-test', rating: 'up', reason: 'unsafe' }, as: :json
+
+    assert_response :success
+    assert_equal({ 'rating' => 'up', 'reason' => nil }, @answer.reload.payload['feedback'].slice('rating', 'reason'))
+  end
+
+  test 'rejects a reason the chat does not offer' do
+    sign_in @user
+
+    post answer_feedbacks_url, params: { correlation_id: 'query:feedback-test', rating: 'down', reason: 'boring' }, as: :json
+
+    assert_response :unprocessable_entity
+    assert_nil @answer.reload.payload['feedback']
+  end
+
+  test "cannot rate another technician's answer" do
+    sign_in users(:two)
+
+    post answer_feedbacks_url, params: { correlation_id: 'query:feedback-test', rating: 'down', reason: 'unsafe' }, as: :json
+
+    assert_response :not_found
+    assert_nil @answer.reload.payload['feedback']
+  end
+end
@@ -0,0 +1,116 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class ChunkedUploadsControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  class FakeStorage
+    attr_reader :parts
+
+    def initialize
+      @parts = []
+    end
+
+    def key_for(account_id:, token:, filename:)
+      "chunked_uploads/#{account_id}/#{token}/#{filename}"
+    end
+
+    def start(key:, content_type:)
+      'multipart-1'
+    end
+
+    def upload_part(key:, upload_id:, part_number:, body:)
+      @parts << body
+      "etag-#{part_number}"
+    end
+
+    def complete(key:, upload_id:, parts:)
+      true
+    end
+  end
+
+  setup do
+    @user = users(:one)
+    @storage = FakeStorage.new
+    storage = @storage
+    @original_new = ChunkedUploadStorageService.method(:new)
+    ChunkedUploadStorageService.define_singleton_method(:new) { |*_args, **_kwargs| storage }
+  end
+
+  teardown do
+    original_new = @original_new
+    ChunkedUploadStorageService.define_singleton_method(:new) { |*args, **kwargs| original_new.call(*args, **kwargs) }
+  end
+
+  def start_upload(byte_size: 6)
+    post chunked_uploads_url, params: { filename: 'manual.pdf', content_type: 'application/pdf', byte_size: byte_size }, as: :json
+    response.parsed_body
+  end
+
+  def send_chunk(id, offset, bytes)
+    patch chunked_upload_url(id, offset: offset), params: bytes, headers: { 'CONTENT_TYPE' => 'application/octet-stream' }
+  end
+
+  test 'requires authentication' do
+    post chunked_uploads_url, params: { filename: 'manual.pdf', content_type: 'application/pdf', byte_size: 6 }, as: :json
+    assert_response :unauthorized
+  end
+
+  test 'create returns the resume state and the chunk size to use' do
+    sign_in @user
+
+    status = start_upload
+
+    assert_response :created
+    assert_equal 0, status['received_bytes']
+    assert_equal ChunkedUpload::CHUNK_SIZE, status['chunk_size']
+    assert_equal 'uploading', status['status']
+  end
+
+  test 'create rejects documents over the size cap' do
+    sign_in @user
+
+    start_upload(byte_size: ChunkedUpload::MAX_BYTE_SIZE + 1)
+
+    assert_response :unprocessable_entity
+  end
+
+  test 'the raw body is stored as a chunk and the last one completes the upload' do
+    sign_in @user
+    id = start_upload['id']
+
+    send_chunk(id, 0, 'manual')
+
+    assert_response :success
+    assert_equal 'complete', response.parsed_body['status']
+    assert_equal 6, response.parsed_body['received_bytes']
+    assert_equal [ 'manual' ], @storage.parts
+  end
+
+  test 'a repeated chunk answers 409 with the current resume point' do
+    sign_in @user
+    upload = ChunkedUpload.start!(user: @user, account: accounts(:legacy), filename: 'manual.pdf',
+                                  content_type: 'application/pdf', byte_size: ChunkedUpload::CHUNK_SIZE + 1,
+                                  storage: @storage)
+    upload.append_chunk!(offset: 0, body: 'a' * ChunkedUpload::CHUNK_SIZE, storage: @storage)
+
+    send_chunk(upload.id, 0, 'a' * ChunkedUpload::CHUNK_SIZE)
+
+    assert_response :conflict
+    assert_equal ChunkedUpload::CHUNK_SIZE, response.parsed_body['received_bytes']
+
+    get chunked_upload_url(upload.id), as: :json
+    assert_equal ChunkedUpload::CHUNK_SIZE, response.parsed_body['received_bytes']
+  end
+
+  test "another technician's upload is not found" do
+    sign_in users(:two)
+    upload = ChunkedUpload.start!(user: @user, account: accounts(:legacy), filename: 'manual.pdf',
+                                  content_type: 'application/pdf', byte_size: 6, storage: @storage)
+
+    get chunked_upload_url(upload.id), as: :json
+
+    assert_response :not_found
+  end
+end
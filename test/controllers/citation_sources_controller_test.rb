@@ -0,0 +1,74 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class CitationSourcesControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = users(:one)
+    @document = kb_documents(:manual_uno)
+  end
+
+  def with_fake_source_url(url)
+    original = KbDocumentImageUrlService.instance_method(:source_url)
+    KbDocumentImageUrlService.define_method(:source_url) { |*_args| url }
+    yield
+  ensure
+    KbDocumentImageUrlService.define_method(:source_url, original)
+  end
+
+  test "redirects unauthenticated user to login" do
+    get citation_source_path(document_id: @document.document_uid)
+    assert_response :redirect
+  end
+
+  test "finds the cited document by document_id and returns its PDF page" do
+    sign_in @user
+
+    with_fake_source_url("https://bucket.s3.amazonaws.com/uploads/2026/manual_uno.pdf?sig") do
+      get citation_source_path(document_id: @document.document_uid, page: "46"), as: :json
+    end
+
+    assert_response :success
+    body = response.parsed_body
+    assert_equal "Manual uno", body["name"]
+    assert_equal 46, body["page"]
+    assert_equal "pdf", body["kind"]
+    assert_equal "https://bucket.s3.amazonaws.com/uploads/2026/manual_uno.pdf?sig", body["url"]
+  end
+
+  test "falls back to the source URI when document_id is missing or malformed" do
+    sign_in @user
+
+    with_fake_source_url("https://bucket.s3.amazonaws.com/signed") do
+      get citation_source_path(document_id: "not-a-uuid", source_uri: "s3://#{KbDocument::KB_BUCKET}/uploads/2026/manual_uno.pdf"), as: :json
+    end
+
+    assert_response :success
+    assert_equal "Manual uno", response.parsed_body["name"]
+    assert_nil response.parsed_body["page"]
+  end
+
+  test "answers unavailable when the document type cannot be shown" do
+    sign_in @user
+
+    with_fake_source_url(nil) do
+      get citation_source_path(document_id: @document.document_uid), as: :json
+    end
+
+    assert_response :success
+    assert_equal "unavailable", response.parsed_body["kind"]
+    assert_nil response.parsed_body["url"]
+  end
+
+  test "a document from another account responds 404" do
+    sign_in users(:two)
+
+    with_fake_source_url("https://bucket.s3.amazonaws.com/signed") do
+      get citation_source_path(document_id: @document.document_uid), as: :json
+    end
+
+    assert_response :not_found
+  end
+end
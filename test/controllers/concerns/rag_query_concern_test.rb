@@ -671,9 +671,9 @@ class RagQueryConcernTest < ActiveSupport::TestCase
   # Tests for sanitize_answer (Phase 1a)
   # ============================================
 
-  test 'sanitize_answer strips markdown headers but keeps heading text' do
+  test 'sanitize_answer strips markdown headers for whatsapp but keeps heading text' do
     text = "# Title\n## Subtitle\n### Sub-sub\nbody line"
-    out  = @controller.send(:sanitize_answer, text)
+    out  = @controller.send(:sanitize_answer, text, channel: :whatsapp)
 
     assert_includes out, 'Title'
     assert_includes out, 'Subtitle'
@@ -684,11 +684,11 @@ class RagQueryConcernTest < ActiveSupport::TestCase
 
   test 'sanitize_answer does not strip a hash that appears mid-sentence' do
     text = "Voltage spec is #5 wire gauge required"
-    out  = @controller.send(:sanitize_answer, text)
+    out  = @controller.send(:sanitize_answer, text, channel: :whatsapp)
     assert_includes out, '#5 wire gauge'
   end
 
-  test 'sanitize_answer converts a markdown table to a numbered list' do
+  test 'sanitize_answer converts a markdown table to a numbered list for whatsapp' do
     text = <<~MD
       Intro line.
 
@@ -700,7 +700,7 @@ class RagQueryConcernTest < ActiveSupport::TestCase
       After table line.
     MD
 
-    out = @controller.send(:sanitize_answer, text)
+    out = @controller.send(:sanitize_answer, text, channel: :whatsapp)
 
     assert_not_includes out, '|'
     assert_includes out, '① Voltage — Value: 380V — Confidence: LOW'
@@ -717,24 +717,31 @@ class RagQueryConcernTest < ActiveSupport::TestCase
 
   test 'sanitize_answer preserves inline citation markers like [1]' do
     text = "## Section\nThe valve [1] must be closed [2]."
-    out  = @controller.send(:sanitize_answer, text)
+    out  = @controller.send(:sanitize_answer, text, channel: :whatsapp)
     assert_includes out, '[1]'
     assert_includes out, '[2]'
   end
 
+  test 'sanitize_answer keeps headings and tables for the web chat' do
+    text = "## Conexiones\n\n| Borne | Señal |\n|---|---|\n| J3 | 24 V |\n\n\n\nFin."
+    out  = @controller.send(:sanitize_answer, text, channel: :web)
+
+    assert_equal "## Conexiones\n\n| Borne | Señal |\n|---|---|\n| J3 | 24 V |\n\nFin.", out
+  end
+
   test 'sanitize_answer returns empty string for blank input' do
     assert_equal "", @controller.send(:sanitize_answer, nil)
     assert_equal "", @controller.send(:sanitize_answer, "")
   end
 
-  test 'execute_rag_query sanitizes orchestrator answer before returning' do
+  test 'execute_rag_query sanitizes orchestrator answer for its output channel' do
     mock = create_mock_orchestrator(
       answer: "## Title\n\n\n\nbody"
     )
 
     with_mock_orchestrator(mock) do
-      result = @controller.send(:execute_rag_query, 'q')
-      assert_equal "Title\n\nbody", result.answer
+      assert_equal "## Title\n\nbody", @controller.send(:execute_rag_query, 'q').answer
+      assert_equal "Title\n\nbody", @controller.send(:execute_rag_query, 'q', output_channel: :whatsapp).answer
     end
   end
 
@@ -0,0 +1,63 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class ConversationExportsControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = users(:one)
+    @account = accounts(:legacy)
+    session = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: @account.id)
+    ConversationMessage.record(session, role: 'user', payload: { question: '¿Qué fusible protege el variador?' }, user_id: @user.id)
+    ConversationMessage.record(session, role: 'assistant', user_id: @user.id, correlation_id: 'query:export', payload: {
+      answer: 'El fusible **F3** [1].',
+      citations: [ { number: 1, title: 'Manual TW1 — p. 46', page: 46 } ]
+    })
+  end
+
+  test 'requires authentication' do
+    get conversation_export_url(format: :json)
+    assert_response :unauthorized
+  end
+
+  test 'renders a standalone printable report' do
+    sign_in @user
+
+    get conversation_export_url
+
+    assert_response :success
+    assert_select 'h1', I18n.t('conversation_export.title')
+    assert_select '.report-entry-question p', '¿Qué fusible protege el variador?'
+    assert_select '.report-entry-answer strong', 'F3'
+    assert_select '.report-sources li', /\[1\] Manual TW1 p\. 46/
+    assert_select '.report-notice', I18n.t('js.answer.verification_notice')
+    assert_select 'script', false
+  end
+
+  test 'downloads the structured report as JSON' do
+    sign_in @user
+
+    get conversation_export_url(format: :json)
+
+    assert_response :success
+    assert_match(/attachment; filename="service-report-.+\.json"/, response.headers['Content-Disposition'])
+    json = JSON.parse(response.body)
+    assert_equal ConversationReport::FORMAT, json['format']
+    assert_equal %w[question answer], json['entries'].map { |entry| entry['type'] }
+    assert_equal 46, json.dig('entries', 1, 'sources', 0, 'page')
+  end
+
+  test 'downloads the report as a PDF' do
+    sign_in @user
+
+    get conversation_export_url(format: :pdf)
+
+    assert_response :success
+    assert_equal 'application/pdf', response.media_type
+    assert response.body.start_with?('%PDF-')
+    text = PDF::Reader.new(StringIO.new(response.body)).pages.map(&:text).join("\n")
+    assert_includes text, '¿Qué fusible protege el variador?'
+    assert_includes text, 'Manual TW1 p. 46'
+  end
+end
@@ -0,0 +1,58 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class ConversationMessagesControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = users(:one)
+    @account = accounts(:legacy)
+  end
+
+  test 'requires authentication' do
+    get conversation_messages_url, as: :json
+    assert_response :unauthorized
+  end
+
+  test 'returns an empty transcript when the technician has no session yet' do
+    sign_in @user
+
+    get conversation_messages_url, as: :json
+
+    assert_response :success
+    assert_equal({ 'messages' => [], 'has_more' => false }, response.parsed_body)
+  end
+
+  test 'returns the newest page oldest first and pages older turns with before' do
+    sign_in @user
+    session = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: @account.id)
+    ids = Array.new(ConversationMessage::PAGE_SIZE + 1) do |i|
+      ConversationMessage.record(session, role: 'user', payload: { text: "q#{i}" }, user_id: @user.id).id
+    end
+
+    get conversation_messages_url, as: :json
+
+    json = response.parsed_body
+    assert_equal ids.last(ConversationMessage::PAGE_SIZE), json['messages'].map { |message| message['id'] }
+    assert_equal 'q1', json['messages'].first.dig('payload', 'text')
+    assert json['has_more']
+
+    get conversation_messages_url(before: ids[1]), as: :json
+
+    json = response.parsed_body
+    assert_equal [ ids.first ], json['messages'].map { |message| message['id'] }
+    assert_not json['has_more']
+  end
+
+  test "leaves out other technicians' turns on the same session" do
+    sign_in @user
+    session = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: @account.id)
+    mine = ConversationMessage.record(session, role: 'user', payload: { text: 'mío' }, user_id: @user.id)
+    ConversationMessage.record(session, role: 'user', payload: { text: 'ajeno' }, user_id: users(:two).id)
+
+    get conversation_messages_url, as: :json
+
+    assert_equal [ mine.id ], response.parsed_body['messages'].map { |message| message['id'] }
+  end
+end
@@ -0,0 +1,39 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class ConversationResetsControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = users(:one)
+    @session = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: accounts(:legacy).id)
+    @session.add_to_history('user', '¿Qué fusible protege el variador?', user_id: @user.id)
+    ConversationMessage.record(@session, role: 'user', payload: { question: '¿Qué fusible protege el variador?' }, user_id: @user.id)
+  end
+
+  test 'requires authentication' do
+    post conversation_reset_url, as: :json
+    assert_response :unauthorized
+    assert_equal 1, @session.conversation_messages.count
+  end
+
+  test 'starts a clean conversation for the signed-in technician' do
+    sign_in @user
+
+    post conversation_reset_url, as: :json
+
+    assert_response :no_content
+    assert_empty @session.reload.conversation_messages
+    assert_empty @session.conversation_history
+  end
+
+  test 'is a no-op when the technician has no session yet' do
+    sign_in users(:two)
+
+    post conversation_reset_url, as: :json
+
+    assert_response :no_content
+    assert_equal 1, @session.conversation_messages.count
+  end
+end
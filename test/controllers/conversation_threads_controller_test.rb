@@ -0,0 +1,95 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class ConversationThreadsControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = users(:one)
+    @account = accounts(:legacy)
+    @morning = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: @account.id)
+    @morning.update!(title: 'Edificio Norte')
+    @morning.pin_kb_document!(kb_documents(:manual_uno))
+  end
+
+  test 'requires authentication' do
+    get conversation_threads_url, as: :json
+    assert_response :unauthorized
+  end
+
+  test 'lists the technician\'s threads with their pins, current first' do
+    sign_in @user
+    afternoon = ConversationSession.start_thread!(identifier: @user.id.to_s, user_id: @user.id, account_id: @account.id)
+
+    get conversation_threads_url, as: :json
+
+    assert_response :success
+    threads = response.parsed_body['threads']
+    assert_equal [ afternoon.id, @morning.id ], threads.map { |thread| thread['id'] }
+    assert_equal [ true, false ], threads.map { |thread| thread['current'] }
+    assert_equal 'Edificio Norte', threads.last['label']
+    assert_equal [ kb_documents(:manual_uno).id ], threads.last['pinned_document_ids']
+  end
+
+  test 'starts a new thread without the previous one\'s pins or transcript' do
+    sign_in @user
+    ConversationMessage.record(@morning, role: 'user', payload: { question: '¿Nivelación?' }, user_id: @user.id)
+
+    post conversation_threads_url, params: { title: 'Torre Sur' }, as: :json
+
+    assert_response :created
+    thread = response.parsed_body['thread']
+    assert_equal 'Torre Sur', thread['title']
+    assert thread['current']
+    assert_empty thread['pinned_document_ids']
+
+    get conversation_messages_url, as: :json
+    assert_empty response.parsed_body['messages']
+  end
+
+  test 'switch reopens a past thread and the transcript follows it' do
+    sign_in @user
+    ConversationMessage.record(@morning, role: 'user', payload: { question: '¿Nivelación?' }, user_id: @user.id)
+    ConversationSession.start_thread!(identifier: @user.id.to_s, user_id: @user.id, account_id: @account.id)
+
+    post switch_conversation_thread_url(@morning), as: :json
+
+    assert_response :success
+    assert response.parsed_body.dig('thread', 'current')
+    get conversation_messages_url, as: :json
+    assert_equal [ '¿Nivelación?' ], response.parsed_body['messages'].map { |message| message.dig('payload', 'question') }
+  end
+
+  test 'renames and archives a thread' do
+    sign_in @user
+
+    patch conversation_thread_url(@morning), params: { title: '  Clínica   ascensor 2 ' }, as: :json
+    assert_equal 'Clínica ascensor 2', response.parsed_body.dig('thread', 'title')
+
+    patch conversation_thread_url(@morning), params: { archived: true }, as: :json
+    assert_response :success
+    assert response.parsed_body.dig('thread', 'archived')
+    assert_not @morning.reload.current
+  end
+
+  test 'rejects a title that is too long' do
+    sign_in @user
+
+    patch conversation_thread_url(@morning), params: { title: 'x' * (ConversationSession::MAX_TITLE_LENGTH + 1) }, as: :json
+
+    assert_response :unprocessable_entity
+    assert_equal 'Edificio Norte', @morning.reload.title
+  end
+
+  test 'another technician\'s thread is not found' do
+    sign_in users(:two)
+
+    post switch_conversation_thread_url(@morning), as: :json
+    assert_response :not_found
+
+    patch conversation_thread_url(@morning), params: { title: 'Mío' }, as: :json
+    assert_response :not_found
+    assert_equal 'Edificio Norte', @morning.reload.title
+  end
+end
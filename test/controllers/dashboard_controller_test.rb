@@ -3,8 +3,16 @@
 require 'test_helper'
 
 class DashboardControllerTest < ActionDispatch::IntegrationTest
-  def setup
-    skip "Dashboard route disabled for Climb pilot (T-31)"
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    sign_in users(:one)
+  end
+
+  test 'requires authentication' do
+    sign_out :user
+    get dashboard_costs_url, as: :json
+    assert_response :unauthorized
   end
 
   test 'should get index' do
@@ -44,6 +52,7 @@ class DashboardControllerTest < ActionDispatch::IntegrationTest
       output_tokens: 50,
       latency_ms: 500,
       source: :query,
+      account_id: accounts(:legacy).id,
       created_at: Time.current
     )
     BedrockQuery.create!(
@@ -52,6 +61,16 @@ class DashboardControllerTest < ActionDispatch::IntegrationTest
       output_tokens: 200,
       latency_ms: 30_000,
       source: :ingestion_parse,
+      account_id: accounts(:legacy).id,
+      created_at: Time.current
+    )
+    BedrockQuery.create!(
+      model_id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0',
+      input_tokens: 100,
+      output_tokens: 50,
+      latency_ms: 7_777,
+      source: :query,
+      account_id: accounts(:climb).id,
       created_at: Time.current
     )
 
@@ -60,5 +79,76 @@ class DashboardControllerTest < ActionDispatch::IntegrationTest
     assert_match(/Rendimiento consultas chat/, response.body)
     assert_match(/500ms/, response.body)
     assert_no_match(/30000ms/, response.body)
+    assert_no_match(/7777ms/, response.body)
+  end
+
+  test "an account never sees another account's daily totals" do
+    climb_query = BedrockQuery.create!(model_id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0', input_tokens: 90_000,
+                                       output_tokens: 9_000, source: :query, account_id: accounts(:climb).id,
+                                       created_at: Time.current)
+    own_query = BedrockQuery.create!(model_id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0', input_tokens: 100,
+                                     output_tokens: 50, source: :query, account_id: accounts(:legacy).id,
+                                     created_at: Time.current)
+    CostMetric.create!(date: Date.current, metric_type: :daily_cost, value: 99)
+
+    get dashboard_metrics_url, as: :json
+    json = JSON.parse(@response.body)
+    assert_in_delta own_query.cost, json['current']['today_cost'], 0.000001
+    assert_equal 1, json['current']['today_queries']
+    assert_equal 1, json['monthly']['total_queries']
+    assert_in_delta own_query.cost, json['chart']['datasets'].sum { |set| set['data'].sum }, 0.0001
+
+    get dashboard_costs_url(format: :json, from: Date.current.iso8601, to: Date.current.iso8601)
+    assert_in_delta own_query.cost, JSON.parse(@response.body)['datasets'].sum { |set| set['data'].sum }, 0.0001
+
+    sign_out :user
+    host! 'ascensoresclimb.localhost'
+    sign_in users(:two)
+    get dashboard_metrics_url, as: :json
+    assert_in_delta climb_query.cost, JSON.parse(@response.body)['current']['today_cost'], 0.000001
+  end
+
+  test 'costs returns the chart payload for a range' do
+    get dashboard_costs_url(format: :json, from: '2026-05-04', to: '2026-05-17', group_by: 'week')
+    assert_response :success
+
+    json = JSON.parse(@response.body)
+    assert_equal %w[2026-05-04 2026-05-11], json['buckets']
+    assert json.key?('split')
+    assert json.key?('projection')
+  end
+
+  test 'costs exports the series shown as CSV' do
+    BedrockQuery.create!(model_id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0', input_tokens: 100, output_tokens: 50,
+                         source: :query, account_id: accounts(:legacy).id, created_at: Time.zone.local(2026, 5, 3, 12))
+
+    get dashboard_costs_url(format: :csv, from: '2026-05-01', to: '2026-05-03', view: 'split')
+    assert_response :success
+    assert_equal 'text/csv', response.media_type
+    assert_match(/costos-split\.csv/, response.headers['Content-Disposition'])
+
+    rows = CSV.parse(response.body)
+    assert_equal %w[desde periodo Consultas Ingesta], rows.first
+    assert_equal 4, rows.length
+  end
+
+  test 'cost breakdown is scoped to the signed-in account' do
+    BedrockQuery.create!(model_id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0', input_tokens: 100, output_tokens: 50,
+                         source: :query, account_id: accounts(:legacy).id, user_id: users(:one).id,
+                         created_at: Time.zone.local(2026, 5, 3, 12))
+    BedrockQuery.create!(model_id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0', input_tokens: 100, output_tokens: 50,
+                         source: :query, account_id: accounts(:climb).id, created_at: Time.zone.local(2026, 5, 3, 12))
+
+    get dashboard_costs_breakdown_url(bucket: '2026-05-03', from: '2026-05-01', to: '2026-05-31'), as: :json
+    assert_response :success
+
+    json = JSON.parse(@response.body)
+    assert_equal [ users(:one).id ], json['users'].pluck('user_id')
+    assert_equal 1, json['users'].first['queries']
+  end
+
+  test 'cost breakdown rejects a bucket outside the range' do
+    get dashboard_costs_breakdown_url(bucket: '2026-07-01', from: '2026-05-01', to: '2026-05-31'), as: :json
+    assert_response :unprocessable_entity
   end
 end
@@ -135,6 +135,43 @@ class HomeControllerTest < ActionDispatch::IntegrationTest
     assert_match(/data-docs-scroll-page-value="2"/, response.body)
   end
 
+  test 'index renders the Archivos search form in both cards' do
+    get root_path
+    assert_select 'form.kb-search[data-controller="kb-search"]', count: 2
+    assert_select 'form.kb-search input[name="filter[]"][value="mine"]', count: 2
+    assert_select '#kb-docs-desktop-more'
+    assert_select '#kb-docs-mobile-more'
+  end
+
+  test 'documents action filters by search and chips and starts a fresh sentinel' do
+    25.times { |i| KbDocument.create!(s3_key: "uploads/2026/v#{i}.pdf", display_name: "Variador #{i}", aliases: []) }
+    KbDocument.create!(s3_key: 'uploads/2026/tablero.jpg', display_name: 'Tablero', aliases: [])
+
+    get '/home/documents', params: { q: 'variador', filter: %w[manuals], sort: 'name' }
+    assert_response :success
+    assert_no_match(/Tablero/, response.body)
+    assert_match(/data-doc-name="Variador 0"/, response.body)
+    assert_match(/action="update" target="kb-docs-desktop-more"/, response.body)
+    assert_match(/action="update" target="kb-docs-mobile-more"/,  response.body)
+    assert_match(%r{data-docs-scroll-url-value="/home/documents_page\?filter%5B%5D=manuals&amp;q=variador&amp;sort=name"}, response.body)
+  end
+
+  test 'documents action shows the no-results copy when a search matches nothing' do
+    KbDocument.create!(s3_key: 'uploads/2026/a.pdf', display_name: 'A', aliases: [])
+
+    get '/home/documents', params: { q: 'inexistente' }
+    assert_match(/Ningún archivo coincide con la búsqueda/, response.body)
+    assert_no_match(/data-docs-scroll-url-value/, response.body)
+  end
+
+  test 'documents_page keeps the search in the next sentinel' do
+    45.times { |i| KbDocument.create!(s3_key: "uploads/2026/m#{i}.pdf", display_name: "Manual #{i}", aliases: []) }
+
+    get '/home/documents_page', params: { page: 1, q: 'manual' }
+    assert_match(/action="replace" target="kb-docs-desktop-sentinel"/, response.body)
+    assert_match(%r{data-docs-scroll-url-value="/home/documents_page\?q=manual"}, response.body)
+  end
+
   test 'kb_docs_card renders thumbnail img only for image extensions with thumbnail row' do
     _pdf = KbDocument.create!(s3_key: 'uploads/2026/foo.pdf', display_name: 'PDF', aliases: [])
     jpg  = KbDocument.create!(s3_key: 'uploads/2026/foo.jpg', display_name: 'JPG', aliases: [])
@@ -166,19 +203,44 @@ class HomeControllerTest < ActionDispatch::IntegrationTest
   end
 
   test 'should render index with metrics' do
-    today = Date.current
-    CostMetric.create!(date: today, metric_type: :daily_tokens, value: 1000)
-    CostMetric.create!(date: today, metric_type: :daily_queries, value: 10)
+    BedrockQuery.create!(model_id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0', input_tokens: 1000, output_tokens: 200,
+                         source: :query, account_id: accounts(:legacy).id)
 
     with_usage_metrics { get root_path }
     assert_response :success
     assert_select '[data-chat-usage-metrics]', minimum: 1
+    assert_select '[data-usage-pill="total"] [data-usage-tokens]', text: /1,200/
+  end
+
+  test 'usage footer totals are the signed-in account\'s only' do
+    CostMetric.create!(date: Date.current, metric_type: :daily_tokens, value: 777_000)
+    BedrockQuery.create!(model_id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0', input_tokens: 90_000,
+                         output_tokens: 9_000, source: :query, account_id: accounts(:climb).id)
+    BedrockQuery.create!(model_id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0', input_tokens: 100,
+                         output_tokens: 50, source: :query, account_id: accounts(:legacy).id)
+
+    get '/home/metrics'
+    assert_response :success
+    assert_select '[data-usage-pill="total"] [data-usage-tokens]', text: /\A\s*150\b/
+    assert_no_match(/777,000|99,000/, response.body)
+  end
+
+  test 'usage metrics update live over ActionCable with per-answer chips' do
+    with_usage_metrics { get root_path }
+    assert_response :success
+    assert_select '[data-controller="rag-chat usage-metrics"][data-rag-chat-usage-chips-value="true"]'
+    assert_select "[data-usage-metrics-user-id-value='#{users(:one).id}']"
+    assert_select '[data-usage-pill="today_cost_query"] [data-usage-tokens]'
+    assert_select '[data-usage-pill="total"] [data-usage-cost]'
+    assert_select '[data-usage-metrics-target="lastAnswer"][hidden]'
+    assert_no_match(/turbo-cable-stream-source/, response.body)
   end
 
   test 'should hide usage metrics by default' do
     get root_path
     assert_response :success
     assert_select '#chat-usage-metrics-container', count: 0
+    assert_select '[data-controller="rag-chat"][data-rag-chat-usage-chips-value="false"]'
   end
 
   test 'should render metrics as turbo_stream' do
@@ -191,18 +253,10 @@ class HomeControllerTest < ActionDispatch::IntegrationTest
   end
 
   test 'metrics turbo_stream should include chat usage footer partial' do
-    today = Date.current
-    CostMetric.create!(date: today, metric_type: :daily_tokens,              value: 5000)
-    CostMetric.create!(date: today, metric_type: :daily_tokens_query,        value: 3000)
-    CostMetric.create!(date: today, metric_type: :daily_tokens_parse,        value: 1500)
-    CostMetric.create!(date: today, metric_type: :daily_tokens_embed,        value: 500)
-    CostMetric.create!(date: today, metric_type: :daily_queries,             value: 25)
-    CostMetric.create!(date: today, metric_type: :daily_tokens_haiku,        value: 3350)
-    CostMetric.create!(date: today, metric_type: :daily_cost_haiku,          value: 0.003)
-    CostMetric.create!(date: today, metric_type: :daily_tokens_parse_opus,   value: 1000)
-    CostMetric.create!(date: today, metric_type: :daily_cost_parse_opus,     value: 0.015)
-    CostMetric.create!(date: today, metric_type: :daily_tokens_parse_sonnet, value: 500)
-    CostMetric.create!(date: today, metric_type: :daily_cost_parse_sonnet,   value: 0.002)
+    BedrockQuery.create!(model_id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0', input_tokens: 3000, output_tokens: 350,
+                         source: :query, account_id: accounts(:legacy).id)
+    BedrockQuery.create!(model_id: 'amazon.titan-embed-text-v2:0', input_tokens: 500, output_tokens: 0,
+                         source: :ingestion_embed, account_id: accounts(:legacy).id)
 
     get '/home/metrics'
     assert_response :success
@@ -219,16 +273,14 @@ class HomeControllerTest < ActionDispatch::IntegrationTest
     assert_no_match(/Parsing \(Sonnet 4\.6\)/,        response.body)
   end
 
-  test 'metrics footer shows cache savings line when cache_hits present' do
+  test 'metrics footer leaves out the platform-wide WhatsApp cache line' do
     today = Date.current
-    CostMetric.create!(date: today, metric_type: :daily_tokens,      value: 0)
     CostMetric.create!(date: today, metric_type: :daily_cache_hits,  value: 5)
     CostMetric.create!(date: today, metric_type: :daily_tokens_saved, value: 6000)
 
     get '/home/metrics'
     assert_response :success
-    assert_match(/Cache WA.*5 hits/m, response.body)
-    assert_match(/6,000|6000/,        response.body)
+    assert_no_match(/Cache WA/, response.body)
   end
 
   test 'index passes pinned_uris and marks pinned cards with data-selected=true' do
@@ -263,6 +315,20 @@ class HomeControllerTest < ActionDispatch::IntegrationTest
     end
   end
 
+  test 'index ignores pins from another account and from an expired thread' do
+    pinned_doc = KbDocument.create!(s3_key: "uploads/2026/other_pinned.pdf", display_name: "OtherPinned", aliases: [])
+
+    other = ConversationSession.find_or_create_for(identifier: users(:one).id.to_s, account_id: accounts(:climb).id)
+    other.pin_kb_document!(pinned_doc)
+    expired = ConversationSession.find_or_create_for(identifier: users(:one).id.to_s, account_id: accounts(:legacy).id)
+    expired.pin_kb_document!(pinned_doc)
+    expired.update!(expires_at: 1.minute.ago)
+
+    get root_path
+    assert_response :ok
+    assert_no_match(/data-doc-id="#{pinned_doc.id}"[^>]*data-selected="true"/, response.body)
+  end
+
   test 'metrics footer hides cache savings line when no cache_hits' do
     today = Date.current
     CostMetric.create!(date: today, metric_type: :daily_tokens,     value: 0)
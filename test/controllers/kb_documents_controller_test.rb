@@ -0,0 +1,95 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class KbDocumentsControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+  include ActiveJob::TestHelper
+
+  setup do
+    @user    = users(:one)
+    @account = accounts(:legacy)
+    @manual  = KbDocument.create!(s3_key: 'uploads/arca.pdf', display_name: 'Orona ARCA II', account: @account,
+                                  document_uid: SecureRandom.uuid)
+    @batch   = WebManualBatch.create!(
+      s3_key: 'uploads/arca.pdf', filename: 'arca.pdf', sha256: Digest::SHA256.hexdigest('arca'),
+      ingestion_contract_version: BatchChunkingPrompt::INGESTION_CONTRACT_VERSION,
+      status: 'complete', account_id: @account.id, kb_document_id: @manual.id,
+      claude_batch_id: 'batch_arca', claude_batch_ids: [ 'batch_arca' ],
+      kept_pages: [ 1, 2, 3 ], failed_pages: [ 3 ]
+    )
+  end
+
+  test 'requires authentication' do
+    post reprocess_kb_document_url(@manual), as: :json
+    assert_response :unauthorized
+  end
+
+  test 'reprocess queues the failed pages and tracks the file under a new correlation id' do
+    sign_in @user
+    tracked = nil
+    original_track = KbSyncBroadcaster.method(:track_upload)
+    KbSyncBroadcaster.define_singleton_method(:track_upload) { |**kwargs| tracked = kwargs }
+
+    assert_enqueued_with(job: ReprocessFailedPagesJob, args: [ { web_manual_batch_id: @batch.id, locale: 'es' } ]) do
+      post reprocess_kb_document_url(@manual), as: :json
+    end
+
+    assert_response :accepted
+    correlation_id = response.parsed_body['correlation_id']
+    assert_match(/\Akb_action:/, correlation_id)
+    assert_equal({ account_id: @account.id, filenames: [ 'arca.pdf' ], correlation_id: correlation_id }, tracked)
+  ensure
+    KbSyncBroadcaster.define_singleton_method(:track_upload, original_track)
+  end
+
+  test 'reprocess is refused when no page failed or the pass is still running' do
+    sign_in @user
+
+    @batch.update!(failed_pages: [])
+    post reprocess_kb_document_url(@manual), as: :json
+    assert_response :unprocessable_entity
+
+    @batch.update!(failed_pages: [ 3 ], status: 'in_progress')
+    post reingest_kb_document_url(@manual), as: :json
+    assert_response :unprocessable_entity
+    assert_no_enqueued_jobs
+  end
+
+  test 'reingest clears the previous pass and submits the stored PDF again' do
+    sign_in @user
+
+    assert_enqueued_with(job: SubmitManualBatchJob) do
+      post reingest_kb_document_url(@manual), as: :json
+    end
+
+    assert_response :accepted
+    @batch.reload
+    assert_equal 'pending', @batch.status
+    assert_nil @batch.claude_batch_id
+    assert_empty @batch.failed_pages
+  end
+
+  test 'destroy unpins the document everywhere, deletes it and queues the purge' do
+    sign_in @user
+    post pinned_documents_path, params: { kb_document_id: @manual.id }
+
+    assert_enqueued_with(job: PurgeKbDocumentJob) do
+      delete kb_document_url(@manual), as: :json
+    end
+
+    assert_response :accepted
+    assert_not KbDocument.exists?(@manual.id)
+    assert_nil @batch.reload.kb_document_id
+    assert ConversationSession.where(account_id: @account.id).none? { |session| session.pinned_kb_document_ids.include?(@manual.id) }
+  end
+
+  test 'another account\'s document is not found' do
+    sign_in users(:two)
+
+    delete kb_document_url(@manual), as: :json
+
+    assert_response :not_found
+    assert KbDocument.exists?(@manual.id)
+  end
+end
@@ -0,0 +1,64 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class KbSyncStatusControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = users(:one)
+    @account = accounts(:legacy)
+  end
+
+  test 'requires authentication' do
+    get kb_sync_status_url(after: 0), as: :json
+    assert_response :unauthorized
+  end
+
+  test 'returns the events missed after the given sequence id' do
+    sign_in @user
+    seen    = KbSyncEvent.record!(account_id: @account.id, payload: { status: "retrying", filenames: [ "manual.pdf" ] })
+    missed  = KbSyncEvent.record!(account_id: @account.id, payload: { status: "indexed", filenames: [ "manual.pdf" ] })
+    KbSyncEvent.record!(account_id: accounts(:climb).id, payload: { status: "indexed", filenames: [ "otro.pdf" ] })
+
+    get kb_sync_status_url(after: seen.id), as: :json
+
+    assert_response :success
+    json = response.parsed_body
+    assert_equal [ missed.id ], json['events'].map { |event| event['sequence_id'] }
+    assert_equal 'indexed', json['events'].first['status']
+    assert_equal missed.id, json['last_sequence_id']
+    assert_equal false, json['has_more']
+    assert_equal [], json['indexing']
+  end
+
+  test 'an up-to-date client gets no events and keeps its sequence id' do
+    sign_in @user
+    event = KbSyncEvent.record!(account_id: @account.id, payload: { status: "indexed" })
+
+    get kb_sync_status_url(after: event.id), as: :json
+
+    json = response.parsed_body
+    assert_empty json['events']
+    assert_equal event.id, json['last_sequence_id']
+  end
+
+  test 'more than REPLAY_LIMIT missed events are delivered page by page without gaps' do
+    sign_in @user
+    ids = Array.new(KbSyncEvent::REPLAY_LIMIT + 5) do |index|
+      KbSyncEvent.record!(account_id: @account.id, payload: { status: "indexed", filenames: [ "manual-#{index}.pdf" ] }).id
+    end
+
+    get kb_sync_status_url(after: 0), as: :json
+    first_page = response.parsed_body
+    assert_equal ids.first(KbSyncEvent::REPLAY_LIMIT), first_page['events'].map { |event| event['sequence_id'] }
+    assert_equal ids[KbSyncEvent::REPLAY_LIMIT - 1], first_page['last_sequence_id']
+    assert first_page['has_more']
+
+    get kb_sync_status_url(after: first_page['last_sequence_id']), as: :json
+    second_page = response.parsed_body
+    assert_equal ids.last(5), second_page['events'].map { |event| event['sequence_id'] }
+    assert_equal ids.last, second_page['last_sequence_id']
+    assert_not second_page['has_more']
+  end
+end
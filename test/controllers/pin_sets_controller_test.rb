@@ -0,0 +1,88 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class PinSetsControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user    = users(:one)
+    @account = accounts(:legacy)
+    @manual  = kb_documents(:manual_uno)
+    @wiring  = KbDocument.create!(s3_key: 'uploads/2026/arca_wiring.pdf', display_name: 'ARCA II wiring', account: @account)
+    @pin_set = PinSet.create!(account: @account, user_id: users(:two).id, name: 'Orona ARCA II',
+                              kb_document_ids: [ @manual.id, @wiring.id ])
+  end
+
+  test 'requires authentication' do
+    get pin_sets_url, as: :json
+    assert_response :unauthorized
+  end
+
+  test 'lists the account\'s sets, whoever saved them' do
+    sign_in @user
+    PinSet.create!(account: accounts(:climb), name: 'Otra cuenta', kb_document_ids: [ 1 ])
+
+    get pin_sets_url, as: :json
+
+    assert_response :success
+    pin_sets = response.parsed_body['pin_sets']
+    assert_equal [ 'Orona ARCA II' ], pin_sets.map { |pin_set| pin_set['name'] }
+    assert_equal [ @manual.id, @wiring.id ].sort, pin_sets.first['document_ids'].sort
+  end
+
+  test 'saves the current pins under a name' do
+    sign_in @user
+    post pinned_documents_path, params: { kb_document_id: @wiring.id }
+
+    post pin_sets_url, params: { name: 'Solo esquemas' }, as: :json
+
+    assert_response :created
+    assert_equal [ @wiring.id ], response.parsed_body.dig('pin_set', 'document_ids')
+    assert_equal @user.id, PinSet.find_by(name: 'Solo esquemas').user_id
+  end
+
+  test 'refuses a taken name or a set with nothing pinned' do
+    sign_in @user
+
+    post pin_sets_url, params: { name: 'Vacío' }, as: :json
+    assert_response :unprocessable_entity
+
+    post pinned_documents_path, params: { kb_document_id: @wiring.id }
+    post pin_sets_url, params: { name: 'orona arca ii' }, as: :json
+    assert_response :unprocessable_entity
+  end
+
+  test 'apply pins the whole set in the current thread and clear unpins it' do
+    sign_in @user
+    extra = KbDocument.create!(s3_key: 'uploads/2026/extra.pdf', display_name: 'Extra', account: @account)
+    post pinned_documents_path, params: { kb_document_id: extra.id }
+
+    post apply_pin_set_url(@pin_set), as: :json
+    assert_response :success
+    assert_equal [ extra.id, @manual.id, @wiring.id ].sort, response.parsed_body['pinned_document_ids'].sort
+
+    post clear_pin_set_url(@pin_set), as: :json
+    assert_response :success
+    assert_equal [ extra.id ], response.parsed_body['pinned_document_ids']
+  end
+
+  test 'destroy removes the set for the whole account' do
+    sign_in @user
+
+    delete pin_set_url(@pin_set), as: :json
+
+    assert_response :no_content
+    assert_not PinSet.exists?(@pin_set.id)
+  end
+
+  test 'another account\'s set is not found' do
+    sign_in users(:two)
+
+    post apply_pin_set_url(@pin_set), as: :json
+    assert_response :not_found
+    delete pin_set_url(@pin_set), as: :json
+    assert_response :not_found
+    assert PinSet.exists?(@pin_set.id)
+  end
+end
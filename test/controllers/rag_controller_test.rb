@@ -102,6 +102,64 @@ class RagControllerTest < ActionDispatch::IntegrationTest
     end
   end
 
+  test 'a completed chunked upload reaches the orchestrator by reference, never inline' do
+    sign_in @user
+    upload = ChunkedUpload.create!(
+      user: @user, account: @account, filename: 'manual.pdf', content_type: 'application/pdf',
+      byte_size: 6, received_bytes: 6, s3_key: 'chunked_uploads/1/t/manual.pdf', s3_upload_id: 'm-1', status: 'complete'
+    )
+    unfinished = ChunkedUpload.create!(
+      user: @user, account: @account, filename: 'otro.pdf', content_type: 'application/pdf',
+      byte_size: 6, s3_key: 'chunked_uploads/1/u/otro.pdf', s3_upload_id: 'm-2'
+    )
+
+    captured_documents = []
+    mock = create_mock_orchestrator(answer: 'ok', documents_uploaded: [ 'manual.pdf' ])
+    original_new = QueryOrchestratorService.method(:new)
+    QueryOrchestratorService.define_singleton_method(:new) do |*_args, **kwargs|
+      captured_documents << kwargs[:documents]
+      mock
+    end
+
+    post rag_ask_url, params: { question: '', document: { upload_id: upload.id } }, as: :json
+    assert_response :success
+    post rag_ask_url, params: { question: '', document: { upload_id: unfinished.id } }, as: :json
+    assert_response :gone
+
+    assert_equal [ [ { filename: 'manual.pdf', media_type: 'application/pdf', chunked_upload_id: upload.id } ] ],
+                 captured_documents
+  ensure
+    QueryOrchestratorService.define_singleton_method(:new) { |*args, **kwargs| original_new.call(*args, **kwargs) }
+  end
+
+  test 'asking again with an upload_id the job already consumed answers 410 instead of dropping the document' do
+    sign_in @user
+    upload = ChunkedUpload.create!(
+      user: @user, account: @account, filename: 'manual.pdf', content_type: 'application/pdf',
+      byte_size: 6, received_bytes: 6, s3_key: 'chunked_uploads/1/t/manual.pdf', s3_upload_id: 'm-1', status: 'complete'
+    )
+
+    calls = 0
+    mock = create_mock_orchestrator(answer: 'ok', documents_uploaded: [ 'manual.pdf' ])
+    original_new = QueryOrchestratorService.method(:new)
+    QueryOrchestratorService.define_singleton_method(:new) do |*_args, **_kwargs|
+      calls += 1
+      mock
+    end
+
+    post rag_ask_url, params: { question: 'Revisa este manual', document: { upload_id: upload.id } }, as: :json
+    assert_response :success
+    upload.destroy! # UploadAndSyncAttachmentsJob discards it once indexed
+
+    post rag_ask_url, params: { question: 'Revisa este manual', document: { upload_id: upload.id } }, as: :json
+    assert_response :gone
+    assert_equal 'error', json_response['status']
+    assert_equal I18n.t('rag.upload_unavailable'), json_response['message']
+    assert_equal 1, calls
+  ensure
+    QueryOrchestratorService.define_singleton_method(:new) { |*args, **kwargs| original_new.call(*args, **kwargs) }
+  end
+
   test 'document upload returns Spanish message when Accept-Language is es' do
     sign_in @user
 
@@ -190,6 +248,20 @@ class RagControllerTest < ActionDispatch::IntegrationTest
     end
   end
 
+  test 'response_locale param from /lang overrides detection; unknown locales are ignored' do
+    sign_in @user
+
+    mock = create_mock_orchestrator(answer: 'This is the answer', citations: [], session_id: nil)
+
+    with_mock_orchestrator(mock) do
+      post rag_ask_url, params: { question: '¿Cómo instalo esto?', response_locale: 'en' }, as: :json
+      assert_equal 'en', json_response['response_locale']
+
+      post rag_ask_url, params: { question: '¿Cómo instalo esto?', response_locale: 'fr' }, as: :json
+      assert_equal 'es', json_response['response_locale']
+    end
+  end
+
   test 'image upload returns images_uploaded so frontend shows dots-only ack' do
     sign_in @user
 
@@ -320,6 +392,19 @@ class RagControllerTest < ActionDispatch::IntegrationTest
     end
   end
 
+  test 'a markdown table in the answer reaches the web chat intact' do
+    sign_in @user
+    answer = "## Conexiones de la placa\n\n| Borne | Señal |\n|---|---|\n| J3 | 24 V |\n| X1 | Serie |"
+
+    with_mock_orchestrator(create_mock_orchestrator(answer: answer)) do
+      post rag_ask_url, params: { question: '¿Qué señal lleva J3?' }, as: :json
+    end
+
+    assert_response :success
+    assert_includes json_response['answer'], "| Borne | Señal |\n|---|---|\n| J3 | 24 V |"
+    assert_includes json_response['answer'], '## Conexiones de la placa'
+  end
+
   test 'returns successful response with answer and citations when sources are visible' do
     sign_in @user
 
@@ -911,6 +996,23 @@ class RagControllerTest < ActionDispatch::IntegrationTest
     assert history.any? { |h| h['role'] == 'assistant' }
   end
 
+  test 'ask records the question and the rendered answer in the transcript' do
+    sign_in @user
+
+    mock = create_mock_orchestrator(answer: TEST_ANSWER, citations: [])
+
+    with_mock_orchestrator(mock) do
+      post rag_ask_url, params: { question: TEST_QUESTION }, as: :json
+    end
+
+    session  = ConversationSession.find_by(identifier: @user.id.to_s, channel: 'web')
+    messages = session.conversation_messages.order(:id)
+    assert_equal %w[user assistant], messages.map(&:role)
+    assert_equal TEST_QUESTION, messages.first.payload['question']
+    assert_equal response.parsed_body['answer'], messages.last.payload['answer']
+    assert_equal [ @user.id ], messages.map(&:user_id).uniq
+  end
+
   test 'ask calls KbDocumentEnrichmentService (no session entity registration from citations)' do
     sign_in @user
 
@@ -1175,6 +1277,86 @@ class RagControllerTest < ActionDispatch::IntegrationTest
     end
   end
 
+  test 'a replayed client_request_id gets the stored answer without running the pipeline again' do
+    sign_in @user
+    runs = 0
+    mock = create_mock_orchestrator(answer: TEST_ANSWER)
+    answer = mock.method(:execute)
+    mock.define_singleton_method(:execute) { runs += 1; answer.call }
+
+    with_memory_cache do
+      with_mock_orchestrator(mock) do
+        post rag_ask_url, params: { question: TEST_QUESTION, client_request_id: 'outbox-7f3c2a1e' }, as: :json
+        assert_response :ok
+        first = json_response
+
+        post rag_ask_url, params: { question: TEST_QUESTION, client_request_id: 'outbox-7f3c2a1e' }, as: :json
+        assert_response :ok
+        assert_equal first, json_response
+
+        post rag_ask_url, params: { question: TEST_QUESTION }, as: :json
+        assert_response :ok
+      end
+    end
+    assert_equal 2, runs
+  end
+
+  test 'a client_request_id still being answered gets 409, and a failed one may be asked again' do
+    sign_in @user
+
+    with_memory_cache do
+      Rails.cache.write("rag_ask:#{@user.id}:outbox-busy-0001", RagController::ASK_IN_PROGRESS)
+      post rag_ask_url, params: { question: TEST_QUESTION, client_request_id: 'outbox-busy-0001' }, as: :json
+      assert_response :conflict
+      assert_equal 'error', json_response['status']
+
+      failing = create_mock_orchestrator(answer: '', should_raise: true, error_class: BedrockRagService::BedrockServiceError)
+      with_mock_orchestrator(failing) do
+        post rag_ask_url, params: { question: TEST_QUESTION, client_request_id: 'outbox-fail-0001' }, as: :json
+        assert_response :bad_gateway
+      end
+      with_mock_orchestrator(create_mock_orchestrator(answer: TEST_ANSWER)) do
+        post rag_ask_url, params: { question: TEST_QUESTION, client_request_id: 'outbox-fail-0001' }, as: :json
+        assert_response :ok
+        assert_equal TEST_ANSWER, json_response['answer']
+      end
+    end
+  end
+
+  test 'a turn that dies without clearing its marker blocks replays only for ASK_IN_PROGRESS_TTL' do
+    sign_in @user
+    # What a deploy restart delivers mid-answer; not a StandardError, so
+    # deduplicated_ask's rescue never clears the marker.
+    restart = create_mock_orchestrator(answer: '', should_raise: true, error_class: SignalException, error_message: 'TERM')
+
+    with_memory_cache do
+      with_mock_orchestrator(restart) do
+        assert_raises(SignalException) do
+          post rag_ask_url, params: { question: TEST_QUESTION, client_request_id: 'outbox-dead-0001' }, as: :json
+        end
+      end
+
+      with_mock_orchestrator(create_mock_orchestrator(answer: TEST_ANSWER)) do
+        post rag_ask_url, params: { question: TEST_QUESTION, client_request_id: 'outbox-dead-0001' }, as: :json
+        assert_response :conflict
+
+        travel RagController::ASK_IN_PROGRESS_TTL + 1.second do
+          post rag_ask_url, params: { question: TEST_QUESTION, client_request_id: 'outbox-dead-0001' }, as: :json
+          assert_response :ok
+          assert_equal TEST_ANSWER, json_response['answer']
+        end
+      end
+    end
+  end
+
+  def with_memory_cache
+    original = Rails.cache
+    Rails.cache = ActiveSupport::Cache::MemoryStore.new
+    yield
+  ensure
+    Rails.cache = original
+  end
+
   def json_response
     JSON.parse(@response.body)
   end
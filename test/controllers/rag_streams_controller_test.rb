@@ -0,0 +1,89 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class RagStreamsControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+  include ActiveJob::TestHelper
+
+  setup do
+    @user = users(:one)
+    @user.update!(account: accounts(:legacy))
+  end
+
+  # The mock plays Bedrock: it hands `chunks` to on_answer_delta before
+  # returning the finished answer, as BedrockRagService does when streaming.
+  def with_mock_orchestrator(answer:, citations: [], chunks: [])
+    original_new = QueryOrchestratorService.method(:new)
+    QueryOrchestratorService.define_singleton_method(:new) do |*_args, **kwargs|
+      mock = Object.new
+      mock.define_singleton_method(:execute) do
+        chunks.each { |chunk| kwargs[:on_answer_delta]&.call(chunk) }
+        { answer: answer, citations: citations, session_id: 'stream-session' }
+      end
+      mock
+    end
+    yield
+  ensure
+    QueryOrchestratorService.define_singleton_method(:new) { |*args, **kwargs| original_new.call(*args, **kwargs) }
+  end
+
+  # [[event_name, parsed_data], ...] from a text/event-stream body.
+  def sse_events(body)
+    body.split("\n\n").filter_map do |block|
+      name = block[/^event: (.+)$/, 1]
+      data = block[/^data: (.+)$/, 1]
+      [ name, JSON.parse(data) ] if name && data
+    end
+  end
+
+  test 'requires authentication' do
+    post rag_ask_stream_url, params: { question: 'test question' }, as: :json
+    assert_response :unauthorized
+  end
+
+  test 'streams generated chunks as deltas, then a done event with the /rag/ask contract' do
+    sign_in @user
+    answer = 'Cortar la energía del tablero antes de medir los 24 V en el conector J3 de la placa.'
+    chunks = [ 'Cortar la energía del tablero ', 'antes de medir los 24 V ', 'en el conector J3 de la placa.' ]
+
+    with_mock_orchestrator(answer: answer, chunks: chunks) do
+      post rag_ask_stream_url, params: { question: '¿Cómo mido J3?' }, as: :json
+    end
+
+    assert_response :success
+    assert_equal 'text/event-stream', response.media_type
+
+    events = sse_events(response.body).reject { |name, _| name == 'ping' }
+    assert_equal %w[status delta delta delta done], events.map(&:first)
+    assert_equal chunks, events.select { |name, _| name == 'delta' }.map { |_, data| data['text'] }
+
+    done = events.last.last
+    assert_equal 'success', done['status']
+    assert_equal answer, done['answer']
+  end
+
+  test 'answers that were not generated by Bedrock arrive whole in done' do
+    sign_in @user
+
+    with_mock_orchestrator(answer: 'Revisar J3.') do
+      post rag_ask_stream_url, params: { question: '¿Qué reviso?' }, as: :json
+    end
+
+    events = sse_events(response.body).reject { |name, _| name == 'ping' }
+    assert_equal %w[status done], events.map(&:first)
+    assert_equal 'Revisar J3.', events.last.last['answer']
+  end
+
+  test 'a rejected question ends the stream with an error event' do
+    sign_in @user
+
+    post rag_ask_stream_url, params: { question: '' }, as: :json
+
+    events = sse_events(response.body)
+    name, data = events.last
+    assert_equal 'error', name
+    assert_equal 400, data['http_status']
+    assert_includes data['message'].downcase, 'empty'
+  end
+end
@@ -0,0 +1,61 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class TranscriptionsControllerTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = users(:one)
+  end
+
+  def with_transcription_provider(value)
+    original = ENV.fetch('SPEECH_TRANSCRIPTION_PROVIDER', nil)
+    value.nil? ? ENV.delete('SPEECH_TRANSCRIPTION_PROVIDER') : ENV['SPEECH_TRANSCRIPTION_PROVIDER'] = value
+    yield
+  ensure
+    original.nil? ? ENV.delete('SPEECH_TRANSCRIPTION_PROVIDER') : ENV['SPEECH_TRANSCRIPTION_PROVIDER'] = original
+  end
+
+  def audio_clip(content_type: 'audio/webm;codecs=opus', bytes: 'OggS-fake-clip')
+    Rack::Test::UploadedFile.new(StringIO.new(bytes), content_type, true, original_filename: 'dictation.webm')
+  end
+
+  test 'requires authentication' do
+    post transcriptions_url, params: { audio: audio_clip }, headers: { 'Accept' => 'application/json' }
+    assert_response :unauthorized
+  end
+
+  test 'returns the transcript of the recorded clip' do
+    sign_in @user
+
+    with_transcription_provider('stub') do
+      post transcriptions_url, params: { audio: audio_clip, locale: 'es' }
+    end
+
+    assert_response :success
+    assert_equal SpeechTranscriptionService::StubProvider::TEXT, response.parsed_body['text']
+  end
+
+  test 'answers 503 when no transcription provider is configured' do
+    sign_in @user
+
+    with_transcription_provider(nil) do
+      post transcriptions_url, params: { audio: audio_clip }
+    end
+
+    assert_response :service_unavailable
+  end
+
+  test 'rejects a request without audio or with a non-audio file' do
+    sign_in @user
+
+    with_transcription_provider('stub') do
+      post transcriptions_url, params: { locale: 'es' }
+      assert_response :unprocessable_entity
+
+      post transcriptions_url, params: { audio: audio_clip(content_type: 'application/pdf') }
+      assert_response :unprocessable_entity
+    end
+  end
+end
@@ -0,0 +1,48 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class PwaIntegrationTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  test 'manifest carries the host account branding' do
+    host! 'ascensoresclimb.danebo.ai'
+
+    get pwa_manifest_path(format: :json)
+    assert_response :success
+    assert_equal 'application/manifest+json', response.media_type
+
+    manifest = JSON.parse(response.body)
+    assert_equal 'Ascensores Climb', manifest['name']
+    assert_equal 'standalone', manifest['display']
+    assert(manifest['icons'].any? { |icon| icon['src'] == '/brands/elevadores-climb/icon-180.png' })
+  end
+
+  test 'service worker is versioned by the importmap and never HTTP-cached' do
+    get pwa_service_worker_path(format: :js)
+    assert_response :success
+    assert_equal 'text/javascript', response.media_type
+    assert_includes response.headers['Cache-Control'], 'no-cache'
+
+    assert_match(/const CACHE_VERSION\s+= "\h{12}"/, response.body)
+    assert_match(%r{"/assets/controllers/rag_chat_controller-\h+\.js"}, response.body)
+    assert_includes response.body, 'PURGE_USER_DATA'
+  end
+
+  test 'layouts link the manifest and register the worker with the signed-in state' do
+    sign_in users(:one), scope: :user
+    get root_path
+    assert_response :success
+
+    assert_select "link[rel='manifest'][href='#{pwa_manifest_path(format: :json)}']", count: 1
+    assert_select "body[data-controller~='pwa'][data-pwa-signed-in-value='true']" \
+                  "[data-pwa-url-value='#{pwa_service_worker_path(format: :js)}']", count: 1
+  end
+
+  test 'login page registers the worker as signed out so cached answers are purged' do
+    get new_user_session_path
+    assert_response :success
+
+    assert_select "body[data-controller~='pwa'][data-pwa-signed-in-value='false']", count: 1
+  end
+end
@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class ChunkedUploadRetentionJobTest < ActiveSupport::TestCase
+  class FakeStorage
+    attr_reader :aborted, :deleted
+
+    def initialize
+      @aborted = []
+      @deleted = []
+    end
+
+    def abort(key:, upload_id:)
+      @aborted << upload_id
+    end
+
+    def delete(key)
+      @deleted << key
+    end
+  end
+
+  def with_fake_storage(fake)
+    orig = ChunkedUploadStorageService.method(:new)
+    ChunkedUploadStorageService.define_singleton_method(:new) { |*_args, **_kwargs| fake }
+    yield
+  ensure
+    ChunkedUploadStorageService.define_singleton_method(:new) { |*a, **kw| orig.call(*a, **kw) }
+  end
+
+  def create_upload(upload_id, status: "uploading")
+    ChunkedUpload.create!(
+      user: users(:one), account: accounts(:legacy), filename: "manual.pdf", content_type: "application/pdf",
+      byte_size: 6, s3_key: "chunked_uploads/#{upload_id}/manual.pdf", s3_upload_id: upload_id, status: status
+    )
+  end
+
+  test "discards uploads idle past the retention window and keeps active ones" do
+    fake = FakeStorage.new
+    abandoned = assembled = nil
+    travel_to(ChunkedUpload::RETENTION.ago - 1.hour) do
+      abandoned = create_upload("stale-multipart")
+      assembled = create_upload("stale-complete", status: "complete")
+    end
+    active = create_upload("active-multipart")
+
+    with_fake_storage(fake) { ChunkedUploadRetentionJob.perform_now }
+
+    assert_equal [ "stale-multipart" ], fake.aborted
+    assert_equal [ assembled.s3_key ], fake.deleted
+    assert_not ChunkedUpload.exists?(abandoned.id)
+    assert ChunkedUpload.exists?(active.id)
+  end
+end
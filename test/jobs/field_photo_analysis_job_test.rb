@@ -248,6 +248,28 @@ class FieldPhotoAnalysisJobTest < ActiveJob::TestCase
     end
   end
 
+  test "companion photos go to the same analysis and the diagnosis is cached under the set's digest" do
+    account_id = accounts(:legacy).id
+    companion_token = FieldPhotoPendingImageStore.write(
+      binary: "close-up", content_type: "image/jpeg", filename: "closeup.jpg", account_id: account_id
+    )
+    companion = {
+      image_token: companion_token, image_sha256: Digest::SHA256.hexdigest("close-up"),
+      filename: "closeup.jpg", content_type: "image/jpeg", annotations: []
+    }
+    captured = {}
+
+    with_analysis_service(result: analysis_result, captured: captured) do
+      FieldPhotoAnalysisJob.perform_now(**job_args, companions: [ companion ])
+    end
+
+    assert_equal [ "close-up" ], captured[:companions].pluck(:binary)
+    set_sha = FieldPhotoDiagnosisCache.set_sha256([ @sha, companion[:image_sha256] ])
+    assert FieldPhotoDiagnosisCache.read(account_id: account_id, sha256: set_sha, locale: "es")
+    assert_nil FieldPhotoDiagnosisCache.read(account_id: account_id, sha256: @sha, locale: "es")
+    assert_nil FieldPhotoPendingImageStore.take(token: companion_token, account_id: account_id)
+  end
+
   test "serialized job arguments contain no image bytes or base64" do
     FieldPhotoAnalysisJob.perform_later(**job_args)
 
@@ -325,9 +347,10 @@ class FieldPhotoAnalysisJobTest < ActiveJob::TestCase
     )
   end
 
-  def with_analysis_service(result: nil, error: nil, on_call: nil)
+  def with_analysis_service(result: nil, error: nil, on_call: nil, captured: nil)
     original = FieldPhotoAnalysisService.method(:new)
-    FieldPhotoAnalysisService.define_singleton_method(:new) do |**_kwargs|
+    FieldPhotoAnalysisService.define_singleton_method(:new) do |**kwargs|
+      captured&.merge!(kwargs)
       fake = Object.new
       fake.define_singleton_method(:call) do
         on_call&.call
@@ -144,6 +144,45 @@ class IngestManualBatchResultsJobTest < ActiveJob::TestCase
     ClaudeBatchClient.define_singleton_method(:new, orig_client_new) if defined?(orig_client_new)
   end
 
+  test "while the Batch runs, broadcasts pages answered so far and the time left at that rate" do
+    account = accounts(:legacy)
+    batch = WebManualBatch.create!(
+      s3_key: "uploads/long.pdf",
+      filename: "long.pdf",
+      sha256: Digest::SHA256.hexdigest("long"),
+      ingestion_contract_version: BatchChunkingPrompt::INGESTION_CONTRACT_VERSION,
+      account_id: account.id,
+      claude_batch_id: "msgbatch_long",
+      status: "submitted",
+      submitted_at: 10.minutes.ago,
+      page_customs: (1..200).to_h { |page| [ page, "custom_p#{page}" ] },
+      kept_pages: (1..200).to_a
+    )
+
+    counts = OpenStruct.new(processing: 160, succeeded: 38, errored: 2, canceled: 0, expired: 0)
+    fake_client = Object.new
+    fake_client.define_singleton_method(:retrieve) do |batch_id:|
+      OpenStruct.new(processing_status: "in_progress", request_counts: counts)
+    end
+    orig_client_new = ClaudeBatchClient.method(:new)
+    ClaudeBatchClient.define_singleton_method(:new) { fake_client }
+
+    events = []
+    orig_progress = KbSyncBroadcaster.method(:progress)
+    KbSyncBroadcaster.define_singleton_method(:progress) { |**kwargs| events << kwargs }
+
+    IngestManualBatchResultsJob.perform_now(web_manual_batch_id: batch.id)
+
+    event = events.sole
+    assert_equal [ "long.pdf" ], event[:filenames]
+    assert_equal "batch", event[:stage]
+    assert_equal [ 40, 200 ], event.values_at(:pages_done, :pages_total)
+    assert_in_delta 40.minutes.to_i, event[:eta_seconds], 5
+  ensure
+    ClaudeBatchClient.define_singleton_method(:new, orig_client_new) if defined?(orig_client_new)
+    KbSyncBroadcaster.define_singleton_method(:progress, orig_progress) if defined?(orig_progress)
+  end
+
   test "polls all batch ids and consumes every result stream only after all have ended" do
     batch = WebManualBatch.create!(
       s3_key: "uploads/multi.pdf",
@@ -307,6 +346,51 @@ class IngestManualBatchResultsJobTest < ActiveJob::TestCase
     BulkKbSyncService.define_method(:sync!, original_sync) if defined?(original_sync)
   end
 
+  test "records the pages the manual is still missing as failed_pages and partial_pages" do
+    sha = Digest::SHA256.hexdigest("manual-with-gaps")
+    page_json = JSON.generate(
+      "document_name" => "Manual con huecos",
+      "aliases"       => [ "Huecos" ],
+      "chunks"        => [ { "text" => "contenido", "page" => 4, "field_records" => [] } ]
+    )
+
+    kb_doc = KbDocument.create!(account_id: accounts(:legacy).id, document_uid: SecureRandom.uuid,
+                                s3_key: "uploads/gaps.pdf")
+    batch = WebManualBatch.create!(
+      s3_key: "uploads/gaps.pdf", filename: "gaps.pdf", sha256: sha,
+      ingestion_contract_version: BatchChunkingPrompt::INGESTION_CONTRACT_VERSION,
+      claude_batch_id: "batch_gaps", claude_batch_ids: %w[batch_gaps], status: "parsing",
+      account_id: accounts(:legacy).id, kb_document_id: kb_doc.id,
+      page_customs: { 4 => "custom_p4", 5 => "custom_p5" }, kept_pages: [ 4, 5 ]
+    )
+
+    message = OpenStruct.new(
+      model: "claude-sonnet-4-6", content: [ OpenStruct.new(type: "text", text: page_json) ],
+      usage: FakeUsage.new(input_tokens: 100, output_tokens: 100), stop_reason: "end_turn"
+    )
+    fake_batch_client = Object.new
+    fake_batch_client.define_singleton_method(:results_each) do |batch_id:, &block|
+      block.call(OpenStruct.new(custom_id: "custom_p4", result: OpenStruct.new(type: "succeeded", message: message)))
+      block.call(OpenStruct.new(custom_id: "custom_p5", result: OpenStruct.new(type: "errored")))
+    end
+
+    original_upload = S3DocumentsService.instance_method(:upload_text)
+    original_sync   = BulkKbSyncService.instance_method(:sync!)
+    S3DocumentsService.define_method(:upload_text) { |key, _body| key }
+    BulkKbSyncService.define_method(:sync!) { |**| { job_id: "ing_1", kb_id: "kb", data_source_id: "ds" } }
+
+    ctx = IngestManualBatchResultsJob.new.send(:context_from_record, batch)
+    IngestManualBatchResultsJob.new.send(:ingest_results, ctx, fake_batch_client, web_manual_batch: batch)
+
+    assert_equal [ 5 ], batch.reload.failed_pages
+    assert_equal "syncing", batch.status
+    kwargs = enqueued_jobs.find { |job| job[:job] == BedrockIngestionJob }[:args].last
+    assert_equal [ 5 ], kwargs["web_v1_metadata"].first["partial_pages"]
+  ensure
+    S3DocumentsService.define_method(:upload_text, original_upload) if defined?(original_upload)
+    BulkKbSyncService.define_method(:sync!, original_sync) if defined?(original_sync)
+  end
+
   private
 
   def with_topology_flags
@@ -0,0 +1,56 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class PurgeKbDocumentJobTest < ActiveSupport::TestCase
+  test "deletes the chunk prefix and exactly the original and its sidecar, resyncs and reports the removal" do
+    deleted_prefixes = []
+    deleted_keys     = []
+    events           = []
+    original_delete      = S3DocumentsService.instance_method(:delete_prefix)
+    original_delete_keys = S3DocumentsService.instance_method(:delete_keys)
+    original_sync        = BulkKbSyncService.instance_method(:sync!)
+    original_broadcast   = KbSyncBroadcaster.method(:broadcast)
+    S3DocumentsService.define_method(:delete_prefix) { |prefix| deleted_prefixes << prefix }
+    S3DocumentsService.define_method(:delete_keys) { |keys| deleted_keys.concat(keys) }
+    BulkKbSyncService.define_method(:sync!) { |**| { job_id: "ing_1", kb_id: "kb", data_source_id: "ds" } }
+    KbSyncBroadcaster.define_singleton_method(:broadcast) { |_account_id, payload| events << payload }
+
+    PurgeKbDocumentJob.perform_now(
+      account_id: 7, document_uid: "uid-1", s3_key: "s3://kb-bucket/uploads/7/uid-1/original.pdf",
+      filename: "arca.pdf", locale: "es"
+    )
+
+    assert_equal [ "bulk_chunks/7/uid-1/" ], deleted_prefixes
+    assert_equal [ "uploads/7/uid-1/original.pdf", "uploads/7/uid-1/original.pdf.metadata.json" ], deleted_keys
+    assert_equal [ "removed" ], events.map { |event| event[:status] }
+    assert_equal [ "arca.pdf" ], events.first[:filenames]
+  ensure
+    S3DocumentsService.define_method(:delete_prefix, original_delete)
+    S3DocumentsService.define_method(:delete_keys, original_delete_keys)
+    BulkKbSyncService.define_method(:sync!, original_sync)
+    KbSyncBroadcaster.define_singleton_method(:broadcast, original_broadcast)
+  end
+
+  test "reports a failure when the resync does not start" do
+    events = []
+    original_delete      = S3DocumentsService.instance_method(:delete_prefix)
+    original_delete_keys = S3DocumentsService.instance_method(:delete_keys)
+    original_sync        = BulkKbSyncService.instance_method(:sync!)
+    original_broadcast   = KbSyncBroadcaster.method(:broadcast)
+    S3DocumentsService.define_method(:delete_prefix) { |_prefix| 0 }
+    S3DocumentsService.define_method(:delete_keys) { |_keys| 0 }
+    BulkKbSyncService.define_method(:sync!) { |**| nil }
+    KbSyncBroadcaster.define_singleton_method(:broadcast) { |_account_id, payload| events << payload }
+
+    PurgeKbDocumentJob.perform_now(account_id: 7, document_uid: "uid-1", s3_key: "uploads/7/uid-1/original.pdf", filename: "arca.pdf")
+
+    assert_equal [ "failed" ], events.map { |event| event[:status] }
+    assert_equal "kb_remove_failed", events.first[:reason]
+  ensure
+    S3DocumentsService.define_method(:delete_prefix, original_delete)
+    S3DocumentsService.define_method(:delete_keys, original_delete_keys)
+    BulkKbSyncService.define_method(:sync!, original_sync)
+    KbSyncBroadcaster.define_singleton_method(:broadcast, original_broadcast)
+  end
+end
@@ -0,0 +1,111 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+# "Reprocess failed pages": only WebManualBatch#failed_pages are retried,
+# only their chunk files are rewritten, and the manual keeps its identity.
+class ReprocessFailedPagesJobTest < ActiveJob::TestCase
+  PAGE_JSON = JSON.generate(
+    "document_name" => "Página suelta",
+    "aliases"       => [ "suelta" ],
+    "chunks"        => [ { "text" => "S3 contenido recuperado", "page" => 7, "field_records" => [] } ]
+  )
+
+  setup do
+    @kb_doc = KbDocument.create!(account_id: accounts(:legacy).id, document_uid: SecureRandom.uuid,
+                                 s3_key: "uploads/arca.pdf")
+    @batch = WebManualBatch.create!(
+      s3_key: "uploads/arca.pdf", filename: "arca.pdf", sha256: Digest::SHA256.hexdigest("arca"),
+      ingestion_contract_version: BatchChunkingPrompt::INGESTION_CONTRACT_VERSION,
+      status: "complete", account_id: accounts(:legacy).id, kb_document_id: @kb_doc.id,
+      canonical_name: "Orona ARCA II", aliases: [ "ARCA II" ],
+      kept_pages: [ 2, 5, 7, 9 ], failed_pages: [ 7, 9 ]
+    )
+    @uploads  = {}
+    @deleted  = []
+    @events   = []
+    @retried  = nil
+  end
+
+  test "retries only the failed pages and rewrites only the recovered ones" do
+    run_job(recovered_pages: [ 7 ])
+
+    assert_equal [ 7, 9 ], @retried[:page_results].map { |result| result[:page_number] }
+    assert_equal 2, @retried[:anchor_page_number]
+    assert_equal 4, @retried[:total_pages]
+
+    prefix = "bulk_chunks/#{accounts(:legacy).id}/#{@kb_doc.document_uid}"
+    assert_equal [ "#{prefix}/chunk_p7_" ], @deleted
+    body = @uploads.fetch("#{prefix}/chunk_p7_1.txt")
+    assert_includes body, "S3 contenido recuperado"
+    sidecar = JSON.parse(@uploads.fetch("#{prefix}/chunk_p7_1.txt.metadata.json"))
+    assert_equal "Orona ARCA II", sidecar.fetch("metadataAttributes")["canonical_name"]
+
+    assert_equal [ 9 ], @batch.reload.failed_pages
+    assert_equal [ "reprocessing" ], @events.map { |event| event[:status] }
+    assert_equal [ 7, 9 ], @events.first[:pages]
+
+    kwargs = enqueued_jobs.find { |job| job[:job] == BedrockIngestionJob }[:args].last
+    metadata = kwargs["web_v1_metadata"].first
+    assert_equal [ 9 ], metadata["partial_pages"]
+    assert_equal "full_manual", metadata["processing_scope"]
+    assert_equal @batch.id, metadata["web_manual_batch_id"]
+  end
+
+  test "reports the failure and syncs nothing when no page comes back" do
+    run_job(recovered_pages: [])
+
+    assert_empty @uploads
+    assert_equal [ 7, 9 ], @batch.reload.failed_pages
+    assert_equal %w[reprocessing failed], @events.map { |event| event[:status] }
+    assert_equal "reprocess_failed", @events.last[:reason]
+    assert_no_enqueued_jobs only: BedrockIngestionJob
+  end
+
+  test "does nothing for a manual with no failed pages" do
+    @batch.update!(failed_pages: [])
+
+    run_job(recovered_pages: [])
+
+    assert_nil @retried
+    assert_empty @events
+  end
+
+  private
+
+  def run_job(recovered_pages:)
+    retried = ->(kwargs) { @retried = kwargs }
+    fake_retry = Object.new
+    fake_retry.define_singleton_method(:retry_failed_pages!) do |**kwargs|
+      retried.call(kwargs)
+      kwargs[:page_results].each do |result|
+        next unless recovered_pages.include?(result[:page_number])
+
+        result[:text] = PAGE_JSON
+        result[:stop_reason] = "end_turn"
+      end
+    end
+
+    uploads = @uploads
+    deleted = @deleted
+    events  = @events
+    original_retry_new = BatchPageRetryService.method(:new)
+    original_upload    = S3DocumentsService.instance_method(:upload_text)
+    original_delete    = S3DocumentsService.instance_method(:delete_prefix)
+    original_sync      = BulkKbSyncService.instance_method(:sync!)
+    original_broadcast = KbSyncBroadcaster.method(:broadcast)
+    BatchPageRetryService.define_singleton_method(:new) { fake_retry }
+    S3DocumentsService.define_method(:upload_text) { |key, body| uploads[key] = body }
+    S3DocumentsService.define_method(:delete_prefix) { |prefix| deleted << prefix }
+    BulkKbSyncService.define_method(:sync!) { |**| { job_id: "ing_1", kb_id: "kb", data_source_id: "ds" } }
+    KbSyncBroadcaster.define_singleton_method(:broadcast) { |_account_id, payload| events << payload }
+
+    ReprocessFailedPagesJob.perform_now(web_manual_batch_id: @batch.id, locale: "es")
+  ensure
+    BatchPageRetryService.define_singleton_method(:new, original_retry_new)
+    S3DocumentsService.define_method(:upload_text, original_upload)
+    S3DocumentsService.define_method(:delete_prefix, original_delete)
+    BulkKbSyncService.define_method(:sync!, original_sync)
+    KbSyncBroadcaster.define_singleton_method(:broadcast, original_broadcast)
+  end
+end
@@ -29,7 +29,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
   # ── BedrockQuery creation ────────────────────────────────────────────────────
 
   test 'creates a BedrockQuery record with correct attributes' do
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       assert_difference('BedrockQuery.count', 1) do
         TrackBedrockQueryJob.perform_now(**VALID_PARAMS)
       end
@@ -54,7 +54,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
       expires_at: 1.day.from_now
     )
 
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(
         **VALID_PARAMS,
         account_id: account.id,
@@ -70,7 +70,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
   end
 
   test 'legacy callers still persist nil attribution' do
-    with_turbo_broadcast_stubbed { TrackBedrockQueryJob.perform_now(**VALID_PARAMS) }
+    with_usage_broadcast_stubbed { TrackBedrockQueryJob.perform_now(**VALID_PARAMS) }
 
     record = BedrockQuery.last
     assert_nil record.account_id
@@ -81,7 +81,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
   test 'truncates user_query to 500 characters' do
     long_query = 'x' * 600
 
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(**VALID_PARAMS.merge(user_query: long_query))
     end
 
@@ -99,7 +99,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
       original.call(**kwargs)
     end
 
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(**VALID_PARAMS)
     end
 
@@ -109,7 +109,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
   end
 
   test 'updates CostMetric records after execution' do
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(**VALID_PARAMS)
     end
 
@@ -121,20 +121,20 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
     assert_equal 1, CostMetric.find_by(date: today, metric_type: :daily_queries).value.to_i
   end
 
-  # ── Turbo broadcast ──────────────────────────────────────────────────────────
+  # ── Usage broadcast ──────────────────────────────────────────────────────────
 
-  test 'broadcasts metrics update via Turbo after completion' do
-    broadcast_called = false
+  test 'pushes the tracked row to the usage footer after completion' do
+    broadcasted = nil
 
-    with_turbo_broadcast_stubbed(->(*_args, **_kwargs) { broadcast_called = true }) do
-      TrackBedrockQueryJob.perform_now(**VALID_PARAMS)
+    with_usage_broadcast_stubbed(->(bedrock_query) { broadcasted = bedrock_query }) do
+      TrackBedrockQueryJob.perform_now(**VALID_PARAMS, account_id: accounts(:legacy).id)
     end
 
-    assert broadcast_called, 'Turbo broadcast should have been called'
+    assert_equal BedrockQuery.last, broadcasted
   end
 
-  test 'does not raise when Turbo broadcast fails' do
-    with_turbo_broadcast_stubbed(->(*_args, **_kwargs) { raise 'cable error' }) do
+  test 'does not raise when the usage broadcast fails' do
+    with_usage_broadcast_stubbed(->(_bedrock_query) { raise 'cable error' }) do
       assert_nothing_raised do
         TrackBedrockQueryJob.perform_now(**VALID_PARAMS)
       end
@@ -144,7 +144,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
   # ── Edge cases ───────────────────────────────────────────────────────────────
 
   test 'handles zero output_tokens (valid for some models)' do
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       assert_nothing_raised do
         TrackBedrockQueryJob.perform_now(**VALID_PARAMS.merge(output_tokens: 0))
       end
@@ -154,7 +154,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
   # ── Gate 9R I0 telemetry fields ──────────────────────────────────────────────
 
   test 'persists route, attempt, max_tokens, stop_reason and correlation_id' do
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(
         **VALID_PARAMS,
         route:          'bulk_retry',
@@ -174,7 +174,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
   end
 
   test 'I0 fields default to nil and blank strings are normalized to nil' do
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(**VALID_PARAMS.merge(route: '', stop_reason: '', correlation_id: ''))
     end
 
@@ -187,7 +187,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
   end
 
   test 'token_source is provider_usage when both token counts come from the caller' do
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(**VALID_PARAMS)
     end
 
@@ -196,7 +196,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
   end
 
   test 'explicit token_source: estimated is preserved even when caller supplies both token integers' do
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(**VALID_PARAMS.merge(token_source: "estimated"))
     end
 
@@ -210,7 +210,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
       { input_tokens: 4321, output_tokens: 123 }
     end
 
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(
         model_id:    VALID_PARAMS[:model_id],
         user_query:  VALID_PARAMS[:user_query],
@@ -233,7 +233,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
       { input_tokens: 999, output_tokens: 111 }
     end
 
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(
         **VALID_PARAMS.merge(output_tokens: nil, answer_text: 'partial')
       )
@@ -245,7 +245,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
   end
 
   test 'correlation_id groups multiple rows of the same logical unit' do
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(**VALID_PARAMS, route: 'batch',      attempt: 1, correlation_id: 'ingest:aa11:p3')
       TrackBedrockQueryJob.perform_now(**VALID_PARAMS, route: 'bulk_retry', attempt: 2, correlation_id: 'ingest:aa11:p3')
     end
@@ -266,7 +266,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
       { input_tokens: 4321, output_tokens: 123 }
     end
 
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(
         model_id:    VALID_PARAMS[:model_id],
         user_query:  VALID_PARAMS[:user_query],
@@ -303,7 +303,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
     end
 
     Rails.logger.broadcast_to(capture_logger)
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(
         model_id: VALID_PARAMS[:model_id],
         user_query: VALID_PARAMS[:user_query],
@@ -352,7 +352,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
       { input_tokens: 1, output_tokens: 1 }
     end
 
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(**VALID_PARAMS)
     end
 
@@ -372,7 +372,7 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
       { input_tokens: 10, output_tokens: 5 }
     end
 
-    with_turbo_broadcast_stubbed do
+    with_usage_broadcast_stubbed do
       TrackBedrockQueryJob.perform_now(
         model_id:           VALID_PARAMS[:model_id],
         user_query:         VALID_PARAMS[:user_query],
@@ -390,16 +390,16 @@ class TrackBedrockQueryJobTest < ActiveJob::TestCase
 
   private
 
-  # Stubs Turbo::StreamsChannel.broadcast_update_to to avoid ActionCable
+  # Stubs UsageMetricsBroadcaster.broadcast to avoid ActionCable
   # dependency in unit tests. Restores original in ensure block.
   #
   # @param impl [Proc, nil] replacement implementation; defaults to no-op
-  def with_turbo_broadcast_stubbed(impl = nil, &block)
-    original = Turbo::StreamsChannel.method(:broadcast_update_to)
-    noop = impl || ->(*_args, **_kwargs) { nil }
-    Turbo::StreamsChannel.define_singleton_method(:broadcast_update_to) { |*args, **kwargs| noop.call(*args, **kwargs) }
+  def with_usage_broadcast_stubbed(impl = nil, &block)
+    original = UsageMetricsBroadcaster.method(:broadcast)
+    noop = impl || ->(_bedrock_query) { nil }
+    UsageMetricsBroadcaster.define_singleton_method(:broadcast) { |bedrock_query| noop.call(bedrock_query) }
     block.call
   ensure
-    Turbo::StreamsChannel.define_singleton_method(:broadcast_update_to) { |*args, **kwargs| original.call(*args, **kwargs) }
+    UsageMetricsBroadcaster.define_singleton_method(:broadcast) { |bedrock_query| original.call(bedrock_query) }
   end
 end
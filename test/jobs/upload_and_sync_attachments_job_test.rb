@@ -77,9 +77,10 @@ class UploadAndSyncAttachmentsJobTest < ActiveJob::TestCase
     end
 
     broadcasts = []
+    account_channel = KbSyncBroadcaster.channel_for(@account.id)
     orig_broadcast = ActionCable.server.method(:broadcast)
     ActionCable.server.define_singleton_method(:broadcast) do |channel, payload|
-      broadcasts << payload if channel == "kb_sync"
+      broadcasts << payload if channel == account_channel
     end
 
     images_payload = UploadAndSyncAttachmentsJob.prepare_images_for_async([
@@ -104,6 +105,59 @@ class UploadAndSyncAttachmentsJobTest < ActiveJob::TestCase
     ActionCable.server.define_singleton_method(:broadcast, orig_broadcast)
   end
 
+  test "perform reads chunked uploads from S3 and discards them once the pipeline ran" do
+    user   = User.create!(email: "chunked-#{SecureRandom.hex(4)}@example.com", password: "password123", account: @account)
+    upload = ChunkedUpload.create!(
+      user: user, account: @account, filename: "manual.pdf", content_type: "application/pdf",
+      byte_size: 6, received_bytes: 6, s3_key: "chunked_uploads/x/manual.pdf", s3_upload_id: "m-1", status: "complete"
+    )
+    storage = Object.new
+    deleted = []
+    storage.define_singleton_method(:read) { |_key| "manual" }
+    storage.define_singleton_method(:delete) { |key| deleted << key }
+    orig_storage_new = ChunkedUploadStorageService.method(:new)
+    ChunkedUploadStorageService.define_singleton_method(:new) { |*_args, **_kwargs| storage }
+
+    captured_documents = nil
+    orig_method = QueryOrchestratorService.instance_method(:upload_and_sync_attachments)
+    QueryOrchestratorService.define_method(:upload_and_sync_attachments) do
+      captured_documents = instance_variable_get(:@documents)
+      []
+    end
+
+    UploadAndSyncAttachmentsJob.perform_now(
+      images_payload: [], documents_payload: [ upload.to_document_payload ], conv_session_id: nil,
+      account_id: @account.id, document_uid: @document_uid
+    )
+
+    assert_equal [ { filename: "manual.pdf", media_type: "application/pdf", binary: "manual" } ], captured_documents
+    assert_equal [ "chunked_uploads/x/manual.pdf" ], deleted
+    assert_not ChunkedUpload.exists?(upload.id)
+  ensure
+    QueryOrchestratorService.define_method(:upload_and_sync_attachments, orig_method)
+    ChunkedUploadStorageService.define_singleton_method(:new) { |*args, **kwargs| orig_storage_new.call(*args, **kwargs) }
+  end
+
+  test "perform refuses a chunked upload owned by another account" do
+    upload = ChunkedUpload.create!(
+      user: users(:one), account: accounts(:legacy), filename: "manual.pdf", content_type: "application/pdf",
+      byte_size: 6, received_bytes: 6, s3_key: "chunked_uploads/x/manual.pdf", s3_upload_id: "m-1", status: "complete"
+    )
+    called = false
+    orig_method = QueryOrchestratorService.instance_method(:upload_and_sync_attachments)
+    QueryOrchestratorService.define_method(:upload_and_sync_attachments) { called = true }
+
+    UploadAndSyncAttachmentsJob.perform_now(
+      images_payload: [], documents_payload: [ upload.to_document_payload ], conv_session_id: nil,
+      account_id: @account.id, document_uid: @document_uid
+    )
+
+    assert_not called
+    assert ChunkedUpload.exists?(upload.id)
+  ensure
+    QueryOrchestratorService.define_method(:upload_and_sync_attachments, orig_method)
+  end
+
   test "perform tolerates missing conv_session_id" do
     captured = nil
     orig_method = QueryOrchestratorService.instance_method(:upload_and_sync_attachments)
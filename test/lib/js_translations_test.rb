@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+# lib/js_translations.rb — the `bin/rails i18n:js` compiler behind
+# app/javascript/rag/translations.js.
+class JsTranslationsTest < ActiveSupport::TestCase
+  PLACEHOLDER = /%\{(\w+)\}/
+
+  test "the committed translations module matches config/locales/js.*.yml" do
+    generated = Rails.root.join(JsTranslations::OUTPUT_PATH).read
+
+    assert_equal JsTranslations.source, generated,
+      "app/javascript/rag/translations.js is stale — run `bin/rails i18n:js`"
+  end
+
+  test "every shipped locale translates every key with the same placeholders" do
+    translations = JsTranslations.translations
+    default = flatten(translations.fetch(JsTranslations::DEFAULT_LOCALE))
+
+    translations.each do |locale, tree|
+      assert_empty JsTranslations.missing_keys(locale), "#{locale} is missing js.* keys"
+      flatten(tree).each do |key, text|
+        assert_equal default[key].to_s.scan(PLACEHOLDER).sort, text.to_s.scan(PLACEHOLDER).sort,
+          "#{locale}.js.#{key} placeholders differ from #{JsTranslations::DEFAULT_LOCALE}"
+      end
+    end
+  end
+
+  test "a new locale file is picked up with the default locale first and its gaps listed" do
+    Dir.mktmpdir("js_translations") do |dir|
+      root = Pathname(dir)
+      root.join("config/locales").mkpath
+      root.join("config/locales/js.es.yml").write({ "es" => { "js" => { "chat" => { "ask_error" => "Algo falló", "sending" => "Enviando…" } } } }.to_yaml)
+      root.join("config/locales/js.pt.yml").write({ "pt" => { "js" => { "chat" => { "ask_error" => "Algo deu errado" } } } }.to_yaml)
+      root.join("config/locales/es.yml").write({ "es" => { "home" => { "title" => "Inicio" } } }.to_yaml)
+
+      translations = JsTranslations.translations(root)
+
+      assert_equal %w[es pt], translations.keys
+      assert_equal "Algo deu errado", translations.dig("pt", "chat", "ask_error")
+      assert_equal [ "chat.sending" ], JsTranslations.missing_keys("pt", root)
+      assert_includes JsTranslations.source(root), '"pt": {'
+    end
+  end
+
+  private
+
+  def flatten(tree)
+    JsTranslations.key_paths(tree).index_with { |path| tree.dig(*path.split(".")) }
+  end
+end
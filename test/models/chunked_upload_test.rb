@@ -0,0 +1,126 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class ChunkedUploadTest < ActiveSupport::TestCase
+  class FakeStorage
+    attr_reader :parts, :completed, :deleted, :aborted
+
+    def initialize
+      @parts = []
+      @completed = nil
+      @deleted = []
+      @aborted = []
+    end
+
+    def key_for(account_id:, token:, filename:)
+      "chunked_uploads/#{account_id}/#{token}/#{filename}"
+    end
+
+    def start(key:, content_type:)
+      "multipart-1"
+    end
+
+    def upload_part(key:, upload_id:, part_number:, body:)
+      @parts << { part_number: part_number, bytes: body.bytesize }
+      "etag-#{part_number}"
+    end
+
+    def complete(key:, upload_id:, parts:)
+      @completed = parts
+    end
+
+    def delete(key)
+      @deleted << key
+    end
+
+    def abort(key:, upload_id:)
+      @aborted << upload_id
+    end
+  end
+
+  setup do
+    @storage = FakeStorage.new
+    @user = users(:one)
+    @account = accounts(:legacy)
+  end
+
+  def start_upload(byte_size:)
+    ChunkedUpload.start!(
+      user: @user, account: @account, filename: "../manual.pdf",
+      content_type: "application/pdf", byte_size: byte_size, storage: @storage
+    )
+  end
+
+  test "start! opens a multipart upload under the account prefix" do
+    upload = start_upload(byte_size: 10)
+
+    assert_equal "manual.pdf", upload.filename
+    assert_equal "multipart-1", upload.s3_upload_id
+    assert_match %r{\Achunked_uploads/#{@account.id}/[\h-]+/manual\.pdf\z}, upload.s3_key
+    assert upload.uploading?
+  end
+
+  test "start! rejects files over the size cap before touching S3" do
+    storage = Object.new
+    assert_raises(ActiveRecord::RecordInvalid) do
+      ChunkedUpload.start!(user: @user, account: @account, filename: "big.pdf", content_type: "application/pdf",
+                           byte_size: ChunkedUpload::MAX_BYTE_SIZE + 1, storage: storage)
+    end
+  end
+
+  test "chunks become numbered parts and the last one completes the upload" do
+    size   = ChunkedUpload::CHUNK_SIZE + 3
+    upload = start_upload(byte_size: size)
+
+    upload.append_chunk!(offset: 0, body: "a" * ChunkedUpload::CHUNK_SIZE, storage: @storage)
+    assert_equal ChunkedUpload::CHUNK_SIZE, upload.received_bytes
+    assert_nil @storage.completed
+
+    upload.append_chunk!(offset: ChunkedUpload::CHUNK_SIZE, body: "end", storage: @storage)
+    assert upload.reload.complete?
+    assert_equal size, upload.received_bytes
+    assert_equal [ 1, 2 ], @storage.completed.map { |part| part["part_number"] }
+    assert_equal %w[etag-1 etag-2], @storage.completed.map { |part| part["etag"] }
+  end
+
+  test "a chunk at a stale offset is refused so the client resumes from received_bytes" do
+    upload = start_upload(byte_size: 4)
+    upload.append_chunk!(offset: 0, body: "abcd", storage: @storage)
+
+    assert_raises(ChunkedUpload::OffsetMismatch) do
+      upload.append_chunk!(offset: 0, body: "abcd", storage: @storage)
+    end
+    assert_equal 1, @storage.parts.size
+  end
+
+  test "a chunk of the wrong length is refused" do
+    upload = start_upload(byte_size: 10)
+
+    assert_raises(ChunkedUpload::InvalidChunk) do
+      upload.append_chunk!(offset: 0, body: "abc", storage: @storage)
+    end
+    assert_equal 0, upload.reload.received_bytes
+  end
+
+  test "discard! aborts unfinished uploads and deletes assembled ones" do
+    unfinished = start_upload(byte_size: 10)
+    finished   = start_upload(byte_size: 2)
+    finished.append_chunk!(offset: 0, body: "ok", storage: @storage)
+
+    unfinished.discard!(storage: @storage)
+    finished.discard!(storage: @storage)
+
+    assert_equal [ "multipart-1" ], @storage.aborted
+    assert_equal [ finished.s3_key ], @storage.deleted
+    assert_not ChunkedUpload.exists?(unfinished.id)
+    assert_not ChunkedUpload.exists?(finished.id)
+  end
+
+  test "to_document_payload references the upload instead of inlining bytes" do
+    upload = start_upload(byte_size: 10)
+
+    assert_equal({ filename: "manual.pdf", media_type: "application/pdf", chunked_upload_id: upload.id },
+                 upload.to_document_payload)
+  end
+end
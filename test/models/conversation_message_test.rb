@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class ConversationMessageTest < ActiveSupport::TestCase
+  setup do
+    @session = ConversationSession.find_or_create_for(
+      identifier: users(:one).id.to_s, user_id: users(:one).id, account_id: accounts(:legacy).id
+    )
+  end
+
+  test "record stores the render payload under the session's account" do
+    message = ConversationMessage.record(
+      @session, role: "assistant", payload: { answer: "Revisar el LED SPM" },
+                user_id: users(:one).id, correlation_id: "abc-123"
+    )
+
+    assert_equal accounts(:legacy).id, message.account_id
+    assert_equal "Revisar el LED SPM", message.payload["answer"]
+    assert_equal "abc-123", message.as_transcript_json[:correlation_id]
+  end
+
+  test "record never raises and skips a missing session" do
+    assert_nil ConversationMessage.record(nil, role: "user", payload: { text: "hola" })
+    assert_nil ConversationMessage.record(@session, role: "system", payload: { text: "hola" })
+  end
+
+  test "page_before returns the newest page oldest first and flags older turns" do
+    ids = Array.new(5) { |i| ConversationMessage.record(@session, role: "user", payload: { text: "q#{i}" }).id }
+
+    page, has_more = ConversationMessage.page_before(@session.conversation_messages, limit: 2)
+    assert_equal ids.last(2), page.map(&:id)
+    assert has_more
+
+    page, has_more = ConversationMessage.page_before(@session.conversation_messages, before_id: ids[2], limit: 2)
+    assert_equal ids.first(2), page.map(&:id)
+    assert_not has_more
+  end
+
+  test "messages go away with their session" do
+    ConversationMessage.record(@session, role: "user", payload: { text: "hola" })
+
+    assert_difference -> { ConversationMessage.count }, -1 do
+      @session.destroy
+    end
+  end
+end
@@ -600,6 +600,120 @@ class ConversationSessionTest < ActiveSupport::TestCase
     assert_equal 'active', s.session_status
   end
 
+  # ─── start_over! ────────────────────────────────────────────────────────────
+
+  test 'start_over! clears the conversation but keeps the documents the technician pinned' do
+    s = ConversationSession.create!(
+      identifier: 'user:start-over',
+      channel:    'web',
+      expires_at: 30.minutes.from_now,
+      current_procedure: { 'step' => 2 },
+      session_status:    'procedure_in_progress',
+      active_entities:   {
+        'Manual TW1' => { 'source' => 'user_pin', 'kb_document_id' => 1 },
+        'schema.pdf' => { 'source' => 'retrieve_result' }
+      }
+    )
+    s.add_to_history('user', '¿Qué fusible protege el variador?', user_id: 7)
+    ConversationMessage.record(s, role: 'user', payload: { question: '¿Qué fusible protege el variador?' }, user_id: 7)
+
+    stub_shared_enabled(false) { s.start_over!(user_id: 7) }
+    s.reload
+
+    assert_empty s.conversation_history
+    assert_empty s.conversation_messages
+    assert_equal({}, s.current_procedure)
+    assert_equal 'active', s.session_status
+    assert_equal [ 'Manual TW1' ], s.active_entities.keys
+  end
+
+  test 'start_over! on the shared session only drops that technician\'s turns' do
+    s = ConversationSession.create!(
+      identifier: 'user:start-over-shared',
+      channel:    'web',
+      expires_at: 30.minutes.from_now,
+      active_entities: { 'schema.pdf' => { 'source' => 'retrieve_result' } }
+    )
+    s.add_to_history('user', 'pregunta de 7', user_id: 7)
+    s.add_to_history('user', 'pregunta de 8', user_id: 8)
+    ConversationMessage.record(s, role: 'user', payload: { question: 'pregunta de 8' }, user_id: 8)
+
+    stub_shared_enabled(true) { s.start_over!(user_id: 7) }
+    s.reload
+
+    assert_equal [ 'pregunta de 8' ], s.conversation_history.map { |m| m['content'] }
+    assert_equal 1, s.conversation_messages.count
+    assert s.active_entities.key?('schema.pdf')
+  end
+
+  # ─── Threads ────────────────────────────────────────────────────────────────
+
+  test 'start_thread! opens a new current thread; lookups follow it and the old one keeps its history' do
+    first = ConversationSession.find_or_create_for(identifier: 'user:threads', channel: 'web')
+    first.add_to_history('user', 'Edificio Norte: el ascensor no nivela')
+
+    second = ConversationSession.start_thread!(identifier: 'user:threads', channel: 'web', title: '  Torre Sur ')
+
+    assert_not first.reload.current
+    assert second.current
+    assert_equal 'Torre Sur', second.title
+    assert_equal second, ConversationSession.find_or_create_for(identifier: 'user:threads', channel: 'web')
+    assert_equal second, ConversationSession.current_for(identifier: 'user:threads')
+    assert_equal 1, first.conversation_history.size
+    assert_empty second.conversation_history
+  end
+
+  test 'open! makes a past thread current again and brings it back from the archive' do
+    first  = ConversationSession.find_or_create_for(identifier: 'user:threads-open', channel: 'web')
+    second = ConversationSession.start_thread!(identifier: 'user:threads-open')
+    first.archive!
+
+    first.open!
+
+    assert first.reload.current
+    assert_not first.archived?
+    assert_not second.reload.current
+    assert_equal first, ConversationSession.current_for(identifier: 'user:threads-open')
+  end
+
+  test 'archive! of the current thread leaves none current until the next find_or_create_for' do
+    thread = ConversationSession.find_or_create_for(identifier: 'user:threads-archive', channel: 'web')
+
+    thread.archive!
+
+    assert_nil ConversationSession.current_for(identifier: 'user:threads-archive')
+    fresh = ConversationSession.find_or_create_for(identifier: 'user:threads-archive', channel: 'web')
+    assert_not_equal thread.id, fresh.id
+    assert thread.reload.archived?
+  end
+
+  test 'threads_for lists live threads of that technician only, current first' do
+    old     = ConversationSession.find_or_create_for(identifier: 'user:threads-list', channel: 'web')
+    current = ConversationSession.start_thread!(identifier: 'user:threads-list')
+    expired = ConversationSession.start_thread!(identifier: 'user:threads-list')
+    expired.update!(current: false, expires_at: 1.minute.ago)
+    current.open!
+    ConversationSession.find_or_create_for(identifier: 'user:someone-else', channel: 'web')
+
+    assert_equal [ current, old ], ConversationSession.threads_for(identifier: 'user:threads-list').to_a
+  end
+
+  test 'display_title falls back to the first question, then nil' do
+    s = ConversationSession.create!(identifier: 'user:threads-title', channel: 'web', expires_at: 30.minutes.from_now)
+    assert_nil s.display_title
+
+    s.add_to_history('user', "  El variador   marca F07 #{'y sigue ' * 10}")
+    assert_equal ConversationSession::TITLE_FALLBACK_LENGTH, s.display_title.length
+    assert s.display_title.start_with?('El variador marca F07')
+
+    s.update!(title: 'Clínica Las Condes — ascensor 2')
+    assert_equal 'Clínica Las Condes — ascensor 2', s.display_title
+  end
+
+  test 'title is limited to MAX_TITLE_LENGTH' do
+    assert_not build_session(title: 'x' * (ConversationSession::MAX_TITLE_LENGTH + 1)).valid?
+  end
+
   # ─── TTL (30-day sliding window) ────────────────────────────────────────────
 
   test 'find_or_create_for sets expires_at to 30 days for new web session' do
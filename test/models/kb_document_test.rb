@@ -120,4 +120,27 @@ class KbDocumentTest < ActiveSupport::TestCase
     assert KbDocument.new(s3_key: 'uploads/2026/wa_20260410_174231_0.jpeg', display_name: 'wa 20260410 174231 0').display_name_promotable?
     assert KbDocument.new(s3_key: 'uploads/2026/x.pdf', display_name: '').display_name_promotable?
   end
+
+  test 'find_all_cited resolves every reference in order with at most two queries' do
+    by_uid = KbDocument.create!(s3_key: 'uploads/2026-05-01/placa.jpg', display_name: 'placa', aliases: [], account: accounts(:legacy))
+    by_key = KbDocument.create!(s3_key: 'uploads/2026-05-01/tablero.png', display_name: 'tablero', aliases: [], account: accounts(:legacy))
+    other = KbDocument.create!(s3_key: 'uploads/2026-05-01/ajena.jpg', display_name: 'ajena', aliases: [], account: accounts(:climb))
+    references = [
+      [ by_uid.document_uid, 's3://elsewhere/uploads/2026-05-01/ignored.jpg' ],
+      [ nil, "s3://#{KbDocument::KB_BUCKET}/uploads/2026-05-01/tablero.png" ],
+      [ 'not-a-uuid', 'uploads/2026-05-01/missing.pdf' ],
+      [ other.document_uid, 'uploads/2026-05-01/ajena.jpg' ],
+      [ by_uid.document_uid, nil ]
+    ]
+
+    queries = []
+    callback = ->(*, payload) { queries << payload[:sql] unless payload[:name] == 'SCHEMA' }
+    found = ActiveSupport::Notifications.subscribed(callback, 'sql.active_record') do
+      accounts(:legacy).kb_documents.find_all_cited(references)
+    end
+
+    assert_equal [ by_uid, by_key, nil, nil, by_uid ], found
+    assert_operator queries.size, :<=, 2
+    assert_equal references.map { |uid, uri| accounts(:legacy).kb_documents.find_cited(document_uid: uid, source_uri: uri) }, found
+  end
 end
@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class KbSyncEventTest < ActiveSupport::TestCase
+  setup do
+    @account = accounts(:legacy)
+  end
+
+  test "record! stores the payload and its status" do
+    event = KbSyncEvent.record!(account_id: @account.id, payload: { status: "indexed", filenames: [ "manual.pdf" ] })
+
+    assert_equal "indexed", event.status
+    assert_equal [ "manual.pdf" ], event.payload["filenames"]
+    assert_equal event.id, event.to_broadcast["sequence_id"]
+  end
+
+  test "record! prunes the account's events older than the retention window" do
+    stale = KbSyncEvent.record!(account_id: @account.id, payload: { status: "failed" })
+
+    travel(KbSyncEvent::RETENTION + 1.minute) do
+      KbSyncEvent.record!(account_id: @account.id, payload: { status: "indexed" })
+    end
+
+    assert_not KbSyncEvent.exists?(stale.id)
+  end
+
+  test "page_after returns only this account's newer events, oldest first" do
+    seen  = KbSyncEvent.record!(account_id: @account.id, payload: { status: "retrying" })
+    first = KbSyncEvent.record!(account_id: @account.id, payload: { status: "indexed" })
+    KbSyncEvent.record!(account_id: accounts(:climb).id, payload: { status: "indexed" })
+    last  = KbSyncEvent.record!(account_id: @account.id, payload: { status: "photo_analyzed" })
+
+    events, has_more = KbSyncEvent.page_after(@account.id, seen.id)
+    assert_equal [ first.id, last.id ], events.map(&:id)
+    assert_not has_more
+    assert_equal last.id, KbSyncEvent.last_sequence_id(@account.id)
+  end
+
+  test "page_after reports has_more when events remain past the limit" do
+    ids = Array.new(3) { KbSyncEvent.record!(account_id: @account.id, payload: { status: "indexed" }).id }
+
+    events, has_more = KbSyncEvent.page_after(@account.id, 0, limit: 2)
+
+    assert_equal ids.first(2), events.map(&:id)
+    assert has_more
+  end
+
+  test "last_sequence_id is 0 for an account without events" do
+    assert_equal 0, KbSyncEvent.last_sequence_id(accounts(:climb).id)
+  end
+end
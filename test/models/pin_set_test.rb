@@ -0,0 +1,66 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class PinSetTest < ActiveSupport::TestCase
+  setup do
+    @account = accounts(:legacy)
+    @user    = users(:one)
+    @manual  = kb_documents(:manual_uno)
+    @wiring  = KbDocument.create!(s3_key: "uploads/2026/arca_wiring.pdf", display_name: "ARCA II wiring", account: @account)
+    @session = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: @account.id)
+  end
+
+  test "save_from! stores the documents pinned in the session" do
+    @session.pin_kb_document!(@manual)
+    @session.pin_kb_document!(@wiring)
+
+    pin_set = PinSet.save_from!(@session, account: @account, user_id: @user.id, name: "  Orona   ARCA II ")
+
+    assert_equal "Orona ARCA II", pin_set.name
+    assert_equal [ @manual.id, @wiring.id ].sort, pin_set.kb_document_ids.sort
+    assert_equal @user.id, pin_set.user_id
+  end
+
+  test "a set needs a pinned document and a name not taken in the account" do
+    assert_raises(ActiveRecord::RecordInvalid) do
+      PinSet.save_from!(@session, account: @account, user_id: @user.id, name: "Vacío")
+    end
+
+    PinSet.create!(account: @account, name: "Orona ARCA II", kb_document_ids: [ @manual.id ])
+    duplicate = PinSet.new(account: @account, name: "orona arca ii", kb_document_ids: [ @wiring.id ])
+    assert_not duplicate.valid?
+    assert PinSet.new(account: accounts(:climb), name: "Orona ARCA II", kb_document_ids: [ 1 ]).valid?
+  end
+
+  test "apply_to! pins every document and clear_from! unpins only the set's" do
+    extra = KbDocument.create!(s3_key: "uploads/2026/extra.pdf", display_name: "Extra", account: @account)
+    @session.pin_kb_document!(extra)
+    pin_set = PinSet.create!(account: @account, name: "ARCA", kb_document_ids: [ @manual.id, @wiring.id ])
+
+    pin_set.apply_to!(@session)
+    assert_equal [ extra.id, @manual.id, @wiring.id ].sort, @session.reload.pinned_kb_document_ids.sort
+
+    pin_set.clear_from!(@session)
+    assert_equal [ extra.id ], @session.reload.pinned_kb_document_ids
+  end
+
+  test "apply_to! pins nothing when any document is refused" do
+    pin_set = PinSet.create!(account: @account, name: "ARCA", kb_document_ids: [ @manual.id, @wiring.id ])
+    # Refuse the last one pinned, so the first is already written when it fails.
+    refused_id = pin_set.kb_document_ids.max
+    original = @session.method(:pin_kb_document!)
+    @session.define_singleton_method(:pin_kb_document!) { |kb_doc| kb_doc.id == refused_id ? false : original.call(kb_doc) }
+
+    assert_raises(PinSet::PinRejected) { pin_set.apply_to!(@session) }
+    assert_empty ConversationSession.find(@session.id).pinned_kb_document_ids
+  end
+
+  test "documents deleted since the set was saved are skipped" do
+    pin_set = PinSet.create!(account: @account, name: "ARCA", kb_document_ids: [ @manual.id, @wiring.id ])
+    @wiring.destroy!
+
+    assert_equal [ @manual.id ], pin_set.as_pin_set_json[:document_ids]
+    assert_equal [ "Manual uno" ], pin_set.as_pin_set_json[:names]
+  end
+end
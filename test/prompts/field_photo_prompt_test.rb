@@ -71,4 +71,24 @@ class FieldPhotoPromptTest < ActiveSupport::TestCase
     texts = content.select { |b| b[:type] == "text" }.pluck(:text)
     assert_not texts.any? { |t| t.include?("Summary language") }
   end
+
+  test "companions make one multi-photo request with every photo and a single locale hint" do
+    content = FieldPhotoPrompt.user_content(
+      binary:       FAKE_BINARY,
+      content_type: FAKE_CT,
+      filename:     FAKE_NAME,
+      locale:       "es",
+      companions:   [
+        { binary: "close-up", content_type: FAKE_CT, filename: "closeup.jpg",
+          annotations: [ { "shape" => "arrow", "x" => 0.5, "y" => 0.5, "from_x" => 0.1, "from_y" => 0.1 } ] }
+      ]
+    )
+
+    texts = content.select { |b| b[:type] == "text" }.pluck(:text)
+    assert_equal 2, content.count { |b| b[:type] == "image" }
+    assert_match(/Multi-photo diagnosis: the 2 photos/, texts.first)
+    assert_includes texts, "Photo 2 of 2:"
+    assert_equal 1, texts.count { |t| t.include?("Summary language") }
+    assert texts.any? { |t| t.include?("Arrow pointing at x 0.50, y 0.50") }
+  end
 end
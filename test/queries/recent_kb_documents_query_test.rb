@@ -75,8 +75,91 @@ class RecentKbDocumentsQueryTest < ActiveSupport::TestCase
     assert_not_includes climb_docs, legacy
   end
 
+  # ─── Archivos search, filter chips and sort ───
+
+  test "search matches every word against the name, the aliases or the file type" do
+    drive  = create_doc("uploads/s/atv320.pdf", "Variador ATV320", aliases: [ "Altivar 320" ])
+    photo  = create_doc("uploads/s/tablero.jpg", "Tablero sala de máquinas")
+    _other = create_doc("uploads/s/orona.pdf", "Manual Orona")
+
+    assert_equal [ drive ], search("altivar")
+    assert_equal [ drive ], search("VARIADOR atv320")
+    assert_equal [ photo ], search("foto")
+    assert_empty search("variador foto")
+  end
+
+  test "search treats LIKE wildcards as literal text" do
+    create_doc("uploads/s/a.pdf", "Manual A")
+
+    assert_empty search("%")
+    assert_empty search("_")
+  end
+
+  test "filter chips narrow the list and combine" do
+    manual  = create_doc("uploads/f/manual.pdf", "Manual")
+    photo   = create_doc("uploads/f/placa.jpg", "Placa")
+    mine    = create_doc("uploads/f/mio.pdf", "Mío", uploaded_by_user_id: users(:one).id)
+    partial = create_doc("uploads/f/largo.pdf", "Largo")
+    WebManualBatch.create!(account: @account, kb_document: partial, s3_key: partial.s3_key, filename: "largo.pdf",
+                           sha256: "abc", ingestion_contract_version: "v1", status: "submitted", urgent_status: "complete")
+
+    assert_equal [ photo ], filtered(%w[images])
+    assert_equal [ manual, mine, partial ].sort_by(&:id), filtered(%w[manuals]).sort_by(&:id)
+    assert_equal [ mine ], filtered(%w[mine])
+    assert_equal [ partial ], filtered(%w[partial])
+    assert_empty filtered(%w[images mine])
+  end
+
+  test "the pinned chip matches pinned s3 URIs against bare or full keys" do
+    bare = create_doc("uploads/p/bare.pdf", "Bare")
+    full = create_doc("s3://kb-bucket/uploads/p/full.pdf", "Full")
+    _not_pinned = create_doc("uploads/p/other.pdf", "Other")
+    pinned_uris = Set[ "s3://kb-bucket/uploads/p/bare.pdf", "s3://kb-bucket/uploads/p/full.pdf" ]
+
+    assert_equal [ bare, full ].sort_by(&:id), filtered(%w[pinned], pinned_uris: pinned_uris).sort_by(&:id)
+    assert_empty filtered(%w[pinned])
+  end
+
+  test "sorts by oldest first or by name" do
+    beta  = create_doc("uploads/o/b.pdf", "beta", created_at: 2.days.ago)
+    alpha = create_doc("uploads/o/a.pdf", "Alpha", created_at: 1.day.ago)
+
+    assert_equal [ beta, alpha ], page_for(sort: "oldest")
+    assert_equal [ alpha, beta ], page_for(sort: "name")
+  end
+
+  test "Criteria.from_params drops unknown filters and sorts and trims the search" do
+    criteria = RecentKbDocumentsQuery::Criteria.from_params(
+      { q: "  válvula   tw1 #{'x' * 200}", filter: %w[images bogus], sort: "random" }, user_id: 7
+    )
+
+    assert_equal %w[images], criteria.filters
+    assert_equal "newest", criteria.sort
+    assert criteria.search.start_with?("válvula tw1 x")
+    assert_equal RecentKbDocumentsQuery::MAX_SEARCH_LENGTH, criteria.search.length
+    assert criteria.filtered?
+    assert_equal({ q: criteria.search, filter: %w[images] }, criteria.to_query_params)
+    assert_not RecentKbDocumentsQuery::Criteria.default.filtered?
+    assert_empty RecentKbDocumentsQuery::Criteria.default.to_query_params
+  end
+
   private
 
+  def page_for(**params)
+    criteria = RecentKbDocumentsQuery::Criteria.from_params(params.except(:pinned_uris),
+      pinned_uris: params.fetch(:pinned_uris, Set.new), user_id: users(:one).id)
+    docs, = RecentKbDocumentsQuery.page(0, per_page: 10, account: @account, criteria: criteria)
+    docs
+  end
+
+  def search(text)
+    page_for(q: text)
+  end
+
+  def filtered(filters, pinned_uris: Set.new)
+    page_for(filter: filters, pinned_uris: pinned_uris)
+  end
+
   def create_doc(s3_key, display_name, account: @account, **attrs)
     KbDocument.create!({ s3_key: s3_key, display_name: display_name, account: account }.merge(attrs))
   end
@@ -0,0 +1,55 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class AccountUsageMetricsTest < ActiveSupport::TestCase
+  HAIKU = "us.anthropic.claude-haiku-4-5-20251001-v1:0"
+  TITAN = "amazon.titan-embed-text-v2:0"
+
+  setup do
+    @account = accounts(:legacy)
+    @day = Date.new(2026, 5, 3)
+  end
+
+  test "prices only the account's rows into CostMetric metric types" do
+    query = usage(@day, model_id: HAIKU, source: :query)
+    embed = usage(@day, model_id: TITAN, source: :ingestion_embed, input_tokens: 50_000, output_tokens: 0)
+    usage(@day, model_id: HAIKU, source: :query, account: accounts(:climb), input_tokens: 90_000)
+
+    values = metrics.daily_values.fetch(@day)
+
+    assert_in_delta query.cost + embed.cost, values[:daily_cost], 0.000001
+    assert_equal 1, values[:daily_queries]
+    assert_in_delta query.cost, values[:daily_cost_query], 0.000001
+    assert_in_delta embed.cost, values[:daily_cost_embed], 0.000001
+    assert_equal 1200, values[:daily_tokens_query]
+  end
+
+  test "snapshot has daily_snapshot's shape and totals cover the range" do
+    first = usage(@day, model_id: HAIKU, source: :query)
+    second = usage(@day + 1, model_id: HAIKU, source: :query)
+
+    snapshot = metrics(to: @day + 1).snapshot
+
+    assert_in_delta second.cost, snapshot[:today_cost], 0.000001
+    assert_equal 1, snapshot[:today_queries]
+    assert_equal CostMetric.snapshot_from({}).keys, snapshot.keys
+    assert_equal({ total_cost: (first.cost + second.cost).round(6), total_queries: 2 }, metrics(to: @day + 1).totals)
+  end
+
+  test "a day without usage is an all-zero snapshot" do
+    assert_empty metrics.daily_values
+    assert_equal 0, metrics.snapshot[:today_cost]
+  end
+
+  private
+
+  def metrics(to: @day)
+    AccountUsageMetrics.new(account_id: @account.id, from: @day, to: to)
+  end
+
+  def usage(day, model_id:, source:, account: @account, input_tokens: 1000, output_tokens: 200)
+    BedrockQuery.create!(model_id: model_id, source: source, account_id: account.id, input_tokens: input_tokens,
+                         output_tokens: output_tokens, created_at: day.in_time_zone.change(hour: 12))
+  end
+end
@@ -213,6 +213,22 @@ class BatchPageRetryServiceTest < ActiveSupport::TestCase
     end
   end
 
+  test "a subset of a manual's pages keeps the manual's anchor and page count" do
+    pages = [ { page_number: 6, text: nil, model: nil, stop_reason: nil } ]
+
+    with_retry_harness(client_results: [ { text: VALID_JSON, usage: make_usage, stop_reason: nil } ]) do |calls|
+      BatchPageRetryService.new.retry_failed_pages!(
+        page_results: pages, s3_key: "k", filename: "manual.pdf", sha256: "c" * 64,
+        anchor_page_number: 1, total_pages: 40
+      )
+
+      assert_equal 1, calls.size
+      assert_equal 40, calls.first[:total_pages]
+      assert_includes calls.first[:user_content].last[:text], "Page 6 of 40. Page role: CONTENT_PAGE"
+    end
+    assert_equal VALID_JSON, pages.first[:text]
+  end
+
   test "healthy pages trigger no S3 download and no client calls" do
     pages = [ { page_number: 1, text: VALID_JSON, model: "claude-sonnet-4-6", stop_reason: "end_turn" } ]
 
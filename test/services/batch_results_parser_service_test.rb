@@ -598,6 +598,23 @@ class BatchResultsParserServiceTest < ActiveSupport::TestCase
     assert_includes @fake_s3.uploads.keys, "#{prefix}/chunk_p2_1.txt"
   end
 
+  test "manual_batch_v1 with pages replaces only those pages' chunk files" do
+    asset  = make_asset
+    parser = build_parser
+    deleted = []
+    @fake_s3.define_singleton_method(:delete_prefix) { |prefix| deleted << prefix }
+
+    parser.call(account_id: 99, document_uid: "manual-uid-xyz", asset: asset, result: make_result,
+                ingestion_path: "manual_batch_v1", pages: [ 1, 2 ])
+
+    assert_equal [ "bulk_chunks/99/manual-uid-xyz/chunk_p1_", "bulk_chunks/99/manual-uid-xyz/chunk_p2_" ], deleted
+
+    deleted.clear
+    parser.call(account_id: 99, document_uid: "manual-uid-xyz", asset: asset, result: make_result,
+                ingestion_path: "manual_batch_v1")
+    assert_equal [ "bulk_chunks/99/manual-uid-xyz" ], deleted
+  end
+
   # ---------------------------------------------------------------------------
   # Validation failures
   # ---------------------------------------------------------------------------
@@ -0,0 +1,97 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class Bedrock::StreamedGenerationTest < ActiveSupport::TestCase
+  OutputEvent   = Struct.new(:text) { def event_type = :output }
+  CitationEvent = Struct.new(:citation) { def event_type = :citation }
+  Reference     = Struct.new(:content, :location, :metadata)
+  Citation      = Struct.new(:retrieved_references)
+
+  test "releases finished lines and returns the retrieve_and_generate shape" do
+    deltas = []
+    citation = Object.new
+    chunks = [ "Cortar la energía del tablero.\nMedir ", "la tensión de maniobra.\n", "Con el multímetro en DC." ]
+    events = chunks.map { |text| OutputEvent.new(text) } + [ CitationEvent.new(citation) ]
+
+    response = stream(events, deltas, releasable: ->(_text, _citations) { true })
+
+    assert_equal [ "Cortar la energía del tablero.\n", "Medir la tensión de maniobra.\n", "Con el multímetro en DC." ], deltas
+    assert_equal chunks.join, response.output.text
+    assert_equal [ citation ], response.citations
+    assert_equal "stream-session", response.session_id
+  end
+
+  test "holds a failing line and what follows until a citation lets the prefix pass" do
+    deltas = []
+    checked = []
+    releasable = lambda do |text, citations|
+      checked << text
+      !text.include?("X9") || citations.any?
+    end
+    events = [ OutputEvent.new("Revisar el tablero.\n"), OutputEvent.new("Puente en X9.\n"),
+               OutputEvent.new("Luego medir.\n"), CitationEvent.new(Object.new) ]
+
+    stream(events, deltas, releasable: releasable)
+
+    assert_equal [ "Revisar el tablero.\n", "Puente en X9.\nLuego medir.\n" ], deltas
+    assert checked.all? { |text| text.empty? || text.end_with?("\n") }, "half-written lines are never checked"
+  end
+
+  test "runs the final guardrail on the text so far: markers and uncited identifiers wait for done" do
+    deltas = []
+
+    response = stream([ OutputEvent.new("Revisar el tablero principal.\n"), OutputEvent.new("Torque: DATA_NOT_AVAILABLE\n"),
+                        OutputEvent.new("Fin.") ], deltas)
+
+    assert_equal [ "Revisar el tablero principal.\n" ], deltas
+    assert_includes response.output.text, "DATA_NOT_AVAILABLE"
+
+    deltas.clear
+    stream([ OutputEvent.new("Colocar el puente en X3.\n") ], deltas)
+    assert_empty deltas
+
+    stream([ OutputEvent.new("Colocar el puente en X3.\n"), CitationEvent.new(citation("El puente va en X3.")) ], deltas)
+    assert_equal [ "Colocar el puente en X3.\n" ], deltas
+  end
+
+  test "holds back the canned no-results reply so it never reaches the browser" do
+    deltas = []
+
+    response = stream([ OutputEvent.new("Sorry, I am unable to assist "), OutputEvent.new("you with this request.") ], deltas)
+
+    assert_empty deltas
+    assert_equal "Sorry, I am unable to assist you with this request.", response.output.text
+  end
+
+  test "a short answer is released when the stream ends" do
+    deltas = []
+
+    stream([ OutputEvent.new("Revisar el tablero.") ], deltas)
+
+    assert_equal [ "Revisar el tablero." ], deltas
+  end
+
+  private
+
+  # Defaults to BedrockRagService's own guard.
+  def stream(events, deltas, releasable: nil)
+    unless releasable
+      service = BedrockRagService.allocate
+      service.instance_variable_set(:@citation_processor, Bedrock::CitationProcessor.new)
+      releasable = ->(text, citations) { service.send(:streamable_answer?, text, citations) }
+    end
+    generation = Bedrock::StreamedGeneration.new(on_delta: ->(text) { deltas << text }, releasable: releasable)
+    client = Object.new
+    client.define_singleton_method(:retrieve_and_generate_stream) do |_params, event_stream_handler:|
+      events.each { |event| generation.handle(event) }
+      Struct.new(:session_id).new("stream-session")
+    end
+
+    generation.call(client, { input: { text: "¿Cómo mido J3?" } })
+  end
+
+  def citation(content)
+    Citation.new([ Reference.new(Struct.new(:text).new(content), nil, {}) ])
+  end
+end
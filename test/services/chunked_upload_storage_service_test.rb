@@ -0,0 +1,53 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class ChunkedUploadStorageServiceTest < ActiveSupport::TestCase
+  class FakeS3Client
+    attr_reader :calls
+
+    def initialize
+      @calls = []
+    end
+
+    def create_multipart_upload(**params)
+      @calls << [ :create, params ]
+      Struct.new(:upload_id).new("multipart-1")
+    end
+
+    def upload_part(**params)
+      @calls << [ :part, params.except(:body) ]
+      Struct.new(:etag).new("\"etag-#{params[:part_number]}\"")
+    end
+
+    def complete_multipart_upload(**params)
+      @calls << [ :complete, params ]
+    end
+  end
+
+  setup do
+    @s3 = FakeS3Client.new
+    @service = ChunkedUploadStorageService.new(s3: @s3, bucket: "test-bucket")
+  end
+
+  test "keys are scoped by account and token and keep only the basename" do
+    assert_equal "chunked_uploads/7/tok/manual.pdf",
+                 @service.key_for(account_id: 7, token: "tok", filename: "../../manual.pdf")
+  end
+
+  test "assembles parts in part-number order" do
+    key = "chunked_uploads/7/tok/manual.pdf"
+    upload_id = @service.start(key: key, content_type: "application/pdf")
+    second = @service.upload_part(key: key, upload_id: upload_id, part_number: 2, body: "b")
+    first  = @service.upload_part(key: key, upload_id: upload_id, part_number: 1, body: "a")
+
+    @service.complete(key: key, upload_id: upload_id, parts: [
+      { "part_number" => 2, "etag" => second }, { "part_number" => 1, "etag" => first }
+    ])
+
+    _, params = @s3.calls.last
+    assert_equal "multipart-1", params[:upload_id]
+    assert_equal [ 1, 2 ], params[:multipart_upload][:parts].map { |part| part[:part_number] }
+    assert_equal "\"etag-1\"", params[:multipart_upload][:parts].first[:etag]
+  end
+end
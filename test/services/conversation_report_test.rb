@@ -0,0 +1,75 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class ConversationReportTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:one)
+    @session = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: @user.account_id)
+  end
+
+  test "lists questions, answers with their sources and photo diagnoses in the order the chat showed them" do
+    ConversationMessage.record(@session, role: "user", user_id: @user.id, correlation_id: "query:r1",
+                                         payload: { question: "¿Qué fusible protege el variador?" })
+    ConversationMessage.record(@session, role: "assistant", user_id: @user.id, correlation_id: "query:r1", payload: {
+      answer: "El fusible **F3** [1].",
+      response_locale: "es",
+      citations: [ { number: 1, title: "Manual TW1 — p. 46", page: 46, matched_excerpt: "F3 protege el variador." } ],
+      feedback: { rating: "down", reason: "wrong_page", at: "2026-10-01T10:00:00Z" }
+    })
+    ConversationMessage.record(@session, role: "user", user_id: @user.id, correlation_id: "photo:r2",
+                                         payload: { attachment: { type: "image", filename: "placa.jpg", preview_src: "data:image/jpeg;base64,AAAA" } })
+    ConversationMessage.record(@session, role: "photo", user_id: @user.id, correlation_id: "photo:r2", payload: {
+      summary: "Placa de control con el LED de falla encendido.", canonical_name: "Placa TW1",
+      filenames: [ "placa.jpg" ], thumbnail_url: "data:image/jpeg;base64,BBBB"
+    })
+
+    report = ConversationReport.new(session: @session, user: @user).as_json
+
+    assert_equal %w[question answer question photo_diagnosis], report[:entries].map { |entry| entry[:type] }
+    question, answer, photo_question, diagnosis = report[:entries]
+    assert_equal "¿Qué fusible protege el variador?", question[:text]
+    assert_equal "query:r1", answer[:correlation_id]
+    assert_equal [ { number: 1, document: "Manual TW1", page: 46, excerpt: "F3 protege el variador." } ], answer[:sources]
+    assert_equal({ "rating" => "down", "reason" => "wrong_page" }, answer[:feedback])
+    assert_equal [ "data:image/jpeg;base64,AAAA" ], photo_question.dig(:attachment, :photos)
+    assert_equal "Placa TW1", diagnosis[:equipment]
+    assert_equal [ "data:image/jpeg;base64,BBBB" ], diagnosis[:photos]
+    assert_equal [ { document: "Manual TW1", pages: [ 46 ] } ], report[:cited_documents]
+    assert_equal I18n.t("js.answer.verification_notice"), report[:verification_notice]
+    assert_equal @user.email, report.dig(:technician, :email)
+  end
+
+  test "leaves out other technicians' turns on a shared session" do
+    ConversationMessage.record(@session, role: "user", user_id: @user.id, payload: { question: "mía" })
+    ConversationMessage.record(@session, role: "user", user_id: users(:two).id, payload: { question: "ajena" })
+
+    report = ConversationReport.new(session: @session, user: @user).as_json
+
+    assert_equal [ "mía" ], report[:entries].map { |entry| entry[:text] }
+  end
+
+  test "an answer without numbered citations lists the consulted documents" do
+    ConversationMessage.record(@session, role: "assistant", user_id: @user.id,
+                                         payload: { answer: "Ver el manual.", consulted_documents: [ "Manual TW1" ] })
+
+    answer = ConversationReport.new(session: @session, user: @user).as_json[:entries].sole
+
+    assert_equal [ { number: nil, document: "Manual TW1", page: nil, excerpt: nil } ], answer[:sources]
+  end
+
+  test "without a session the report is empty rather than an error" do
+    report = ConversationReport.new(session: nil, user: @user).as_json
+
+    assert_empty report[:entries]
+    assert_nil report.dig(:session, :started_at)
+  end
+
+  test "source and feedback labels read the same in every export format" do
+    I18n.with_locale(:en) do
+      assert_equal "[2] Manual TW1 p. 46 — “Cut the power.”",
+        ConversationReport.source_label("number" => 2, "document" => "Manual TW1", "page" => 46, "excerpt" => "Cut the power.")
+      assert_equal "Marked as not useful: Wrong page", ConversationReport.feedback_label("rating" => "down", "reason" => "wrong_page")
+    end
+  end
+end
@@ -182,4 +182,18 @@ class CustomChunkingPipelineTest < ActiveSupport::TestCase
   ensure
     SubmitManualBatchJob.define_singleton_method(:perform_later, orig)
   end
+
+  test "the KbDocument it creates records the uploading technician" do
+    stub_long_pdf
+    orig = SubmitManualBatchJob.method(:perform_later)
+    SubmitManualBatchJob.define_singleton_method(:perform_later) { |**| nil }
+
+    CustomChunkingPipeline.new(
+      images: [], documents: [ long_pdf_doc ], account_id: @account.id, user_id: users(:one).id, document_uid: @document_uid
+    ).run!
+
+    assert_equal users(:one).id, KbDocument.find_by!(document_uid: @document_uid).uploaded_by_user_id
+  ensure
+    SubmitManualBatchJob.define_singleton_method(:perform_later, orig)
+  end
 end
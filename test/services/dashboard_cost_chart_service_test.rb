@@ -3,14 +3,17 @@
 require "test_helper"
 
 class DashboardCostChartServiceTest < ActiveSupport::TestCase
+  HAIKU = "us.anthropic.claude-haiku-4-5-20251001-v1:0"
+  TITAN = "amazon.titan-embed-text-v2:0"
+
   setup do
-    CostMetric.delete_all
+    @account = accounts(:legacy)
     @month = Date.new(2026, 5, 1)
   end
 
   test "returns all calendar days for the month" do
     result = I18n.with_locale(:es) do
-      DashboardCostChartService.new(month: @month).call
+      chart.call
     end
 
     assert_equal 31, result[:labels].length
@@ -20,11 +23,10 @@ class DashboardCostChartServiceTest < ActiveSupport::TestCase
   end
 
   test "includes only channels with positive cost in the month" do
-    CostMetric.create!(date: Date.new(2026, 5, 3), metric_type: :daily_cost_query, value: 0.05)
-    CostMetric.create!(date: Date.new(2026, 5, 10), metric_type: :daily_cost_embed, value: 0.01)
+    usage(Date.new(2026, 5, 3), model_id: HAIKU, source: :query)
+    usage(Date.new(2026, 5, 10), model_id: TITAN, source: :ingestion_embed)
 
-    result = DashboardCostChartService.new(month: @month).call
-    labels = result[:datasets].pluck(:label)
+    labels = chart.call[:datasets].pluck(:label)
 
     assert_includes labels, "Consultas (Bedrock Haiku)"
     assert_includes labels, "Embeddings (Titan)"
@@ -32,20 +34,158 @@ class DashboardCostChartServiceTest < ActiveSupport::TestCase
   end
 
   test "fills missing days with zero for active channels" do
-    CostMetric.create!(date: Date.new(2026, 5, 5), metric_type: :daily_cost_query, value: 0.12)
+    cost = usage(Date.new(2026, 5, 5), model_id: HAIKU, source: :query)
 
-    result = DashboardCostChartService.new(month: @month).call
-    query_series = result[:datasets].find { |d| d[:label] == "Consultas (Bedrock Haiku)" }
+    query_series = chart.call[:datasets].find { |d| d[:label] == "Consultas (Bedrock Haiku)" }
 
     assert_equal 31, query_series[:data].length
     assert_in_delta 0.0, query_series[:data][0]
-    assert_in_delta 0.12, query_series[:data][4]
+    assert_in_delta cost, query_series[:data][4], 0.0001
     assert_in_delta 0.0, query_series[:data][5]
   end
 
   test "returns empty datasets when month has no costs" do
-    result = DashboardCostChartService.new(month: @month).call
+    assert_empty chart.call[:datasets]
+  end
+
+  test "shows only the account's own usage, never another tenant's or the platform rollups" do
+    own = usage(Date.new(2026, 5, 3), model_id: HAIKU, source: :query)
+    usage(Date.new(2026, 5, 3), model_id: HAIKU, source: :query, input_tokens: 90_000, account: accounts(:climb))
+    usage(Date.new(2026, 5, 3), model_id: "claude-sonnet-4-6-batch", source: :ingestion_parse, route: "batch",
+                                attempt: 1, account: accounts(:climb))
+    CostMetric.create!(date: Date.new(2026, 5, 3), metric_type: :daily_cost_query, value: 12.5)
+
+    result = chart.call
+    query_series = result[:datasets].find { |d| d[:label] == "Consultas (Bedrock Haiku)" }
+
+    assert_equal [ "Consultas (Bedrock Haiku)" ], result[:datasets].pluck(:label)
+    assert_in_delta own, query_series[:data][2], 0.0001
+    assert_in_delta SaasCostModel.projected_cost(queries: 1, pages: 0, scenario: :expected), result[:projection].first[:data][2], 0.0001
+  end
+
+  test "groups a range by week and labels each bucket by its Monday" do
+    first  = usage(Date.new(2026, 5, 4), model_id: HAIKU, source: :query)
+    second = usage(Date.new(2026, 5, 9), model_id: HAIKU, source: :query)
+
+    result = I18n.with_locale(:es) do
+      chart(from: Date.new(2026, 5, 4), to: Date.new(2026, 5, 17), group_by: "week").call
+    end
+
+    assert_equal %w[2026-05-04 2026-05-11], result[:buckets]
+    assert_equal [ "Sem. 4 may", "Sem. 11 may" ], result[:labels]
+    assert_equal "4 may 2026 – 17 may 2026", result[:title]
+    assert_in_delta first + second, result[:datasets].first[:data][0], 0.0001
+  end
+
+  test "groups by month" do
+    result = chart(from: Date.new(2026, 4, 20), to: Date.new(2026, 6, 2), group_by: "month").call
+
+    assert_equal %w[2026-04-01 2026-05-01 2026-06-01], result[:buckets]
+  end
+
+  test "splits ingestion from query cost" do
+    query = usage(Date.new(2026, 5, 3), model_id: HAIKU, source: :query)
+    embed = usage(Date.new(2026, 5, 3), model_id: TITAN, source: :ingestion_embed, input_tokens: 50_000)
+    parse = usage(Date.new(2026, 5, 3), model_id: "claude-sonnet-4-6-batch", source: :ingestion_parse)
+
+    result = chart.call
+    query_split, ingestion_split = result[:split]
+
+    assert_equal %w[query ingestion], result[:split].pluck(:kind)
+    assert_in_delta query, query_split[:data][2], 0.0001
+    assert_in_delta embed + parse, ingestion_split[:data][2], 0.0001
+    assert_equal "query", result[:datasets].find { |d| d[:label] == "Consultas (Bedrock Haiku)" }[:kind]
+  end
+
+  test "projects the SaaS cost model from queries and first-attempt Batch pages" do
+    5.times { usage(Date.new(2026, 5, 3), model_id: HAIKU, source: :query) }
+    2.times do
+      usage(Date.new(2026, 5, 3), model_id: "claude-sonnet-4-6-batch", source: :ingestion_parse, route: "batch", attempt: 1)
+    end
+    usage(Date.new(2026, 5, 3), model_id: "claude-sonnet-4-6-batch", source: :ingestion_parse, route: "batch", attempt: 2)
+
+    expected, conservative = chart.call[:projection]
+
+    assert_in_delta SaasCostModel.projected_cost(queries: 5, pages: 2, scenario: :expected), expected[:data][2], 0.0001
+    assert_in_delta SaasCostModel.projected_cost(queries: 5, pages: 2, scenario: :conservative), conservative[:data][2], 0.0001
+    assert_in_delta 0.0, expected[:data][3]
+  end
+
+  test "exports the series of the chosen view as CSV" do
+    cost = usage(Date.new(2026, 5, 3), model_id: HAIKU, source: :query)
+
+    service = chart(from: Date.new(2026, 5, 1), to: Date.new(2026, 5, 3))
+    rows = CSV.parse(I18n.with_locale(:es) { service.to_csv(view: "split", projection: true) })
+
+    assert_equal [ "desde", "periodo", "Consultas", "Ingesta", "Modelo SaaS (esperado)", "Modelo SaaS (conservador)" ], rows.first
+    assert_equal 4, rows.length
+    assert_equal [ "2026-05-03", "3 may", cost.round(4).to_s, "0.0" ], rows.last.first(4)
+    assert_equal %w[Consultas Ingesta], service.export(view: "split")[:datasets].pluck(:label)
+  end
+
+  test "from_params orders a reversed range and caps its length" do
+    reversed = DashboardCostChartService.from_params({ from: "2026-05-10", to: "2026-05-01" }, account: @account).call
+    assert_equal [ "2026-05-01", "2026-05-10" ], reversed.values_at(:from, :to)
+
+    long = DashboardCostChartService.from_params({ from: "2020-01-01", to: "2026-05-31", group_by: "month" }, account: @account).call
+    assert_equal "2025-05-31", long[:from]
+    assert_equal "month", long[:group_by]
+  end
+
+  test "breakdown prices one account's bucket by user and by document" do
+    account = @account
+    user    = users(:one)
+    sha     = Digest::SHA256.hexdigest("arca")
+    manual  = KbDocument.create!(s3_key: "uploads/arca.pdf", display_name: "Orona ARCA II", account: account,
+                                 document_uid: SecureRandom.uuid)
+    WebManualBatch.create!(
+      s3_key: "uploads/arca.pdf", filename: "arca.pdf", sha256: sha,
+      ingestion_contract_version: BatchChunkingPrompt::INGESTION_CONTRACT_VERSION,
+      status: "complete", account_id: account.id, kb_document_id: manual.id
+    )
+    day = Time.zone.local(2026, 5, 3, 12)
+    query = BedrockQuery.create!(model_id: "us.anthropic.claude-haiku-4-5-20251001-v1:0", input_tokens: 1000,
+                                 output_tokens: 200, source: :query, account_id: account.id, user_id: user.id, created_at: day)
+    parse = BedrockQuery.create!(model_id: "claude-sonnet-4-6-batch", input_tokens: 5000, output_tokens: 800,
+                                 source: :ingestion_parse, account_id: account.id, user_id: user.id,
+                                 correlation_id: "ingest:#{sha[0, 12]}:p1", created_at: day)
+    orphan = BedrockQuery.create!(model_id: "claude-sonnet-4-6-batch", input_tokens: 100, output_tokens: 10,
+                                  source: :ingestion_parse, account_id: account.id, correlation_id: "ingest:000000000000",
+                                  created_at: day)
+    BedrockQuery.create!(model_id: "claude-sonnet-4-6-batch", input_tokens: 9000, output_tokens: 900,
+                         source: :ingestion_parse, account_id: accounts(:climb).id, created_at: day)
+    BedrockQuery.create!(model_id: "claude-sonnet-4-6-batch", input_tokens: 9000, output_tokens: 900,
+                         source: :ingestion_parse, account_id: account.id, created_at: day + 1.day)
+
+    result = chart.breakdown(Date.new(2026, 5, 3))
+
+    assert_in_delta query.cost + parse.cost + orphan.cost, result[:total_cost], 0.000001
+    assert_in_delta query.cost, result[:query_cost], 0.000001
+    users = result[:users].index_by { |row| row[:user_id] }
+    assert_equal user.email, users[user.id][:email]
+    assert_equal 1, users[user.id][:queries]
+    assert_in_delta parse.cost, users[user.id][:ingestion_cost], 0.000001
+    assert_in_delta orphan.cost, users[nil][:total_cost], 0.000001
+    assert_equal [ { kb_document_id: manual.id, name: "Orona ARCA II", ingestion_cost: parse.cost.round(6) } ], result[:documents]
+    assert_in_delta orphan.cost, result[:unattributed_document_cost], 0.000001
+  end
+
+  test "breakdown rejects a bucket outside the range" do
+    assert_raises(ArgumentError) do
+      chart.breakdown(Date.new(2026, 6, 1))
+    end
+  end
+
+  private
+
+  def chart(**options)
+    options = { month: @month } if options.empty?
+    DashboardCostChartService.new(account: @account, **options)
+  end
 
-    assert_empty result[:datasets]
+  # Records one priced call at noon of `day`; returns its cost.
+  def usage(day, model_id:, source:, account: @account, input_tokens: 1000, output_tokens: 200, **attributes)
+    BedrockQuery.create!(model_id: model_id, source: source, account_id: account.id, input_tokens: input_tokens,
+                         output_tokens: output_tokens, created_at: day.in_time_zone.change(hour: 12), **attributes).cost
   end
 end
@@ -64,6 +64,17 @@ class FieldPhotoAnalysisServiceTest < ActiveSupport::TestCase
     assert_operator result[:latency_ms], :>=, 0
   end
 
+  test "technician markup is named in the prompt so the diagnosis centres on it" do
+    client = FakeClient.new(VALID_JSON)
+    annotations = [ { "shape" => "arrow", "x" => 0.55, "y" => 0.72, "from_x" => 0.9, "from_y" => 0.9, "label" => "LED SPM" } ]
+
+    build_service(client: client, annotations: annotations).call
+
+    markup = client.kwargs[:user_content].find { |block| block[:type] == "text" && block[:text].start_with?("Technician markup") }
+    assert markup, "expected a technician markup block"
+    assert_includes markup[:text], %(1. Arrow pointing at x 0.55, y 0.72 — labelled "LED SPM")
+  end
+
   test "omits the absent-manual warning when the session has a pinned document" do
     session = ConversationSession.create!(
       identifier: "photo-manual",
@@ -119,7 +130,7 @@ class FieldPhotoAnalysisServiceTest < ActiveSupport::TestCase
 
   private
 
-  def build_service(client:, session: nil)
+  def build_service(client:, session: nil, annotations: [])
     FieldPhotoAnalysisService.new(
       binary: "jpeg",
       content_type: "image/jpeg",
@@ -129,6 +140,7 @@ class FieldPhotoAnalysisServiceTest < ActiveSupport::TestCase
       user_id: users(:one).id,
       conv_session_id: session&.id,
       correlation_id: "photo:test-123",
+      annotations: annotations,
       client: client
     )
   end
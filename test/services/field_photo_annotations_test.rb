@@ -0,0 +1,44 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class FieldPhotoAnnotationsTest < ActiveSupport::TestCase
+  test "normalize keeps known shapes with numeric coordinates, clamped and rounded" do
+    regions = FieldPhotoAnnotations.normalize([
+      { "shape" => "circle", "x" => "0.12345", "y" => -0.2, "width" => 0.3, "height" => 0.4, "label" => "" },
+      { "shape" => "arrow", "x" => 0.5, "y" => 0.5, "from_x" => 0.9 },
+      { "shape" => "polygon", "x" => 0.1, "y" => 0.1 },
+      "not a region"
+    ])
+
+    assert_equal [ { "shape" => "circle", "x" => 0.123, "y" => 0.0, "width" => 0.3, "height" => 0.4 } ], regions
+  end
+
+  test "normalize caps the region count and the label length" do
+    raw = Array.new(12) { { shape: "arrow", x: 0.1, y: 0.2, from_x: 0.3, from_y: 0.4, label: "x" * 100 } }
+
+    regions = FieldPhotoAnnotations.normalize(raw)
+
+    assert_equal FieldPhotoAnnotations::MAX_REGIONS, regions.size
+    assert_equal FieldPhotoAnnotations::MAX_LABEL_LENGTH, regions.first["label"].length
+  end
+
+  test "normalize accepts request parameters" do
+    params = ActionController::Parameters.new(
+      annotations: [ { shape: "circle", x: "0.1", y: "0.2", width: "0.3", height: "0.3", label: "K3" } ]
+    )
+
+    assert_equal "K3", FieldPhotoAnnotations.normalize(params[:annotations]).first["label"]
+  end
+
+  test "prompt_text lists each region and is nil without markup" do
+    text = FieldPhotoAnnotations.prompt_text([
+      { "shape" => "circle", "x" => 0.4, "y" => 0.3, "width" => 0.2, "height" => 0.1, "label" => "relé K3" },
+      { "shape" => "arrow", "x" => 0.55, "y" => 0.72, "from_x" => 0.9, "from_y" => 0.9 }
+    ])
+
+    assert_includes text, %(1. Circle around x 0.40–0.60, y 0.30–0.40 — labelled "relé K3")
+    assert_includes text, "2. Arrow pointing at x 0.55, y 0.72"
+    assert_nil FieldPhotoAnnotations.prompt_text([])
+  end
+end
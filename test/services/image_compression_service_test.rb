@@ -45,6 +45,17 @@ class ImageCompressionServiceTest < ActiveSupport::TestCase
     skip "Manual integration test: Upload a large JPEG (>500KB) via UI to verify compression"
   end
 
+  test "HEIC/HEIF is always converted to JPEG, even under the size limit" do
+    # vips sniffs the bytes, so a small JPEG labelled HEIC exercises the
+    # conversion path without a libheif encoder in the test environment.
+    img_base64 = create_test_image_base64(120, 80)
+
+    result = ImageCompressionService.compress(img_base64, "image/heic")
+
+    assert_equal "image/jpeg", result[:media_type]
+    assert result[:binary].start_with?("\xFF\xD8".b)
+  end
+
   # ── compress_with_thumbnail ────────────────────────────────────────────────
 
   test "compress_with_thumbnail returns thumbnail keys" do
@@ -74,6 +85,16 @@ class ImageCompressionServiceTest < ActiveSupport::TestCase
     assert_operator result[:thumbnail_width], :<=, ImageCompressionService::THUMB_MAX_WIDTH
   end
 
+  test "compress_with_thumbnail honours EXIF orientation" do
+    image = Vips::Image.black(200, 100).copy
+    image.set_type(GObject::GINT_TYPE, "orientation", 6)
+    img_base64 = Base64.strict_encode64(image.write_to_buffer(".jpg"))
+
+    result = ImageCompressionService.compress_with_thumbnail(img_base64, "image/jpeg")
+
+    assert_operator result[:thumbnail_height], :>, result[:thumbnail_width]
+  end
+
   test "compress_with_thumbnail still returns main compressed image" do
     img_base64 = create_test_image_base64(200, 150)
     result = ImageCompressionService.compress_with_thumbnail(img_base64, "image/jpeg")
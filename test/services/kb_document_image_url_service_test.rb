@@ -96,6 +96,36 @@ class KbDocumentImageUrlServiceTest < ActiveSupport::TestCase
     assert_nil map[pdf]
   end
 
+  test "call_many signs only the account's documents" do
+    own = create_doc('uploads/2026-04-30/own.jpg', 'own')
+    other = KbDocument.create!(s3_key: 'uploads/2026-04-30/other.jpg', display_name: 'other', aliases: [], account: accounts(:climb))
+
+    map = @svc.call_many([ own, other ])
+
+    assert_match(/X-Amz-Signature=/, map[own])
+    assert_nil map[other]
+    assert_equal 1, @fake.calls.size
+  end
+
+  test "source_url signs PDFs inline with an explicit content type" do
+    pdf = create_doc('uploads/2026-04-30/manual.pdf', 'manual')
+
+    assert_match(/X-Amz-Signature=/, @svc.source_url(pdf))
+    opts = @fake.calls.first[:opts]
+    assert_equal 'inline',          opts[:response_content_disposition]
+    assert_equal 'application/pdf', opts[:response_content_type]
+  end
+
+  test "source_url signs images like call and skips other types" do
+    img  = create_doc('uploads/2026-04-30/photo.jpg', 'photo')
+    docx = create_doc('uploads/2026-04-30/notes.docx', 'notes')
+
+    assert_match(/X-Amz-Signature=/, @svc.source_url(img))
+    assert_nil @fake.calls.first[:opts][:response_content_type]
+    assert_nil @svc.source_url(docx)
+    assert_equal 1, @fake.calls.size
+  end
+
   # ─── Per-hour Solid Cache caching of presigned URLs ──────────────────────────
 
   test "two calls within the same UTC hour return the same URL and call presigner once" do
@@ -54,6 +54,81 @@ class KbSyncBroadcasterTest < ActiveSupport::TestCase
     end
   end
 
+  test "account-scoped events carry the sequence_id of their recorded KbSyncEvent" do
+    channel = KbSyncBroadcaster.channel_for(accounts(:legacy).id)
+
+    messages = capture_broadcasts(channel) do
+      KbSyncBroadcaster.failed(filenames: [ "doc.txt" ], account_id: accounts(:legacy).id)
+    end
+
+    event = KbSyncEvent.find(messages.first["sequence_id"])
+    assert_equal accounts(:legacy).id, event.account_id
+    assert_equal "failed", event.status
+  end
+
+  test "unscoped events are broadcast without a sequence_id" do
+    messages = capture_broadcasts("kb_sync") do
+      KbSyncBroadcaster.failed(filenames: [ "doc.txt" ])
+    end
+
+    assert_not messages.first.key?("sequence_id")
+  end
+
+  test ".progress broadcasts the stage live without recording it" do
+    channel = KbSyncBroadcaster.channel_for(accounts(:legacy).id)
+
+    messages = nil
+    assert_no_difference -> { KbSyncEvent.count } do
+      messages = capture_broadcasts(channel) do
+        KbSyncBroadcaster.progress(filenames: [ "arca.pdf" ], stage: "batch", account_id: accounts(:legacy).id,
+                                   pages_done: 40, pages_total: 200, eta_seconds: 600)
+      end
+    end
+
+    payload = messages.first
+    assert_equal "progress", payload["status"]
+    assert_equal "batch", payload["stage"]
+    assert_equal [ 40, 200, 600, 0 ], payload.values_at("pages_done", "pages_total", "eta_seconds", "retries")
+    assert_not payload.key?("sequence_id")
+  end
+
+  test ".progress skips the unscoped channel and refuses an unknown stage" do
+    assert_no_broadcasts("kb_sync") do
+      KbSyncBroadcaster.progress(filenames: [ "arca.pdf" ], stage: "embedding")
+    end
+    assert_raises(ArgumentError) do
+      KbSyncBroadcaster.progress(filenames: [ "arca.pdf" ], stage: "thinking", account_id: accounts(:legacy).id)
+    end
+  end
+
+  test "events about a tracked upload carry its correlation_id by filename" do
+    channel = KbSyncBroadcaster.channel_for(accounts(:legacy).id)
+
+    with_memory_cache do
+      KbSyncBroadcaster.track_upload(account_id: accounts(:legacy).id, filenames: [ "manual.pdf" ], correlation_id: "req-1")
+      KbSyncBroadcaster.track_upload(account_id: accounts(:climb).id, filenames: [ "other.pdf" ], correlation_id: "req-2")
+
+      messages = capture_broadcasts(channel) do
+        KbSyncBroadcaster.failed(filenames: [ "manual.pdf", "other.pdf" ], account_id: accounts(:legacy).id)
+      end
+
+      assert_equal({ "manual.pdf" => "req-1" }, messages.first["correlation_ids"])
+      assert_equal({ "manual.pdf" => "req-1" }, KbSyncEvent.find(messages.first["sequence_id"]).payload["correlation_ids"])
+    end
+  end
+
+  test "events about untracked files carry no correlation_ids" do
+    channel = KbSyncBroadcaster.channel_for(accounts(:legacy).id)
+
+    with_memory_cache do
+      messages = capture_broadcasts(channel) do
+        KbSyncBroadcaster.failed(filenames: [ "doc.txt" ], account_id: accounts(:legacy).id)
+      end
+
+      assert_not messages.first.key?("correlation_ids")
+    end
+  end
+
   test ".retrying broadcasts Spanish message when locale='es'" do
     messages = capture_broadcasts("kb_sync") do
       KbSyncBroadcaster.retrying(filenames: [ "doc.txt" ], attempt: 1, delay: 5, locale: "es")
@@ -146,4 +221,14 @@ class KbSyncBroadcasterTest < ActiveSupport::TestCase
     assert_nil messages.first["field_photo_id"]
     assert_nil messages.first["thumbnail_url"]
   end
+
+  private
+
+  def with_memory_cache
+    original = Rails.cache
+    Rails.cache = ActiveSupport::Cache::MemoryStore.new
+    yield
+  ensure
+    Rails.cache = original
+  end
 end
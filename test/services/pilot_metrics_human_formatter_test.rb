@@ -23,6 +23,10 @@ class PilotMetricsHumanFormatterTest < ActiveSupport::TestCase
     assert_match(/Failures: 1/, output)
     assert_match(/corr-7 · route rag_filtered · stage generation · error StandardError/, output)
 
+    assert_match(/== Answer feedback ==/, output)
+    assert_match(/Rated answers: 3   Ratings: up=2, down=1/, output)
+    assert_match(/query:c1 · route text · wrong_page/, output)
+
     assert_match(/== Repeat usage ==/, output)
     assert_match(/Users with 2\+ active days: 1/, output)
 
@@ -56,6 +60,7 @@ class PilotMetricsHumanFormatterTest < ActiveSupport::TestCase
 
     assert_match(/usage_log: logs_not_provided/, output)
     assert_match(/== Interactions ==\nstatus: logs_not_available/, output)
+    assert_match(/== Answer feedback ==\nstatus: logs_not_available/, output)
     assert_match(/== Evidence route summary ==\nstatus: logs_not_available/, output)
     assert_match(/== Repeat usage ==\nstatus: logs_not_available/, output)
     assert_match(/== Evidence quality ==\nstatus: logs_not_available/, output)
@@ -139,6 +144,12 @@ class PilotMetricsHumanFormatterTest < ActiveSupport::TestCase
         top_repeated_questions: [ { user_id: 12, question_sha256: "abc1234567890", count: 3 } ],
         failures: [ { correlation_id: "corr-7", route: "rag_filtered", stage: "generation", error_class: "StandardError" } ]
       },
+      answer_feedback: {
+        status: "available", rated_answers: 3,
+        by_rating: { "up" => 2, "down" => 1 },
+        by_reason: { "wrong_board" => 0, "wrong_page" => 1, "unsafe" => 0, "outdated" => 0, "not_found" => 0 },
+        complaints: [ { correlation_id: "query:c1", route: "text", reason: "wrong_page" } ]
+      },
       adoption_signals: {
         active_users: 3, active_accounts: 2, sessions: 4,
         user_messages: 10, assistant_messages: 9, rag_llm_calls: 3, photo_requests: 3
@@ -184,6 +195,7 @@ class PilotMetricsHumanFormatterTest < ActiveSupport::TestCase
         per_account: []
       },
       interactions: { status: "logs_not_available" },
+      answer_feedback: { status: "logs_not_available" },
       adoption_signals: { active_users: 1, active_accounts: 1, sessions: 1, user_messages: 1, assistant_messages: 1, rag_llm_calls: 1, photo_requests: 0 },
       repeat_usage: { status: "logs_not_available" },
       evidence_quality: { status: "logs_not_available", records: nil },
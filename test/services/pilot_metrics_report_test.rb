@@ -548,6 +548,47 @@ class PilotMetricsReportTest < ActiveSupport::TestCase
     end
   end
 
+  test "answer_feedback keeps the latest rating per answer and joins it to the interaction row" do
+    travel_to @now do
+      file = Tempfile.new("pilot-feedback")
+      [
+        { event: "interaction_completed", ts: @now.iso8601, correlation_id: "query:rated",
+          account_id: @a1.account_id, user_id: @a1.id, outcome: "answered", route: "text" },
+        { event: "interaction_completed", ts: @now.iso8601, correlation_id: "query:liked",
+          account_id: @a1.account_id, user_id: @a1.id, outcome: "answered", route: "text" },
+        { event: "answer_feedback", ts: (@now + 1.minute).iso8601, correlation_id: "query:rated",
+          account_id: @a1.account_id, user_id: @a1.id, route: "text", rating: "up" },
+        { event: "answer_feedback", ts: (@now + 2.minutes).iso8601, correlation_id: "query:rated",
+          account_id: @a1.account_id, user_id: @a1.id, route: "text", rating: "down", feedback_reason: "wrong_page" },
+        { event: "answer_feedback", ts: (@now + 3.minutes).iso8601, correlation_id: "query:liked",
+          account_id: @a1.account_id, user_id: @a1.id, route: "text", rating: "up" }
+      ].each { |event| file.puts("[PILOT_USAGE] #{JSON.generate(event)}") }
+      file.flush
+
+      report = PilotMetricsReport.new(date: @date, usage_log_path: file.path).as_json
+      feedback = report[:answer_feedback]
+      rows = report.dig(:interactions, :by_correlation).index_by { |row| row[:correlation_id] }
+
+      assert_equal 2, feedback[:rated_answers]
+      assert_equal({ "up" => 1, "down" => 1 }, feedback[:by_rating])
+      assert_equal 1, feedback[:by_reason]["wrong_page"]
+      assert_equal 0, feedback[:by_reason]["unsafe"]
+      assert_equal [ "query:rated" ], feedback[:complaints].map { |complaint| complaint[:correlation_id] }
+      assert_equal "wrong_page", feedback[:complaints].sole[:reason]
+      assert_equal [ "down", "wrong_page" ], rows["query:rated"].values_at(:feedback_rating, :feedback_reason)
+      assert_equal [ "up", nil ], rows["query:liked"].values_at(:feedback_rating, :feedback_reason)
+      assert_nil rows["query:rated"][:correct_answer]
+
+      file.close!
+    end
+  end
+
+  test "answer_feedback returns logs_not_available when nobody rated an answer" do
+    travel_to @now do
+      assert_equal({ status: "logs_not_available" }, PilotMetricsReport.new(date: @date).as_json[:answer_feedback])
+    end
+  end
+
   test "cost authority reports pending partial and reconciled UTC-day states without changing estimates" do
     travel_to @now do
       create_call(
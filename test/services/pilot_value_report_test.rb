@@ -50,4 +50,30 @@ class PilotValueReportTest < ActiveSupport::TestCase
     assert_equal "available", value.dig(:precision_and_safety, :verification_status)
     assert_equal 2, value.dig(:precision_and_safety, :reviewed_interactions)
   end
+
+  test "field feedback joins thumbs-down complaints to what the interaction cited" do
+    rated = Marshal.load(Marshal.dump(@report))
+    interaction = rated.dig("interactions", "by_correlation").find { |row| row["outcome"] == "answered" }
+    rated["answer_feedback"] = {
+      "status" => "available",
+      "rated_answers" => 4,
+      "by_rating" => { "up" => 3, "down" => 1 },
+      "by_reason" => { "wrong_board" => 0, "wrong_page" => 1, "unsafe" => 0, "outdated" => 0, "not_found" => 0 },
+      "complaints" => [ { "correlation_id" => interaction["correlation_id"], "reason" => "wrong_page", "route" => "text" } ]
+    }
+
+    feedback = PilotValueReport.new(rated).as_json[:field_feedback]
+
+    assert_equal 1, feedback[:thumbs_down]
+    assert_equal 0.25, feedback[:thumbs_down_rate]
+    assert_equal 1, feedback.dig(:by_reason, "wrong_page")
+    complaint = feedback[:complaints].sole
+    assert_equal "wrong_page", complaint[:reason]
+    assert_equal "answered", complaint[:outcome]
+    assert_equal PilotValueReport.new(rated).send(:interaction_documents, interaction), complaint[:documents]
+  end
+
+  test "field feedback is reported unavailable rather than as a zero rate" do
+    assert_equal({ status: "logs_not_available" }, PilotValueReport.new(@report).as_json[:field_feedback])
+  end
 end
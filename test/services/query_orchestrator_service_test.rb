@@ -50,6 +50,43 @@ class QueryOrchestratorServiceTest < ActiveSupport::TestCase
     BedrockRagService.define_method(:query, orig_rag)
   end
 
+  test "technician markup on the photo travels to the analysis job as normalized regions" do
+    image = {
+      data: Base64.strict_encode64("xx"), media_type: "image/jpeg", filename: "board.jpg",
+      annotations: [
+        { shape: "circle", x: 0.2, y: 0.3, width: 0.25, height: 1.4, label: "  relé   K3 " },
+        { shape: "scribble", x: 0.5, y: 0.5 }
+      ]
+    }
+
+    QueryOrchestratorService.new("¿Qué es esto?", images: [ image ]).execute
+
+    args = enqueued_jobs.find { |job| job[:job] == FieldPhotoAnalysisJob }[:args].first
+    assert_equal(
+      [ { "shape" => "circle", "x" => 0.2, "y" => 0.3, "width" => 0.25, "height" => 1.0, "label" => "relé K3" } ],
+      args["annotations"].map { |region| region.except("_aj_symbol_keys") }
+    )
+  end
+
+  test "several photos of one fault enqueue one analysis with the rest as companions" do
+    images = %w[wide close1 close2 close3 extra].map do |name|
+      { data: Base64.strict_encode64(name), media_type: "image/jpeg", filename: "#{name}.jpg" }
+    end
+
+    result = QueryOrchestratorService.new("¿Qué falla?", images: images).execute
+
+    assert_equal %w[wide.jpg close1.jpg close2.jpg close3.jpg], result[:images_uploaded]
+    photo_jobs = enqueued_jobs.select { |job| job[:job] == FieldPhotoAnalysisJob }
+    assert_equal 1, photo_jobs.size
+    args = photo_jobs.first[:args].first
+    assert_equal "wide.jpg", args["filename"]
+    companions = args["companions"]
+    assert_equal %w[close1.jpg close2.jpg close3.jpg], companions.pluck("filename")
+    assert_equal Digest::SHA256.hexdigest("close1"), companions.first["image_sha256"]
+    assert companions.all? { |companion| companion["image_token"].present? }
+    assert_not_includes args.to_json, Base64.strict_encode64("close1")
+  end
+
   test "image with blank query returns images_uploaded" do
     image = { data: Base64.strict_encode64("xx"), media_type: "image/jpeg", filename: "scan.jpg" }
 
@@ -248,6 +285,26 @@ class QueryOrchestratorServiceTest < ActiveSupport::TestCase
     BedrockRagService.define_method(:query, orig_rag)
   end
 
+  test "document upload returns its correlation_id and tracks the file for KbSync events" do
+    tracked = nil
+    original_track = KbSyncBroadcaster.method(:track_upload)
+    KbSyncBroadcaster.define_singleton_method(:track_upload) { |**kwargs| tracked = kwargs }
+
+    doc = { data: Base64.strict_encode64("pdf"), media_type: "application/pdf", filename: "manual.pdf" }
+
+    result = QueryOrchestratorService.new(
+      "",
+      documents:      [ doc ],
+      account:        accounts(:legacy),
+      correlation_id: "query:abc"
+    ).execute
+
+    assert_equal "query:abc", result[:correlation_id]
+    assert_equal({ account_id: accounts(:legacy).id, filenames: [ "manual.pdf" ], correlation_id: "query:abc" }, tracked)
+  ensure
+    KbSyncBroadcaster.define_singleton_method(:track_upload, original_track)
+  end
+
   test "document with non-blank query returns RAG answer and upload status metadata" do
     rag_called = false
     orig_rag = BedrockRagService.instance_method(:query)
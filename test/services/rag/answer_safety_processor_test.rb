@@ -23,6 +23,18 @@ class Rag::AnswerSafetyProcessorTest < ActiveSupport::TestCase
     assert_equal 2, rendered.scan(t("requires_field_verification")).size
   end
 
+  test "streamable only while the text so far passes unchanged against the evidence cited so far" do
+    evidence = [ { content: "El puente va en X3 durante la prueba." } ]
+
+    assert processor.streamable?("Cortar la energia del tablero.\n", evidence: [])
+    assert processor.streamable?("Colocar el puente en X3.\n", evidence: evidence)
+    assert_not processor.streamable?("Colocar el puente en X3.\n", evidence: [])
+    assert_not processor.streamable?("Colocar el puente en X7.\n", evidence: evidence)
+    assert_not processor.streamable?("Torque: DATA_NOT_AVAILABLE\n", evidence: evidence)
+    assert_not processor.streamable?("Listo.\n<DOC_REFS>\n", evidence: evidence)
+    assert_not processor.streamable?("**Pasos:**\n", evidence: evidence)
+  end
+
   test "ignores legacy citation values that do not carry chunk content" do
     assert_equal "Test answer", processor.call("Test answer", evidence: [ "manual.pdf" ])
   end
@@ -0,0 +1,37 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class Rag::AnswerStreamEventsTest < ActiveSupport::TestCase
+  test "a finished answer is not re-sliced into deltas" do
+    events = Rag::AnswerStreamEvents.call({ status: "success", answer: "Medir 24 V en J3." })
+
+    assert_equal [ "done" ], events.map(&:first)
+  end
+
+  test "trailing events precede done and done carries the payload unchanged" do
+    payload = {
+      status: "success",
+      answer: "Revisar J3.",
+      citations: [ { number: 1, filename: "manual.pdf" } ],
+      resolution: { mode: "direct" },
+      quick_replies: [],
+      correlation_id: "query:abc"
+    }
+
+    names = Rag::AnswerStreamEvents.call(payload).map(&:first)
+
+    assert_equal %w[citations resolution done], names
+    assert_same payload, Rag::AnswerStreamEvents.call(payload).last.last
+  end
+
+  test "an error payload becomes a single error event with its HTTP status" do
+    events = Rag::AnswerStreamEvents.call({ status: "error", message: "Question cannot be empty" }, status: :bad_request)
+
+    assert_equal 1, events.size
+    name, data = events.first
+    assert_equal "error", name
+    assert_equal 400, data[:http_status]
+    assert_equal "Question cannot be empty", data[:message]
+  end
+end
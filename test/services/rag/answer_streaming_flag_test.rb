@@ -0,0 +1,24 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class Rag::AnswerStreamingFlagTest < ActiveSupport::TestCase
+  test "is disabled by default" do
+    with_flag(nil) { assert_not Rag::AnswerStreamingFlag.enabled? }
+  end
+
+  test "is enabled only by the exact true value" do
+    with_flag("true") { assert Rag::AnswerStreamingFlag.enabled? }
+    with_flag("1") { assert_not Rag::AnswerStreamingFlag.enabled? }
+  end
+
+  private
+
+  def with_flag(value)
+    original = ENV.fetch("RAG_ANSWER_STREAMING_ENABLED", nil)
+    value.nil? ? ENV.delete("RAG_ANSWER_STREAMING_ENABLED") : ENV["RAG_ANSWER_STREAMING_ENABLED"] = value
+    yield
+  ensure
+    original.nil? ? ENV.delete("RAG_ANSWER_STREAMING_ENABLED") : ENV["RAG_ANSWER_STREAMING_ENABLED"] = original
+  end
+end
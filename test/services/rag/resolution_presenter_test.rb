@@ -40,6 +40,44 @@ class Rag::ResolutionPresenterTest < ActiveSupport::TestCase
     assert_equal visible.except(:evidence_cards), hidden.except(:evidence_cards)
   end
 
+  test "asks for page thumbnails only while sources are visible" do
+    analysis = Rag::QueryEntities.analyze("¿A qué serie corresponde el LED SPM?")
+    selection = selection_for(
+      mode: :ambiguous,
+      contexts: [
+        context(label: "HIDRA — TPR50", section: "CARLOS SILVA", page: 9, target: "https://example.test/manual.pdf#page=9"),
+        context(label: "SISTEL — TWISTER", section: "SISTEL", page: 89, target: "https://example.test/manual.pdf#page=89")
+      ]
+    )
+    asked = []
+    thumbnail_urls = lambda do |contexts|
+      asked << contexts.map(&:page_number)
+      [ "https://example.test/page-#{contexts.first.page_number}.png", nil ]
+    end
+    build = lambda do |sources_visible, lookup = thumbnail_urls|
+      Rag::ResolutionPresenter.new(
+        selection: selection,
+        analysis: analysis,
+        question: analysis.question,
+        sources_visible: sources_visible,
+        thumbnail_urls: lookup
+      ).call
+    end
+
+    visible = build.call(true)
+    assert_equal "https://example.test/page-9.png", visible[:evidence_cards].first[:thumbnail_url]
+    assert_nil visible[:evidence_cards].second[:thumbnail_url]
+    assert_equal [ [ 9, 89 ] ], asked, "one batched lookup for every card"
+
+    asked.clear
+    hidden = build.call(false)
+    assert hidden[:evidence_cards].all? { |card| card[:thumbnail_url].nil? }
+    assert_empty asked
+
+    failed = build.call(true, ->(_contexts) { raise "presign failed" })
+    assert failed[:evidence_cards].all? { |card| card[:thumbnail_url].nil? }
+  end
+
   test "maps insufficient rejection reasons without declaring a global absence" do
     analysis = Rag::QueryEntities.analyze("¿A qué serie corresponde el LED ZK5?")
     rejection = Rag::EvidenceSelection::Rejection.new(
@@ -344,6 +344,19 @@ class S3DocumentsServiceTest < ActiveSupport::TestCase
     end
   end
 
+  test 'delete_keys removes exactly the given keys without listing a prefix' do
+    with_fake_s3_client do |fake|
+      fake.objects = [ make_s3_object(key: 'uploads/7/manual.pdf.bak', size: 100) ]
+
+      service = S3DocumentsService.new
+      assert_equal 2, service.delete_keys([ 'uploads/7/manual.pdf', 'uploads/7/manual.pdf.metadata.json', nil ])
+      assert_equal [
+        { key: 'uploads/7/manual.pdf' },
+        { key: 'uploads/7/manual.pdf.metadata.json' }
+      ], fake.deleted
+    end
+  end
+
   # ============================================
   # list_keys
   # ============================================
@@ -0,0 +1,56 @@
+# frozen_string_literal: true
+
+require 'test_helper'
+
+class SpeechTranscriptionServiceTest < ActiveSupport::TestCase
+  class RecordingProvider
+    attr_reader :calls
+
+    def initialize(text)
+      @text = text
+      @calls = []
+    end
+
+    def transcribe(**kwargs)
+      @calls << kwargs
+      @text
+    end
+  end
+
+  test 'passes the bare media type and a two-letter language hint to the provider' do
+    provider = RecordingProvider.new("  Cortar   la energía\n")
+
+    text = SpeechTranscriptionService.new(provider: provider)
+                                     .call(audio: 'clip', content_type: 'audio/webm;codecs=opus', locale: 'es-AR')
+
+    assert_equal 'Cortar la energía', text
+    assert_equal({ audio: 'clip', content_type: 'audio/webm', language: 'es' }, provider.calls.first)
+  end
+
+  test 'rejects empty, oversized and non-audio clips before calling the provider' do
+    provider = RecordingProvider.new('x')
+    service = SpeechTranscriptionService.new(provider: provider)
+
+    assert_raises(SpeechTranscriptionService::TranscriptionError) { service.call(audio: '', content_type: 'audio/webm') }
+    assert_raises(SpeechTranscriptionService::TranscriptionError) do
+      service.call(audio: 'a' * (SpeechTranscriptionService::MAX_AUDIO_BYTES + 1), content_type: 'audio/webm')
+    end
+    assert_raises(SpeechTranscriptionService::TranscriptionError) { service.call(audio: 'clip', content_type: 'video/mp4') }
+    assert_empty provider.calls
+  end
+
+  test 'is disabled unless SPEECH_TRANSCRIPTION_PROVIDER names a known provider' do
+    original = ENV.fetch('SPEECH_TRANSCRIPTION_PROVIDER', nil)
+
+    ENV['SPEECH_TRANSCRIPTION_PROVIDER'] = 'whatever'
+    assert_not SpeechTranscriptionService.enabled?
+    assert_raises(SpeechTranscriptionService::Unavailable) do
+      SpeechTranscriptionService.new.call(audio: 'clip', content_type: 'audio/webm')
+    end
+
+    ENV['SPEECH_TRANSCRIPTION_PROVIDER'] = 'Stub'
+    assert SpeechTranscriptionService.enabled?
+  ensure
+    original.nil? ? ENV.delete('SPEECH_TRANSCRIPTION_PROVIDER') : ENV['SPEECH_TRANSCRIPTION_PROVIDER'] = original
+  end
+end
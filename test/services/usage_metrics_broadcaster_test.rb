@@ -0,0 +1,61 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class UsageMetricsBroadcasterTest < ActiveSupport::TestCase
+  include ActionCable::TestHelper
+
+  setup do
+    CostMetric.delete_all
+  end
+
+  test "pushes the row and the day's footer totals to the row's account" do
+    earlier = BedrockQuery.create!(model_id: "us.anthropic.claude-haiku-4-5-20251001-v1:0", input_tokens: 500,
+                                   output_tokens: 100, source: :query, account_id: accounts(:legacy).id)
+    query = BedrockQuery.create!(model_id: "us.anthropic.claude-haiku-4-5-20251001-v1:0", input_tokens: 1000,
+                                 output_tokens: 200, latency_ms: 2300, source: :query, correlation_id: "ask-1",
+                                 account_id: accounts(:legacy).id, user_id: users(:one).id)
+
+    messages = capture_broadcasts(UsageMetricsBroadcaster.channel_for(accounts(:legacy).id)) do
+      UsageMetricsBroadcaster.broadcast(query)
+    end
+
+    assert_equal 1, messages.size
+    usage = messages.first["usage"]
+    assert_equal "ask-1", usage["correlation_id"]
+    assert_equal users(:one).id, usage["user_id"]
+    assert_equal "query", usage["source"]
+    assert_equal "bedrock_rag", usage["channel"]
+    assert_equal [ 1000, 200, 2300 ], usage.values_at("input_tokens", "output_tokens", "latency_ms")
+    assert_in_delta query.cost, usage["cost"], 0.000001
+
+    daily = messages.first["daily"].index_by { |row| row["key"] }
+    assert_in_delta earlier.cost + query.cost, daily["today_cost_query"]["cost"], 0.000001
+    assert_equal 1800, daily["total"]["tokens"]
+    assert_equal UsageMetricsHelper::DAILY_USAGE_CHANNELS.size + 1, daily.size
+  end
+
+  test "the day's totals never include other accounts or the platform rollups" do
+    CostMetric.create!(date: Date.current, metric_type: :daily_cost, value: 5)
+    BedrockQuery.create!(model_id: "us.anthropic.claude-haiku-4-5-20251001-v1:0", input_tokens: 90_000,
+                         output_tokens: 9_000, source: :query, account_id: accounts(:climb).id)
+    query = BedrockQuery.create!(model_id: "us.anthropic.claude-haiku-4-5-20251001-v1:0", input_tokens: 100,
+                                 output_tokens: 50, source: :query, account_id: accounts(:legacy).id)
+
+    messages = capture_broadcasts(UsageMetricsBroadcaster.channel_for(accounts(:legacy).id)) do
+      UsageMetricsBroadcaster.broadcast(query)
+    end
+
+    total = messages.first["daily"].find { |row| row["key"] == "total" }
+    assert_equal 150, total["tokens"]
+    assert_in_delta query.cost, total["cost"], 0.000001
+  end
+
+  test "does not push rows without an account" do
+    query = BedrockQuery.create!(model_id: "amazon.titan-embed-text-v2:0", input_tokens: 10, output_tokens: 0,
+                                 source: :ingestion_embed)
+
+    assert_nil UsageMetricsBroadcaster.broadcast(query)
+    assert_no_broadcasts UsageMetricsBroadcaster.channel_for(nil)
+  end
+end
@@ -0,0 +1,126 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Gallery, zoom and focus handling in image_lightbox_controller.js. The
+# gallery is injected into the home page with canvas-generated images, the
+# same openers the KB list renders, so nothing is fetched.
+class ImageLightboxTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "arrows and swipes walk through the gallery the opener belongs to" do
+    inject_gallery
+    find("#gallery-opener-2").click
+
+    assert_selector "[data-lightbox-caption]", text: "Foto 2 · 2 de 3"
+    send_keys :arrow_right
+    assert_selector "[data-lightbox-caption]", text: "Foto 3 · 3 de 3"
+    find("[data-lightbox-next]").click
+    assert_selector "[data-lightbox-caption]", text: "Foto 1 · 1 de 3"
+
+    swipe(from: 0.8, to: 0.2)
+    assert_selector "[data-lightbox-caption]", text: "Foto 2 · 2 de 3"
+  end
+
+  test "double tap zooms in at the tapped point and again returns to fit" do
+    inject_gallery
+    find("#gallery-opener-1").click
+
+    2.times { tap_stage }
+    assert_selector "[data-lightbox-stage][data-zoomed='true']"
+    assert_includes find("[data-lightbox-img]", visible: :all)[:style], "scale(2.5)"
+
+    2.times { tap_stage }
+    assert_selector "[data-lightbox-stage][data-zoomed='false']"
+  end
+
+  test "tab stays inside the dialog and labels follow the opener's locale" do
+    inject_gallery(locale: "en")
+    find("#gallery-opener-1").click
+
+    assert_equal "Close", find("[data-lightbox-close]")[:"aria-label"]
+    assert_selector "[data-lightbox-caption]", text: "Foto 1 · 1 of 3"
+    assert_equal "data-lightbox-close", active_marker
+
+    send_keys :tab
+    assert_equal "data-lightbox-prev", active_marker
+    send_keys [ :shift, :tab ]
+    assert_equal "data-lightbox-close", active_marker
+
+    send_keys :escape
+    assert_no_selector "[data-lightbox-stage]"
+    assert_equal "gallery-opener-1", evaluate_script("document.activeElement.id")
+  end
+
+  test "a quote in a chat photo's document name stays inside the opener's name value" do
+    name = 'x" autofocus onfocus="window.lightboxNameInjected = true'
+    execute_script(<<~JAVASCRIPT, name)
+      const chat = window.Stimulus.getControllerForElementAndIdentifier(document.querySelector('[data-controller~="rag-chat"]'), "rag-chat")
+      chat.addImageSummaryMessage({ canonical_name: arguments[0], field_photo_id: 7, thumbnail_url: "data:image/gif;base64,R0lGODlhAQABAAAAACw=" })
+    JAVASCRIPT
+
+    opener = find("a.chat-lightbox-opener[href='/field_photos/7']")
+    assert_equal name, opener["data-image-lightbox-name-value"]
+    assert_nil opener["autofocus"]
+    assert_nil opener["onfocus"]
+    assert_nil evaluate_script("window.lightboxNameInjected")
+  end
+
+  private
+
+  def inject_gallery(locale: "es")
+    execute_script(<<~JAVASCRIPT, locale)
+      const locale = arguments[0]
+      const gallery = document.createElement("div")
+      gallery.setAttribute("data-lightbox-gallery", "")
+      gallery.innerHTML = [1, 2, 3].map((n) => {
+        const canvas = document.createElement("canvas")
+        canvas.width = 300
+        canvas.height = 200
+        canvas.getContext("2d").fillRect(0, 0, 300, 200)
+        return `<button type="button" id="gallery-opener-${n}" data-controller="image-lightbox"
+                  data-action="click->image-lightbox#open"
+                  data-image-lightbox-full-url-value="${canvas.toDataURL("image/jpeg")}"
+                  data-image-lightbox-name-value="Foto ${n}"
+                  data-image-lightbox-locale-value="${locale}">Foto ${n}</button>`
+      }).join("")
+      document.body.prepend(gallery)
+    JAVASCRIPT
+  end
+
+  def pointer_script(type_and_fraction)
+    <<~JAVASCRIPT
+      const stage = document.querySelector("[data-lightbox-stage]")
+      const rect = stage.getBoundingClientRect()
+      for (const [type, fraction] of #{type_and_fraction.to_json}) {
+        stage.dispatchEvent(new PointerEvent(type, {
+          bubbles: true, pointerId: 7, clientX: rect.left + rect.width * fraction, clientY: rect.top + rect.height / 2
+        }))
+      }
+    JAVASCRIPT
+  end
+
+  def tap_stage
+    execute_script(pointer_script([ [ "pointerdown", 0.5 ], [ "pointerup", 0.5 ] ]))
+  end
+
+  def swipe(from:, to:)
+    execute_script(pointer_script([ [ "pointerdown", from ], [ "pointermove", to ], [ "pointerup", to ] ]))
+  end
+
+  def active_marker
+    evaluate_script(<<~JAVASCRIPT)
+      ["data-lightbox-close", "data-lightbox-prev", "data-lightbox-next", "data-lightbox-zoom-in", "data-lightbox-zoom-out"]
+        .find((name) => document.activeElement.hasAttribute(name)) || null
+    JAVASCRIPT
+  end
+end
@@ -0,0 +1,62 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# rag/i18n as the browser loads it: through the page's import map, reading the
+# generated rag/translations table.
+class JsI18nTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "interpolates placeholders and picks the plural form for the count" do
+    result = with_i18n(<<~JAVASCRIPT)
+      return {
+        position: t("lightbox.position", { locale: "en", index: 2, total: 5 }),
+        one: t("chat.indexed.partial_pages", { locale: "es", count: 1, pages: "7" }),
+        other: t("chat.indexed.partial_pages", { locale: "es", count: 2, pages: "7, 9" }),
+        photos: t("chat.photos.count", { locale: "en", count: 3 })
+      }
+    JAVASCRIPT
+
+    assert_equal "2 of 5", result["position"]
+    assert_equal "⚠️ La página 7 no se procesó completamente. Usa «Reprocesar páginas fallidas» para reintentarla.", result["one"]
+    assert_equal "⚠️ Las páginas 7, 9 no se procesaron completamente. Usa «Reprocesar páginas fallidas» para reintentarlas.", result["other"]
+    assert_equal "3 photos of the same fault", result["photos"]
+  end
+
+  test "regional and unknown locales fall back to a compiled table, unknown keys to the key" do
+    result = with_i18n(<<~JAVASCRIPT)
+      return {
+        regional: t("chat.outbox.sending", { locale: "en-GB" }),
+        unknown: t("chat.outbox.sending", { locale: "xx" }),
+        base: localeFor("en_US"),
+        missing: t("chat.no_such_key", { locale: "en" })
+      }
+    JAVASCRIPT
+
+    assert_equal "Sending…", result["regional"]
+    assert_equal "Enviando…", result["unknown"]
+    assert_equal "en", result["base"]
+    assert_equal "chat.no_such_key", result["missing"]
+  end
+
+  private
+
+  # Runs `body` (an async function body) with `t` and `localeFor` in scope.
+  def with_i18n(body)
+    page.driver.browser.execute_async_script(<<~JAVASCRIPT)
+      const done = arguments[0]
+      import("rag/i18n").then(async ({ t, localeFor }) => {
+        #{body}
+      }).then(done, (error) => done({ error: String(error) }))
+    JAVASCRIPT
+  end
+end
@@ -0,0 +1,59 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# rag/answer_feedback.js footer as rag-chat renders it under an answer (same
+# renderAssistantAnswer path as test/system/rag_citation_viewer_test.rb),
+# posting to the real /answer_feedbacks endpoint.
+class RagAnswerFeedbackTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    @user = users(:one)
+    session = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: @user.account_id)
+    @answer = ConversationMessage.record(session, role: "assistant", payload: { answer: "Revisa el fusible F3." },
+                                                  user_id: @user.id, correlation_id: "query:system-feedback")
+    login_as @user, scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "a thumbs-down asks for a reason and stores it on the answer" do
+    render_assistant_answer(correlation_id: "query:system-feedback")
+
+    within ".chat-row-assistant .answer-feedback" do
+      assert_selector ".answer-feedback-reasons", visible: :hidden
+      find(".answer-feedback-thumb[data-rating='down']").click
+      click_on "Página equivocada"
+
+      assert_selector ".answer-feedback-status", text: "Gracias, lo tendremos en cuenta."
+      assert_selector ".answer-feedback-reasons", visible: :hidden
+      assert_selector ".answer-feedback-thumb[data-rating='down'][aria-pressed='true']"
+    end
+    assert_equal %w[down wrong_page], @answer.reload.payload["feedback"].values_at("rating", "reason")
+  end
+
+  test "a reloaded answer shows the rating already given and answers without a correlation_id get no footer" do
+    render_assistant_answer(correlation_id: "query:system-feedback", feedback: { rating: "up" })
+    render_assistant_answer(correlation_id: nil)
+
+    assert_selector ".answer-feedback", count: 1
+    assert_selector ".answer-feedback-thumb[data-rating='up'][aria-pressed='true']"
+  end
+
+  private
+
+  def render_assistant_answer(correlation_id:, feedback: nil)
+    execute_script(<<~JAVASCRIPT, correlation_id, feedback)
+      const element = document.querySelector('[data-controller~="rag-chat"]')
+      const controller = window.Stimulus.getControllerForElementAndIdentifier(element, "rag-chat")
+      controller.renderAssistantAnswer({
+        answer: "Revisa el fusible F3.", citations: [], response_locale: "es",
+        correlation_id: arguments[0], feedback: arguments[1]
+      })
+    JAVASCRIPT
+  end
+end
@@ -0,0 +1,120 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Safe-Markdown renderer in rag/answer_presenter.js (formatAnswerForWeb).
+# Same data: URL module import as test/system/rag_chat_verification_notice_test.rb,
+# so the browser's own escaping runs and no server round-trip is involved.
+class RagAnswerPresenterTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  CITATIONS = [
+    { number: 1, title: "Manual TW1 — p. 46" },
+    { number: 2, title: "Tabla de torques" }
+  ].freeze
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "numbered procedures with nested bullet steps render as lists" do
+    html = format_answer(<<~MD)
+      **Procedimiento:**
+
+      1. Cortar energía en el tablero [1]
+      2. Medir tensión
+         - Rango 200 V
+         - Punta negra a GND
+      3. Cerrar tapa
+    MD
+
+    assert_includes html, "<strong>Procedimiento:</strong>"
+    assert_includes html, '<ol class="answer-list"><li>Cortar energía en el tablero <span class="citation"'
+    assert_includes html, '<li>Medir tensión<ul class="answer-list"><li>Rango 200 V</li><li>Punta negra a GND</li></ul></li>'
+    assert_includes html, "<li>Cerrar tapa</li></ol>"
+  end
+
+  test "loose lists keep numbering and a list starting past one keeps its start" do
+    html = format_answer("3. Tercero\n\n4. Cuarto\n\nFin del paso.")
+
+    assert_equal '<ol class="answer-list" start="3"><li>Tercero</li><li>Cuarto</li></ol><p class="answer-p">Fin del paso.</p>', html
+  end
+
+  test "GFM tables render with alignment and citations inside cells" do
+    html = format_answer(<<~MD)
+      | Perno | Torque |
+      |:--|--:|
+      | M8 | 25 Nm [2] |
+      | M10 | 50 Nm |
+    MD
+
+    assert_includes html, '<table class="answer-table"><thead><tr><th style="text-align:left">Perno</th><th style="text-align:right">Torque</th></tr></thead>'
+    assert_includes html, '<td style="text-align:right">25 Nm <span class="citation" title="Tabla de torques" data-citation-number="2"'
+    assert_includes html, ">[2]</span></td>"
+    assert_includes html, '<td style="text-align:left">M10</td>'
+  end
+
+  test "code keeps asterisks, pipes and bracketed terminal labels literal" do
+    html = format_answer("Puentear `X1[3]` y `**J2**`.\n\n```\nset **mode** | 2 [1]\n```")
+
+    assert_includes html, '<code class="answer-code-inline">X1&#91;3]</code>'
+    assert_includes html, '<code class="answer-code-inline">**J2**</code>'
+    assert_includes html, '<pre class="answer-code"><code>set **mode** | 2 &#91;1]</code></pre>'
+    assert_not_includes html, "data-citation-number"
+  end
+
+  test "headings render below the bubble's own title level" do
+    html = format_answer("## Diagnóstico\nEl LED SPM parpadea.")
+
+    assert_equal '<h4 class="answer-heading">Diagnóstico</h4><p class="answer-p">El LED SPM parpadea.</p>', html
+  end
+
+  test "circled numerals and lone asterisks stay literal" do
+    html = format_answer("① Quitar tensión\n② Medir 5 * 3 = 15 y 2 * 4\nLos campos con * son obligatorios")
+
+    assert_equal "<p class=\"answer-p\">① Quitar tensión<br>② Medir 5 * 3 = 15 y 2 * 4<br>Los campos con * son obligatorios</p>", html
+    assert_not_includes html, "<em>"
+    assert_not_includes html, "<li>"
+  end
+
+  test "HTML in the answer is escaped before any Markdown is applied" do
+    html = format_answer("<img src=x onerror=alert(1)> **<b>x</b>**\n\n| <script> | a |\n|---|---|\n| `<i>` | b |")
+
+    assert_not_includes html, "<img"
+    assert_not_includes html, "<script>"
+    assert_not_includes html, "<b>"
+    assert_includes html, "&lt;img src=x onerror=alert(1)&gt; <strong>&lt;b&gt;x&lt;/b&gt;</strong>"
+    assert_includes html, "<th>&lt;script&gt;</th>"
+    assert_includes html, '<code class="answer-code-inline">&lt;i&gt;</code>'
+  end
+
+  test "markers that do not resolve to a citation stay untouched" do
+    html = format_answer("Conector [24] y manual [1].")
+
+    assert_includes html, "Conector [24] y manual"
+    assert_includes html, 'data-citation-number="1"'
+    assert_not_includes html, 'data-citation-number="24"'
+  end
+
+  private
+
+  def format_answer(text)
+    source = Rails.root.join("app/javascript/rag/answer_presenter.js").read
+    module_url = "data:text/javascript;base64,#{Base64.strict_encode64(source)}"
+
+    result = page.driver.browser.execute_async_script(<<~JAVASCRIPT, module_url, text, CITATIONS)
+      const [moduleUrl, answer, citations, done] = arguments
+      import(moduleUrl)
+        .then(({ formatAnswerForWeb }) => done({ html: formatAnswerForWeb(answer, citations) }))
+        .catch((error) => done({ error: error.message }))
+    JAVASCRIPT
+
+    assert_not result["error"], "module import failed: #{result['error']}"
+    result["html"]
+  end
+end
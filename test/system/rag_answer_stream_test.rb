@@ -0,0 +1,86 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Reader for /rag/ask/stream (rag/answer_stream.js). Same data: URL module
+# import as test/system/rag_offline_outbox_test.rb; the SSE body is a
+# hand-built Response split at awkward byte boundaries, so no server is hit.
+class RagAnswerStreamTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "events arrive in order across chunk boundaries and done resolves with the payload" do
+    result = with_stream_module(<<~JAVASCRIPT)
+      const body = [
+        'event: status\\ndata: {"stage":"received"}\\n\\n',
+        'event: ping\\ndata: {}\\n\\nevent: delta\\ndata: {"text":"Cortar la ',
+        'energía "}\\n\\nevent: delta\\ndata: {"text":"del tablero [1]."}\\n\\n',
+        'event: citations\\ndata: {"citations":[{"number":1}]}\\n\\n',
+        'event: done\\ndata: {"status":"success","answer":"Cortar la energía del tablero [1]."}\\n\\n'
+      ]
+      const seen = []
+      const payload = await stream.readAnswerStream(fakeStream(body), (name, data) => seen.push([name, data]))
+      return {
+        names: seen.map(([name]) => name),
+        text: seen.filter(([name]) => name === "delta").map(([, data]) => data.text).join(""),
+        answer: payload.answer
+      }
+    JAVASCRIPT
+
+    assert_equal %w[status ping delta delta citations done], result["names"]
+    assert_equal "Cortar la energía del tablero [1].", result["text"]
+    assert_equal "Cortar la energía del tablero [1].", result["answer"]
+  end
+
+  test "a stream that closes without done rejects and JSON responses are not streams" do
+    result = with_stream_module(<<~JAVASCRIPT)
+      let message = null
+      try {
+        await stream.readAnswerStream(fakeStream(['event: delta\\ndata: {"text":"Cortar"}\\n\\n']))
+      } catch (error) {
+        message = error.message
+      }
+      const json = new Response("{}", { headers: { "Content-Type": "application/json" } })
+      return { message, jsonIsStream: stream.isAnswerStream(json), sseIsStream: stream.isAnswerStream(fakeStream([])) }
+    JAVASCRIPT
+
+    assert_match(/closed before/, result["message"])
+    assert_equal false, result["jsonIsStream"]
+    assert_equal true, result["sseIsStream"]
+  end
+
+  private
+
+  def with_stream_module(body)
+    source = Rails.root.join("app/javascript/rag/answer_stream.js").read
+    module_url = "data:text/javascript;base64,#{Base64.strict_encode64(source)}"
+    result = page.driver.browser.execute_async_script(<<~JAVASCRIPT, module_url)
+      const [moduleUrl, done] = arguments
+      const fakeStream = (chunks) => {
+        const encoder = new TextEncoder()
+        const readable = new ReadableStream({
+          start(controller) {
+            chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)))
+            controller.close()
+          }
+        })
+        return new Response(readable, { headers: { "Content-Type": "text/event-stream" } })
+      }
+      import(moduleUrl)
+        .then(async (stream) => { #{body} })
+        .then(done)
+        .catch((error) => done({ error: error.message }))
+    JAVASCRIPT
+
+    assert_not result["error"], "answer stream script failed: #{result['error']}"
+    result
+  end
+end
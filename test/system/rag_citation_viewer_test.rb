@@ -0,0 +1,69 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Tapping an inline [n] opens rag/citation_viewer.js from the real rag-chat
+# controller (same renderAssistantAnswer path as
+# test/system/rag_chat_verification_notice_test.rb). The citation carries a
+# same-origin evidence_url so nothing outside the test server is loaded.
+class RagCitationViewerTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "tapping a citation opens the cited PDF page with the excerpt highlighted" do
+    render_assistant_answer(
+      answer: "Cortar la energía del tablero [1].",
+      citations: [ {
+        number: 1,
+        title: "Manual TW1 — p. 46",
+        page: 46,
+        matched_excerpt: "Cortar la energía del tablero antes de abrir la puerta.",
+        metadata: { canonical_name: "Manual TW1", evidence_url: "/manuals/tw1.pdf" }
+      } ]
+    )
+
+    find(".chat-row-assistant .citation", text: "[1]").click
+
+    within "#citation-viewer" do
+      assert_selector ".citation-viewer-name", text: "Manual TW1"
+      assert_selector ".citation-viewer-page", text: "p. 46"
+      assert_selector "mark", text: "Cortar la energía del tablero antes de abrir la puerta."
+      assert_selector "iframe.citation-viewer-pdf[src$='/manuals/tw1.pdf#page=46']"
+    end
+
+    send_keys :escape
+    assert_selector "#citation-viewer", visible: :hidden
+  end
+
+  test "a citation naming no stored document still shows its excerpt" do
+    render_assistant_answer(
+      answer: "Ver el esquema [1].",
+      citations: [ { number: 1, title: "Esquema", matched_excerpt: "Borne 32 a tierra." } ]
+    )
+
+    find(".chat-row-assistant .citation", text: "[1]").click
+
+    within "#citation-viewer" do
+      assert_selector "mark", text: "Borne 32 a tierra."
+      assert_selector ".citation-viewer-status", text: /No se puede mostrar/
+    end
+  end
+
+  private
+
+  def render_assistant_answer(answer:, citations:)
+    execute_script(<<~JAVASCRIPT, answer, citations)
+      const element = document.querySelector('[data-controller~="rag-chat"]')
+      const controller = window.Stimulus.getControllerForElementAndIdentifier(element, "rag-chat")
+      controller.renderAssistantAnswer({ answer: arguments[0], citations: arguments[1], response_locale: "es" })
+    JAVASCRIPT
+  end
+end
@@ -0,0 +1,70 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Thread switcher in the chat header (rag/conversation_threads.js through the
+# real rag-chat controller): a new thread starts with an empty transcript and
+# no pins, and switching back brings both back without a page load.
+class RagConversationThreadsTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    @user = users(:one)
+    @morning = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: @user.account_id)
+    @morning.update!(title: "Edificio Norte")
+    @morning.pin_kb_document!(kb_documents(:manual_uno))
+    ConversationMessage.record(@morning, role: "user", payload: { question: "¿Por qué no nivela el ascensor?" }, user_id: @user.id)
+
+    login_as @user, scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "a new thread starts empty and switching back restores its transcript and pins" do
+    assert_selector ".chat-row-user", text: "¿Por qué no nivela el ascensor?"
+    assert_selector "[data-doc-name='Manual uno'][data-selected='true']", visible: :all
+    assert_selector "[data-rag-chat-target='threadLabel']", text: "Edificio Norte"
+    execute_script("window.threadPageMarker = true")
+
+    open_thread_menu
+    click_on "Nueva conversación"
+
+    assert_no_selector ".chat-row-user", text: "¿Por qué no nivela el ascensor?"
+    assert_no_selector "[data-doc-name='Manual uno'][data-selected='true']", visible: :all
+    assert_selector "[data-rag-chat-target='threadLabel']", text: "Conversación sin nombre"
+
+    open_thread_menu
+    assert_selector ".conversation-thread[data-current='true']", text: "Conversación sin nombre"
+    title_input = find("[data-rag-chat-target='threadTitleInput']")
+    title_input.set("Torre Sur")
+    title_input.send_keys(:enter)
+    assert_selector "[data-rag-chat-target='threadLabel']", text: "Torre Sur"
+    assert_equal "Torre Sur", ConversationSession.current_for(identifier: @user.id.to_s, account_id: @user.account_id).title
+
+    find(".conversation-thread-open", text: "Edificio Norte").click
+
+    assert_selector ".chat-row-user", text: "¿Por qué no nivela el ascensor?"
+    assert_selector "[data-doc-name='Manual uno'][data-selected='true']", visible: :all
+    assert_selector "[data-rag-chat-target='threadLabel']", text: "Edificio Norte"
+    assert evaluate_script("window.threadPageMarker"), "switching threads must not reload the page"
+  end
+
+  test "archiving the thread on screen empties the chat and moves it under Archivadas" do
+    open_thread_menu
+    within(".conversation-thread[data-current='true']") { click_on "Archivar" }
+
+    assert_no_selector ".chat-row-user", text: "¿Por qué no nivela el ascensor?"
+    assert_selector ".conversation-thread-heading", text: /archivadas/i, visible: :all
+    assert @morning.reload.archived?
+  end
+
+  private
+
+  def open_thread_menu
+    find(".conversation-thread-menu summary", match: :first).click
+    assert_selector "[data-rag-chat-target='threadList'] .conversation-thread"
+  end
+end
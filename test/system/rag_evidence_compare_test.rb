@@ -0,0 +1,112 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Compare view for ambiguous evidence cards (rag/evidence_cards_renderer.js),
+# rendered through rag-chat's renderAssistantAnswer so the pick, compare and
+# ask actions find the answer's resolution.
+class RagEvidenceCompareTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    @previous_flag = ENV["RAG_EVIDENCE_CARDS_ENABLED"]
+    ENV["RAG_EVIDENCE_CARDS_ENABLED"] = "true"
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+    ENV["RAG_EVIDENCE_CARDS_ENABLED"] = @previous_flag
+  end
+
+  test "two to three picked candidates open side by side with their differences highlighted" do
+    render_ambiguous_answer(evidence_cards(4))
+
+    assert_selector "button[data-compare-action='compare'][disabled]"
+    pick "c1"
+    assert_selector "button[data-compare-action='compare'][disabled]"
+    pick "c2"
+    pick "c3"
+    assert_selector ".rag-evidence-compare-pick input[value='c4'][disabled]", visible: :all
+
+    click_on "Comparar seleccionadas"
+
+    within ".rag-evidence-compare" do
+      assert_selector ".rag-evidence-compare-column", count: 3
+      assert_selector "mark.rag-compare-line", text: "LED X1 | SERIE DE SEGURIDAD"
+      assert_selector "span.rag-compare-line", text: "Puente J4 abierto para prueba", count: 3
+      assert_selector "mark.rag-compare-crumb", text: "Sección 2"
+      assert_selector "span.rag-compare-crumb", text: "Manual", count: 3
+      assert_selector "img.rag-evidence-compare-thumb[src='https://example.test/page-1.png']"
+      assert_selector "a.rag-evidence-compare-placeholder[href='https://example.test/manual.pdf#page=2']", text: "Ver en el documento"
+      assert_no_selector "object, embed, iframe"
+      assert_selector ".rag-evidence-page", text: "p. 3"
+
+      click_on "Cerrar comparación"
+    end
+    assert_selector ".rag-evidence-compare", visible: :hidden
+  end
+
+  test "asking on the selected candidates sends each card's query in turn and leaves the composer alone" do
+    render_ambiguous_answer(evidence_cards(3))
+    execute_script(<<~JAVASCRIPT)
+      const element = document.querySelector('[data-controller~="rag-chat"]')
+      const controller = window.Stimulus.getControllerForElementAndIdentifier(element, "rag-chat")
+      window.askedQueries = []
+      window.ragChat = controller
+      controller.inputTarget.value = "borrador del técnico"
+      controller.pendingFile = { type: "document", filename: "esquema.pdf" }
+      controller.pendingFieldPhotoId = "fp-1"
+      controller.submitQuestion = async (question, file = null, { fieldPhotoId = null } = {}) => {
+        window.askedQueries.push([ question, file, fieldPhotoId ])
+      }
+    JAVASCRIPT
+
+    pick "c3"
+    pick "c1"
+    click_on "Preguntar en cada una"
+
+    assert_equal [ [ "Usar placa 1", nil, nil ], [ "Usar placa 3", nil, nil ] ], evaluate_script("window.askedQueries")
+    assert_equal "borrador del técnico", evaluate_script("window.ragChat.inputTarget.value")
+    assert_equal "esquema.pdf", evaluate_script("window.ragChat.pendingFile.filename")
+    assert_equal "fp-1", evaluate_script("window.ragChat.pendingFieldPhotoId")
+  end
+
+  private
+
+  def pick(card_id)
+    find(".rag-evidence-card[data-evidence-card-id='#{card_id}'] .rag-evidence-compare-pick input", visible: :all).click
+  end
+
+  def evidence_cards(count)
+    Array.new(count) do |index|
+      {
+        id: "c#{index + 1}",
+        label: "Placa #{index + 1}",
+        breadcrumb: [ "Placa #{index + 1}", "Sección #{index + 1}", "Manual" ],
+        excerpt: "LED X#{index + 1} | SERIE DE SEGURIDAD\nPuente J4 abierto para prueba",
+        select_query: "Usar placa #{index + 1}",
+        page: index + 1,
+        evidence_url: "https://example.test/manual.pdf#page=#{index + 1}",
+        thumbnail_url: index.zero? ? "https://example.test/page-1.png" : nil
+      }
+    end
+  end
+
+  def render_ambiguous_answer(cards)
+    execute_script(<<~JAVASCRIPT, cards.to_json)
+      const element = document.querySelector('[data-controller~="rag-chat"]')
+      const controller = window.Stimulus.getControllerForElementAndIdentifier(element, "rag-chat")
+      controller.renderAssistantAnswer({
+        answer: "Encontré varias placas.", citations: [], response_locale: "es",
+        resolution: {
+          contract_version: "resolution_v1", mode: "ambiguous", needs_selection: true,
+          answered_relations: [], abstained_relations: [], insufficient_reason: null,
+          facts: [], evidence_cards: JSON.parse(arguments[0])
+        }
+      })
+    JAVASCRIPT
+    assert_selector ".rag-evidence-card", count: [ cards.size, 3 ].min
+  end
+end
@@ -0,0 +1,72 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# KbSync `progress` events (rag/ingestion_progress.js through the real rag-chat
+# controller): the stage, pages and time left replace the indexing bubble's
+# warm copy.
+class RagIngestionProgressTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "a progress event turns the indexing bubble into the stage stepper" do
+    execute_script(<<~JAVASCRIPT)
+      const chat = window.Stimulus.getControllerForElementAndIdentifier(document.querySelector('[data-controller~="rag-chat"]'), "rag-chat")
+      chat.indexingLoadingId = chat.addMessage("Recibí tu archivo y lo estoy indexando.", "assistant")
+      chat.kbSyncInProgress = true
+      chat.handleKbSyncEvent({ status: "progress", filenames: ["arca.pdf"], stage: "batch",
+                               pages_done: 40, pages_total: 200, eta_seconds: 750, retries: 1 })
+    JAVASCRIPT
+
+    within ".ingestion-progress" do
+      assert_text "Paso 3 de 5 — Leyendo páginas"
+      assert_text "40 de 200 páginas"
+      assert_text "Faltan ≈ 13 min · 1 reintento"
+      assert_selector ".ingestion-progress-step[data-step='done']", count: 2, visible: :all
+      assert_selector ".ingestion-progress-step[aria-current='step']", visible: :all
+      assert_selector "[role='progressbar'][aria-valuenow='20']"
+    end
+    assert_no_text "Recibí tu archivo"
+  end
+
+  test "a quote in the indexed document's name stays inside the reprocess button's data-doc-name" do
+    name = 'x" autofocus onfocus="window.docNameInjected = true'
+    execute_script(<<~JAVASCRIPT, name)
+      const chat = window.Stimulus.getControllerForElementAndIdentifier(document.querySelector('[data-controller~="rag-chat"]'), "rag-chat")
+      chat.addIndexedMessage({ canonical_name: arguments[0], partial_pages: [7], kb_document_id: 42 })
+    JAVASCRIPT
+
+    button = find(".kb-doc-action-inline[data-doc-id='42']")
+    assert_equal name, button["data-doc-name"]
+    assert_nil button["autofocus"]
+    assert_nil button["onfocus"]
+    assert_nil evaluate_script("window.docNameInjected")
+  end
+
+  test "labels and time estimates" do
+    result = page.driver.browser.execute_async_script(<<~JAVASCRIPT)
+      const done = arguments[0]
+      import("rag/ingestion_progress").then(({ formatEta, ingestionProgressLabel }) => done({
+        none: formatEta(null),
+        soon: formatEta(30, "en"),
+        hours: formatEta(2 * 3600 + 5 * 60, "en"),
+        urgent: ingestionProgressLabel({ stage: "embedding", processing_scope: "urgent_pages" }),
+        counted: ingestionProgressLabel({ stage: "parsing", pages_done: 38, pages_total: 40 })
+      }), (error) => done({ error: String(error) }))
+    JAVASCRIPT
+
+    assert_nil result["none"]
+    assert_equal "Less than a minute left", result["soon"]
+    assert_equal "≈ 2 h 5 min left", result["hours"]
+    assert_equal "Indexando páginas urgentes", result["urgent"]
+    assert_equal "Armando fragmentos · 38/40", result["counted"]
+  end
+end
@@ -0,0 +1,46 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Archivos search box and filter chips (kb_search_controller through
+# HomeController#documents): results replace both cards' rows and the two
+# forms stay in sync.
+class RagKbSearchTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    @user = users(:one)
+    KbDocument.destroy_all
+    KbDocument.create!(s3_key: "uploads/2026/atv320.pdf", display_name: "Variador ATV320", aliases: [ "Altivar" ])
+    KbDocument.create!(s3_key: "uploads/2026/tablero.jpg", display_name: "Tablero")
+    KbDocument.create!(s3_key: "uploads/2026/mio.pdf", display_name: "Esquema propio", uploaded_by_user_id: @user.id)
+    login_as @user, scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "typing narrows the list and a chip combines with the search" do
+    find("#kb-search-desktop-q").set("altivar")
+
+    within "#kb-docs-desktop-items" do
+      assert_selector "[data-doc-name='Variador ATV320']"
+      assert_no_selector "[data-doc-name='Tablero']"
+    end
+    assert_equal "altivar", find("#kb-search-mobile-q", visible: :all).value
+
+    find("#kb-search-desktop-q").set("")
+    within("#kb-docs-desktop-items") { assert_selector ".kb-doc-btn", count: 3 }
+
+    within(find("#kb-search-desktop-q").ancestor("form.kb-search")) { find(".kb-search-chip", text: "Subidos por mí").click }
+    within "#kb-docs-desktop-items" do
+      assert_selector ".kb-doc-btn", count: 1
+      assert_selector "[data-doc-name='Esquema propio']"
+    end
+
+    find("#kb-search-desktop-q").set("tablero")
+    assert_selector "#kb-docs-desktop-items .kb-search-no-results", text: "Ningún archivo coincide con la búsqueda."
+  end
+end
@@ -0,0 +1,93 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Markup step in rag/photo_markup.js, imported the same data: URL way as
+# test/system/rag_answer_presenter_test.rb. The photo is a canvas-generated
+# JPEG so nothing leaves the test browser.
+class RagPhotoMarkupTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "a labelled circle inside a crop comes back as a region of the cropped photo" do
+    result = markup_photo do
+      <<~JAVASCRIPT
+        pressTool("crop"); drag(0.25, 0.25, 0.75, 0.75)
+        pressTool("circle"); drag(0.4, 0.4, 0.6, 0.6)
+        label("relé K3")
+      JAVASCRIPT
+    end
+
+    assert_equal [ { "shape" => "circle", "x" => 0.3, "y" => 0.3, "width" => 0.4, "height" => 0.4, "label" => "relé K3" } ],
+                 result["annotations"]
+    assert_equal [ 200, 100 ], result["size"]
+    assert_match %r{\Adata:image/jpeg;base64,}, result["dataUrl"]
+  end
+
+  test "cancel leaves the staged photo untouched" do
+    result = markup_photo(finish: "[data-markup-cancel]") do
+      'pressTool("arrow"); drag(0.9, 0.9, 0.5, 0.5)'
+    end
+
+    assert_nil result
+    assert_no_selector "#photo-markup"
+  end
+
+  private
+
+  # Opens the editor on a 400×200 photo, runs `yield` (JS with drag/label
+  # helpers in fractions of the canvas) and presses `finish`.
+  def markup_photo(finish: "[data-markup-done]")
+    source = Rails.root.join("app/javascript/rag/photo_markup.js").read
+    module_url = "data:text/javascript;base64,#{Base64.strict_encode64(source)}"
+
+    result = page.driver.browser.execute_async_script(<<~JAVASCRIPT, module_url, finish)
+      const [moduleUrl, finish, done] = arguments
+      const photo = document.createElement("canvas")
+      photo.width = 400
+      photo.height = 200
+      photo.getContext("2d").fillRect(0, 0, 400, 200)
+
+      import(moduleUrl).then(async ({ openPhotoMarkup }) => {
+        const opened = openPhotoMarkup(photo.toDataURL("image/jpeg"), { lang: "es" })
+        while (!document.querySelector("#photo-markup canvas")) await new Promise((resolve) => setTimeout(resolve, 10))
+
+        const canvas = document.querySelector("#photo-markup canvas")
+        const at = (x, y) => {
+          const rect = canvas.getBoundingClientRect()
+          return { bubbles: true, pointerId: 1, clientX: rect.left + rect.width * x, clientY: rect.top + rect.height * y }
+        }
+        const drag = (x1, y1, x2, y2) => {
+          canvas.dispatchEvent(new PointerEvent("pointerdown", at(x1, y1)))
+          canvas.dispatchEvent(new PointerEvent("pointermove", at(x2, y2)))
+          canvas.dispatchEvent(new PointerEvent("pointerup", at(x2, y2)))
+        }
+        const pressTool = (name) => document.querySelector(`[data-markup-tool="${name}"]`).click()
+        const label = (text) => {
+          const input = document.querySelector("[data-markup-label]")
+          input.value = text
+          input.dispatchEvent(new Event("input"))
+        }
+        #{yield}
+        document.querySelector(finish).click()
+
+        const result = await opened
+        if (!result) return done(null)
+        const image = new Image()
+        image.onload = () => done({ annotations: result.annotations, dataUrl: result.dataUrl.slice(0, 30), size: [ image.width, image.height ] })
+        image.src = result.dataUrl
+      }).catch((error) => done({ error: error.message }))
+    JAVASCRIPT
+
+    assert_not result&.dig("error"), "markup failed: #{result&.dig('error')}"
+    result
+  end
+end
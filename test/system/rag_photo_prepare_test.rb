@@ -0,0 +1,91 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Photo preparation (rag/photo_prepare.js) and multi-photo staging in the
+# composer. Photos are canvas-generated JPEGs, tagged with an EXIF
+# Orientation where the test needs one, so nothing leaves the test browser.
+class RagPhotoPrepareTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "a portrait shot stored sideways with an EXIF tag comes out upright" do
+    result = with_photo_module(<<~JAVASCRIPT)
+      const tagged = await withExifOrientation(await jpeg(400, 200), 6)
+      const prepared = await preparePhoto(new File([tagged], "portrait.jpg", { type: "image/jpeg" }))
+      const image = new Image()
+      await new Promise((resolve) => { image.onload = resolve; image.src = prepared.dataUrl })
+      return {
+        orientation: readExifOrientation(await tagged.arrayBuffer()),
+        untagged: readExifOrientation(await (await jpeg(4, 2)).arrayBuffer()),
+        mediaType: prepared.media_type,
+        size: [ image.naturalWidth, image.naturalHeight ]
+      }
+    JAVASCRIPT
+
+    assert_equal 6, result["orientation"]
+    assert_equal 1, result["untagged"]
+    assert_equal "image/jpeg", result["mediaType"]
+    assert_equal [ 200, 400 ], result["size"]
+  end
+
+  test "a HEIC the browser cannot decode goes up untouched for the server to convert" do
+    result = with_photo_module(<<~JAVASCRIPT)
+      const prepared = await preparePhoto(new File(["not a picture"], "IMG_0001.HEIC", { type: "" }))
+      return { mediaType: prepared.media_type, data: atob(prepared.data), preview: prepared.dataUrl }
+    JAVASCRIPT
+
+    assert_equal "image/heic", result["mediaType"]
+    assert_equal "not a picture", result["data"]
+    assert_nil result["preview"]
+  end
+
+  test "up to four photos stay staged together and the fifth is left out" do
+    with_photo_module(<<~JAVASCRIPT)
+      const files = await Promise.all([1, 2, 3, 4, 5].map(async (n) => new File([await jpeg(40, 30)], `foto-${n}.jpg`, { type: "image/jpeg" })))
+      const element = document.querySelector("[data-controller~='rag-chat']")
+      await window.Stimulus.getControllerForElementAndIdentifier(element, "rag-chat").stagePhotos(files)
+      return null
+    JAVASCRIPT
+
+    assert_selector ".photo-strip-thumb", count: 4
+    assert_no_selector ".photo-strip-add"
+    assert_selector "[data-rag-chat-target='fileName']", text: "4 fotos de la misma falla"
+    assert_text "Hasta 4 fotos por pregunta"
+
+    first(".photo-strip-remove").click
+    assert_selector ".photo-strip-thumb", count: 3
+    assert_selector ".photo-strip-add"
+  end
+
+  private
+
+  # Runs `body` (an async function body) with the module's exports and a
+  # `jpeg(width, height)` helper in scope; returns what it returns.
+  def with_photo_module(body)
+    source = Rails.root.join("app/javascript/rag/photo_prepare.js").read
+    module_url = "data:text/javascript;base64,#{Base64.strict_encode64(source)}"
+
+    page.driver.browser.execute_async_script(<<~JAVASCRIPT, module_url)
+      const [moduleUrl, done] = arguments
+      const jpeg = (width, height) => new Promise((resolve) => {
+        const canvas = document.createElement("canvas")
+        canvas.width = width
+        canvas.height = height
+        canvas.getContext("2d").fillRect(0, 0, width, height)
+        canvas.toBlob(resolve, "image/jpeg")
+      })
+      import(moduleUrl).then(async ({ preparePhoto, readExifOrientation, withExifOrientation }) => {
+        #{body}
+      }).then(done, (error) => done({ error: String(error) }))
+    JAVASCRIPT
+  end
+end
@@ -0,0 +1,75 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Saved pin sets in the Archivos card (rag/pin_sets.js through the real
+# rag-chat controller): applying a set flips every copy of its cards and the
+# sources badge at once, and the current pins can be saved as a new set.
+class RagPinSetsTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    @user   = users(:one)
+    @wiring = KbDocument.create!(s3_key: "uploads/2026/arca_wiring.pdf", display_name: "ARCA II wiring", account: @user.account)
+    PinSet.create!(account: @user.account, name: "Orona ARCA II", kb_document_ids: [ kb_documents(:manual_uno).id, @wiring.id ])
+
+    login_as @user, scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "applying a set pins all of its cards and clearing it unpins them" do
+    open_pin_set_menu
+    find(".pin-set-toggle", text: "Orona ARCA II").click
+
+    assert_selector "[data-doc-name='Manual uno'][data-selected='true']", count: 2, visible: :all
+    assert_selector "[data-doc-name='ARCA II wiring'][data-selected='true']", count: 2, visible: :all
+    assert_equal "2", sources_badge_text
+    assert_selector ".pin-set[data-applied='true']", text: "Quitar"
+    assert_equal "", find("[data-rag-chat-target='input']").value
+
+    find(".pin-set-toggle", text: "Orona ARCA II").click
+
+    assert_no_selector "[data-doc-id][data-selected='true']", visible: :all
+    assert_equal "", sources_badge_text
+  end
+
+  test "saves the pinned documents as a new set" do
+    find("#kb-docs-desktop-items [data-doc-name='ARCA II wiring']").click
+    assert_selector "[data-doc-name='ARCA II wiring'][data-selected='true']", count: 2, visible: :all
+
+    open_pin_set_menu
+    find("#pin-set-desktop-name").set("Solo esquemas")
+    find("#pin-set-desktop-name").send_keys(:enter)
+
+    assert_selector ".pin-set[data-applied='true']", text: "Solo esquemas"
+    assert_equal [ @wiring.id ], PinSet.find_by(name: "Solo esquemas").kb_document_ids
+  end
+
+  test "a name with quotes stays text in every user's menu" do
+    name = %(x" autofocus onfocus="window.pinSetInjected = true)
+    PinSet.create!(account: @user.account, name: name, kb_document_ids: [ @wiring.id ])
+    visit root_path
+
+    open_pin_set_menu
+    delete_button = find(".pin-set-delete[data-pin-set-name='#{name}']", visible: :all)
+    assert_nil delete_button[:autofocus]
+    assert_nil delete_button[:onfocus]
+    assert_selector ".pin-set-name", text: name
+    assert_nil evaluate_script("window.pinSetInjected")
+  end
+
+  private
+
+  def open_pin_set_menu
+    find("#pin-set-desktop-name", visible: :all).ancestor("details").find("summary").click
+    assert_selector ".pin-set", text: "Orona ARCA II"
+  end
+
+  def sources_badge_text
+    evaluate_script("document.querySelector(\"[data-rag-chat-target='sourcesBadge']\").textContent")
+  end
+end
@@ -0,0 +1,62 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Recent answers for the offline app shell (rag/recent_answers.js). Same
+# data: URL module import as test/system/rag_offline_outbox_test.rb — the Cache
+# API is exercised directly, no service worker or network involved.
+class RagRecentAnswersTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    page.execute_script("caches.delete('rag-recent-answers')")
+    Warden.test_reset!
+  end
+
+  test "answers come back oldest first, scoped to their owner and capped" do
+    result = with_recent_answers_module(<<~JAVASCRIPT)
+      await recent.rememberAnswer({ owner: "a", kind: "answer", question: "¿Qué indica el LED SPM?", data: { answer: "uno" } })
+      await recent.rememberAnswer({ owner: "b", kind: "answer", question: "otra cuenta", data: { answer: "dos" } })
+      await recent.rememberAnswer({ owner: "a", kind: "photo", data: { summary: "tablero" } })
+      const owned = await recent.recentAnswers("a")
+
+      for (let i = 0; i < recent.MAX_RECENT_ANSWERS + 2; i++) {
+        await recent.rememberAnswer({ owner: "c", kind: "answer", question: `q${i}`, data: { answer: String(i) } })
+      }
+      const capped = await recent.recentAnswers("c")
+      return {
+        kinds: owned.map((entry) => entry.kind),
+        questions: owned.map((entry) => entry.question),
+        cappedCount: capped.length,
+        oldestKept: capped[0].question
+      }
+    JAVASCRIPT
+
+    assert_equal %w[answer photo], result["kinds"]
+    assert_equal [ "¿Qué indica el LED SPM?", nil ], result["questions"]
+    assert_equal 20, result["cappedCount"]
+    assert_equal "q2", result["oldestKept"]
+  end
+
+  private
+
+  def with_recent_answers_module(body)
+    source = Rails.root.join("app/javascript/rag/recent_answers.js").read
+    module_url = "data:text/javascript;base64,#{Base64.strict_encode64(source)}"
+    result = page.driver.browser.execute_async_script(<<~JAVASCRIPT, module_url)
+      const [moduleUrl, done] = arguments
+      import(moduleUrl)
+        .then(async (recent) => { #{body} })
+        .then(done)
+        .catch((error) => done({ error: error.message }))
+    JAVASCRIPT
+
+    assert_not result["error"], "recent answers script failed: #{result['error']}"
+    result
+  end
+end
@@ -0,0 +1,105 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Slash commands in the chat composer (rag/slash_commands.js through the real
+# rag-chat controller): suggestions, keyboard navigation and the commands that
+# talk to the server (/pin, /reset).
+class RagSlashCommandsTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    @user = users(:one)
+    login_as @user, scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "suggests commands as the technician types and moves through them with the arrow keys" do
+    composer.send_keys "/"
+
+    within "#slash-command-menu" do
+      assert_selector ".slash-command-option", count: 6
+      assert_selector ".slash-command-option[aria-selected='true']", text: "/pin"
+    end
+
+    composer.send_keys :down
+    assert_selector "#slash-command-menu .slash-command-option[aria-selected='true']", text: "/unpin"
+
+    composer.send_keys "ph"
+    assert_selector "#slash-command-menu .slash-command-option", count: 1, text: "/photo"
+
+    composer.send_keys "z"
+    assert_selector "#slash-command-menu", visible: :hidden
+
+    composer.send_keys :backspace
+    assert_selector "#slash-command-menu .slash-command-option", count: 1
+    composer.send_keys :escape
+    assert_selector "#slash-command-menu", visible: :hidden
+  end
+
+  test "/pin completes a document name from the knowledge base and pins it" do
+    composer.send_keys "/pin man"
+    assert_selector "#slash-command-menu .slash-command-option", text: "Manual uno"
+
+    composer.send_keys :enter
+    assert_equal "/pin Manual uno", composer.value
+
+    composer.send_keys :enter
+
+    assert_selector ".chat-row-assistant", text: "📌 Manual uno fijado."
+    assert_selector "[data-doc-name='Manual uno'][data-selected='true']", visible: :all
+    assert_no_selector ".chat-row-user", text: "/pin"
+  end
+
+  test "/reset clears the transcript and the stored conversation" do
+    session = ConversationSession.find_or_create_for(identifier: @user.id.to_s, user_id: @user.id, account_id: @user.account_id)
+    ConversationMessage.record(session, role: "user", payload: { question: "¿Qué fusible protege el variador?" }, user_id: @user.id)
+    visit root_path
+    assert_selector ".chat-row-user", text: "¿Qué fusible protege el variador?"
+
+    composer.send_keys "/reset", :enter
+
+    assert_selector ".chat-row-assistant", text: "Conversación nueva."
+    assert_no_selector ".chat-row-user", text: "¿Qué fusible protege el variador?"
+    assert_empty session.conversation_messages.reload
+  end
+
+  test "/lang switches the chat chrome and asks for answers in that language" do
+    composer.send_keys "/lang en", :enter
+
+    assert_selector ".chat-row-assistant", text: "Chat language: English."
+    assert_equal "en", controller_value("localeValue")
+    assert_equal "en", controller_value("_chosenLocale")
+  end
+
+  test "only a known command name is a command" do
+    result = page.driver.browser.execute_async_script(<<~JAVASCRIPT)
+      const done = arguments[0]
+      import("rag/slash_commands").then(({ parseCommand }) => done({
+        path: parseCommand("/dev/ttyUSB0 no responde"),
+        pin: parseCommand("/PIN  Manual uno "),
+        bare: parseCommand("/reset")
+      }), (error) => done({ error: String(error) }))
+    JAVASCRIPT
+
+    assert_nil result["path"]
+    assert_equal({ "name" => "pin", "arg" => "Manual uno" }, result["pin"])
+    assert_equal({ "name" => "reset", "arg" => "" }, result["bare"])
+  end
+
+  private
+
+  def composer
+    find("[data-rag-chat-target='input']")
+  end
+
+  def controller_value(name)
+    evaluate_script(<<~JAVASCRIPT)
+      window.Stimulus.getControllerForElementAndIdentifier(document.querySelector('[data-controller~="rag-chat"]'), "rag-chat").#{name}
+    JAVASCRIPT
+  end
+end
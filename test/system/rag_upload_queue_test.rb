@@ -0,0 +1,43 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# The multi-file upload queue as rag/upload_queue.js draws it.
+class RagUploadQueueTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "quotes in a file name or key stay text and inside their attributes" do
+    name = 'x" autofocus onfocus="window.uploadQueueInjected = true'
+    result = page.driver.browser.execute_async_script(<<~JAVASCRIPT, name)
+      const [name, done] = arguments
+      import("rag/upload_queue").then(({ renderUploadQueue, UPLOAD_STATES }) => {
+        const container = document.createElement("div")
+        document.body.appendChild(container)
+        renderUploadQueue(container, [ { key: name, filename: name, state: UPLOAD_STATES.failed, file: {} } ], "es")
+        const item = container.querySelector(".upload-queue-item")
+        const retry = container.querySelector(".upload-queue-retry")
+        done({
+          key: item.dataset.uploadKey,
+          retryKey: retry.dataset.uploadKey,
+          name: item.querySelector(".upload-queue-name").textContent,
+          injected: container.querySelectorAll("[onfocus], [autofocus]").length
+        })
+      }, (error) => done({ error: String(error) }))
+    JAVASCRIPT
+
+    assert_equal name, result["key"]
+    assert_equal name, result["retryKey"]
+    assert_equal "📄 #{name}", result["name"]
+    assert_equal 0, result["injected"]
+    assert_nil evaluate_script("window.uploadQueueInjected")
+  end
+end
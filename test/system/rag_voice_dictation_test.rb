@@ -0,0 +1,73 @@
+# frozen_string_literal: true
+
+require "application_system_test_case"
+
+# Push-to-talk dictation in the composer with a scripted SpeechRecognition in
+# place of the browser's (no microphone in CI). The fake emits one final
+# result on start; rag/voice_dictation.js then sees a pause and ends.
+class RagVoiceDictationTest < ApplicationSystemTestCase
+  include Warden::Test::Helpers
+
+  setup do
+    login_as users(:one), scope: :user
+    visit root_path
+    install_fake_speech_recognition("torque de los pernos M8")
+  end
+
+  teardown do
+    Warden.test_reset!
+  end
+
+  test "a tap dictates into the composer and stops after a pause" do
+    find("textarea[data-rag-chat-target='input']").set("Pregunta:")
+
+    tap_mic
+
+    assert_field with: "Pregunta: torque de los pernos M8", wait: 5
+    assert_selector "[data-rag-chat-target='dictationStatus']", visible: :hidden
+  end
+
+  test "swiping sideways cancels without touching the composer" do
+    mic = find("[data-rag-chat-target='dictationButton']")
+    execute_script(<<~JAVASCRIPT, mic)
+      const button = arguments[0]
+      window.__speechDelayMs = 10000
+      button.dispatchEvent(new PointerEvent("pointerdown", { bubbles: true, clientX: 200 }))
+      button.dispatchEvent(new PointerEvent("pointermove", { bubbles: true, clientX: 100 }))
+    JAVASCRIPT
+
+    assert_selector ".dictation-status", text: "Dictado cancelado"
+    assert_equal "", find("textarea[data-rag-chat-target='input']").value
+  end
+
+  private
+
+  def install_fake_speech_recognition(transcript)
+    execute_script(<<~JAVASCRIPT, transcript)
+      const transcript = arguments[0]
+      window.__speechDelayMs = 0
+      window.SpeechRecognition = class {
+        start() {
+          setTimeout(() => this.onstart?.(), 0)
+          this.timer = setTimeout(() => {
+            const result = [ { transcript } ]
+            result.isFinal = true
+            this.onresult?.({ resultIndex: 0, results: [ result ] })
+          }, window.__speechDelayMs)
+        }
+        stop() { setTimeout(() => this.onend?.(), 0) }
+        abort() { clearTimeout(this.timer); setTimeout(() => this.onend?.(), 0) }
+      }
+      const element = document.querySelector('[data-controller~="rag-chat"]')
+      window.Stimulus.getControllerForElementAndIdentifier(element, "rag-chat").setupDictation()
+    JAVASCRIPT
+  end
+
+  def tap_mic
+    execute_script(<<~JAVASCRIPT, find("[data-rag-chat-target='dictationButton']"))
+      const button = arguments[0]
+      button.dispatchEvent(new PointerEvent("pointerdown", { bubbles: true, clientX: 10 }))
+      button.dispatchEvent(new PointerEvent("pointerup", { bubbles: true, clientX: 10 }))
+    JAVASCRIPT
+  end
+end